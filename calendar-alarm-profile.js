@@ -0,0 +1,136 @@
+import { createHash } from 'node:crypto';
+import { CALENDAR_SUBSCRIBER_KEY_PREFIX, createCalendarSubscriberRecords } from './calendar-subscriber-store.js';
+
+const ALARM_PROFILE_SCHEMA_VERSION = 1;
+const MAX_ALARM_TRIGGER_SECONDS = 14 * 24 * 60 * 60;
+const MAX_ALARMS_PER_TYPE = 3;
+
+// Seconds before the event starts. These are the reminders published when
+// alarms are enabled and a subscriber has not saved a profile of their own.
+const DEFAULT_CALENDAR_ALARM_TRIGGERS = Object.freeze({
+  flight_departure: [10800],
+  flight_return: [10800],
+  flight_departure_layover: [10800],
+  flight_return_layover: [10800],
+  main_event: [3600],
+  rehearsal: [86400],
+  hotel: [14400],
+  ground_transport_pickup: [2700],
+  ground_transport_meeting: [2700],
+  ground_transport_dropoff: [],
+  ground_transport: [],
+  team_calendar: [],
+  event_note_reminder: [],
+});
+
+const records = createCalendarSubscriberRecords({
+  label: 'alarm profile',
+  codePrefix: 'CALENDAR_ALARM_PROFILE',
+  schemaVersion: ALARM_PROFILE_SCHEMA_VERSION,
+});
+const { cleanPersonId, requireStore } = records;
+
+function normalizeTriggers(eventType, triggers) {
+  if (!Array.isArray(triggers) || triggers.length > MAX_ALARMS_PER_TYPE) {
+    throw records.error(
+      `Alarms for ${eventType} must be an array of at most ${MAX_ALARMS_PER_TYPE} triggers.`,
+      'INVALID'
+    );
+  }
+  const seconds = triggers.map((trigger) => Number(trigger));
+  if (!seconds.every((value) => Number.isInteger(value) && value >= 0 && value <= MAX_ALARM_TRIGGER_SECONDS)) {
+    throw records.error(
+      `Alarm triggers for ${eventType} must be whole seconds between 0 and ${MAX_ALARM_TRIGGER_SECONDS}.`,
+      'INVALID'
+    );
+  }
+  return [...new Set(seconds)].sort((left, right) => right - left);
+}
+
+export function calendarAlarmProfileKey(personId) {
+  return `${CALENDAR_SUBSCRIBER_KEY_PREFIX}alarm-profile:v${ALARM_PROFILE_SCHEMA_VERSION}:${cleanPersonId(personId)}`;
+}
+
+export function normalizeCalendarAlarmProfile(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw records.error('Alarm profile must be an object.', 'INVALID');
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+    throw records.error('Alarm profile enabled must be a boolean.', 'INVALID');
+  }
+  const rawAlarms = input.alarms ?? {};
+  if (!rawAlarms || typeof rawAlarms !== 'object' || Array.isArray(rawAlarms)) {
+    throw records.error('Alarm profile alarms must be an object keyed by event type.', 'INVALID');
+  }
+  const alarms = {};
+  for (const eventType of Object.keys(rawAlarms).sort()) {
+    if (!Object.hasOwn(DEFAULT_CALENDAR_ALARM_TRIGGERS, eventType)) {
+      throw records.error(`Unsupported calendar event type: ${eventType}`, 'TYPE_INVALID');
+    }
+    alarms[eventType] = normalizeTriggers(eventType, rawAlarms[eventType]);
+  }
+  return {
+    schemaVersion: ALARM_PROFILE_SCHEMA_VERSION,
+    enabled: input.enabled !== false,
+    alarms,
+  };
+}
+
+export function calendarAlarmProfileFingerprint(profile) {
+  if (!profile) return null;
+  const normalized = normalizeCalendarAlarmProfile(profile);
+  return createHash('sha256')
+    .update(JSON.stringify({ enabled: normalized.enabled, alarms: normalized.alarms }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+export function calendarAlarmsForEvent(
+  eventType,
+  eventTitle = '',
+  { profile = null, defaultsEnabled = false } = {}
+) {
+  if (profile ? profile.enabled === false : !defaultsEnabled) return [];
+
+  // Skip alarms for OOO events
+  const title = String(eventTitle || '');
+  if (title.includes('⛔️') && title.toUpperCase().includes('OOO')) return [];
+
+  const triggers = profile?.alarms && Object.hasOwn(profile.alarms, eventType)
+    ? profile.alarms[eventType]
+    : DEFAULT_CALENDAR_ALARM_TRIGGERS[eventType];
+  return (triggers || []).map((trigger) => ({ type: 'display', trigger }));
+}
+
+export async function persistCalendarAlarmProfile(client, personId, input, options = {}) {
+  requireStore(client, 'set');
+  const profile = {
+    ...normalizeCalendarAlarmProfile(input),
+    updatedAt: options.updatedAt || new Date().toISOString(),
+  };
+  // Deliberately no expiration: this is a subscriber preference, not a cache entry.
+  await client.set(calendarAlarmProfileKey(personId), JSON.stringify(profile));
+  return profile;
+}
+
+export async function loadCalendarAlarmProfile(client, personId) {
+  requireStore(client, 'get');
+  const raw = await client.get(calendarAlarmProfileKey(personId));
+  if (!raw) return null;
+  try {
+    const stored = JSON.parse(raw);
+    if (Number(stored?.schemaVersion) !== ALARM_PROFILE_SCHEMA_VERSION) {
+      throw new Error('unsupported alarm profile payload');
+    }
+    return { ...normalizeCalendarAlarmProfile(stored), updatedAt: stored.updatedAt || null };
+  } catch {
+    throw records.error('Calendar alarm profile is invalid.', 'STORE_INVALID');
+  }
+}
+
+export async function deleteCalendarAlarmProfile(client, personId) {
+  requireStore(client, 'del');
+  return (await client.del(calendarAlarmProfileKey(personId))) > 0;
+}
+
+export { DEFAULT_CALENDAR_ALARM_TRIGGERS };
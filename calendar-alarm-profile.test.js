@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calendarAlarmProfileFingerprint,
+  calendarAlarmProfileKey,
+  calendarAlarmsForEvent,
+  deleteCalendarAlarmProfile,
+  loadCalendarAlarmProfile,
+  normalizeCalendarAlarmProfile,
+  persistCalendarAlarmProfile,
+} from './calendar-alarm-profile.js';
+import { memoryRedis } from './test-support/memory-redis.js';
+
+test('subscribers without a profile follow the global alarm switch', () => {
+  assert.deepEqual(calendarAlarmsForEvent('main_event', 'Gig'), []);
+  assert.deepEqual(
+    calendarAlarmsForEvent('main_event', 'Gig', { defaultsEnabled: true }),
+    [{ type: 'display', trigger: 3600 }]
+  );
+  assert.deepEqual(
+    calendarAlarmsForEvent('team_calendar', '⛔️ OOO', { defaultsEnabled: true }),
+    []
+  );
+});
+
+test('a saved profile overrides listed types and keeps defaults for the rest', () => {
+  const profile = normalizeCalendarAlarmProfile({
+    alarms: { rehearsal: [43200, 86400, 43200], flight_departure: [] },
+  });
+  assert.deepEqual(profile.alarms.rehearsal, [86400, 43200]);
+  assert.deepEqual(calendarAlarmsForEvent('rehearsal', 'Rehearsal', { profile }), [
+    { type: 'display', trigger: 86400 },
+    { type: 'display', trigger: 43200 },
+  ]);
+  assert.deepEqual(calendarAlarmsForEvent('flight_departure', 'Flight', { profile }), []);
+  assert.deepEqual(calendarAlarmsForEvent('hotel', 'Hotel', { profile }), [
+    { type: 'display', trigger: 14400 },
+  ]);
+  assert.deepEqual(
+    calendarAlarmsForEvent('main_event', 'Gig', {
+      profile: normalizeCalendarAlarmProfile({ enabled: false }),
+      defaultsEnabled: true,
+    }),
+    []
+  );
+});
+
+test('alarm profiles reject unknown types and out-of-range triggers', () => {
+  assert.throws(
+    () => normalizeCalendarAlarmProfile({ alarms: { concert: [3600] } }),
+    (error) => error.code === 'CALENDAR_ALARM_PROFILE_TYPE_INVALID'
+  );
+  assert.throws(
+    () => normalizeCalendarAlarmProfile({ alarms: { main_event: [-60] } }),
+    (error) => error.code === 'CALENDAR_ALARM_PROFILE_INVALID'
+  );
+  assert.throws(
+    () => normalizeCalendarAlarmProfile({ alarms: { main_event: [1, 2, 3, 4] } }),
+    (error) => error.code === 'CALENDAR_ALARM_PROFILE_INVALID'
+  );
+});
+
+test('profile fingerprints ignore ordering and change with the reminders', () => {
+  const first = calendarAlarmProfileFingerprint({ alarms: { hotel: [60, 120], rehearsal: [600] } });
+  assert.equal(
+    first,
+    calendarAlarmProfileFingerprint({ alarms: { rehearsal: [600], hotel: [120, 60] } })
+  );
+  assert.notEqual(first, calendarAlarmProfileFingerprint({ alarms: { hotel: [60] } }));
+  assert.equal(calendarAlarmProfileFingerprint(null), null);
+});
+
+test('alarm profiles persist without expiry and can be removed', async () => {
+  const redis = memoryRedis();
+  const updatedAt = '2026-08-03T04:00:00.000Z';
+  await persistCalendarAlarmProfile(redis, 'PERSON-ID', {
+    alarms: { flight_return: [10800] },
+  }, { updatedAt });
+
+  const key = calendarAlarmProfileKey('person-id');
+  assert.doesNotMatch(key, /^calendar:/u);
+  const loaded = await loadCalendarAlarmProfile(redis, 'person-id');
+  assert.equal(loaded.updatedAt, updatedAt);
+  assert.deepEqual(loaded.alarms, { flight_return: [10800] });
+
+  redis.values.set(key, '{broken');
+  await assert.rejects(
+    loadCalendarAlarmProfile(redis, 'person-id'),
+    (error) => error.code === 'CALENDAR_ALARM_PROFILE_STORE_INVALID'
+  );
+  assert.equal(await deleteCalendarAlarmProfile(redis, 'person-id'), true);
+  assert.equal(await loadCalendarAlarmProfile(redis, 'person-id'), null);
+});
@@ -0,0 +1,140 @@
+import { createHash } from 'node:crypto';
+import { CALENDAR_SUBSCRIBER_KEY_PREFIX, createCalendarSubscriberRecords } from './calendar-subscriber-store.js';
+
+const ARCHIVE_SCHEMA_VERSION = 1;
+const MAX_ARCHIVE_EVENTS = 5_000;
+const FIRST_ARCHIVE_YEAR = 2000;
+
+const records = createCalendarSubscriberRecords({
+  label: 'archive',
+  codePrefix: 'CALENDAR_ARCHIVE',
+  schemaVersion: ARCHIVE_SCHEMA_VERSION,
+});
+const { cleanPersonId, requireStore } = records;
+
+export function calendarArchiveKey(personId, year) {
+  return `${CALENDAR_SUBSCRIBER_KEY_PREFIX}archive:v${ARCHIVE_SCHEMA_VERSION}:${cleanPersonId(personId)}:${year}`;
+}
+
+/** The business year `date` falls in, in `timeZone` (Los Angeles for Downbeat). */
+export function calendarBusinessYear(date = new Date(), timeZone = 'America/Los_Angeles') {
+  return Number(new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric' }).format(new Date(date)));
+}
+
+/** A four-digit year from a URL segment, or null if it is not one we could have archived. */
+export function parseCalendarArchiveYear(value, { currentYear }) {
+  const text = String(value ?? '').trim();
+  if (!/^\d{4}$/u.test(text)) return null;
+  const year = Number(text);
+  return year >= FIRST_ARCHIVE_YEAR && year <= currentYear ? year : null;
+}
+
+// Feed times are floating wall-clock values in UTC fields, so the ISO date is
+// the local date the event happens on.
+function eventYear(event) {
+  const start = new Date(event?.start);
+  return Number.isNaN(start.getTime()) ? null : start.getUTCFullYear();
+}
+
+/** Live occurrences that start in `year`, in start order. Tombstones are left out. */
+export function calendarArchiveEvents(events = [], year) {
+  return (Array.isArray(events) ? events : [])
+    .filter((event) => event?.status !== 'cancelled' && eventYear(event) === year)
+    .sort((left, right) => new Date(left.start) - new Date(right.start));
+}
+
+function eventsHash(events) {
+  return createHash('sha256').update(JSON.stringify(events)).digest('base64url').slice(0, 32);
+}
+
+/** A year's archive is frozen once the business year it covers has ended. */
+export function calendarArchiveIsFrozen(archive, currentYear) {
+  return Number(archive?.year) < currentYear;
+}
+
+export async function loadCalendarArchive(client, personId, year) {
+  requireStore(client, 'get');
+  const raw = await client.get(calendarArchiveKey(personId, year));
+  if (!raw) return null;
+  try {
+    const stored = JSON.parse(raw);
+    if (Number(stored?.schemaVersion) !== ARCHIVE_SCHEMA_VERSION || !Array.isArray(stored.events)) {
+      throw new Error('unsupported calendar archive payload');
+    }
+    return stored;
+  } catch {
+    throw records.error('Calendar archive is invalid.', 'STORE_INVALID');
+  }
+}
+
+async function writeArchive(client, personId, year, { personName, events, source, sourceRevision = null, now }) {
+  const archive = {
+    schemaVersion: ARCHIVE_SCHEMA_VERSION,
+    personId: cleanPersonId(personId),
+    personName: String(personName ?? '').trim().slice(0, 200) || null,
+    year,
+    source,
+    sourceRevision: sourceRevision == null ? null : String(sourceRevision),
+    capturedAt: now,
+    eventsHash: eventsHash(events),
+    events,
+  };
+  await client.set(calendarArchiveKey(personId, year), JSON.stringify(archive));
+  return archive;
+}
+
+/**
+ * Keeps the current year's archive in step with a full personal build. Only
+ * the open year is ever written here, so a closed year stays exactly as the
+ * last build before New Year left it. Unchanged builds skip the write.
+ */
+export async function recordOpenCalendarArchive(client, personId, build = {}, { currentYear, now = new Date().toISOString() }) {
+  requireStore(client, 'set');
+  const events = calendarArchiveEvents(build.events, currentYear);
+  const existing = await loadCalendarArchive(client, personId, currentYear).catch((error) => {
+    if (error.code === 'CALENDAR_ARCHIVE_STORE_INVALID') return null;
+    throw error;
+  });
+  if (existing?.eventsHash === eventsHash(events)) return { archive: existing, changed: false };
+  if (!existing && events.length === 0) return { archive: null, changed: false };
+  const archive = await writeArchive(client, personId, currentYear, {
+    personName: build.personName,
+    events,
+    source: 'build',
+    sourceRevision: build.sourceRevision,
+    now,
+  });
+  return { archive, changed: true };
+}
+
+/**
+ * Stores a closed year from an export, for years that ended before archiving
+ * began. A frozen archive is only replaced when `replace` is set.
+ */
+export async function saveClosedCalendarArchive(client, personId, year, input = {}, { currentYear, replace = false, now = new Date().toISOString() }) {
+  requireStore(client, 'set');
+  if (!(year < currentYear)) {
+    throw records.error('Only a closed year can be backfilled; the open year is archived from builds.', 'YEAR_OPEN');
+  }
+  const events = input.events;
+  if (
+    !Array.isArray(events)
+    || events.length > MAX_ARCHIVE_EVENTS
+    || events.some((event) => !event || typeof event !== 'object' || typeof event.title !== 'string')
+  ) {
+    throw records.error(`Archive events must be a list of up to ${MAX_ARCHIVE_EVENTS} events with titles.`, 'EVENTS_INVALID');
+  }
+  const archived = calendarArchiveEvents(events, year);
+  if (archived.length !== events.filter((event) => event.status !== 'cancelled').length) {
+    throw records.error(`Every archive event must start in ${year}.`, 'EVENTS_INVALID');
+  }
+  if (!replace && await loadCalendarArchive(client, personId, year).catch(() => true)) {
+    throw records.error(`The ${year} archive is frozen.`, 'FROZEN');
+  }
+  return writeArchive(client, personId, year, {
+    personName: input.personName,
+    events: archived,
+    source: 'backfill',
+    now,
+  });
+}
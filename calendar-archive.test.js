@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calendarArchiveEvents,
+  calendarArchiveIsFrozen,
+  calendarArchiveKey,
+  calendarBusinessYear,
+  loadCalendarArchive,
+  parseCalendarArchiveYear,
+  recordOpenCalendarArchive,
+  saveClosedCalendarArchive,
+} from './calendar-archive.js';
+import { memoryRedis } from './test-support/memory-redis.js';
+
+const PERSON = 'A1B2C3D4-0000-4000-8000-000000000001';
+
+test('archive years follow the Los Angeles business year and floating event dates', () => {
+  assert.equal(calendarBusinessYear('2026-01-01T05:00:00.000Z'), 2025);
+  assert.equal(calendarBusinessYear('2026-01-01T09:00:00.000Z'), 2026);
+  assert.deepEqual(
+    ['2025', '1999', '2027', '25', '2025.ics', ''].map((value) => parseCalendarArchiveYear(value, { currentYear: 2026 })),
+    [2025, null, null, null, null, null]
+  );
+  const events = calendarArchiveEvents([
+    { title: 'New Year gig', start: '2026-01-01T02:00:00.000Z' },
+    { title: 'NYE gig', start: '2025-12-31T21:00:00.000Z' },
+    { title: 'Cancelled', start: '2025-06-01T18:00:00.000Z', status: 'cancelled' },
+    { title: 'Spring gig', start: '2025-04-01T18:00:00.000Z' },
+  ], 2025);
+  assert.deepEqual(events.map((event) => event.title), ['Spring gig', 'NYE gig']);
+  assert.doesNotMatch(calendarArchiveKey(PERSON, 2025), /^calendar:/u);
+});
+
+test('builds keep only the open year current and skip unchanged writes', async () => {
+  const redis = memoryRedis();
+  const build = {
+    personName: 'Ana Ruiz',
+    sourceRevision: 41,
+    events: [
+      { title: 'Last year', start: '2025-12-30T20:00:00.000Z' },
+      { title: 'Gig', start: '2026-03-01T20:00:00.000Z', description: 'Pay: $300' },
+    ],
+  };
+  const first = await recordOpenCalendarArchive(redis, PERSON, build, { currentYear: 2026, now: '2026-03-02T00:00:00.000Z' });
+  assert.equal(first.changed, true);
+  assert.deepEqual(first.archive.events.map((event) => event.title), ['Gig']);
+  assert.equal(first.archive.sourceRevision, '41');
+  assert.equal((await recordOpenCalendarArchive(redis, PERSON, build, { currentYear: 2026 })).changed, false);
+  assert.equal(redis.writes, 1);
+  assert.equal(await loadCalendarArchive(redis, PERSON, 2025), null);
+  assert.equal((await recordOpenCalendarArchive(redis, 'b-2', { events: [] }, { currentYear: 2026 })).archive, null);
+
+  assert.equal(calendarArchiveIsFrozen(first.archive, 2026), false);
+  assert.equal(calendarArchiveIsFrozen(first.archive, 2027), true);
+  // After New Year the 2026 archive is never touched by a build again.
+  await recordOpenCalendarArchive(redis, PERSON, { events: [] }, { currentYear: 2027 });
+  assert.deepEqual((await loadCalendarArchive(redis, PERSON, 2026)).events.map((event) => event.title), ['Gig']);
+});
+
+test('closed years can be backfilled once, and replaced only on request', async () => {
+  const redis = memoryRedis();
+  const input = { personName: 'Ana Ruiz', events: [{ title: 'Gig', start: '2024-05-01T19:00:00.000Z' }] };
+  const archive = await saveClosedCalendarArchive(redis, PERSON, 2024, input, { currentYear: 2026 });
+  assert.deepEqual([archive.source, archive.events.length], ['backfill', 1]);
+  await assert.rejects(saveClosedCalendarArchive(redis, PERSON, 2024, input, { currentYear: 2026 }), { code: 'CALENDAR_ARCHIVE_FROZEN' });
+  await saveClosedCalendarArchive(redis, PERSON, 2024, { events: [] }, { currentYear: 2026, replace: true });
+  assert.deepEqual((await loadCalendarArchive(redis, PERSON, 2024)).events, []);
+
+  await assert.rejects(saveClosedCalendarArchive(redis, PERSON, 2026, input, { currentYear: 2026 }), { code: 'CALENDAR_ARCHIVE_YEAR_OPEN' });
+  await assert.rejects(saveClosedCalendarArchive(redis, PERSON, 2023, input, { currentYear: 2026 }), { code: 'CALENDAR_ARCHIVE_EVENTS_INVALID' });
+  await assert.rejects(saveClosedCalendarArchive(redis, PERSON, 2023, { events: 'x' }, { currentYear: 2026 }), { code: 'CALENDAR_ARCHIVE_EVENTS_INVALID' });
+  redis.values.set(calendarArchiveKey(PERSON, 2022), '{broken');
+  await assert.rejects(loadCalendarArchive(redis, PERSON, 2022), { code: 'CALENDAR_ARCHIVE_STORE_INVALID' });
+  await assert.rejects(loadCalendarArchive({}, PERSON, 2022), { code: 'CALENDAR_ARCHIVE_STORE_UNAVAILABLE' });
+});
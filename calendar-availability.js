@@ -0,0 +1,119 @@
+import { blockoutRangesForPerson } from './calendar-blockouts.js';
+
+// Bookings that take a person off the market, as the personal feed types
+// them. Team calendar entries and reminders do not.
+const UNAVAILABLE_EVENT_TYPES = new Set([
+  'main_event',
+  'rehearsal',
+  'flight_departure',
+  'flight_return',
+  'flight_departure_layover',
+  'flight_return_layover',
+  'hotel',
+  'ground_transport_pickup',
+  'ground_transport_dropoff',
+  'ground_transport_meeting',
+  'ground_transport',
+]);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function clean(value, limit = 2_000) {
+  return String(value ?? '').trim().slice(0, limit);
+}
+
+function time(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.getTime();
+}
+
+function rangeError(message) {
+  const error = new Error(message);
+  error.code = 'CALENDAR_AVAILABILITY_RANGE_INVALID';
+  return error;
+}
+
+// Feed times are floating, so a wall-clock value without an offset is read
+// as UTC fields. A bare date is the whole day.
+function floatingBoundary(value, { inclusiveEnd = false } = {}) {
+  const text = clean(value, 40);
+  if (/^\d{4}-\d{2}-\d{2}$/u.test(text)) {
+    const day = time(`${text}T00:00:00.000Z`);
+    if (day === null || new Date(day).toISOString().slice(0, 10) !== text) return null;
+    return inclusiveEnd ? day + DAY_MS : day;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/u.test(text)) return null;
+  return time(/(?:Z|[+-]\d{2}:?\d{2})$/u.test(text) ? text : `${text}Z`);
+}
+
+/**
+ * The window a search asks about. `end` is exclusive for date-times and
+ * inclusive for bare dates; searches are capped at `maxDays`.
+ */
+export function parseCalendarAvailabilityRange({ start, end } = {}, { maxDays = 31 } = {}) {
+  const startTime = floatingBoundary(start);
+  const endTime = floatingBoundary(end || start, { inclusiveEnd: true });
+  if (startTime === null || endTime === null) {
+    throw rangeError('Pass start and end as YYYY-MM-DD or YYYY-MM-DDTHH:MM.');
+  }
+  if (endTime <= startTime) throw rangeError('end must be after start.');
+  if (endTime - startTime > maxDays * DAY_MS) throw rangeError(`Search at most ${maxDays} days at a time.`);
+  return { start: new Date(startTime).toISOString(), end: new Date(endTime).toISOString() };
+}
+
+/** Positions a person has been booked for, read from their gigs' payroll lines. */
+export function calendarPersonPositions(events = []) {
+  const positions = new Map();
+  for (const event of events) {
+    if (event?.type !== 'main_event') continue;
+    for (const line of String(event.description || '').matchAll(/^Position:[ \t]*(.+)$/gmu)) {
+      for (const position of line[1].split(',').map((part) => clean(part, 100)).filter(Boolean)) {
+        positions.set(position.toLowerCase(), positions.get(position.toLowerCase()) || position);
+      }
+    }
+  }
+  return [...positions.values()].sort((left, right) => left.localeCompare(right));
+}
+
+function span(startValue, endValue) {
+  const start = time(startValue);
+  if (start === null) return null;
+  return { start, end: Math.max(time(endValue) ?? start, start) };
+}
+
+// Zero-length events count when they fall inside the window.
+function blocker(type, startValue, endValue, windowStart, windowEnd) {
+  const booked = span(startValue, endValue);
+  if (!booked || booked.start >= windowEnd || (booked.end <= windowStart && booked.start < windowStart)) return [];
+  return [{ type, start: new Date(booked.start).toISOString(), end: new Date(booked.end).toISOString() }];
+}
+
+/**
+ * Who is free for the whole of `range`. `people` are `{personId, personName,
+ * events}` from cached personal feeds; blockouts join by name. With
+ * `position`, only people booked for a matching position before are
+ * considered. Unavailable people list what is in the way, by type and time.
+ */
+export function findAvailablePeople(people = [], { range, position = '', blockoutRanges = [] } = {}) {
+  const windowStart = Date.parse(range.start);
+  const windowEnd = Date.parse(range.end);
+  const wantedPosition = clean(position, 100).toLowerCase();
+  const available = [];
+  const unavailable = [];
+  for (const person of people) {
+    const events = Array.isArray(person?.events) ? person.events : [];
+    const positions = calendarPersonPositions(events);
+    if (wantedPosition && !positions.some((candidate) => candidate.toLowerCase().includes(wantedPosition))) continue;
+    const blockers = [
+      ...events
+        .filter((event) => UNAVAILABLE_EVENT_TYPES.has(event?.type) && event.status !== 'cancelled')
+        .flatMap((event) => blocker(event.type, event.start, event.end, windowStart, windowEnd)),
+      ...blockoutRangesForPerson(blockoutRanges, person.personName)
+        .flatMap((blockout) => blocker('blockout', blockout.start, blockout.end, windowStart, windowEnd)),
+    ].sort((left, right) => left.start.localeCompare(right.start));
+    const entry = { personId: person.personId, personName: person.personName, positions };
+    if (blockers.length === 0) available.push(entry);
+    else unavailable.push({ ...entry, blockers });
+  }
+  const byName = (left, right) => String(left.personName || left.personId).localeCompare(String(right.personName || right.personId));
+  return { available: available.sort(byName), unavailable: unavailable.sort(byName) };
+}
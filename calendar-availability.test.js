@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calendarPersonPositions,
+  findAvailablePeople,
+  parseCalendarAvailabilityRange,
+} from './calendar-availability.js';
+import { calendarBlockoutRangesFromFeedEvents } from './calendar-blockouts.js';
+
+test('search ranges read floating wall-clock times and whole dates', () => {
+  assert.deepEqual(parseCalendarAvailabilityRange({ start: '2026-11-07' }), {
+    start: '2026-11-07T00:00:00.000Z',
+    end: '2026-11-08T00:00:00.000Z',
+  });
+  assert.deepEqual(parseCalendarAvailabilityRange({ start: '2026-11-07T18:00', end: '2026-11-07T23:30' }), {
+    start: '2026-11-07T18:00:00.000Z',
+    end: '2026-11-07T23:30:00.000Z',
+  });
+  for (const query of [{}, { start: 'tomorrow' }, { start: '2026-02-30' }, { start: '2026-11-07T18:00', end: '2026-11-07T17:00' }, { start: '2026-01-01', end: '2026-03-01' }]) {
+    assert.throws(() => parseCalendarAvailabilityRange(query), { code: 'CALENDAR_AVAILABILITY_RANGE_INVALID' });
+  }
+});
+
+test('positions come from gig payroll lines', () => {
+  assert.deepEqual(calendarPersonPositions([
+    { type: 'main_event', description: 'Position: Drums\nAssignments: Set 1' },
+    { type: 'main_event', description: 'Position: drums, Percussion\n' },
+    { type: 'rehearsal', description: 'Position: Conductor' },
+  ]), ['Drums', 'Percussion']);
+});
+
+test('only people with nothing booked across the window are free', () => {
+  const gig = (position, start, end) => ({ type: 'main_event', description: `Position: ${position}\n`, start, end });
+  const people = [
+    { personId: 'a', personName: 'Ana Ruiz', events: [gig('Drums', '2026-10-01T18:00:00.000Z', '2026-10-01T23:00:00.000Z')] },
+    { personId: 'b', personName: 'Ben Cho', events: [gig('Bass', '2026-11-07T20:00:00.000Z', '2026-11-08T01:00:00.000Z')] },
+    {
+      personId: 'c',
+      personName: 'Cy Park',
+      events: [
+        gig('Drums', '2026-11-01T18:00:00.000Z', '2026-11-01T23:00:00.000Z'),
+        { type: 'flight_return', start: '2026-11-07T09:00:00.000Z', end: '2026-11-07T11:00:00.000Z' },
+        { type: 'main_event', start: '2026-11-07T12:00:00.000Z', end: '2026-11-07T14:00:00.000Z', status: 'cancelled' },
+        { type: 'event_note_reminder', start: '2026-11-07T19:00:00.000Z', end: '2026-11-07T19:15:00.000Z' },
+      ],
+    },
+    { personId: 'd', personName: 'Dee Lowe', events: [gig('Keys', '2026-10-02T18:00:00.000Z', '2026-10-02T23:00:00.000Z')] },
+  ];
+  const blockoutRanges = calendarBlockoutRangesFromFeedEvents([
+    { title: 'Blockout: Dee Lowe', start: '2026-11-06T00:00:00.000Z', end: '2026-11-08T00:00:00.000Z', description: 'Away' },
+  ]);
+  const range = parseCalendarAvailabilityRange({ start: '2026-11-07' });
+  const result = findAvailablePeople(people, { range, blockoutRanges });
+  assert.deepEqual(result.available, [{ personId: 'a', personName: 'Ana Ruiz', positions: ['Drums'] }]);
+  assert.deepEqual(result.unavailable.map((person) => [person.personId, person.blockers.map((item) => item.type)]), [
+    ['b', ['main_event']],
+    ['c', ['flight_return']],
+    ['d', ['blockout']],
+  ]);
+  assert.deepEqual(result.unavailable[2].blockers[0], {
+    type: 'blockout',
+    start: '2026-11-06T00:00:00.000Z',
+    end: '2026-11-08T00:00:00.000Z',
+  });
+
+  const drummers = findAvailablePeople(people, { range, position: 'drum', blockoutRanges });
+  assert.deepEqual(drummers.available.map((person) => person.personId), ['a']);
+  assert.deepEqual(drummers.unavailable.map((person) => person.personId), ['c']);
+});
+
+test('ground transport from the personal feed blocks the window', () => {
+  const range = parseCalendarAvailabilityRange({ start: '2026-11-07' });
+  const ride = (personId, type) => ({
+    personId,
+    personName: personId,
+    events: [{ type, start: '2026-11-07T15:00:00.000Z', end: '2026-11-07T15:30:00.000Z' }],
+  });
+  const result = findAvailablePeople([
+    ride('pickup', 'ground_transport_pickup'),
+    ride('dropoff', 'ground_transport_dropoff'),
+    ride('meeting', 'ground_transport_meeting'),
+    ride('other', 'ground_transport'),
+    ride('team', 'team_calendar'),
+  ], { range });
+  assert.deepEqual(result.available.map((person) => person.personId), ['team']);
+  assert.deepEqual(result.unavailable.map((person) => [person.personId, person.blockers[0].type]), [
+    ['dropoff', 'ground_transport_dropoff'],
+    ['meeting', 'ground_transport_meeting'],
+    ['other', 'ground_transport'],
+    ['pickup', 'ground_transport_pickup'],
+  ]);
+});
@@ -0,0 +1,87 @@
+function clean(value, limit = 2_000) {
+  return String(value ?? '').trim().slice(0, limit);
+}
+
+/** URL slug for a band name: "Gold Standard" → "gold-standard". */
+export function calendarBandSlug(name) {
+  return clean(name, 200)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/gu, ' and ')
+    .replace(/[^a-z0-9]+/gu, '-')
+    .replace(/^-+|-+$/gu, '');
+}
+
+function rowBandName(row) {
+  return clean(row?.band || row?.band_name || row?.bandName, 200);
+}
+
+/** Every band on the admin event rows, with how many events each has. */
+export function listCalendarBands(rows = []) {
+  const bands = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const name = rowBandName(row);
+    const slug = calendarBandSlug(name);
+    if (!slug) continue;
+    const band = bands.get(slug) || { slug, name, events: 0 };
+    band.events += 1;
+    bands.set(slug, band);
+  }
+  return [...bands.values()].sort((left, right) => left.name.localeCompare(right.name));
+}
+
+/**
+ * The admin event rows for one band, with their nested rehearsals, so the
+ * admin processor renders exactly that band's gigs and rehearsals.
+ */
+export function calendarBandRows(rows = [], bandSlug = '') {
+  const slug = calendarBandSlug(bandSlug);
+  if (!slug) return [];
+  return (Array.isArray(rows) ? rows : []).filter((row) => calendarBandSlug(rowBandName(row)) === slug);
+}
+
+// "Band: Bass - Eric England 🍸" → section Band, role Bass, name Eric England.
+function personnelLine(line) {
+  const text = clean(line, 300)
+    .replace(/^[•*-]\s*/u, '')
+    .replace(/\s*\|.*$/u, '');
+  const match = text.match(/^(?:([^:]+):\s*)?(.+?)\s+-\s+(.+)$/u);
+  if (!match) return null;
+  const name = match[3]
+    .replace(/[\p{Extended_Pictographic}\u{FE0F}\u{200D}].*$/u, '')
+    .replace(/\s*\(?\+?\d[\d\s().-]{6,}\d\)?.*$/u, '')
+    .trim();
+  if (!name) return null;
+  return { section: clean(match[1], 100), role: clean(match[2], 100), name };
+}
+
+/** People on an `event_personnel` value, a newline string or an array of lines. */
+export function parseCalendarEventPersonnel(value) {
+  const lines = Array.isArray(value) ? value : String(value ?? '').split(/\r?\n/u);
+  return lines.map(personnelLine).filter(Boolean);
+}
+
+/**
+ * Everyone who has played the band's events: name, the roles they covered,
+ * and how many events they are on. Busiest first.
+ */
+export function aggregateCalendarBandPersonnel(rows = []) {
+  const people = new Map();
+  for (const row of rows) {
+    const seen = new Set();
+    for (const entry of parseCalendarEventPersonnel(row?.event_personnel)) {
+      const key = entry.name.toLowerCase();
+      const person = people.get(key) || { name: entry.name, roles: [], events: 0 };
+      if (!person.roles.includes(entry.role)) person.roles.push(entry.role);
+      if (!seen.has(key)) {
+        person.events += 1;
+        seen.add(key);
+      }
+      people.set(key, person);
+    }
+  }
+  return [...people.values()]
+    .map((person) => ({ ...person, roles: [...person.roles].sort((left, right) => left.localeCompare(right)) }))
+    .sort((left, right) => right.events - left.events || left.name.localeCompare(right.name));
+}
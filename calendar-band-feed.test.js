@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  aggregateCalendarBandPersonnel,
+  calendarBandRows,
+  calendarBandSlug,
+  listCalendarBands,
+  parseCalendarEventPersonnel,
+} from './calendar-band-feed.js';
+
+const rows = [
+  { event_name: 'Wedding', band: 'Gold & Silver', event_personnel: 'Band: Bass - Eric England\nAudio: A1 - Adrian Alvarado 📷 DJ 🍸' },
+  { event_name: 'Gala', band: 'Gold and Silver', event_personnel: ['• Band: Bass - Eric England | 5:00 PM', 'Band: Keys - Ana Ruiz (555) 123-4567'] },
+  { event_name: 'Festival', band: 'Café Orchestra', event_personnel: 'Band: Drums - Ana Ruiz' },
+  { event_name: 'Private', band: '' },
+];
+
+test('band slugs fold case, accents and ampersands', () => {
+  assert.equal(calendarBandSlug(' Gold & Silver! '), 'gold-and-silver');
+  assert.equal(calendarBandSlug('Café Orchestra'), 'cafe-orchestra');
+  assert.equal(calendarBandSlug('—'), '');
+  assert.deepEqual(listCalendarBands(rows), [
+    { slug: 'cafe-orchestra', name: 'Café Orchestra', events: 1 },
+    { slug: 'gold-and-silver', name: 'Gold & Silver', events: 2 },
+  ]);
+  assert.deepEqual(calendarBandRows(rows, 'Gold & Silver').map((row) => row.event_name), ['Wedding', 'Gala']);
+  assert.deepEqual(calendarBandRows(rows, ''), []);
+});
+
+test('personnel lines lose bullets, times, emoji and phone numbers', () => {
+  assert.deepEqual(parseCalendarEventPersonnel(rows[1].event_personnel), [
+    { section: 'Band', role: 'Bass', name: 'Eric England' },
+    { section: 'Band', role: 'Keys', name: 'Ana Ruiz' },
+  ]);
+  assert.deepEqual(parseCalendarEventPersonnel('Audio: A1 - Adrian Alvarado 📷 DJ 🍸\nTBD'), [
+    { section: 'Audio', role: 'A1', name: 'Adrian Alvarado' },
+  ]);
+});
+
+test('band personnel is counted once per event with every role covered', () => {
+  assert.deepEqual(aggregateCalendarBandPersonnel([...rows, { event_personnel: 'Band: Vocals - eric england\nBand: Bass - Eric England' }]), [
+    { name: 'Eric England', roles: ['Bass', 'Vocals'], events: 3 },
+    { name: 'Ana Ruiz', roles: ['Drums', 'Keys'], events: 2 },
+    { name: 'Adrian Alvarado', roles: ['A1'], events: 1 },
+  ]);
+});
@@ -0,0 +1,133 @@
+const BOOKED_EVENT_TYPES = new Set(['main_event', 'rehearsal']);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function clean(value, limit = 2_000) {
+  return String(value ?? '').trim().slice(0, limit);
+}
+
+function floatingDate(value) {
+  const match = clean(value, 40).match(/^(\d{4})-(\d{2})-(\d{2})/u);
+  if (!match) return null;
+  const parsed = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return new Date(parsed).toISOString().slice(0, 10) === match[0] ? parsed : null;
+}
+
+function time(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.getTime();
+}
+
+/** Name key used to join blockout rows to feeds: case, accents and spacing ignored. */
+export function calendarPersonNameKey(name) {
+  return clean(name, 200)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/\s+/gu, ' ');
+}
+
+/**
+ * Blockout rows (`personnel_name`, inclusive `date_start`/`date_end`) as
+ * floating all-day ranges with an exclusive end. Rows without a name or with
+ * unreadable dates are dropped.
+ */
+export function calendarBlockoutRanges(rows = []) {
+  const ranges = [];
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const names = (Array.isArray(row?.personnel_name) ? row.personnel_name : [row?.personnel_name])
+      .map((name) => clean(name, 200))
+      .filter(Boolean);
+    const start = floatingDate(row?.date_start);
+    const lastDay = floatingDate(row?.date_end);
+    if (names.length === 0 || start === null || lastDay === null || lastDay < start) continue;
+    for (const personName of names) {
+      ranges.push({
+        personName,
+        dateStart: new Date(start).toISOString().slice(0, 10),
+        dateEnd: new Date(lastDay).toISOString().slice(0, 10),
+        start: new Date(start).toISOString(),
+        end: new Date(lastDay + DAY_MS).toISOString(),
+        reason: clean(row.reason, 500),
+        url: clean(row.notion_url, 500),
+      });
+    }
+  }
+  return ranges.sort((left, right) => left.start.localeCompare(right.start) || left.personName.localeCompare(right.personName));
+}
+
+/**
+ * The same ranges read back from the published blockout feed, whose events
+ * are titled "Blockout: <name>" with an exclusive all-day end.
+ */
+export function calendarBlockoutRangesFromFeedEvents(events = []) {
+  return calendarBlockoutRanges((Array.isArray(events) ? events : []).flatMap((event) => {
+    const personName = clean(event?.title, 300).match(/^Blockout:\s*(.+)$/u)?.[1];
+    const start = time(event?.start);
+    const end = time(event?.end);
+    if (!personName || start === null || end === null || end <= start) return [];
+    return [{
+      personnel_name: personName,
+      date_start: new Date(start).toISOString().slice(0, 10),
+      date_end: new Date(end - DAY_MS).toISOString().slice(0, 10),
+      reason: event.description,
+      notion_url: event.url,
+    }];
+  }));
+}
+
+/** The ranges blocked out by one person, matched by name. */
+export function blockoutRangesForPerson(ranges, personName) {
+  const key = calendarPersonNameKey(personName);
+  return key ? ranges.filter((range) => calendarPersonNameKey(range.personName) === key) : [];
+}
+
+function violationEvent(event) {
+  const compact = { type: event.type, title: clean(event.title, 500), start: new Date(time(event.start)).toISOString() };
+  if (time(event.end) !== null) compact.end = new Date(time(event.end)).toISOString();
+  if (event.uid) compact.uid = event.uid;
+  if (event.occurrenceKey) compact.occurrenceKey = event.occurrenceKey;
+  return compact;
+}
+
+/**
+ * Main events and rehearsals booked inside someone's blockout. `people` are
+ * `{personId, personName, events}` from their personal feeds; feed times are
+ * floating, so they compare against the floating blockout days directly.
+ * Blockout names that match no feed come back in `unmatched`.
+ */
+export function findBlockoutViolations(ranges = [], people = []) {
+  const peopleByName = new Map();
+  for (const person of people) {
+    const key = calendarPersonNameKey(person?.personName);
+    if (key) peopleByName.set(key, [...(peopleByName.get(key) || []), person]);
+  }
+  const violations = [];
+  const unmatched = new Set();
+  for (const range of ranges) {
+    const matches = peopleByName.get(calendarPersonNameKey(range.personName)) || [];
+    if (matches.length === 0) unmatched.add(range.personName);
+    const rangeStart = Date.parse(range.start);
+    const rangeEnd = Date.parse(range.end);
+    for (const person of matches) {
+      for (const event of person.events || []) {
+        if (!BOOKED_EVENT_TYPES.has(event?.type) || event.status === 'cancelled') continue;
+        const start = time(event.start);
+        if (start === null) continue;
+        const end = Math.max(time(event.end) ?? start, start);
+        const inside = start < rangeEnd && (end > rangeStart || start >= rangeStart);
+        if (!inside) continue;
+        violations.push({
+          personId: person.personId,
+          personName: person.personName,
+          blockout: { dateStart: range.dateStart, dateEnd: range.dateEnd, reason: range.reason, url: range.url },
+          event: violationEvent(event),
+        });
+      }
+    }
+  }
+  return {
+    violations: violations.sort((left, right) =>
+      left.event.start.localeCompare(right.event.start) || left.personName.localeCompare(right.personName)),
+    unmatched: [...unmatched].sort(),
+  };
+}
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  blockoutRangesForPerson,
+  calendarBlockoutRanges,
+  calendarBlockoutRangesFromFeedEvents,
+  calendarPersonNameKey,
+  findBlockoutViolations,
+} from './calendar-blockouts.js';
+
+const rows = [
+  { personnel_name: 'José  Martínez', date_start: '2026-11-07', date_end: '2026-11-08', reason: 'Family', notion_url: 'https://notion.so/b1' },
+  { personnel_name: 'Sam Park', date_start: '2026-11-20', date_end: '2026-11-20' },
+  { personnel_name: 'Nobody Known', date_start: '2026-11-01', date_end: '2026-11-01' },
+  { personnel_name: '', date_start: '2026-11-01', date_end: '2026-11-01' },
+  { personnel_name: 'Sam Park', date_start: '2026-02-30', date_end: '2026-03-01' },
+  { personnel_name: 'Sam Park', date_start: '2026-11-09', date_end: '2026-11-08' },
+];
+
+test('blockout rows become whole floating days with an exclusive end', () => {
+  const ranges = calendarBlockoutRanges(rows);
+  assert.deepEqual(ranges.map((range) => [range.personName, range.start, range.end]), [
+    ['Nobody Known', '2026-11-01T00:00:00.000Z', '2026-11-02T00:00:00.000Z'],
+    ['José  Martínez', '2026-11-07T00:00:00.000Z', '2026-11-09T00:00:00.000Z'],
+    ['Sam Park', '2026-11-20T00:00:00.000Z', '2026-11-21T00:00:00.000Z'],
+  ]);
+  assert.equal(ranges[1].reason, 'Family');
+  assert.equal(calendarPersonNameKey(' JOSE martinez '), 'jose martinez');
+  assert.deepEqual(blockoutRangesForPerson(ranges, 'jose martinez').map((range) => range.dateEnd), ['2026-11-08']);
+  assert.deepEqual(blockoutRangesForPerson(ranges, ''), []);
+});
+
+test('the published blockout feed reads back into the same ranges', () => {
+  const [range] = calendarBlockoutRanges([rows[0]]);
+  const feedEvent = { title: `Blockout: ${rows[0].personnel_name}`, start: range.start, end: range.end, description: 'Family', url: 'https://notion.so/b1' };
+  assert.deepEqual(calendarBlockoutRangesFromFeedEvents([feedEvent, { title: 'Gig', start: range.start, end: range.end }]), [range]);
+});
+
+test('gigs and rehearsals inside a blockout are violations; other bookings are not', () => {
+  const people = [
+    {
+      personId: 'p-jose',
+      personName: 'Jose Martinez',
+      events: [
+        { uid: 'gig-in', type: 'main_event', title: '🎸 Wedding', start: '2026-11-07T17:00:00.000Z', end: '2026-11-07T23:00:00.000Z' },
+        { uid: 'late-night', type: 'main_event', title: '🎸 Late', start: '2026-11-06T21:00:00.000Z', end: '2026-11-07T01:00:00.000Z' },
+        { uid: 'after', type: 'main_event', title: '🎸 After', start: '2026-11-09T00:00:00.000Z', end: '2026-11-09T04:00:00.000Z' },
+        { uid: 'rehearsal', type: 'rehearsal', title: '🎤 Rehearsal', start: '2026-11-08T18:00:00.000Z', end: '2026-11-08T20:00:00.000Z' },
+        { uid: 'flight', type: 'flight_departure', title: '✈️ Flight', start: '2026-11-07T08:00:00.000Z', end: '2026-11-07T10:00:00.000Z' },
+        { uid: 'cancelled', type: 'main_event', title: '🎸 Off', start: '2026-11-08T17:00:00.000Z', end: '2026-11-08T23:00:00.000Z', status: 'cancelled' },
+      ],
+    },
+    {
+      personId: 'p-sam',
+      personName: 'Sam Park',
+      events: [{ type: 'main_event', title: '🎸 Gala', start: '2026-11-21T18:00:00.000Z', end: '2026-11-21T22:00:00.000Z' }],
+    },
+  ];
+  const { violations, unmatched } = findBlockoutViolations(calendarBlockoutRanges(rows), people);
+  assert.deepEqual(violations.map((violation) => [violation.personId, violation.event.uid]), [
+    ['p-jose', 'late-night'],
+    ['p-jose', 'gig-in'],
+    ['p-jose', 'rehearsal'],
+  ]);
+  assert.deepEqual(violations[1].blockout, {
+    dateStart: '2026-11-07',
+    dateEnd: '2026-11-08',
+    reason: 'Family',
+    url: 'https://notion.so/b1',
+  });
+  assert.deepEqual(unmatched, ['Nobody Known']);
+});
@@ -31,6 +31,8 @@ export function buildCalendarArtifactMetadata({
   sourceUpdatedAt = null,
   rendererVersion,
   eventCount = null,
+  source = null,
+  dependencyEtag = null,
   generatedAt = new Date().toISOString(),
 } = {}) {
   const body = typeof content === 'string' ? content : JSON.stringify(content ?? '');
@@ -41,6 +43,10 @@ export function buildCalendarArtifactMetadata({
     rendererVersion: clean(rendererVersion, 100),
     generatedAt: new Date(generatedAt).toISOString(),
     eventCount: Number.isFinite(Number(eventCount)) ? Number(eventCount) : null,
+    source: clean(source, 30) || null,
+    // ETag of another artifact this one was derived from, so readers can tell
+    // when that input has changed underneath it.
+    dependencyEtag: clean(dependencyEtag, 200) || null,
     etag: `"${createHash('sha256').update(body).digest('base64url')}"`,
   };
 }
@@ -36,6 +36,7 @@ test('artifact metadata binds one format to source and renderer revisions', () =
     rendererVersion: 'renderer-a',
     generatedAt: '2026-08-05T12:00:00.000Z',
     eventCount: 3,
+    source: 'postgres',
   });
   assert.equal(
     calendarArtifactMetadataMatches(metadata, {
@@ -52,6 +53,13 @@ test('artifact metadata binds one format to source and renderer revisions', () =
     false
   );
   assert.equal(parseCalendarArtifactMetadata(JSON.stringify(metadata))?.eventCount, 3);
+  assert.equal(metadata.source, 'postgres');
+  assert.equal(metadata.dependencyEtag, null);
+  assert.equal(parseCalendarArtifactMetadata(JSON.stringify(buildCalendarArtifactMetadata({
+    content: 'BEGIN:VCALENDAR',
+    rendererVersion: 'renderer-a',
+    dependencyEtag: '"blockouts-1"',
+  })))?.dependencyEtag, '"blockouts-1"');
 });
 
 test('HTTP validators recognize unchanged calendar artifacts', () => {
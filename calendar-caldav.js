@@ -0,0 +1,246 @@
+import { createHash } from 'node:crypto';
+
+const DAV_NAMESPACE = 'DAV:';
+const CALDAV_NAMESPACE = 'urn:ietf:params:xml:ns:caldav';
+const CALENDARSERVER_NAMESPACE = 'http://calendarserver.org/ns/';
+const NAMESPACE_PREFIXES = Object.freeze({
+  [DAV_NAMESPACE]: 'D',
+  [CALDAV_NAMESPACE]: 'C',
+  [CALENDARSERVER_NAMESPACE]: 'CS',
+});
+const EVENT_CONTENT_TYPE = 'text/calendar; charset=utf-8; component=VEVENT';
+const TIME_RANGE_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/u;
+
+export const CALDAV_COLLECTION_NAME = 'personal';
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/gu, '&amp;')
+    .replace(/</gu, '&lt;')
+    .replace(/>/gu, '&gt;')
+    .replace(/"/gu, '&quot;');
+}
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+function isoOrEmpty(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+/**
+ * The UID a CalDAV resource is published under. Downbeat supplies stable UIDs
+ * through calendarOccurrence; events without one get a UID derived from their
+ * identity so the resource URL survives rebuilds.
+ */
+export function calendarEventResourceUid(event = {}) {
+  if (event.uid) return String(event.uid);
+  const identity = [
+    event.type || '',
+    event.occurrenceKey || '',
+    isoOrEmpty(event.start),
+    isoOrEmpty(event.end),
+    event.title || '',
+    event.location || '',
+  ].join('|');
+  return `downbeat-${sha256(identity).slice(0, 32)}`;
+}
+
+export function calendarEventResourceName(uid) {
+  return `${encodeURIComponent(uid)}.ics`;
+}
+
+/**
+ * Adds resource names and ETags. DTSTAMP is excluded from the ETag because
+ * it is regenerated on every render; everything a client displays is covered.
+ * The collection's ctag changes whenever any member is added, removed or changed.
+ */
+export function buildCalDavCollection(resources = []) {
+  const byName = new Map();
+  for (const resource of resources) {
+    const name = calendarEventResourceName(resource.uid);
+    if (byName.has(name)) continue;
+    const stableBody = resource.icsData.replace(/^DTSTAMP:.*\r?\n/gmu, '');
+    byName.set(name, { ...resource, name, etag: `"${sha256(stableBody).slice(0, 32)}"` });
+  }
+  const members = [...byName.values()].sort((left, right) => left.name.localeCompare(right.name));
+  const ctag = sha256(members.map((member) => `${member.name}=${member.etag}`).join('\n')).slice(0, 32);
+  return { members, byName, ctag };
+}
+
+function parseNamespaces(body) {
+  const namespaces = { '': DAV_NAMESPACE };
+  for (const match of body.matchAll(/xmlns(?::([\w.-]+))?\s*=\s*["']([^"']*)["']/gu)) {
+    namespaces[match[1] || ''] = match[2];
+  }
+  return namespaces;
+}
+
+function elementPattern(localName, flags = 'u') {
+  return new RegExp(`<(?:[\\w.-]+:)?${localName}\\b[^>]*?(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${localName}\\s*>)`, flags);
+}
+
+// Top-level elements only, so <C:calendar-data><C:comp .../></C:calendar-data>
+// is one requested property rather than three.
+function directChildElements(xml) {
+  const children = [];
+  let depth = 0;
+  for (const match of xml.matchAll(/<(\/)?(?:([\w.-]+):)?([A-Za-z][\w-]*)\b[^>]*?(\/)?>/gu)) {
+    const [, closing, prefix = '', name, selfClosing] = match;
+    if (closing) {
+      depth -= 1;
+      continue;
+    }
+    if (depth === 0) children.push({ prefix, name });
+    if (!selfClosing) depth += 1;
+  }
+  return children;
+}
+
+/**
+ * Reads the parts of a PROPFIND or REPORT body this read-only server acts on:
+ * the root element, requested properties, multiget hrefs and a VEVENT
+ * time-range. Anything else in the body is ignored.
+ */
+export function parseCalDavRequestBody(body = '') {
+  const text = String(body || '');
+  const namespaces = parseNamespaces(text);
+  const root = text.replace(/<\?xml[\s\S]*?\?>/u, '').match(/<(?:[\w.-]+:)?([A-Za-z][\w-]*)/u)?.[1] || null;
+  const propBody = text.match(elementPattern('prop'))?.[1] || '';
+  const props = directChildElements(propBody)
+    .map(({ prefix, name }) => ({ namespace: namespaces[prefix] || DAV_NAMESPACE, name }));
+  const hrefs = [...text.matchAll(elementPattern('href', 'gu'))]
+    .map((match) => (match[1] || '').trim())
+    .filter(Boolean);
+  const timeRangeTag = text.match(/<(?:[\w.-]+:)?time-range\b[^>]*>/u)?.[0] || '';
+  const attribute = (name) => timeRangeTag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`, 'u'))?.[1] || null;
+  return {
+    root,
+    allProps: !text.trim() || /<(?:[\w.-]+:)?allprop\b/u.test(text) || props.length === 0,
+    props,
+    hrefs,
+    timeRange: timeRangeTag
+      ? { start: parseCalDavDateTime(attribute('start')), end: parseCalDavDateTime(attribute('end')) }
+      : null,
+  };
+}
+
+export function parseCalDavDateTime(value) {
+  const match = String(value || '').match(TIME_RANGE_PATTERN);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute, second);
+}
+
+// Event times are floating wall-clock values, compared as if they were UTC.
+export function calendarEventOverlapsTimeRange(event = {}, timeRange = null) {
+  if (!timeRange) return true;
+  const start = new Date(event.start).getTime();
+  const end = new Date(event.end || event.start).getTime();
+  if (Number.isNaN(start)) return false;
+  const effectiveEnd = Number.isNaN(end) || end <= start ? start + 1 : end;
+  return (timeRange.end === null || start < timeRange.end)
+    && (timeRange.start === null || effectiveEnd > timeRange.start);
+}
+
+function prop(namespace, name, value = '') {
+  return { namespace, name, value };
+}
+
+const readPrivilegeSet = '<D:privilege><D:read/></D:privilege>';
+
+export function calDavHomeProperties({ homeHref, displayName }) {
+  return [
+    prop(DAV_NAMESPACE, 'resourcetype', '<D:collection/><D:principal/>'),
+    prop(DAV_NAMESPACE, 'displayname', escapeXml(displayName)),
+    prop(DAV_NAMESPACE, 'current-user-principal', `<D:href>${escapeXml(homeHref)}</D:href>`),
+    prop(DAV_NAMESPACE, 'principal-URL', `<D:href>${escapeXml(homeHref)}</D:href>`),
+    prop(CALDAV_NAMESPACE, 'calendar-home-set', `<D:href>${escapeXml(homeHref)}</D:href>`),
+    prop(DAV_NAMESPACE, 'current-user-privilege-set', readPrivilegeSet),
+  ];
+}
+
+export function calDavCollectionProperties({ homeHref, displayName, ctag }) {
+  return [
+    prop(DAV_NAMESPACE, 'resourcetype', '<D:collection/><C:calendar/>'),
+    prop(DAV_NAMESPACE, 'displayname', escapeXml(displayName)),
+    prop(DAV_NAMESPACE, 'current-user-principal', `<D:href>${escapeXml(homeHref)}</D:href>`),
+    prop(DAV_NAMESPACE, 'current-user-privilege-set', readPrivilegeSet),
+    prop(DAV_NAMESPACE, 'getetag', escapeXml(`"${ctag}"`)),
+    prop(CALENDARSERVER_NAMESPACE, 'getctag', escapeXml(ctag)),
+    prop(CALDAV_NAMESPACE, 'supported-calendar-component-set', '<C:comp name="VEVENT"/>'),
+    prop(DAV_NAMESPACE, 'supported-report-set', [
+      '<D:supported-report><D:report><C:calendar-query/></D:report></D:supported-report>',
+      '<D:supported-report><D:report><C:calendar-multiget/></D:report></D:supported-report>',
+    ].join('')),
+  ];
+}
+
+// calendar-data is only returned when a client asks for it by name.
+export function calDavEventProperties(member, { includeCalendarData = false } = {}) {
+  return [
+    prop(DAV_NAMESPACE, 'resourcetype'),
+    prop(DAV_NAMESPACE, 'getetag', escapeXml(member.etag)),
+    prop(DAV_NAMESPACE, 'getcontenttype', EVENT_CONTENT_TYPE),
+    ...(includeCalendarData ? [prop(CALDAV_NAMESPACE, 'calendar-data', escapeXml(member.icsData))] : []),
+  ];
+}
+
+export function requestsCalendarData(request) {
+  return request.props.some((requested) => requested.namespace === CALDAV_NAMESPACE && requested.name === 'calendar-data');
+}
+
+function renderProperty({ namespace, name, value }) {
+  const prefix = NAMESPACE_PREFIXES[namespace];
+  if (!prefix) return value ? `<${name} xmlns="${escapeXml(namespace)}">${value}</${name}>` : `<${name} xmlns="${escapeXml(namespace)}"/>`;
+  return value ? `<${prefix}:${name}>${value}</${prefix}:${name}>` : `<${prefix}:${name}/>`;
+}
+
+function renderPropstat(properties, status) {
+  return `<D:propstat><D:prop>${properties.map(renderProperty).join('')}</D:prop><D:status>HTTP/1.1 ${status}</D:status></D:propstat>`;
+}
+
+/**
+ * One multistatus <response>. With `requested` (from parseCalDavRequestBody)
+ * only the named properties are returned and unknown ones are listed as 404.
+ */
+export function calDavResponse(href, available, request = null) {
+  if (!request || request.allProps) {
+    return `<D:response><D:href>${escapeXml(href)}</D:href>${renderPropstat(available, '200 OK')}</D:response>`;
+  }
+  const found = [];
+  const missing = [];
+  for (const requested of request.props) {
+    const match = available.find((candidate) => candidate.namespace === requested.namespace && candidate.name === requested.name);
+    if (match) found.push(match);
+    else missing.push(prop(requested.namespace, requested.name));
+  }
+  return [
+    `<D:response><D:href>${escapeXml(href)}</D:href>`,
+    found.length ? renderPropstat(found, '200 OK') : '',
+    missing.length ? renderPropstat(missing, '404 Not Found') : '',
+    '</D:response>',
+  ].join('');
+}
+
+export function calDavMissingResponse(href) {
+  return `<D:response><D:href>${escapeXml(href)}</D:href><D:status>HTTP/1.1 404 Not Found</D:status></D:response>`;
+}
+
+export function calDavMultistatus(responses) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<D:multistatus xmlns:D="${DAV_NAMESPACE}" xmlns:C="${CALDAV_NAMESPACE}" xmlns:CS="${CALENDARSERVER_NAMESPACE}">`,
+    ...responses,
+    '</D:multistatus>',
+  ].join('\n');
+}
+
+export function calDavError(condition) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<D:error xmlns:D="${DAV_NAMESPACE}" xmlns:C="${CALDAV_NAMESPACE}">${condition}</D:error>`,
+  ].join('\n');
+}
@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildCalDavCollection,
+  calDavCollectionProperties,
+  calDavEventProperties,
+  calDavMissingResponse,
+  calDavMultistatus,
+  calDavResponse,
+  calendarEventOverlapsTimeRange,
+  calendarEventResourceName,
+  calendarEventResourceUid,
+  parseCalDavRequestBody,
+  requestsCalendarData,
+} from './calendar-caldav.js';
+
+function eventIcs(uid, summary, dtstamp = '20261018T120000Z') {
+  return [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${dtstamp}`,
+    `SUMMARY:${summary}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+    '',
+  ].join('\r\n');
+}
+
+test('resource UIDs prefer the occurrence UID and are otherwise derived from event identity', () => {
+  assert.equal(calendarEventResourceUid({ uid: 'downbeat-main-event-abc@downbeat' }), 'downbeat-main-event-abc@downbeat');
+  const event = { type: 'rehearsal', title: 'Rehearsal', start: '2026-11-01T18:00:00.000Z', end: '2026-11-01T20:00:00.000Z' };
+  const derived = calendarEventResourceUid(event);
+  assert.match(derived, /^downbeat-[0-9a-f]{32}$/u);
+  assert.equal(calendarEventResourceUid({ ...event }), derived);
+  assert.notEqual(calendarEventResourceUid({ ...event, title: 'Sectional' }), derived);
+  assert.equal(calendarEventResourceName('a b@downbeat'), 'a%20b%40downbeat.ics');
+});
+
+test('ETags ignore DTSTAMP and the ctag follows any member change', () => {
+  const first = buildCalDavCollection([
+    { uid: 'b', icsData: eventIcs('b', 'Load in') },
+    { uid: 'a', icsData: eventIcs('a', 'Show') },
+    { uid: 'a', icsData: eventIcs('a', 'Duplicate') },
+  ]);
+  assert.deepEqual(first.members.map((member) => member.name), ['a.ics', 'b.ics']);
+  assert.match(first.byName.get('a.ics').icsData, /SUMMARY:Show/u);
+
+  const rerendered = buildCalDavCollection([
+    { uid: 'a', icsData: eventIcs('a', 'Show', '20261019T080000Z') },
+    { uid: 'b', icsData: eventIcs('b', 'Load in', '20261019T080000Z') },
+  ]);
+  assert.equal(rerendered.byName.get('a.ics').etag, first.byName.get('a.ics').etag);
+  assert.equal(rerendered.ctag, first.ctag);
+
+  const changed = buildCalDavCollection([
+    { uid: 'a', icsData: eventIcs('a', 'Show (moved)') },
+    { uid: 'b', icsData: eventIcs('b', 'Load in') },
+  ]);
+  assert.notEqual(changed.byName.get('a.ics').etag, first.byName.get('a.ics').etag);
+  assert.equal(changed.byName.get('b.ics').etag, first.byName.get('b.ics').etag);
+  assert.notEqual(changed.ctag, first.ctag);
+});
+
+test('request bodies yield the requested properties, multiget hrefs and time-range', () => {
+  const multiget = parseCalDavRequestBody(`<?xml version="1.0" encoding="utf-8"?>
+    <C:calendar-multiget xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+      <D:prop><D:getetag/><C:calendar-data><C:comp name="VCALENDAR"><C:comp name="VEVENT"/></C:comp></C:calendar-data></D:prop>
+      <D:href>/caldav/t/token/personal/a.ics</D:href>
+      <D:href>/caldav/t/token/personal/missing.ics</D:href>
+    </C:calendar-multiget>`);
+  assert.equal(multiget.root, 'calendar-multiget');
+  assert.equal(multiget.allProps, false);
+  assert.deepEqual(multiget.props, [
+    { namespace: 'DAV:', name: 'getetag' },
+    { namespace: 'urn:ietf:params:xml:ns:caldav', name: 'calendar-data' },
+  ]);
+  assert.equal(requestsCalendarData(multiget), true);
+  assert.deepEqual(multiget.hrefs, ['/caldav/t/token/personal/a.ics', '/caldav/t/token/personal/missing.ics']);
+
+  const query = parseCalDavRequestBody(`<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+    <d:prop><d:getetag/></d:prop>
+    <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">
+      <c:time-range start="20261101T000000Z" end="20261102T000000Z"/>
+    </c:comp-filter></c:comp-filter></c:filter>
+  </c:calendar-query>`);
+  assert.equal(query.root, 'calendar-query');
+  assert.equal(requestsCalendarData(query), false);
+  assert.deepEqual(query.timeRange, { start: Date.UTC(2026, 10, 1), end: Date.UTC(2026, 10, 2) });
+  assert.equal(calendarEventOverlapsTimeRange({ start: '2026-11-01T18:00:00.000Z', end: '2026-11-01T20:00:00.000Z' }, query.timeRange), true);
+  assert.equal(calendarEventOverlapsTimeRange({ start: '2026-11-02T00:00:00.000Z', end: '2026-11-02T02:00:00.000Z' }, query.timeRange), false);
+  assert.equal(calendarEventOverlapsTimeRange({ start: '2026-10-31T23:00:00.000Z' }, query.timeRange), false);
+
+  const empty = parseCalDavRequestBody('');
+  assert.equal(empty.allProps, true);
+  assert.equal(empty.timeRange, null);
+});
+
+test('multistatus responses split found and unknown properties', () => {
+  const [member] = buildCalDavCollection([{ uid: 'a', icsData: eventIcs('a', 'Show & Tell') }]).members;
+  const request = parseCalDavRequestBody(`<D:propfind xmlns:D="DAV:" xmlns:X="urn:example">
+    <D:prop><D:getetag/><X:color/></D:prop></D:propfind>`);
+  const response = calDavResponse('/caldav/p/personal/a.ics', calDavEventProperties(member), request);
+  assert.match(response, new RegExp(`<D:getetag>${member.etag.replace(/"/gu, '&quot;')}</D:getetag>`, 'u'));
+  assert.match(response, /<D:propstat><D:prop><color xmlns="urn:example"\/><\/D:prop><D:status>HTTP\/1\.1 404 Not Found/u);
+  assert.doesNotMatch(response, /getcontenttype/u);
+
+  const withData = calDavResponse(
+    '/caldav/p/personal/a.ics',
+    calDavEventProperties(member, { includeCalendarData: true })
+  );
+  assert.match(withData, /<C:calendar-data>BEGIN:VCALENDAR[\s\S]*SUMMARY:Show &amp; Tell/u);
+
+  const collection = calDavResponse('/caldav/p/personal/', calDavCollectionProperties({
+    homeHref: '/caldav/p/',
+    displayName: 'Downbeat iCal (Sam)',
+    ctag: 'abc',
+  }));
+  assert.match(collection, /<D:resourcetype><D:collection\/><C:calendar\/><\/D:resourcetype>/u);
+  assert.match(collection, /<CS:getctag>abc<\/CS:getctag>/u);
+
+  const document = calDavMultistatus([collection, calDavMissingResponse('/caldav/p/personal/missing.ics')]);
+  assert.match(document, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<D:multistatus xmlns:D="DAV:"/u);
+  assert.match(document, /<D:href>\/caldav\/p\/personal\/missing\.ics<\/D:href><D:status>HTTP\/1\.1 404 Not Found/u);
+});
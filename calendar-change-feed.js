@@ -0,0 +1,161 @@
+import { createHash } from 'node:crypto';
+import { CALENDAR_SUBSCRIBER_KEY_PREFIX, createCalendarSubscriberRecords } from './calendar-subscriber-store.js';
+
+const CHANGE_SNAPSHOT_SCHEMA_VERSION = 1;
+const DEFAULT_SNAPSHOT_TTL_SECONDS = 30 * 24 * 60 * 60;
+// What a subscriber sees in their calendar app. Everything else on an event is
+// bookkeeping and does not count as a change.
+export const CALENDAR_CHANGE_FIELDS = Object.freeze([
+  'type',
+  'title',
+  'start',
+  'end',
+  'allDay',
+  'location',
+  'description',
+  'url',
+]);
+
+const records = createCalendarSubscriberRecords({
+  label: 'change snapshot',
+  codePrefix: 'CALENDAR_CHANGE_SNAPSHOT',
+  schemaVersion: CHANGE_SNAPSHOT_SCHEMA_VERSION,
+});
+const { cleanPersonId, requireStore } = records;
+
+function comparableValue(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (field === 'start' || field === 'end') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+  }
+  if (field === 'allDay') return value === true;
+  return String(value);
+}
+
+function startTime(event) {
+  const time = new Date(event?.start).getTime();
+  return Number.isNaN(time) ? Number.POSITIVE_INFINITY : time;
+}
+
+function byStart(left, right) {
+  return startTime(left.event || left) - startTime(right.event || right);
+}
+
+/**
+ * Strong form of an ETag as sent by sendCalendarArtifact. Accepts weak and
+ * unquoted values so `since=` can be pasted straight from a response header.
+ */
+export function normalizeCalendarEtag(value) {
+  const trimmed = String(value ?? '').trim().replace(/^W\//u, '').replace(/^"|"$/gu, '');
+  return trimmed ? `"${trimmed}"` : null;
+}
+
+export function calendarChangeSnapshotKey(personId, etag) {
+  const etagHash = createHash('sha256').update(normalizeCalendarEtag(etag) || '').digest('hex').slice(0, 32);
+  return `${CALENDAR_SUBSCRIBER_KEY_PREFIX}change-snapshot:v${CHANGE_SNAPSHOT_SCHEMA_VERSION}:${cleanPersonId(personId)}:${etagHash}`;
+}
+
+// Names the most recent snapshot, which regeneration diffs against.
+export function calendarLatestChangeSnapshotKey(personId) {
+  return `${CALENDAR_SUBSCRIBER_KEY_PREFIX}change-snapshot:v${CHANGE_SNAPSHOT_SCHEMA_VERSION}:${cleanPersonId(personId)}:latest`;
+}
+
+// Occurrences are matched by UID, then by occurrence key. Events with neither
+// fall back to type, start and title, so a moved one reads as removed + added.
+export function calendarEventChangeKey(event = {}) {
+  if (event.uid) return `uid:${event.uid}`;
+  if (event.occurrenceKey) return `occurrence:${event.occurrenceKey}`;
+  return `event:${event.type || ''}|${comparableValue('start', event.start) || ''}|${event.title || ''}`;
+}
+
+export function compactCalendarChangeEvent(event = {}) {
+  const compact = {};
+  if (event.uid) compact.uid = event.uid;
+  if (event.occurrenceKey) compact.occurrenceKey = event.occurrenceKey;
+  for (const field of CALENDAR_CHANGE_FIELDS) {
+    if (event[field] !== undefined && event[field] !== null) compact[field] = event[field];
+  }
+  return compact;
+}
+
+function liveEvents(events) {
+  return events.filter((event) => event?.status !== 'cancelled');
+}
+
+/**
+ * Added, removed and modified occurrences between two event lists. Modified
+ * entries list each changed field with its previous and current value.
+ * Cancelled tombstones count as absent, so a cancellation reads as removed.
+ */
+export function diffCalendarEventSets(previousEvents = [], currentEvents = []) {
+  const previous = new Map(liveEvents(previousEvents).map((event) => [calendarEventChangeKey(event), event]));
+  const current = new Map(liveEvents(currentEvents).map((event) => [calendarEventChangeKey(event), event]));
+  const added = [];
+  const modified = [];
+  for (const [key, event] of current) {
+    const before = previous.get(key);
+    if (!before) {
+      added.push(event);
+      continue;
+    }
+    const changes = {};
+    for (const field of CALENDAR_CHANGE_FIELDS) {
+      const beforeValue = comparableValue(field, before[field]);
+      const afterValue = comparableValue(field, event[field]);
+      if (beforeValue !== afterValue) changes[field] = { before: before[field] ?? null, after: event[field] ?? null };
+    }
+    if (Object.keys(changes).length > 0) modified.push({ key, event, changes });
+  }
+  const removed = [...previous].filter(([key]) => !current.has(key)).map(([, event]) => event);
+  return {
+    added: added.sort(byStart),
+    removed: removed.sort(byStart),
+    modified: modified.sort(byStart),
+  };
+}
+
+/**
+ * Stores the event list behind one JSON artifact ETag. Snapshots expire, so a
+ * client that waits longer than the TTL has to resync from the full feed.
+ */
+export async function persistCalendarChangeSnapshot(client, personId, snapshot = {}, options = {}) {
+  requireStore(client, 'setEx');
+  const etag = normalizeCalendarEtag(snapshot.etag);
+  if (!etag) {
+    throw records.error('A change snapshot needs the artifact ETag.', 'INVALID');
+  }
+  const ttlSeconds = Number(options.ttlSeconds) > 0 ? Math.floor(Number(options.ttlSeconds)) : DEFAULT_SNAPSHOT_TTL_SECONDS;
+  const stored = {
+    schemaVersion: CHANGE_SNAPSHOT_SCHEMA_VERSION,
+    etag,
+    sourceRevision: snapshot.sourceRevision == null ? null : String(snapshot.sourceRevision),
+    generatedAt: snapshot.generatedAt || new Date().toISOString(),
+    events: liveEvents(Array.isArray(snapshot.events) ? snapshot.events : []).map(compactCalendarChangeEvent),
+  };
+  await client.setEx(calendarChangeSnapshotKey(personId, etag), ttlSeconds, JSON.stringify(stored));
+  await client.setEx(calendarLatestChangeSnapshotKey(personId), ttlSeconds, etag);
+  return stored;
+}
+
+export async function loadCalendarChangeSnapshot(client, personId, etag) {
+  requireStore(client, 'get');
+  if (!normalizeCalendarEtag(etag)) return null;
+  const raw = await client.get(calendarChangeSnapshotKey(personId, etag));
+  if (!raw) return null;
+  try {
+    const stored = JSON.parse(raw);
+    if (Number(stored?.schemaVersion) !== CHANGE_SNAPSHOT_SCHEMA_VERSION || !Array.isArray(stored.events)) {
+      throw new Error('unsupported change snapshot payload');
+    }
+    return stored;
+  } catch {
+    throw records.error('Calendar change snapshot is invalid.', 'STORE_INVALID');
+  }
+}
+
+export async function loadLatestCalendarChangeSnapshot(client, personId) {
+  requireStore(client, 'get');
+  const etag = await client.get(calendarLatestChangeSnapshotKey(personId));
+  return etag ? loadCalendarChangeSnapshot(client, personId, etag) : null;
+}
@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calendarChangeSnapshotKey,
+  calendarEventChangeKey,
+  diffCalendarEventSets,
+  loadCalendarChangeSnapshot,
+  normalizeCalendarEtag,
+  persistCalendarChangeSnapshot,
+} from './calendar-change-feed.js';
+import { memoryRedis } from './test-support/memory-redis.js';
+
+const gig = {
+  uid: 'main-event-1@downbeat',
+  type: 'main_event',
+  title: 'Wedding @ The Ruby',
+  start: '2026-11-07T17:00:00.000Z',
+  end: '2026-11-07T23:00:00.000Z',
+  location: 'The Ruby, Seattle',
+  description: 'Call time 5:00 PM',
+  comparisonIdentity: 'private',
+};
+const rehearsal = {
+  occurrenceKey: 'rehearsal:2026-11-05',
+  type: 'rehearsal',
+  title: 'Rehearsal',
+  start: '2026-11-05T18:00:00.000Z',
+  end: '2026-11-05T20:00:00.000Z',
+};
+const flight = {
+  uid: 'flight-1@downbeat',
+  type: 'flight_departure',
+  title: 'DL 915',
+  start: '2026-11-06T13:55:00.000Z',
+  end: '2026-11-06T16:30:00.000Z',
+};
+
+test('ETags are normalized and snapshots live outside the cache namespace', () => {
+  assert.equal(normalizeCalendarEtag('W/"abc"'), '"abc"');
+  assert.equal(normalizeCalendarEtag('abc'), '"abc"');
+  assert.equal(normalizeCalendarEtag(' '), null);
+  assert.equal(calendarChangeSnapshotKey('PERSON', 'abc'), calendarChangeSnapshotKey('person', '"abc"'));
+  assert.match(calendarChangeSnapshotKey('person', 'abc'), /^calendar-subscriber:change-snapshot:v1:person:[0-9a-f]{32}$/u);
+  assert.equal(calendarEventChangeKey(gig), 'uid:main-event-1@downbeat');
+  assert.equal(calendarEventChangeKey(rehearsal), 'occurrence:rehearsal:2026-11-05');
+});
+
+test('diffs match occurrences by UID or occurrence key and report changed fields', () => {
+  const diff = diffCalendarEventSets(
+    [gig, rehearsal, flight],
+    [
+      { ...gig, start: '2026-11-07T16:30:00.000Z', location: 'The Ruby Annex, Seattle', comparisonIdentity: 'other' },
+      { ...rehearsal },
+      { uid: 'hotel-1@downbeat', type: 'hotel', title: 'Hotel', start: '2026-11-06T22:00:00.000Z' },
+    ]
+  );
+  assert.deepEqual(diff.added.map((event) => event.uid), ['hotel-1@downbeat']);
+  assert.deepEqual(diff.removed.map((event) => event.uid), ['flight-1@downbeat']);
+  assert.equal(diff.modified.length, 1);
+  assert.deepEqual(diff.modified[0].changes, {
+    start: { before: '2026-11-07T17:00:00.000Z', after: '2026-11-07T16:30:00.000Z' },
+    location: { before: 'The Ruby, Seattle', after: 'The Ruby Annex, Seattle' },
+  });
+
+  const cancelled = diffCalendarEventSets([gig, rehearsal], [{ ...gig, status: 'cancelled', sequence: 1 }, rehearsal]);
+  assert.deepEqual(cancelled.removed.map((event) => event.uid), [gig.uid]);
+  assert.deepEqual(cancelled.modified, []);
+
+  const sameInstant = diffCalendarEventSets([gig], [{ ...gig, start: new Date(gig.start) }]);
+  assert.deepEqual(sameInstant, { added: [], removed: [], modified: [] });
+});
+
+test('snapshots round-trip through the store with a TTL and reject bad payloads', async () => {
+  const redis = memoryRedis();
+  const stored = await persistCalendarChangeSnapshot(redis, 'person-id', {
+    etag: 'W/"first"',
+    sourceRevision: 42,
+    events: [gig, rehearsal],
+    generatedAt: '2026-10-18T12:00:00.000Z',
+  }, { ttlSeconds: 3600 });
+  assert.equal(stored.etag, '"first"');
+  assert.equal(stored.sourceRevision, '42');
+  assert.equal('comparisonIdentity' in stored.events[0], false);
+  assert.equal(redis.ttls.get(calendarChangeSnapshotKey('person-id', 'first')), 3600);
+
+  const loaded = await loadCalendarChangeSnapshot(redis, 'person-id', '"first"');
+  assert.deepEqual(loaded, stored);
+  assert.equal(await loadCalendarChangeSnapshot(redis, 'person-id', '"missing"'), null);
+  assert.equal(await loadCalendarChangeSnapshot(redis, 'person-id', ''), null);
+
+  redis.values.set(calendarChangeSnapshotKey('person-id', 'broken'), '{broken');
+  await assert.rejects(
+    loadCalendarChangeSnapshot(redis, 'person-id', 'broken'),
+    (error) => error.code === 'CALENDAR_CHANGE_SNAPSHOT_STORE_INVALID'
+  );
+  await assert.rejects(
+    persistCalendarChangeSnapshot(redis, 'person-id', { events: [] }),
+    (error) => error.code === 'CALENDAR_CHANGE_SNAPSHOT_INVALID'
+  );
+  await assert.rejects(
+    persistCalendarChangeSnapshot({}, 'person-id', { etag: 'x' }),
+    (error) => error.code === 'CALENDAR_CHANGE_SNAPSHOT_STORE_UNAVAILABLE'
+  );
+});
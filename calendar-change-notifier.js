@@ -0,0 +1,274 @@
+const DEFAULT_DEBOUNCE_MS = 5 * 60 * 1000;
+const DEFAULT_DIGEST_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 10_000;
+const MAX_CHANGES_PER_PERSON = 200;
+const CALL_TIME_PATTERN = /Call ?Time:\s*([^\n]+)/iu;
+// Fields a musician acts on. Title and note edits alone do not notify.
+const NOTIFY_FIELDS = ['start', 'end', 'location', 'callTime'];
+
+function clean(value, limit = 200) {
+  return String(value ?? '').trim().slice(0, limit);
+}
+
+function positiveNumber(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function comparable(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (field === 'start' || field === 'end') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+  }
+  return String(value).trim();
+}
+
+/** The call time printed in a gig's description, or null. */
+export function calendarEventCallTime(event = {}) {
+  return clean(String(event.description || '').match(CALL_TIME_PATTERN)?.[1], 100) || null;
+}
+
+function changeSummary(event) {
+  return {
+    uid: event.uid || null,
+    occurrenceKey: event.occurrenceKey || null,
+    type: event.type || null,
+    title: event.title || '',
+    start: event.start ?? null,
+    end: event.end ?? null,
+    location: event.location || '',
+  };
+}
+
+function eventIsUpcoming(event, nowMs) {
+  const end = new Date(event.end || event.start).getTime();
+  return Number.isNaN(end) || end >= nowMs;
+}
+
+/**
+ * Reduces a diffCalendarEventSets() result to the changes worth telling a
+ * subscriber about: moved start/end, new location, new call time, and
+ * cancellations. Events that have already ended are ignored, so occurrences
+ * ageing out of the feed do not read as cancellations.
+ */
+export function meaningfulCalendarChanges(diff = {}, options = {}) {
+  const nowMs = (options.now ? options.now() : new Date()).getTime();
+  const changes = [];
+  for (const { event, changes: fieldChanges = {} } of diff.modified || []) {
+    const before = Object.fromEntries(Object.entries(fieldChanges).map(([field, change]) => [field, change.before]));
+    const after = Object.fromEntries(Object.entries(fieldChanges).map(([field, change]) => [field, change.after]));
+    if ('description' in fieldChanges) {
+      before.callTime = calendarEventCallTime({ description: fieldChanges.description.before });
+      after.callTime = calendarEventCallTime({ description: fieldChanges.description.after });
+    }
+    const fields = {};
+    for (const field of NOTIFY_FIELDS) {
+      if (!(field in after) || comparable(field, before[field]) === comparable(field, after[field])) continue;
+      fields[field] = { before: before[field] ?? null, after: after[field] ?? null };
+    }
+    if (Object.keys(fields).length === 0) continue;
+    if (!eventIsUpcoming(event, nowMs) && !eventIsUpcoming({ start: before.start, end: before.end ?? event.end }, nowMs)) continue;
+    changes.push({ kind: 'changed', event: changeSummary(event), fields });
+  }
+  for (const event of diff.removed || []) {
+    if (!eventIsUpcoming(event, nowMs)) continue;
+    changes.push({ kind: 'cancelled', event: changeSummary(event), fields: {} });
+  }
+  return changes;
+}
+
+function changeIdentity(change) {
+  return change.event.uid || change.event.occurrenceKey || `${change.event.type}|${change.event.title}|${change.event.start}`;
+}
+
+// Successive changes to one event collapse into one: the first `before`, the
+// latest `after`. A field that ends where it started is dropped.
+function mergeChanges(existing, incoming) {
+  const merged = new Map(existing.map((change) => [changeIdentity(change), change]));
+  for (const change of incoming) {
+    const key = changeIdentity(change);
+    const previous = merged.get(key);
+    if (!previous || change.kind === 'cancelled' || previous.kind === 'cancelled') {
+      merged.set(key, change);
+      continue;
+    }
+    const fields = { ...previous.fields };
+    for (const [field, value] of Object.entries(change.fields)) {
+      const before = fields[field] ? fields[field].before : value.before;
+      if (comparable(field, before) === comparable(field, value.after)) delete fields[field];
+      else fields[field] = { before, after: value.after };
+    }
+    if (Object.keys(fields).length === 0) merged.delete(key);
+    else merged.set(key, { ...change, fields });
+  }
+  return [...merged.values()].slice(-MAX_CHANGES_PER_PERSON);
+}
+
+/** POSTs each notification as JSON. Selected with CALENDAR_CHANGE_NOTIFIER=webhook. */
+export function createWebhookCalendarChangeNotifier(options = {}) {
+  const url = clean(options.url, 2_000);
+  if (!url) throw new Error('CALENDAR_CHANGE_WEBHOOK_URL is required for webhook change notifications.');
+  const fetchFn = options.fetchFn || fetch;
+  const timeoutMs = positiveNumber(options.timeoutMs, DEFAULT_WEBHOOK_TIMEOUT_MS);
+  return {
+    name: 'webhook',
+    async send(notification) {
+      const response = await fetchFn(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(notification),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        const error = new Error(`Change webhook returned HTTP ${response.status}.`);
+        error.code = 'CALENDAR_CHANGE_WEBHOOK_HTTP_ERROR';
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Keeps notifications in memory instead of delivering them. Tests read
+ * `sent`; CALENDAR_CHANGE_NOTIFIER=log uses it to print them locally.
+ */
+export function createMemoryCalendarChangeNotifier(options = {}) {
+  const sent = [];
+  return {
+    name: options.name || 'memory',
+    sent,
+    async send(notification) {
+      sent.push(notification);
+      options.onSend?.(notification);
+    },
+  };
+}
+
+export function configuredCalendarChangeNotifier(env = process.env, options = {}) {
+  const name = clean(env.CALENDAR_CHANGE_NOTIFIER, 30).toLowerCase() || 'none';
+  if (name === 'none') return null;
+  if (name === 'webhook') {
+    return createWebhookCalendarChangeNotifier({
+      url: env.CALENDAR_CHANGE_WEBHOOK_URL,
+      timeoutMs: env.CALENDAR_CHANGE_WEBHOOK_TIMEOUT_MS,
+      fetchFn: options.fetchFn,
+    });
+  }
+  if (name === 'log') {
+    const log = options.log || console.log.bind(console);
+    return createMemoryCalendarChangeNotifier({
+      name: 'log',
+      onSend: (notification) => log(`[calendar-changes] ${JSON.stringify(notification)}`),
+    });
+  }
+  throw new Error('CALENDAR_CHANGE_NOTIFIER must be none, webhook, or log.');
+}
+
+/**
+ * Buffers per-person changes and hands them to a notifier. Each person's
+ * changes are sent once no new change has arrived for `debounceMs`. With
+ * `digest`, everyone's pending changes go out together every
+ * `digestIntervalMs` instead. Pending changes are held in memory only.
+ */
+export function createCalendarChangeNotifications(options = {}) {
+  const env = options.env || process.env;
+  const notifier = options.notifier === undefined ? configuredCalendarChangeNotifier(env) : options.notifier;
+  const now = options.now || (() => new Date());
+  const warn = options.warn || console.warn.bind(console);
+  const setTimer = options.setTimer || setTimeout;
+  const clearTimer = options.clearTimer || clearTimeout;
+  const digest = options.digest ?? /^(1|true|yes|on)$/iu.test(clean(env.CALENDAR_CHANGE_DIGEST, 20));
+  const debounceMs = positiveNumber(options.debounceMs ?? env.CALENDAR_CHANGE_DEBOUNCE_MS, DEFAULT_DEBOUNCE_MS);
+  const digestIntervalMs = positiveNumber(
+    options.digestIntervalMs ?? env.CALENDAR_CHANGE_DIGEST_INTERVAL_MS,
+    DEFAULT_DIGEST_INTERVAL_MS
+  );
+  const pending = new Map();
+  const timers = new Map();
+  const stats = { recorded: 0, sent: 0, failed: 0, lastSentAt: null, lastErrorCode: null };
+
+  const schedule = (key, delayMs, callback) => {
+    if (timers.has(key)) clearTimer(timers.get(key));
+    const timer = setTimer(() => {
+      timers.delete(key);
+      void callback();
+    }, delayMs);
+    timer?.unref?.();
+    timers.set(key, timer);
+  };
+
+  const deliver = async (personIds) => {
+    const people = personIds
+      .filter((personId) => pending.has(personId))
+      .map((personId) => {
+        const entry = pending.get(personId);
+        pending.delete(personId);
+        return { personId, personName: entry.personName, changes: entry.changes };
+      })
+      .filter((person) => person.changes.length > 0);
+    if (!notifier || people.length === 0) return null;
+    const notification = {
+      type: 'calendar.changes',
+      mode: digest ? 'digest' : 'debounced',
+      generatedAt: now().toISOString(),
+      people,
+    };
+    try {
+      await notifier.send(notification);
+      stats.sent += 1;
+      stats.lastSentAt = notification.generatedAt;
+      return notification;
+    } catch (error) {
+      stats.failed += 1;
+      stats.lastErrorCode = clean(error?.code, 80) || 'CALENDAR_CHANGE_NOTIFY_FAILED';
+      warn(`[calendar-changes] Change notification failed: ${stats.lastErrorCode}`);
+      return null;
+    }
+  };
+
+  const flush = async (personId = null) => {
+    if (personId) {
+      if (timers.has(personId)) clearTimer(timers.get(personId));
+      timers.delete(personId);
+      return deliver([personId]);
+    }
+    for (const timer of timers.values()) clearTimer(timer);
+    timers.clear();
+    return deliver([...pending.keys()]);
+  };
+
+  const record = (personId, { personName = null, changes = [] } = {}) => {
+    if (!notifier || !personId || changes.length === 0) return false;
+    stats.recorded += changes.length;
+    const entry = pending.get(personId) || { personName, changes: [] };
+    entry.personName = personName || entry.personName;
+    entry.changes = mergeChanges(entry.changes, changes);
+    if (entry.changes.length === 0) {
+      pending.delete(personId);
+      if (!digest && timers.has(personId)) {
+        clearTimer(timers.get(personId));
+        timers.delete(personId);
+      }
+      return false;
+    }
+    pending.set(personId, entry);
+    if (digest) {
+      if (!timers.has('digest')) schedule('digest', digestIntervalMs, () => flush());
+    } else {
+      schedule(personId, debounceMs, () => flush(personId));
+    }
+    return true;
+  };
+
+  const snapshot = () => ({
+    notifier: notifier?.name || 'none',
+    mode: digest ? 'digest' : 'debounced',
+    debounceMs,
+    digestIntervalMs,
+    pendingPeople: pending.size,
+    ...stats,
+  });
+
+  return { enabled: Boolean(notifier), record, flush, snapshot };
+}
@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { diffCalendarEventSets } from './calendar-change-feed.js';
+import {
+  calendarEventCallTime,
+  configuredCalendarChangeNotifier,
+  createCalendarChangeNotifications,
+  createMemoryCalendarChangeNotifier,
+  createWebhookCalendarChangeNotifier,
+  meaningfulCalendarChanges,
+} from './calendar-change-notifier.js';
+
+const now = () => new Date('2026-10-18T12:00:00.000Z');
+
+function manualTimers() {
+  const timers = new Map();
+  let nextId = 1;
+  return {
+    timers,
+    setTimer(callback, delayMs) {
+      const id = nextId++;
+      timers.set(id, { callback, delayMs });
+      return id;
+    },
+    clearTimer(id) { timers.delete(id); },
+    async fireAll() {
+      const pending = [...timers.entries()];
+      timers.clear();
+      for (const [, timer] of pending) await timer.callback();
+      await new Promise((resolve) => setImmediate(resolve));
+    },
+  };
+}
+
+const gig = {
+  uid: 'gig-1',
+  type: 'main_event',
+  title: 'Wedding @ The Ruby',
+  start: '2026-11-07T17:00:00.000Z',
+  end: '2026-11-07T23:00:00.000Z',
+  location: 'The Ruby, Seattle',
+  description: '💰 Pay: $400\n\n➡️ Call Time: 5:00 PM\n\nNotes',
+};
+const rehearsal = { uid: 'rehearsal-1', type: 'rehearsal', title: 'Rehearsal', start: '2026-11-05T18:00:00.000Z', end: '2026-11-05T20:00:00.000Z' };
+const pastGig = { uid: 'gig-0', type: 'main_event', title: 'Last month', start: '2026-09-01T17:00:00.000Z', end: '2026-09-01T23:00:00.000Z' };
+
+test('only upcoming moves, relocations, call-time changes and cancellations are meaningful', () => {
+  assert.equal(calendarEventCallTime(gig), '5:00 PM');
+  const note = { uid: 'note-1', type: 'team', title: 'Note', start: '2026-11-01T10:00:00.000Z' };
+  const diff = diffCalendarEventSets(
+    [gig, rehearsal, pastGig, note],
+    [
+      { ...gig, title: 'Wedding @ The Ruby (black tie)', description: gig.description.replace('5:00 PM', '4:30 PM').replace('$400', '$450') },
+      { ...note, title: 'Team note', location: 'Studio B' },
+    ]
+  );
+  const changes = meaningfulCalendarChanges(diff, { now });
+  assert.deepEqual(changes.map((change) => [change.kind, change.event.uid, Object.keys(change.fields)]), [
+    ['changed', 'note-1', ['location']],
+    ['changed', 'gig-1', ['callTime']],
+    ['cancelled', 'rehearsal-1', []],
+  ]);
+  assert.deepEqual(changes.find((change) => change.event.uid === 'gig-1').fields.callTime, { before: '5:00 PM', after: '4:30 PM' });
+});
+
+test('changes are debounced per person and successive edits collapse', async () => {
+  const notifier = createMemoryCalendarChangeNotifier();
+  const timers = manualTimers();
+  const notifications = createCalendarChangeNotifications({ notifier, now, debounceMs: 1_000, ...timers });
+  const moved = (from, to) => ({ kind: 'changed', event: { ...gig, start: to }, fields: { start: { before: from, after: to } } });
+
+  assert.equal(notifications.record('person-a', { personName: 'Sam', changes: [moved('17:00', '16:30')] }), true);
+  notifications.record('person-a', { changes: [moved('16:30', '16:00')] });
+  notifications.record('person-b', { personName: 'Alex', changes: [{ kind: 'cancelled', event: rehearsal, fields: {} }] });
+  assert.equal(timers.timers.size, 2);
+  assert.equal(notifier.sent.length, 0);
+
+  await timers.fireAll();
+  assert.equal(notifier.sent.length, 2);
+  const [first] = notifier.sent;
+  assert.equal(first.type, 'calendar.changes');
+  assert.equal(first.mode, 'debounced');
+  assert.deepEqual(first.people[0].changes[0].fields.start, { before: '17:00', after: '16:00' });
+  assert.equal(first.people[0].personName, 'Sam');
+
+  notifications.record('person-a', { changes: [moved('16:00', '17:00')] });
+  assert.equal(notifications.record('person-a', { changes: [moved('17:00', '16:00')] }), false);
+  assert.equal(notifications.snapshot().pendingPeople, 0);
+  assert.equal(timers.timers.size, 0);
+});
+
+test('digest mode sends everyone together on one timer', async () => {
+  const notifier = createMemoryCalendarChangeNotifier();
+  const timers = manualTimers();
+  const notifications = createCalendarChangeNotifications({
+    notifier,
+    now,
+    digest: true,
+    digestIntervalMs: 60_000,
+    ...timers,
+  });
+  notifications.record('person-a', { changes: [{ kind: 'cancelled', event: gig, fields: {} }] });
+  notifications.record('person-b', { changes: [{ kind: 'cancelled', event: rehearsal, fields: {} }] });
+  assert.equal(timers.timers.size, 1);
+  assert.equal([...timers.timers.values()][0].delayMs, 60_000);
+  await timers.fireAll();
+  assert.equal(notifier.sent.length, 1);
+  assert.equal(notifier.sent[0].mode, 'digest');
+  assert.deepEqual(notifier.sent[0].people.map((person) => person.personId), ['person-a', 'person-b']);
+
+  const disabled = createCalendarChangeNotifications({ notifier: null });
+  assert.equal(disabled.enabled, false);
+  assert.equal(disabled.record('person-a', { changes: [{ kind: 'cancelled', event: gig, fields: {} }] }), false);
+});
+
+test('the webhook notifier posts JSON and failed deliveries are counted', async () => {
+  const requests = [];
+  const webhook = createWebhookCalendarChangeNotifier({
+    url: 'https://hooks.example.test/calendar',
+    fetchFn: async (url, options) => {
+      requests.push({ url, options });
+      return { ok: requests.length === 1, status: requests.length === 1 ? 200 : 502 };
+    },
+  });
+  const warnings = [];
+  const notifications = createCalendarChangeNotifications({
+    notifier: webhook,
+    now,
+    warn: (message) => warnings.push(message),
+    setTimer: () => null,
+    clearTimer: () => {},
+  });
+  notifications.record('person-a', { changes: [{ kind: 'cancelled', event: gig, fields: {} }] });
+  assert.equal((await notifications.flush()).people.length, 1);
+  assert.equal(requests[0].url, 'https://hooks.example.test/calendar');
+  assert.equal(JSON.parse(requests[0].options.body).people[0].personId, 'person-a');
+
+  notifications.record('person-a', { changes: [{ kind: 'cancelled', event: rehearsal, fields: {} }] });
+  assert.equal(await notifications.flush('person-a'), null);
+  assert.equal(notifications.snapshot().failed, 1);
+  assert.match(warnings[0], /CALENDAR_CHANGE_WEBHOOK_HTTP_ERROR/u);
+
+  assert.equal(configuredCalendarChangeNotifier({}), null);
+  assert.equal(configuredCalendarChangeNotifier({ CALENDAR_CHANGE_NOTIFIER: 'log' }, { log: () => {} }).name, 'log');
+  assert.throws(() => configuredCalendarChangeNotifier({ CALENDAR_CHANGE_NOTIFIER: 'webhook' }), /CALENDAR_CHANGE_WEBHOOK_URL/u);
+  assert.throws(() => configuredCalendarChangeNotifier({ CALENDAR_CHANGE_NOTIFIER: 'sms' }), /must be none, webhook, or log/u);
+});
@@ -0,0 +1,150 @@
+import { createHash, randomBytes } from 'node:crypto';
+import { FAMILY_SHARE_FIELD_PRIVACY, calendarFieldPrivacyVariant, redactCalendarEvent } from './calendar-field-privacy.js';
+import { CALENDAR_SUBSCRIBER_KEY_PREFIX, createCalendarSubscriberRecords } from './calendar-subscriber-store.js';
+
+const COMPOSITE_FEED_SCHEMA_VERSION = 1;
+const COMPOSITE_FEED_ID_BYTES = 24;
+const COMPOSITE_FEED_ID_PATTERN = /^[A-Za-z0-9_-]{32}$/u;
+const MAX_COMPOSITE_FEED_MEMBERS = 12;
+const MAX_COMPOSITE_FEED_NAME_LENGTH = 100;
+
+const records = createCalendarSubscriberRecords({
+  label: 'composite feed',
+  codePrefix: 'CALENDAR_COMPOSITE_FEED',
+  schemaVersion: COMPOSITE_FEED_SCHEMA_VERSION,
+});
+const { requireStore } = records;
+
+function cleanDefinition({ name, personIds } = {}) {
+  const cleanedName = String(name ?? '').trim();
+  if (!cleanedName || cleanedName.length > MAX_COMPOSITE_FEED_NAME_LENGTH) {
+    throw records.error(
+      `A composite feed needs a name of at most ${MAX_COMPOSITE_FEED_NAME_LENGTH} characters.`,
+      'NAME_INVALID'
+    );
+  }
+  const members = [...new Set((Array.isArray(personIds) ? personIds : [])
+    .map((personId) => String(personId || '').trim().toLowerCase())
+    .filter(Boolean))];
+  if (members.length < 2 || members.length > MAX_COMPOSITE_FEED_MEMBERS) {
+    throw records.error(
+      `A composite feed merges 2 to ${MAX_COMPOSITE_FEED_MEMBERS} people.`,
+      'MEMBERS_INVALID'
+    );
+  }
+  return { name: cleanedName, personIds: members };
+}
+
+function parseStoredFeed(raw) {
+  if (!raw) return null;
+  try {
+    const stored = JSON.parse(raw);
+    if (
+      Number(stored?.schemaVersion) !== COMPOSITE_FEED_SCHEMA_VERSION
+      || !isCalendarCompositeFeedId(stored.id)
+      || typeof stored.name !== 'string'
+      || !Array.isArray(stored.personIds)
+    ) {
+      throw new Error('unsupported composite feed payload');
+    }
+    return stored;
+  } catch {
+    throw records.error('Calendar composite feed is invalid.', 'STORE_INVALID');
+  }
+}
+
+export function calendarCompositeFeedKey(id) {
+  return `${CALENDAR_SUBSCRIBER_KEY_PREFIX}composite-feed:v${COMPOSITE_FEED_SCHEMA_VERSION}:${id}`;
+}
+
+export function isCalendarCompositeFeedId(id) {
+  return typeof id === 'string' && COMPOSITE_FEED_ID_PATTERN.test(id);
+}
+
+/**
+ * Stores a named list of people whose feeds are merged into one. The ID is
+ * unguessable and is the subscription's only credential. Passing `id`
+ * replaces an existing definition and keeps its creation time.
+ */
+export async function saveCalendarCompositeFeed(client, definition, options = {}) {
+  requireStore(client, 'get', 'set');
+  const { name, personIds } = cleanDefinition(definition);
+  const id = options.id || randomBytes(COMPOSITE_FEED_ID_BYTES).toString('base64url');
+  if (!isCalendarCompositeFeedId(id)) {
+    throw records.error('Calendar composite feed ID is malformed.', 'ID_INVALID');
+  }
+  const previous = options.id ? await loadCalendarCompositeFeed(client, id) : null;
+  if (options.id && !previous) return null;
+  const now = options.now || new Date().toISOString();
+  const feed = {
+    schemaVersion: COMPOSITE_FEED_SCHEMA_VERSION,
+    id,
+    name,
+    personIds,
+    createdAt: previous?.createdAt || now,
+    updatedAt: now,
+  };
+  await client.set(calendarCompositeFeedKey(id), JSON.stringify(feed));
+  return feed;
+}
+
+export async function loadCalendarCompositeFeed(client, id) {
+  requireStore(client, 'get');
+  if (!isCalendarCompositeFeedId(id)) return null;
+  return parseStoredFeed(await client.get(calendarCompositeFeedKey(id)));
+}
+
+export async function deleteCalendarCompositeFeed(client, id) {
+  requireStore(client, 'del');
+  if (!isCalendarCompositeFeedId(id)) return false;
+  return (await client.del(calendarCompositeFeedKey(id))) > 0;
+}
+
+function firstName(personName) {
+  return String(personName || '').trim().split(/\s+/u)[0] || 'Unknown';
+}
+
+/**
+ * One event list from several people's feeds. Events are deduplicated by
+ * `dedupKey`; each title is prefixed with the first names of everyone who
+ * has it, so a gig two members share appears once as "Ana & Ben: …". A live
+ * copy wins over a cancelled tombstone of the same event, and only members
+ * still on it are named; an event everyone dropped stays a tombstone.
+ * Everyone on the feed reads every event, and a shared gig carries one
+ * member's description, so events go out under the family field-privacy
+ * policy: no pay, personnel or confirmation numbers.
+ */
+export function composeCalendarCompositeEvents(members = [], { dedupKey }) {
+  const merged = new Map();
+  for (const member of members) {
+    const name = firstName(member.personName);
+    for (const event of member.events || []) {
+      const key = dedupKey(event);
+      const cancelled = event.status === 'cancelled';
+      let entry = merged.get(key);
+      if (!entry) {
+        entry = { event, live: [], cancelled: [] };
+        merged.set(key, entry);
+      } else if (!cancelled && entry.live.length === 0) {
+        entry.event = event;
+      }
+      const names = cancelled ? entry.cancelled : entry.live;
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+  return [...merged.values()].map(({ event, live, cancelled }) => ({
+    ...redactCalendarEvent(event, FAMILY_SHARE_FIELD_PRIVACY),
+    title: `${(live.length > 0 ? live : cancelled).join(' & ')}: ${event.title || ''}`,
+  }));
+}
+
+/**
+ * The composite ETag changes only when the definition, the output variant,
+ * the privacy policy version, or one of the member artifacts' ETags changes,
+ * so it can be checked before anything is rendered.
+ */
+export function calendarCompositeFeedEtag(feed, memberEtags, variant = '') {
+  const privacy = calendarFieldPrivacyVariant(FAMILY_SHARE_FIELD_PRIVACY);
+  const body = JSON.stringify([feed.id, feed.name, feed.personIds, variant, privacy, memberEtags]);
+  return `"composite-${createHash('sha256').update(body).digest('base64url')}"`;
+}
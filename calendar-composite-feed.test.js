@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calendarCompositeFeedEtag,
+  calendarCompositeFeedKey,
+  composeCalendarCompositeEvents,
+  deleteCalendarCompositeFeed,
+  isCalendarCompositeFeedId,
+  loadCalendarCompositeFeed,
+  saveCalendarCompositeFeed,
+} from './calendar-composite-feed.js';
+import { memoryRedis } from './test-support/memory-redis.js';
+
+test('composite definitions are stored outside the cache namespace and can be replaced', async () => {
+  const redis = memoryRedis();
+  const feed = await saveCalendarCompositeFeed(redis, { name: ' Ruiz household ', personIds: ['A-1', 'b-2', 'a-1'] }, { now: '2026-10-01T00:00:00.000Z' });
+  assert.equal(isCalendarCompositeFeedId(feed.id), true);
+  assert.doesNotMatch(calendarCompositeFeedKey(feed.id), /^calendar:/u);
+  assert.deepEqual([feed.name, feed.personIds], ['Ruiz household', ['a-1', 'b-2']]);
+
+  const updated = await saveCalendarCompositeFeed(redis, { name: 'Ruiz family', personIds: ['a-1', 'c-3'] }, {
+    id: feed.id,
+    now: '2026-10-02T00:00:00.000Z',
+  });
+  assert.deepEqual(
+    [updated.name, updated.personIds, updated.createdAt, updated.updatedAt],
+    ['Ruiz family', ['a-1', 'c-3'], '2026-10-01T00:00:00.000Z', '2026-10-02T00:00:00.000Z']
+  );
+  assert.deepEqual(await loadCalendarCompositeFeed(redis, feed.id), updated);
+  assert.equal(await saveCalendarCompositeFeed(redis, { name: 'x', personIds: ['a', 'b'] }, { id: 'A'.repeat(32) }), null);
+
+  assert.equal(await deleteCalendarCompositeFeed(redis, feed.id), true);
+  assert.equal(await loadCalendarCompositeFeed(redis, feed.id), null);
+  assert.equal(await loadCalendarCompositeFeed(redis, '../a-1'), null);
+});
+
+test('composite definitions reject bad names, member lists and payloads', async () => {
+  const redis = memoryRedis();
+  await assert.rejects(saveCalendarCompositeFeed(redis, { name: '', personIds: ['a', 'b'] }), { code: 'CALENDAR_COMPOSITE_FEED_NAME_INVALID' });
+  await assert.rejects(saveCalendarCompositeFeed(redis, { name: 'Solo', personIds: ['a', 'A'] }), { code: 'CALENDAR_COMPOSITE_FEED_MEMBERS_INVALID' });
+  await assert.rejects(saveCalendarCompositeFeed({}, { name: 'x', personIds: ['a', 'b'] }), { code: 'CALENDAR_COMPOSITE_FEED_STORE_UNAVAILABLE' });
+  const id = 'B'.repeat(32);
+  redis.values.set(calendarCompositeFeedKey(id), '{broken');
+  await assert.rejects(loadCalendarCompositeFeed(redis, id), { code: 'CALENDAR_COMPOSITE_FEED_STORE_INVALID' });
+});
+
+test('shared events appear once with every member first name', () => {
+  const gig = { type: 'main_event', title: '🎸 Wedding', start: '2026-11-07T17:00:00.000Z' };
+  const dedupKey = (event) => `${event.type}|${event.title}|${event.start}`;
+  const events = composeCalendarCompositeEvents([
+    { personName: 'Ana Ruiz', events: [gig, { type: 'rehearsal', title: '🎤 Rehearsal', start: '2026-11-05T18:00:00.000Z' }] },
+    { personName: 'Ben Ruiz', events: [{ ...gig }, { type: 'flight_departure', title: '✈️ LAX to SEA', start: '2026-11-07T08:00:00.000Z' }] },
+    { personName: '', events: [{ type: 'hotel', title: '🏨 Hotel', start: '2026-11-07T22:00:00.000Z' }] },
+  ], { dedupKey });
+  assert.deepEqual(events.map((event) => event.title), [
+    'Ana & Ben: 🎸 Wedding',
+    'Ana: 🎤 Rehearsal',
+    'Ben: ✈️ LAX to SEA',
+    'Unknown: 🏨 Hotel',
+  ]);
+  assert.equal(gig.title, '🎸 Wedding');
+});
+
+test("a shared gig does not carry the first member's pay or personnel", () => {
+  const gig = (position, pay) => ({
+    type: 'main_event',
+    title: '🎸 Wedding',
+    start: '2026-11-07T17:00:00.000Z',
+    confirmation: 'ABC123',
+    description: `Position: ${position}\nTotal Pay: ${pay}\n\n➡️ Call Time: 5:00 PM\n\n👥 Event Personnel:\nAna - Keys\nBen - Bass\n\nEvent Link: https://app.example/events/1\n\nPayroll note: ${pay} by Friday\nBlack attire`,
+  });
+  const [event] = composeCalendarCompositeEvents([
+    { personName: 'Ana Ruiz', events: [gig('Keys', '$450')] },
+    { personName: 'Ben Ruiz', events: [gig('Bass', '$300')] },
+  ], { dedupKey: (item) => `${item.type}|${item.title}|${item.start}` });
+  assert.equal(event.title, 'Ana & Ben: 🎸 Wedding');
+  assert.equal(event.description, '➡️ Call Time: 5:00 PM\n\nEvent Link: https://app.example/events/1\n\nBlack attire');
+  assert.equal(Object.hasOwn(event, 'confirmation'), false);
+});
+
+test("a member's live copy wins over another member's tombstone", () => {
+  const gig = { type: 'main_event', title: '🎸 Wedding', start: '2026-11-07T17:00:00.000Z' };
+  const dedupKey = (event) => `${event.type}|${event.title}|${event.start}`;
+  const tombstone = { ...gig, status: 'cancelled', sequence: 3 };
+  const events = composeCalendarCompositeEvents([
+    { personName: 'Ana Ruiz', events: [tombstone, { ...gig, start: '2026-12-01T17:00:00.000Z', status: 'cancelled' }] },
+    { personName: 'Ben Ruiz', events: [{ ...gig, sequence: 1 }, { ...gig, start: '2026-12-01T17:00:00.000Z', status: 'cancelled' }] },
+  ], { dedupKey });
+  assert.deepEqual(
+    events.map((event) => [event.title, event.status ?? 'live']),
+    [['Ben: 🎸 Wedding', 'live'], ['Ana & Ben: 🎸 Wedding', 'cancelled']]
+  );
+  assert.equal(events[0].sequence, 1);
+});
+
+test('the composite ETag follows the definition and every member ETag', () => {
+  const feed = { id: 'C'.repeat(32), name: 'Section', personIds: ['a', 'b'] };
+  const etag = calendarCompositeFeedEtag(feed, [['a', '"1"'], ['b', '"2"']], 'ics');
+  assert.match(etag, /^"composite-[A-Za-z0-9_-]+"$/u);
+  assert.equal(etag, calendarCompositeFeedEtag({ ...feed }, [['a', '"1"'], ['b', '"2"']], 'ics'));
+  assert.notEqual(etag, calendarCompositeFeedEtag(feed, [['a', '"1"'], ['b', '"3"']], 'ics'));
+  assert.notEqual(etag, calendarCompositeFeedEtag(feed, [['a', '"1"'], ['b', '"2"']], 'json'));
+  assert.notEqual(etag, calendarCompositeFeedEtag({ ...feed, name: 'Strings' }, [['a', '"1"'], ['b', '"2"']], 'ics'));
+});
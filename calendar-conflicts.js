@@ -0,0 +1,135 @@
+const OUTBOUND_FLIGHT_TYPES = new Set(['flight_departure', 'flight_departure_layover']);
+
+function clean(value, limit = 2_000) {
+  return String(value ?? '').trim().slice(0, limit);
+}
+
+function time(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.getTime();
+}
+
+function isoTime(value) {
+  const parsed = time(value);
+  return parsed === null ? null : new Date(parsed).toISOString();
+}
+
+function dayKey(value) {
+  return isoTime(value)?.slice(0, 10) || '';
+}
+
+function overlaps(left, right) {
+  return left.startTime < right.endTime && right.startTime < left.endTime;
+}
+
+function conflictEvent(event) {
+  const compact = { type: event.type, title: clean(event.title, 500), start: isoTime(event.start), end: isoTime(event.end) };
+  if (event.uid) compact.uid = event.uid;
+  if (event.occurrenceKey) compact.occurrenceKey = event.occurrenceKey;
+  return compact;
+}
+
+function conflict(type, severity, at, events) {
+  const compact = events.map(conflictEvent);
+  const ends = compact.map((event) => time(event.end) ?? time(event.start)).filter((value) => value !== null);
+  return {
+    type,
+    severity,
+    start: isoTime(at),
+    end: ends.length > 0 ? new Date(Math.max(...ends)).toISOString() : isoTime(at),
+    events: compact,
+  };
+}
+
+function timed(events) {
+  return events.flatMap((event) => {
+    const startTime = time(event?.start);
+    if (!event || event.status === 'cancelled' || startTime === null) return [];
+    const endTime = Math.max(time(event.end) ?? startTime, startTime);
+    return [{ event, startTime, endTime }];
+  }).sort((left, right) => left.startTime - right.startTime);
+}
+
+// Travel names its gig by `mainEvent`; a name shared by several gigs belongs
+// to the one nearest in time.
+function gigFor(entry, gigsByName) {
+  const candidates = gigsByName.get(clean(entry.event.mainEvent, 500)) || [];
+  if (candidates.length === 0) return null;
+  const distance = (gig) => Math.abs(gig.startTime - entry.startTime);
+  return candidates.reduce((nearest, gig) => (distance(gig) < distance(nearest) ? gig : nearest));
+}
+
+/**
+ * Scheduling problems in one person's occurrence list: gigs that overlap,
+ * rehearsals during a gig, outbound flights that land after the gig's call
+ * time, and hotels that check out on an earlier day than the return flight.
+ * Times are compared as published, so floating wall-clock values compare
+ * against each other directly. Cancelled tombstones are ignored.
+ */
+export function analyzeCalendarConflicts(events = []) {
+  const entries = timed(events);
+  const gigs = entries.filter((entry) => entry.event.type === 'main_event');
+  const gigsByName = new Map();
+  for (const gig of gigs) {
+    const name = clean(gig.event.mainEvent, 500);
+    if (name) gigsByName.set(name, [...(gigsByName.get(name) || []), gig]);
+  }
+  const conflicts = [];
+
+  gigs.forEach((gig, index) => {
+    for (const other of gigs.slice(index + 1)) {
+      if (other.startTime >= gig.endTime) break;
+      if (gig.event.uid && gig.event.uid === other.event.uid) continue;
+      conflicts.push(conflict('overlapping_gigs', 'error', other.startTime, [gig.event, other.event]));
+    }
+  });
+
+  for (const rehearsal of entries.filter((entry) => entry.event.type === 'rehearsal')) {
+    for (const gig of gigs.filter((candidate) => overlaps(candidate, rehearsal))) {
+      conflicts.push(conflict('rehearsal_during_gig', 'error', Math.max(gig.startTime, rehearsal.startTime), [rehearsal.event, gig.event]));
+    }
+  }
+
+  for (const flight of entries.filter((entry) => OUTBOUND_FLIGHT_TYPES.has(entry.event.type))) {
+    const gig = gigFor(flight, gigsByName);
+    // The gig's start is its call time.
+    if (gig && flight.endTime > gig.startTime && flight.startTime < gig.endTime) {
+      conflicts.push(conflict('flight_lands_after_call_time', 'error', flight.endTime, [flight.event, gig.event]));
+    }
+  }
+
+  const returnsByGig = new Map();
+  for (const flight of entries.filter((entry) => entry.event.type === 'flight_return')) {
+    const gig = gigFor(flight, gigsByName);
+    if (gig && !returnsByGig.has(gig)) returnsByGig.set(gig, flight);
+  }
+  const lastStayByGig = new Map();
+  for (const hotel of entries.filter((entry) => entry.event.type === 'hotel')) {
+    const gig = gigFor(hotel, gigsByName);
+    if (gig && (!lastStayByGig.has(gig) || lastStayByGig.get(gig).endTime < hotel.endTime)) lastStayByGig.set(gig, hotel);
+  }
+  for (const [gig, hotel] of lastStayByGig) {
+    const flight = returnsByGig.get(gig);
+    if (flight && dayKey(hotel.endTime) < dayKey(flight.startTime)) {
+      conflicts.push(conflict('hotel_checkout_before_return_flight', 'warning', hotel.endTime, [hotel.event, flight.event]));
+    }
+  }
+
+  return conflicts.sort((left, right) => time(left.start) - time(right.start) || left.type.localeCompare(right.type));
+}
+
+/** Conflict counts by type and severity for a cross-person report. */
+export function summarizeCalendarConflicts(entries = []) {
+  const summary = { people: 0, conflicts: 0, byType: {}, bySeverity: {} };
+  for (const entry of entries) {
+    const conflicts = Array.isArray(entry?.conflicts) ? entry.conflicts : [];
+    if (conflicts.length === 0) continue;
+    summary.people += 1;
+    summary.conflicts += conflicts.length;
+    for (const item of conflicts) {
+      summary.byType[item.type] = (summary.byType[item.type] || 0) + 1;
+      summary.bySeverity[item.severity] = (summary.bySeverity[item.severity] || 0) + 1;
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeCalendarConflicts, summarizeCalendarConflicts } from './calendar-conflicts.js';
+
+const gig = {
+  uid: 'gig-1',
+  type: 'main_event',
+  title: '🎸 Wedding @ The Ruby',
+  start: '2026-11-07T17:00:00.000Z',
+  end: '2026-11-07T23:00:00.000Z',
+  mainEvent: 'Wedding @ The Ruby',
+};
+const clean = [
+  gig,
+  { uid: 'flight-out', type: 'flight_departure', title: '✈️ LAX to SEA', start: '2026-11-06T15:00:00.000Z', end: '2026-11-06T17:40:00.000Z', mainEvent: gig.mainEvent },
+  { uid: 'hotel-1', type: 'hotel', title: '🏨 Hotel Max', start: '2026-11-06T22:00:00.000Z', end: '2026-11-08T11:00:00.000Z', mainEvent: gig.mainEvent },
+  { uid: 'flight-home', type: 'flight_return', title: '✈️ SEA to LAX', start: '2026-11-08T18:00:00.000Z', end: '2026-11-08T20:40:00.000Z', mainEvent: gig.mainEvent },
+  { uid: 'rehearsal-1', type: 'rehearsal', title: '🎤 Rehearsal', start: '2026-11-05T18:00:00.000Z', end: '2026-11-05T20:00:00.000Z', mainEvent: '' },
+];
+
+test('a well-planned trip has no conflicts', () => {
+  assert.deepEqual(analyzeCalendarConflicts(clean), []);
+});
+
+test('double bookings, late flights and early check-outs are flagged in time order', () => {
+  const conflicts = analyzeCalendarConflicts([
+    ...clean.map((event) => {
+      if (event.uid === 'flight-out') return { ...event, start: '2026-11-07T15:00:00.000Z', end: '2026-11-07T17:30:00.000Z' };
+      if (event.uid === 'hotel-1') return { ...event, end: '2026-11-07T11:00:00.000Z' };
+      return event;
+    }),
+    { uid: 'gig-2', type: 'main_event', title: '🎸 Gala', start: '2026-11-07T21:00:00.000Z', end: '2026-11-08T01:00:00.000Z', mainEvent: 'Gala' },
+    { uid: 'rehearsal-2', type: 'rehearsal', title: '🎤 Rehearsal', start: '2026-11-07T16:00:00.000Z', end: '2026-11-07T18:00:00.000Z', mainEvent: '' },
+    { uid: 'gig-3', type: 'main_event', title: '🎸 Cancelled', start: '2026-11-07T18:00:00.000Z', end: '2026-11-07T20:00:00.000Z', status: 'cancelled' },
+  ]);
+  assert.deepEqual(conflicts.map((item) => [item.type, item.severity, item.start, item.events.map((event) => event.uid)]), [
+    ['hotel_checkout_before_return_flight', 'warning', '2026-11-07T11:00:00.000Z', ['hotel-1', 'flight-home']],
+    ['rehearsal_during_gig', 'error', '2026-11-07T17:00:00.000Z', ['rehearsal-2', 'gig-1']],
+    ['flight_lands_after_call_time', 'error', '2026-11-07T17:30:00.000Z', ['flight-out', 'gig-1']],
+    ['overlapping_gigs', 'error', '2026-11-07T21:00:00.000Z', ['gig-1', 'gig-2']],
+  ]);
+  assert.equal(conflicts[3].end, '2026-11-08T01:00:00.000Z');
+  assert.equal(conflicts[0].events[0].title, '🏨 Hotel Max');
+});
+
+test('travel joins the nearest gig of the same name', () => {
+  const december = { ...gig, uid: 'gig-dec', start: '2026-12-05T17:00:00.000Z', end: '2026-12-05T23:00:00.000Z' };
+  const lateForDecember = { uid: 'flight-dec', type: 'flight_departure', title: '✈️ Late', start: '2026-12-05T16:00:00.000Z', end: '2026-12-05T18:00:00.000Z', mainEvent: gig.mainEvent };
+  assert.deepEqual(
+    analyzeCalendarConflicts([...clean, december, lateForDecember]).map((item) => item.events.map((event) => event.uid)),
+    [['flight-dec', 'gig-dec']]
+  );
+});
+
+test('summaries count people, types and severities', () => {
+  assert.deepEqual(summarizeCalendarConflicts([
+    { personId: 'a', conflicts: [{ type: 'overlapping_gigs', severity: 'error' }, { type: 'hotel_checkout_before_return_flight', severity: 'warning' }] },
+    { personId: 'b', conflicts: [] },
+    { personId: 'c', conflicts: [{ type: 'overlapping_gigs', severity: 'error' }] },
+  ]), {
+    people: 2,
+    conflicts: 3,
+    byType: { overlapping_gigs: 2, hotel_checkout_before_return_flight: 1 },
+    bySeverity: { error: 2, warning: 1 },
+  });
+});
@@ -0,0 +1,253 @@
+import { CALENDAR_SUBSCRIBER_KEY_PREFIX } from './calendar-subscriber-store.js';
+
+const CUTOVER_HISTORY_SCHEMA_VERSION = 1;
+const MAX_CUTOVER_AUDITS = 200;
+const TIME_FIELDS = ['start', 'end'];
+
+export const CALENDAR_CUTOVER_WINDOW_SECONDS = 7 * 24 * 60 * 60;
+export const CALENDAR_CUTOVER_KINDS = Object.freeze(['personal', 'admin', 'travel', 'blockout']);
+
+// Missing and extra rates are unpaired occurrences over that side's total, so
+// a formatting difference never counts; only an occurrence with no partner does.
+export const DEFAULT_CALENDAR_CUTOVER_THRESHOLDS = Object.freeze({
+  maxMissingRate: 0.001,
+  maxExtraRate: 0.001,
+  maxTimeDrift: 0,
+  maxErrors: 0,
+  consecutiveCleanAudits: 3,
+});
+
+const THRESHOLD_RANGES = {
+  maxMissingRate: [0, 1],
+  maxExtraRate: [0, 1],
+  maxTimeDrift: [0, 100_000],
+  maxErrors: [0, 100_000],
+  consecutiveCleanAudits: [1, 50],
+};
+
+export const CALENDAR_CUTOVER_HISTORY_KEY = `${CALENDAR_SUBSCRIBER_KEY_PREFIX}cutover-readiness:v${CUTOVER_HISTORY_SCHEMA_VERSION}`;
+
+function cutoverError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function thresholdValue(name, value) {
+  const [minimum, maximum] = THRESHOLD_RANGES[name];
+  const whole = !name.endsWith('Rate');
+  if (typeof value === 'number' && value >= minimum && value <= maximum && (!whole || Number.isInteger(value))) {
+    return value;
+  }
+  throw cutoverError(
+    `Cutover threshold ${name} must be ${whole ? 'a whole number' : 'a rate'} from ${minimum} to ${maximum}.`,
+    'CALENDAR_CUTOVER_THRESHOLDS_INVALID'
+  );
+}
+
+function thresholdSet(base, overrides, label) {
+  if (overrides == null) return base;
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw cutoverError(`Cutover thresholds for ${label} must be an object.`, 'CALENDAR_CUTOVER_THRESHOLDS_INVALID');
+  }
+  const unknown = Object.keys(overrides).filter((name) => !(name in DEFAULT_CALENDAR_CUTOVER_THRESHOLDS));
+  if (unknown.length > 0) {
+    throw cutoverError(`Unknown cutover threshold for ${label}: ${unknown.join(', ')}.`, 'CALENDAR_CUTOVER_THRESHOLDS_INVALID');
+  }
+  const merged = { ...base };
+  for (const [name, value] of Object.entries(overrides)) merged[name] = thresholdValue(name, value);
+  return merged;
+}
+
+/**
+ * Per-kind thresholds from CALENDAR_CUTOVER_THRESHOLDS, a JSON object such as
+ * `{ "default": { "consecutiveCleanAudits": 5 }, "personal": { "maxMissingRate": 0.005 } }`.
+ * Kinds without an entry use `default`, which falls back to the built-in limits.
+ */
+export function parseCalendarCutoverThresholds(raw) {
+  let config = {};
+  if (raw && typeof raw === 'object') {
+    config = raw;
+  } else if (String(raw ?? '').trim()) {
+    try {
+      config = JSON.parse(raw);
+    } catch {
+      throw cutoverError('CALENDAR_CUTOVER_THRESHOLDS is not valid JSON.', 'CALENDAR_CUTOVER_THRESHOLDS_INVALID');
+    }
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw cutoverError('CALENDAR_CUTOVER_THRESHOLDS must be an object of kind to thresholds.', 'CALENDAR_CUTOVER_THRESHOLDS_INVALID');
+  }
+  const unknownKinds = Object.keys(config).filter((kind) => kind !== 'default' && !CALENDAR_CUTOVER_KINDS.includes(kind));
+  if (unknownKinds.length > 0) {
+    throw cutoverError(`Unknown cutover threshold kind: ${unknownKinds.join(', ')}.`, 'CALENDAR_CUTOVER_THRESHOLDS_INVALID');
+  }
+  const defaults = thresholdSet({ ...DEFAULT_CALENDAR_CUTOVER_THRESHOLDS }, config.default, 'default');
+  return Object.fromEntries(CALENDAR_CUTOVER_KINDS.map((kind) => [kind, thresholdSet(defaults, config[kind], kind)]));
+}
+
+function rate(count, total) {
+  return total > 0 ? count / total : 0;
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(2)}%`;
+}
+
+/** The parity figures one audit contributes for each kind, from a shadow summary. */
+export function calendarCutoverAuditMetrics(summary = {}) {
+  return Object.fromEntries(CALENDAR_CUTOVER_KINDS.map((kind) => {
+    const bucket = summary.byKind?.[kind] || {};
+    const notionEvents = Number(bucket.notionEvents) || 0;
+    const postgresEvents = Number(bucket.postgresEvents) || 0;
+    const unpairedNotion = Number(bucket.unpairedNotion) || 0;
+    const unpairedPostgres = Number(bucket.unpairedPostgres) || 0;
+    return [kind, {
+      comparisons: Number(bucket.comparisons) || 0,
+      errors: Number(bucket.errors) || 0,
+      baselineUnavailable: Number(bucket.baselineUnavailable) || 0,
+      notionEvents,
+      postgresEvents,
+      missingRate: rate(unpairedNotion, notionEvents),
+      extraRate: rate(unpairedPostgres, postgresEvents),
+      timeDrift: TIME_FIELDS.reduce((sum, field) => sum + (Number(bucket.semanticFieldMismatchCounts?.[field]) || 0), 0),
+    }];
+  }));
+}
+
+/**
+ * Why one audit's figures for a kind fall short of its thresholds; an empty
+ * list means the audit was clean for that kind. An audit that compared
+ * nothing usable is never clean.
+ */
+export function calendarCutoverAuditFailures(metrics, thresholds, audit = {}) {
+  if (audit.status && audit.status !== 'complete') {
+    return [`audit ${audit.status}${audit.errorCode ? ` (${audit.errorCode})` : ''}`];
+  }
+  if (!metrics || metrics.comparisons - metrics.errors - metrics.baselineUnavailable <= 0) {
+    return ['no comparisons with a baseline'];
+  }
+  const failures = [];
+  if (metrics.errors > thresholds.maxErrors) {
+    failures.push(`${metrics.errors} failed comparisons (max ${thresholds.maxErrors})`);
+  }
+  if (metrics.missingRate > thresholds.maxMissingRate) {
+    failures.push(`missing-occurrence rate ${percent(metrics.missingRate)} (max ${percent(thresholds.maxMissingRate)})`);
+  }
+  if (metrics.extraRate > thresholds.maxExtraRate) {
+    failures.push(`extra-occurrence rate ${percent(metrics.extraRate)} (max ${percent(thresholds.maxExtraRate)})`);
+  }
+  if (metrics.timeDrift > thresholds.maxTimeDrift) {
+    failures.push(`${metrics.timeDrift} start/end drifts (max ${thresholds.maxTimeDrift})`);
+  }
+  return failures;
+}
+
+function withinWindow(audits, now) {
+  const cutoff = new Date(now).getTime() - CALENDAR_CUTOVER_WINDOW_SECONDS * 1000;
+  return audits
+    .filter((audit) => new Date(audit?.auditedAt).getTime() >= cutoff)
+    .sort((left, right) => new Date(left.auditedAt) - new Date(right.auditedAt));
+}
+
+/**
+ * Whether each kind, and so the whole feed, is ready to read from Postgres:
+ * the most recent `consecutiveCleanAudits` audits in the seven-day window
+ * must all be clean. `explanation` says what passed or what is blocking.
+ */
+export function evaluateCalendarCutoverReadiness(audits = [], thresholds = parseCalendarCutoverThresholds(), { now = new Date().toISOString() } = {}) {
+  const window = withinWindow(Array.isArray(audits) ? audits : [], now);
+  const kinds = {};
+  for (const kind of CALENDAR_CUTOVER_KINDS) {
+    const kindThresholds = thresholds[kind];
+    let consecutiveCleanAudits = 0;
+    let blockingFailures = [];
+    let blockingAuditedAt = null;
+    for (const audit of [...window].reverse()) {
+      const failures = calendarCutoverAuditFailures(audit.metrics?.[kind], kindThresholds, audit);
+      if (failures.length > 0) {
+        blockingFailures = failures;
+        blockingAuditedAt = audit.auditedAt;
+        break;
+      }
+      consecutiveCleanAudits += 1;
+    }
+    const ready = consecutiveCleanAudits >= kindThresholds.consecutiveCleanAudits;
+    let explanation;
+    if (ready) {
+      explanation = `${kind}: ${consecutiveCleanAudits} consecutive clean audits (needs ${kindThresholds.consecutiveCleanAudits}).`;
+    } else if (blockingAuditedAt) {
+      explanation = `${kind}: audit at ${blockingAuditedAt} failed: ${blockingFailures.join('; ')}. ${consecutiveCleanAudits} clean since (needs ${kindThresholds.consecutiveCleanAudits}).`;
+    } else {
+      explanation = `${kind}: ${consecutiveCleanAudits} clean audits in the last seven days (needs ${kindThresholds.consecutiveCleanAudits}).`;
+    }
+    kinds[kind] = {
+      ready,
+      consecutiveCleanAudits,
+      requiredCleanAudits: kindThresholds.consecutiveCleanAudits,
+      latest: window.at(-1)?.metrics?.[kind] || null,
+      failures: ready ? [] : blockingFailures,
+      thresholds: kindThresholds,
+      explanation,
+    };
+  }
+  const blocking = CALENDAR_CUTOVER_KINDS.filter((kind) => !kinds[kind].ready);
+  return {
+    ready: blocking.length === 0,
+    evaluatedAt: new Date(now).toISOString(),
+    auditsInWindow: window.length,
+    latestAuditAt: window.at(-1)?.auditedAt || null,
+    explanation: blocking.length === 0
+      ? 'Every feed kind met its parity thresholds on enough consecutive audits.'
+      : `Not ready: ${blocking.map((kind) => kinds[kind].explanation).join(' ')}`,
+    kinds,
+  };
+}
+
+function requireStore(client, method) {
+  if (typeof client?.[method] !== 'function') {
+    throw cutoverError('Calendar cutover history store is unavailable.', 'CALENDAR_CUTOVER_STORE_UNAVAILABLE');
+  }
+}
+
+export async function loadCalendarCutoverHistory(client) {
+  requireStore(client, 'get');
+  const raw = await client.get(CALENDAR_CUTOVER_HISTORY_KEY);
+  if (!raw) return { audits: [], readiness: null };
+  try {
+    const stored = JSON.parse(raw);
+    if (Number(stored?.schemaVersion) !== CUTOVER_HISTORY_SCHEMA_VERSION || !Array.isArray(stored.audits)) {
+      throw new Error('unsupported cutover history payload');
+    }
+    return { audits: stored.audits, readiness: stored.readiness || null };
+  } catch {
+    throw cutoverError('Calendar cutover history is invalid.', 'CALENDAR_CUTOVER_STORE_INVALID');
+  }
+}
+
+/**
+ * Appends one audit (`{ auditedAt, status, errorCode, summary }`), drops
+ * audits older than the window, evaluates readiness and stores both. The key
+ * expires a window after the last audit, so stale history cannot pass the gate.
+ */
+export async function recordCalendarCutoverAudit(client, audit = {}, { thresholds = parseCalendarCutoverThresholds(), now = new Date().toISOString() } = {}) {
+  requireStore(client, 'setEx');
+  const { audits } = await loadCalendarCutoverHistory(client).catch((error) => {
+    if (error.code === 'CALENDAR_CUTOVER_STORE_INVALID') return { audits: [] };
+    throw error;
+  });
+  const entry = {
+    auditedAt: audit.auditedAt || now,
+    status: audit.status || 'complete',
+    errorCode: audit.errorCode || null,
+    metrics: calendarCutoverAuditMetrics(audit.summary),
+  };
+  const kept = withinWindow([...audits, entry], now).slice(-MAX_CUTOVER_AUDITS);
+  const readiness = evaluateCalendarCutoverReadiness(kept, thresholds, { now });
+  await client.setEx(CALENDAR_CUTOVER_HISTORY_KEY, CALENDAR_CUTOVER_WINDOW_SECONDS, JSON.stringify({
+    schemaVersion: CUTOVER_HISTORY_SCHEMA_VERSION,
+    audits: kept,
+    readiness,
+  }));
+  return { audit: entry, readiness };
+}
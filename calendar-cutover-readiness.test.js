@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CALENDAR_CUTOVER_HISTORY_KEY,
+  CALENDAR_CUTOVER_WINDOW_SECONDS,
+  calendarCutoverAuditMetrics,
+  evaluateCalendarCutoverReadiness,
+  loadCalendarCutoverHistory,
+  parseCalendarCutoverThresholds,
+  recordCalendarCutoverAudit,
+} from './calendar-cutover-readiness.js';
+import { memoryRedis } from './test-support/memory-redis.js';
+
+function bucket(overrides = {}) {
+  return {
+    comparisons: 10,
+    errors: 0,
+    baselineUnavailable: 0,
+    notionEvents: 1_000,
+    postgresEvents: 1_000,
+    unpairedNotion: 0,
+    unpairedPostgres: 0,
+    semanticFieldMismatchCounts: { start: 0, end: 0, title: 3 },
+    ...overrides,
+  };
+}
+
+function cleanSummary(overrides = {}) {
+  return {
+    byKind: {
+      personal: bucket(overrides.personal),
+      admin: bucket(overrides.admin),
+      travel: bucket(overrides.travel),
+      blockout: bucket(overrides.blockout),
+    },
+  };
+}
+
+test('thresholds merge kind overrides over defaults and reject bad values', () => {
+  const thresholds = parseCalendarCutoverThresholds(JSON.stringify({
+    default: { consecutiveCleanAudits: 2 },
+    personal: { maxMissingRate: 0.01 },
+  }));
+  assert.deepEqual(
+    [thresholds.personal.maxMissingRate, thresholds.personal.consecutiveCleanAudits, thresholds.admin.maxMissingRate],
+    [0.01, 2, 0.001]
+  );
+  assert.equal(parseCalendarCutoverThresholds('').travel.consecutiveCleanAudits, 3);
+  for (const raw of ['{broken', '[]', '{"calendar":{}}', '{"admin":{"maxTimeDrift":0.5}}', '{"default":{"maxMissingRate":2}}', '{"default":{"minEvents":1}}']) {
+    assert.throws(() => parseCalendarCutoverThresholds(raw), { code: 'CALENDAR_CUTOVER_THRESHOLDS_INVALID' });
+  }
+});
+
+test('audit metrics use unpaired occurrences and start/end drift only', () => {
+  const metrics = calendarCutoverAuditMetrics(cleanSummary({
+    personal: { unpairedNotion: 5, unpairedPostgres: 2, postgresEvents: 997, semanticFieldMismatchCounts: { start: 1, end: 2, title: 9 } },
+  }));
+  assert.deepEqual(
+    [metrics.personal.missingRate, metrics.personal.extraRate.toFixed(4), metrics.personal.timeDrift, metrics.admin.timeDrift],
+    [0.005, '0.0020', 3, 0]
+  );
+});
+
+test('readiness needs N consecutive clean audits for every kind in the window', () => {
+  const thresholds = parseCalendarCutoverThresholds({ default: { consecutiveCleanAudits: 2 } });
+  const audit = (auditedAt, overrides, extra = {}) => ({ auditedAt, status: 'complete', metrics: calendarCutoverAuditMetrics(cleanSummary(overrides)), ...extra });
+  const now = '2026-10-10T12:00:00.000Z';
+  const audits = [
+    audit('2026-10-01T12:00:00.000Z', {}),
+    audit('2026-10-08T12:00:00.000Z', {}),
+    audit('2026-10-09T12:00:00.000Z', { travel: { semanticFieldMismatchCounts: { start: 1 } } }),
+    audit('2026-10-10T06:00:00.000Z', { admin: { baselineUnavailable: 10 } }),
+  ];
+  const result = evaluateCalendarCutoverReadiness(audits, thresholds, { now });
+  assert.equal(result.ready, false);
+  assert.equal(result.auditsInWindow, 3);
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(result.kinds).map(([kind, value]) => [kind, [value.ready, value.consecutiveCleanAudits]])),
+    { personal: [true, 3], admin: [false, 0], travel: [false, 1], blockout: [true, 3] }
+  );
+  assert.deepEqual(result.kinds.travel.failures, ['1 start/end drifts (max 0)']);
+  assert.match(result.explanation, /admin: audit at 2026-10-10T06:00:00.000Z failed: no comparisons with a baseline/u);
+
+  const failedRun = evaluateCalendarCutoverReadiness(
+    [...audits.slice(0, 2), { auditedAt: '2026-10-10T07:00:00.000Z', status: 'failed', errorCode: 'TIMEOUT' }],
+    thresholds,
+    { now }
+  );
+  assert.deepEqual(failedRun.kinds.personal.failures, ['audit failed (TIMEOUT)']);
+
+  const passing = evaluateCalendarCutoverReadiness([...audits, audit('2026-10-10T08:00:00.000Z', {}), audit('2026-10-10T09:00:00.000Z', {})], thresholds, { now });
+  assert.equal(passing.ready, true);
+  assert.match(passing.explanation, /Every feed kind/u);
+});
+
+test('the history store keeps a seven-day window outside the cache namespace', async () => {
+  const redis = memoryRedis();
+  const thresholds = parseCalendarCutoverThresholds({ default: { consecutiveCleanAudits: 1 } });
+  await recordCalendarCutoverAudit(redis, { auditedAt: '2026-10-01T00:00:00.000Z', summary: cleanSummary() }, { thresholds, now: '2026-10-01T00:00:00.000Z' });
+  const { readiness } = await recordCalendarCutoverAudit(
+    redis,
+    { auditedAt: '2026-10-09T00:00:00.000Z', summary: cleanSummary({ blockout: { unpairedNotion: 50 } }) },
+    { thresholds, now: '2026-10-09T00:00:00.000Z' }
+  );
+  assert.doesNotMatch(CALENDAR_CUTOVER_HISTORY_KEY, /^calendar:/u);
+  assert.equal(redis.ttls.get(CALENDAR_CUTOVER_HISTORY_KEY), CALENDAR_CUTOVER_WINDOW_SECONDS);
+  const stored = await loadCalendarCutoverHistory(redis);
+  assert.deepEqual(stored.audits.map((audit) => audit.auditedAt), ['2026-10-09T00:00:00.000Z']);
+  assert.equal(readiness.ready, false);
+  assert.deepEqual(stored.readiness, readiness);
+
+  redis.values.set(CALENDAR_CUTOVER_HISTORY_KEY, '{broken');
+  await assert.rejects(loadCalendarCutoverHistory(redis), { code: 'CALENDAR_CUTOVER_STORE_INVALID' });
+  await assert.rejects(loadCalendarCutoverHistory({}), { code: 'CALENDAR_CUTOVER_STORE_UNAVAILABLE' });
+});
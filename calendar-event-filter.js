@@ -0,0 +1,115 @@
+import { createHash } from 'node:crypto';
+
+const FLIGHT_TYPES = [
+  'flight_departure',
+  'flight_departure_layover',
+  'flight_return',
+  'flight_return_layover',
+];
+const GROUND_TRANSPORT_TYPES = [
+  'ground_transport',
+  'ground_transport_dropoff',
+  'ground_transport_meeting',
+  'ground_transport_pickup',
+];
+
+// Every type buildCalendarEventsFromCalendarData can emit for a personal feed.
+export const CALENDAR_EVENT_TYPES = Object.freeze([
+  'main_event',
+  ...FLIGHT_TYPES,
+  'rehearsal',
+  'hotel',
+  ...GROUND_TRANSPORT_TYPES,
+  'team_calendar',
+  'event_note_reminder',
+]);
+
+// Friendly names used in subscription URLs. Raw event types are accepted too.
+const CALENDAR_EVENT_TYPE_GROUPS = Object.freeze({
+  gigs: ['main_event'],
+  travel: [...FLIGHT_TYPES, 'hotel', ...GROUND_TRANSPORT_TYPES],
+  flights: FLIGHT_TYPES,
+  rehearsals: ['rehearsal'],
+  hotels: ['hotel'],
+  ground_transport: GROUND_TRANSPORT_TYPES,
+  team: ['team_calendar'],
+  reminders: ['event_note_reminder'],
+});
+
+export const CALENDAR_EVENT_FILTER_VARIANT_PREFIX = 'types-';
+
+function filterError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function filterTokens(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter((entry) => entry !== undefined && entry !== null)
+    .flatMap((entry) => String(entry).split(','))
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function expandFilterTokens(tokens) {
+  const types = new Set();
+  for (const token of tokens) {
+    if (Object.hasOwn(CALENDAR_EVENT_TYPE_GROUPS, token)) {
+      CALENDAR_EVENT_TYPE_GROUPS[token].forEach((type) => types.add(type));
+    } else if (CALENDAR_EVENT_TYPES.includes(token)) {
+      types.add(token);
+    } else {
+      throw filterError(`Unsupported calendar event type: ${token}`, 'CALENDAR_EVENT_FILTER_INVALID');
+    }
+  }
+  return types;
+}
+
+/**
+ * Parses include=/exclude= query values (comma-separated or repeated) into a
+ * filter. Returns null when the request keeps every event type, so unfiltered
+ * feeds keep their existing cache keys.
+ */
+export function parseCalendarEventTypeFilter({ include, exclude } = {}) {
+  const includeTokens = [...new Set(filterTokens(include))].sort();
+  const excludeTokens = [...new Set(filterTokens(exclude))].sort();
+  if (includeTokens.length === 0 && excludeTokens.length === 0) return null;
+
+  const included = includeTokens.length > 0
+    ? expandFilterTokens(includeTokens)
+    : new Set(CALENDAR_EVENT_TYPES);
+  const excluded = expandFilterTokens(excludeTokens);
+  const types = CALENDAR_EVENT_TYPES.filter((type) => included.has(type) && !excluded.has(type));
+  if (types.length === 0) {
+    throw filterError('The calendar event filter excludes every event type.', 'CALENDAR_EVENT_FILTER_EMPTY');
+  }
+  if (types.length === CALENDAR_EVENT_TYPES.length) return null;
+  return { include: includeTokens, exclude: excludeTokens, types };
+}
+
+// Keyed on the resolved type set so equivalent URLs share one cached artifact.
+export function calendarEventTypeFilterVariant(filter) {
+  if (!filter) return '';
+  const fingerprint = createHash('sha256')
+    .update([...filter.types].sort().join(','))
+    .digest('hex')
+    .slice(0, 12);
+  return `${CALENDAR_EVENT_FILTER_VARIANT_PREFIX}${fingerprint}`;
+}
+
+export function calendarEventTypeFilterQuery(filter) {
+  if (!filter) return '';
+  const params = new URLSearchParams();
+  if (filter.include.length > 0) params.set('include', filter.include.join(','));
+  if (filter.exclude.length > 0) params.set('exclude', filter.exclude.join(','));
+  // Commas are legal in query strings and keep subscription URLs readable.
+  return params.toString().replace(/%2C/gu, ',');
+}
+
+export function filterCalendarEvents(events, filter) {
+  if (!filter) return events;
+  const allowed = new Set(filter.types);
+  return events.filter((event) => allowed.has(event?.type));
+}
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calendarEventTypeFilterQuery,
+  calendarEventTypeFilterVariant,
+  filterCalendarEvents,
+  parseCalendarEventTypeFilter,
+} from './calendar-event-filter.js';
+
+const events = [
+  { type: 'main_event', title: 'Gig' },
+  { type: 'flight_departure', title: 'Flight out' },
+  { type: 'flight_return_layover', title: 'Layover home' },
+  { type: 'hotel', title: 'Hotel' },
+  { type: 'ground_transport_pickup', title: 'Pickup' },
+  { type: 'rehearsal', title: 'Rehearsal' },
+  { type: 'team_calendar', title: 'Team' },
+  { type: 'event_note_reminder', title: 'Reminder' },
+];
+
+test('unfiltered requests keep the existing feed', () => {
+  assert.equal(parseCalendarEventTypeFilter({}), null);
+  assert.equal(parseCalendarEventTypeFilter({ include: '', exclude: ' ' }), null);
+  assert.equal(parseCalendarEventTypeFilter({ include: 'gigs,travel,rehearsals,team,reminders' }), null);
+  assert.equal(calendarEventTypeFilterVariant(null), '');
+  assert.equal(filterCalendarEvents(events, null), events);
+});
+
+test('gigs-only and travel-only feeds select the matching event types', () => {
+  const gigs = parseCalendarEventTypeFilter({ include: 'gigs' });
+  assert.deepEqual(filterCalendarEvents(events, gigs).map((event) => event.title), ['Gig']);
+
+  const travel = parseCalendarEventTypeFilter({ include: ['Travel'] });
+  assert.deepEqual(
+    filterCalendarEvents(events, travel).map((event) => event.title),
+    ['Flight out', 'Layover home', 'Hotel', 'Pickup']
+  );
+
+  const withoutNoise = parseCalendarEventTypeFilter({ exclude: 'team,event_note_reminder' });
+  assert.equal(filterCalendarEvents(events, withoutNoise).length, 6);
+});
+
+test('equivalent filters share one cache variant and URL', () => {
+  const byGroup = parseCalendarEventTypeFilter({ include: 'gigs' });
+  const byExclusion = parseCalendarEventTypeFilter({
+    exclude: 'travel,rehearsals,team,reminders',
+  });
+  assert.match(calendarEventTypeFilterVariant(byGroup), /^types-[0-9a-f]{12}$/u);
+  assert.equal(calendarEventTypeFilterVariant(byGroup), calendarEventTypeFilterVariant(byExclusion));
+  assert.notEqual(
+    calendarEventTypeFilterVariant(byGroup),
+    calendarEventTypeFilterVariant(parseCalendarEventTypeFilter({ include: 'travel' }))
+  );
+  assert.equal(
+    calendarEventTypeFilterQuery(parseCalendarEventTypeFilter({ include: ['travel', 'gigs'], exclude: 'hotels' })),
+    'include=gigs,travel&exclude=hotels'
+  );
+});
+
+test('filters reject unknown types and filters that match nothing', () => {
+  assert.throws(
+    () => parseCalendarEventTypeFilter({ include: 'concerts' }),
+    (error) => error.code === 'CALENDAR_EVENT_FILTER_INVALID'
+  );
+  assert.throws(
+    () => parseCalendarEventTypeFilter({ include: 'gigs', exclude: 'main_event' }),
+    (error) => error.code === 'CALENDAR_EVENT_FILTER_EMPTY'
+  );
+});
@@ -62,12 +62,17 @@ function normalizedEventHubBaseUrl(value) {
   }
 }
 
-export function calendarEventHubUrl(event = {}, options = {}) {
-  const selector = eventSelectorFromOccurrenceKey(event.occurrence_key || event.occurrenceKey)
+// The event hub's ID for a main event: its Notion page UUID, or ''.
+export function calendarEventSelector(event = {}) {
+  return eventSelectorFromOccurrenceKey(event.occurrence_key || event.occurrenceKey)
     || eventSelectorFromComparisonIdentity(
       event._comparison_identity || event.comparisonIdentity
     )
     || eventSelectorFromNotionUrl(event.notion_url);
+}
+
+export function calendarEventHubUrl(event = {}, options = {}) {
+  const selector = calendarEventSelector(event);
   if (!selector) return '';
   const baseUrl = normalizedEventHubBaseUrl(options.baseUrl);
   return `${baseUrl}/events/${encodeURIComponent(selector)}`;
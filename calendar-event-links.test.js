@@ -7,6 +7,7 @@ import {
   calendarDescriptionWithoutTimelineLink,
   calendarEventDetailsUpdatedLabel,
   calendarEventHubUrl,
+  calendarEventSelector,
   calendarEventWithEventHubLink,
   calendarMainEventTitle,
   calendarRehearsalTitle,
@@ -72,6 +73,11 @@ test('Postgres occurrence identity becomes an Event Hub deep link', () => {
     }),
     'https://music.downbeat.agency/events/02e26e6b-efb4-419c-9486-6cd8265c40ea'
   );
+  assert.equal(
+    calendarEventSelector({ occurrenceKey: 'event:02E26E6B-EFB4-419C-9486-6CD8265C40EA' }),
+    '02e26e6b-efb4-419c-9486-6cd8265c40ea'
+  );
+  assert.equal(calendarEventSelector({ occurrence_key: 'hotel:booking-id' }), '');
 });
 
 test('Postgres occurrence identity becomes the canonical App link', () => {
@@ -0,0 +1,111 @@
+import {
+  CALENDAR_SUBSCRIBER_KEY_PREFIX,
+  createCalendarSubscriberRecords,
+  createCalendarSubscriberToken,
+  isCalendarSubscriberToken,
+} from './calendar-subscriber-store.js';
+
+const FEED_TOKEN_SCHEMA_VERSION = 1;
+const MAX_FEED_TOKENS_PER_PERSON = 20;
+const MAX_FEED_TOKEN_LABEL_LENGTH = 100;
+
+const records = createCalendarSubscriberRecords({
+  label: 'feed token',
+  codePrefix: 'CALENDAR_FEED_TOKEN',
+  schemaVersion: FEED_TOKEN_SCHEMA_VERSION,
+});
+const { cleanPersonId, requireStore } = records;
+
+async function readPersonTokenIndex(client, personId) {
+  const raw = await client.get(calendarFeedTokenPersonKey(personId));
+  if (!raw) return [];
+  try {
+    const tokens = JSON.parse(raw);
+    if (!Array.isArray(tokens)) throw new Error('feed token index must be an array');
+    return tokens.filter(isCalendarFeedToken);
+  } catch {
+    throw records.error('Calendar feed token index is invalid.', 'STORE_INVALID');
+  }
+}
+
+async function writePersonTokenIndex(client, personId, tokens) {
+  if (tokens.length === 0) {
+    await client.del(calendarFeedTokenPersonKey(personId));
+    return;
+  }
+  await client.set(calendarFeedTokenPersonKey(personId), JSON.stringify(tokens));
+}
+
+export function calendarFeedTokenKey(token) {
+  return `${CALENDAR_SUBSCRIBER_KEY_PREFIX}feed-token:v${FEED_TOKEN_SCHEMA_VERSION}:token:${token}`;
+}
+
+export function calendarFeedTokenPersonKey(personId) {
+  return `${CALENDAR_SUBSCRIBER_KEY_PREFIX}feed-token:v${FEED_TOKEN_SCHEMA_VERSION}:person:${cleanPersonId(personId)}`;
+}
+
+export const isCalendarFeedToken = isCalendarSubscriberToken;
+export const createCalendarFeedToken = createCalendarSubscriberToken;
+
+/**
+ * Issues a feed token for a person. With `rotate: true` every earlier token
+ * for the person is revoked, which ends the subscriptions that used them.
+ */
+export async function issueCalendarFeedToken(client, personId, options = {}) {
+  requireStore(client, 'get', 'set', 'del');
+  const label = String(options.label ?? '').trim();
+  if (label.length > MAX_FEED_TOKEN_LABEL_LENGTH) {
+    throw records.error(`Feed token labels must be at most ${MAX_FEED_TOKEN_LABEL_LENGTH} characters.`, 'INVALID');
+  }
+  const existing = await readPersonTokenIndex(client, personId);
+  if (options.rotate) {
+    await Promise.all(existing.map((token) => client.del(calendarFeedTokenKey(token))));
+  } else if (existing.length >= MAX_FEED_TOKENS_PER_PERSON) {
+    throw records.error(`A person can hold at most ${MAX_FEED_TOKENS_PER_PERSON} feed tokens; revoke or rotate first.`, 'LIMIT');
+  }
+  const record = {
+    schemaVersion: FEED_TOKEN_SCHEMA_VERSION,
+    token: options.token || createCalendarFeedToken(),
+    personId: cleanPersonId(personId),
+    label: label || null,
+    createdAt: options.createdAt || new Date().toISOString(),
+  };
+  if (!isCalendarFeedToken(record.token)) {
+    throw records.error('Calendar feed token is malformed.', 'INVALID');
+  }
+  // Deliberately no expiration: tokens stay valid until they are revoked or rotated.
+  await client.set(calendarFeedTokenKey(record.token), JSON.stringify(record));
+  await writePersonTokenIndex(client, personId, [...(options.rotate ? [] : existing), record.token]);
+  return record;
+}
+
+export async function loadCalendarFeedToken(client, token) {
+  requireStore(client, 'get');
+  if (!isCalendarFeedToken(token)) return null;
+  return records.parseRecord(await client.get(calendarFeedTokenKey(token)));
+}
+
+// Oldest first; tokens whose record has disappeared are skipped.
+export async function listCalendarFeedTokens(client, personId) {
+  requireStore(client, 'get');
+  const tokens = await readPersonTokenIndex(client, personId);
+  const records = await Promise.all(tokens.map((token) => loadCalendarFeedToken(client, token)));
+  return records.filter(Boolean);
+}
+
+export async function revokeCalendarFeedToken(client, personId, token) {
+  requireStore(client, 'get', 'set', 'del');
+  const tokens = await readPersonTokenIndex(client, personId);
+  if (!isCalendarFeedToken(token) || !tokens.includes(token)) return false;
+  await client.del(calendarFeedTokenKey(token));
+  await writePersonTokenIndex(client, personId, tokens.filter((candidate) => candidate !== token));
+  return true;
+}
+
+export async function revokeAllCalendarFeedTokens(client, personId) {
+  requireStore(client, 'get', 'set', 'del');
+  const tokens = await readPersonTokenIndex(client, personId);
+  await Promise.all(tokens.map((token) => client.del(calendarFeedTokenKey(token))));
+  await writePersonTokenIndex(client, personId, []);
+  return tokens.length;
+}
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calendarFeedTokenKey,
+  calendarFeedTokenPersonKey,
+  createCalendarFeedToken,
+  isCalendarFeedToken,
+  issueCalendarFeedToken,
+  listCalendarFeedTokens,
+  loadCalendarFeedToken,
+  revokeAllCalendarFeedTokens,
+  revokeCalendarFeedToken,
+} from './calendar-feed-token.js';
+import { memoryRedis } from './test-support/memory-redis.js';
+
+test('feed tokens are random, URL-safe, and stored outside the cache namespace', () => {
+  const token = createCalendarFeedToken();
+  assert.equal(isCalendarFeedToken(token), true);
+  assert.notEqual(token, createCalendarFeedToken());
+  assert.equal(isCalendarFeedToken('29aaf64b-cf86-4d3c-b117-3a58cf6c76f2'), false);
+  assert.doesNotMatch(calendarFeedTokenKey(token), /^calendar:/u);
+  assert.doesNotMatch(calendarFeedTokenPersonKey('person'), /^calendar:/u);
+});
+
+test('tokens map to a person and can be listed and revoked individually', async () => {
+  const redis = memoryRedis();
+  const phone = await issueCalendarFeedToken(redis, 'PERSON-ID', { label: 'Phone' });
+  const laptop = await issueCalendarFeedToken(redis, 'person-id', {
+    label: 'Laptop',
+    createdAt: '2026-08-03T04:00:00.000Z',
+  });
+  assert.equal((await loadCalendarFeedToken(redis, phone.token)).personId, 'person-id');
+  assert.deepEqual(
+    (await listCalendarFeedTokens(redis, 'person-id')).map((record) => record.label),
+    ['Phone', 'Laptop']
+  );
+
+  assert.equal(await revokeCalendarFeedToken(redis, 'other-person', laptop.token), false);
+  assert.equal(await revokeCalendarFeedToken(redis, 'person-id', phone.token), true);
+  assert.equal(await loadCalendarFeedToken(redis, phone.token), null);
+  assert.deepEqual(
+    (await listCalendarFeedTokens(redis, 'person-id')).map((record) => record.token),
+    [laptop.token]
+  );
+});
+
+test('rotating revokes every earlier token for the person', async () => {
+  const redis = memoryRedis();
+  const first = await issueCalendarFeedToken(redis, 'person-id');
+  const second = await issueCalendarFeedToken(redis, 'person-id');
+  const rotated = await issueCalendarFeedToken(redis, 'person-id', { rotate: true });
+  assert.equal(await loadCalendarFeedToken(redis, first.token), null);
+  assert.equal(await loadCalendarFeedToken(redis, second.token), null);
+  assert.deepEqual(
+    (await listCalendarFeedTokens(redis, 'person-id')).map((record) => record.token),
+    [rotated.token]
+  );
+  assert.equal(await revokeAllCalendarFeedTokens(redis, 'person-id'), 1);
+  assert.deepEqual(await listCalendarFeedTokens(redis, 'person-id'), []);
+  assert.equal(redis.values.size, 0);
+});
+
+test('feed token reads reject malformed tokens and payloads', async () => {
+  const redis = memoryRedis();
+  assert.equal(await loadCalendarFeedToken(redis, '../person'), null);
+  const token = createCalendarFeedToken();
+  redis.values.set(calendarFeedTokenKey(token), '{broken');
+  await assert.rejects(
+    loadCalendarFeedToken(redis, token),
+    (error) => error.code === 'CALENDAR_FEED_TOKEN_STORE_INVALID'
+  );
+  await assert.rejects(
+    issueCalendarFeedToken(redis, 'person-id', { label: 'x'.repeat(101) }),
+    (error) => error.code === 'CALENDAR_FEED_TOKEN_INVALID'
+  );
+});
@@ -0,0 +1,135 @@
+// Declarative field-privacy policies for calendar artifacts. A policy lists
+// what to strip from an already-rendered event, so the personal, Admin,
+// Travel, and Blockout renderers can share one redaction step instead of each
+// growing a "safe" copy of its description builder.
+
+// Pay, confirmation numbers, phone numbers, and personnel lists are removed;
+// times, titles, venues, and the remaining notes are kept.
+export const FAMILY_SHARE_FIELD_PRIVACY = Object.freeze({
+  name: 'family',
+  version: 2,
+  // Event properties removed from the published event.
+  omitFields: Object.freeze(['confirmation', 'phone', 'bookedUnder', 'drivers']),
+  // Headings whose block is removed up to the next known label. Personnel
+  // lists can contain blank lines, so a blank line does not end the block.
+  omitSections: Object.freeze([
+    'Event Personnel',
+    'Personnel',
+    'Band Personnel',
+    'Names on Reservation',
+    'Passengers',
+    'Drivers',
+  ]),
+  // Single description lines removed when they start with one of these labels.
+  omitLines: Object.freeze([
+    'Position',
+    'Assignments',
+    'Total Pay',
+    '(Pay includes add-ons)',
+    'Rehearsal Pay',
+    'Confirmation',
+    'Confirmation Number',
+    'Booked Under',
+    'Phone',
+    'Names on Reservation',
+  ]),
+  // Labels the renderers write after an omitted block. Any of these, or an
+  // omitted section or line label, ends the block.
+  sectionEnds: Object.freeze([
+    'Call Time',
+    'Calltime',
+    'Gear Checklist',
+    'Event Link',
+    'Set List Link',
+    'General Info',
+    'Pick Up Info',
+    'Drop Off Info',
+    'Transport Info',
+    'Notion Link',
+    'Travel Details',
+    'Flight Details',
+    'Hotel Details',
+    'Ground Details',
+  ]),
+  // Free-text lines, e.g. in General Info, that mention pay or an amount.
+  omitLinesMatching: Object.freeze([
+    /\b(?:pay|payroll|paid|payment|salary|wages?|compensation|per diem|fee|invoice)\b/iu,
+    /[$€£]\s?\d/u,
+  ]),
+  redactPhoneNumbers: true,
+});
+
+export const CALENDAR_FIELD_PRIVACY_POLICIES = Object.freeze({
+  [FAMILY_SHARE_FIELD_PRIVACY.name]: FAMILY_SHARE_FIELD_PRIVACY,
+});
+
+const PHONE_NUMBER_PATTERN = /(?:\+?1[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/gu;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/gu, '\\$&');
+}
+
+// Labels are written after decorative emoji such as "👥 Event Personnel:".
+function lineLabelText(line) {
+  return line.trim().replace(/^[^\p{L}\p{N}(]+/u, '');
+}
+
+function labelMatcher(labels, { headingOnly }) {
+  if (!labels?.length) return () => false;
+  const alternatives = labels.map(escapeRegExp).join('|');
+  const pattern = headingOnly
+    ? new RegExp(`^(?:${alternatives})\\s*:\\s*$`, 'iu')
+    : new RegExp(`^(?:${alternatives})(?:\\s*[:-]|$)`, 'iu');
+  return (line) => pattern.test(lineLabelText(line));
+}
+
+export function calendarFieldPrivacyVariant(policy) {
+  return policy ? `privacy-${policy.name}-v${policy.version}` : '';
+}
+
+export function redactCalendarDescription(description, policy) {
+  if (!policy || typeof description !== 'string' || !description) return description;
+  const isSectionHeading = labelMatcher(policy.omitSections, { headingOnly: true });
+  const isOmittedLine = labelMatcher(policy.omitLines, { headingOnly: false });
+  const isSectionEnd = labelMatcher(
+    [...(policy.sectionEnds || []), ...(policy.omitSections || []), ...(policy.omitLines || [])],
+    { headingOnly: false }
+  );
+  const isPayLike = (line) => (policy.omitLinesMatching || []).some((pattern) => pattern.test(line));
+  const kept = [];
+  let inOmittedSection = false;
+  for (const line of description.split('\n')) {
+    if (inOmittedSection) {
+      if (!isSectionEnd(line)) continue;
+      inOmittedSection = false;
+    }
+    if (isSectionHeading(line)) {
+      inOmittedSection = true;
+      continue;
+    }
+    if (isOmittedLine(line) || isPayLike(line)) continue;
+    kept.push(policy.redactPhoneNumbers
+      ? line.replace(PHONE_NUMBER_PATTERN, '').replace(/[ \t]+$/u, '')
+      : line);
+  }
+  return kept
+    .join('\n')
+    .replace(/^(?:\s*-{3,}\s*\n)+/u, '')
+    .replace(/\n{3,}/gu, '\n\n')
+    .trim();
+}
+
+export function redactCalendarEvent(event, policy) {
+  if (!policy || !event) return event;
+  const redacted = { ...event };
+  for (const field of policy.omitFields || []) delete redacted[field];
+  if (typeof redacted.description === 'string') {
+    redacted.description = redactCalendarDescription(redacted.description, policy);
+  }
+  return redacted;
+}
+
+export function redactCalendarEvents(events, policy) {
+  if (!policy) return events;
+  return events.map((event) => redactCalendarEvent(event, policy));
+}
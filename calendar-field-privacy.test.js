@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FAMILY_SHARE_FIELD_PRIVACY,
+  calendarFieldPrivacyVariant,
+  redactCalendarDescription,
+  redactCalendarEvent,
+  redactCalendarEvents,
+} from './calendar-field-privacy.js';
+
+const policy = FAMILY_SHARE_FIELD_PRIVACY;
+
+test('family policy strips payroll and personnel from a personal main event', () => {
+  const description = [
+    'Position: Keys',
+    'Assignments: MD',
+    'Total Pay: $450',
+    '(Pay includes add-ons)',
+    '',
+    '➡️ Call Time: 5:00 PM',
+    '',
+    '👥 Event Personnel:',
+    'Alex - Drums - 5:00 PM',
+    'Sam - Bass (555) 123-4567',
+    '',
+    'Event Link: https://app.example/events/1',
+    '',
+    'Venue contact: Jo 555-987-6543',
+    'Doors at 7:30 PM on 2026-08-06',
+  ].join('\n');
+  assert.equal(
+    redactCalendarDescription(description, policy),
+    '➡️ Call Time: 5:00 PM\n\nEvent Link: https://app.example/events/1\n\nVenue contact: Jo\nDoors at 7:30 PM on 2026-08-06'
+  );
+});
+
+test('a personnel block with blank lines is removed through the next known label', () => {
+  const description = [
+    '👥 Event Personnel:',
+    'BAND',
+    'Alex - Drums - 5:00 PM',
+    '',
+    'CREW',
+    'Jo - Sound - 3:00 PM',
+    '',
+    'Event Link: https://app.example/events/1',
+    '',
+    'Load in through the side door',
+  ].join('\n');
+  assert.equal(
+    redactCalendarDescription(description, policy),
+    'Event Link: https://app.example/events/1\n\nLoad in through the side door'
+  );
+  assert.equal(redactCalendarDescription('Drivers:\n- Alex\n\n- Sam\n\nPick Up Info:\n• Door 4', policy), 'Pick Up Info:\n• Door 4');
+  assert.equal(redactCalendarDescription('Passengers:\n- Alex\n\nTransport Info:\n• Lobby', policy), 'Transport Info:\n• Lobby');
+});
+
+test('family policy strips pay-like lines from free-text notes', () => {
+  const description = [
+    'Event Link: https://app.example/events/1',
+    '',
+    'Payroll note: $200',
+    'Bring black attire',
+    'Cash tips split after, roughly €40 each',
+    'Parking is paid by the venue',
+    'Doors at 7:30 PM',
+  ].join('\n');
+  assert.equal(
+    redactCalendarDescription(description, policy),
+    'Event Link: https://app.example/events/1\n\nBring black attire\nDoors at 7:30 PM'
+  );
+});
+
+test('family policy strips rehearsal pay, confirmations, and reservation names', () => {
+  assert.equal(
+    redactCalendarDescription('Sectional\n\nRehearsal Pay - $75\n\nBand Personnel:\nAlex\nSam', policy),
+    'Sectional'
+  );
+  const hotel = redactCalendarEvent({
+    type: 'hotel',
+    title: '🏨 Hotel',
+    location: '1 Main St',
+    confirmation: 'ABC123',
+    phone: '555-111-2222',
+    bookedUnder: 'Alex',
+    description: 'Hotel Stay\nConfirmation: ABC123\nPhone: 555-111-2222\n\nNames on Reservation:\nAlex\nSam\nBooked Under: Alex',
+  }, policy);
+  assert.equal(hotel.description, 'Hotel Stay');
+  for (const field of ['confirmation', 'phone', 'bookedUnder']) assert.equal(Object.hasOwn(hotel, field), false);
+  assert.equal(Object.hasOwn(redactCalendarEvent({ type: 'ground_transport_pickup', drivers: [{ name: 'Jo' }] }, policy), 'drivers'), false);
+  assert.equal(hotel.location, '1 Main St');
+  assert.equal(hotel.title, '🏨 Hotel');
+});
+
+test('the same policy redacts Admin renderer descriptions', () => {
+  const description = 'Position: Keys\nTotal Pay: $450\n(Pay includes add-ons)\n\n---\n\n🕐 Calltime: 5:00 PM\n\n👥 Personnel:\n  • Alex\n\nEvent Link: https://app.example/event/1';
+  assert.equal(
+    redactCalendarDescription(description, policy),
+    '🕐 Calltime: 5:00 PM\n\nEvent Link: https://app.example/event/1'
+  );
+});
+
+test('without a policy events pass through unchanged', () => {
+  const events = [{ description: 'Total Pay: $1' }];
+  assert.equal(redactCalendarEvents(events, null), events);
+  assert.equal(calendarFieldPrivacyVariant(null), '');
+  assert.equal(calendarFieldPrivacyVariant(policy), 'privacy-family-v2');
+});
@@ -0,0 +1,56 @@
+import { createHash } from 'node:crypto';
+
+// Reminders sit on the calendar but never take anyone's time.
+const NON_BLOCKING_EVENT_TYPES = new Set(['event_note_reminder']);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function time(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.getTime();
+}
+
+function busySpan(event) {
+  const start = time(event?.start);
+  if (start === null) return null;
+  let end = Math.max(time(event.end) ?? start, start);
+  // All-day events may carry their only day as both start and end.
+  if (event.allDay === true && end === start) end = start + DAY_MS;
+  return { start, end, lastModified: time(event.lastModified) };
+}
+
+/**
+ * Merged busy time for one person: every live occurrence in the personal feed
+ * plus their blockout ranges, with overlapping or touching spans joined. The
+ * result carries no titles, places or types. `lastModified` is the newest
+ * revision among the events in a span, or null when only blockouts made it.
+ */
+export function calendarBusyIntervals(events = [], blockoutRanges = []) {
+  const spans = [
+    ...events
+      .filter((event) => event && event.status !== 'cancelled' && !NON_BLOCKING_EVENT_TYPES.has(event.type))
+      .map(busySpan),
+    ...blockoutRanges.map((range) => busySpan({ start: range.start, end: range.end })),
+  ].filter(Boolean).sort((left, right) => left.start - right.start || left.end - right.end);
+
+  const merged = [];
+  for (const span of spans) {
+    const last = merged[merged.length - 1];
+    if (last && span.start <= last.end) {
+      last.end = Math.max(last.end, span.end);
+      if (span.lastModified !== null) last.lastModified = Math.max(last.lastModified ?? span.lastModified, span.lastModified);
+    } else {
+      merged.push({ ...span });
+    }
+  }
+  return merged.map((span) => ({
+    start: new Date(span.start).toISOString(),
+    end: new Date(span.end).toISOString(),
+    lastModified: span.lastModified === null ? null : new Date(span.lastModified).toISOString(),
+  }));
+}
+
+/** Stable UID for one busy span; a span that grows or moves gets a new one. */
+export function calendarBusyIntervalUid(interval) {
+  const digest = createHash('sha256').update(`${interval.start}/${interval.end}`).digest('hex').slice(0, 24);
+  return `busy-${digest}`;
+}
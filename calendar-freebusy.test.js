@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calendarBusyIntervals, calendarBusyIntervalUid } from './calendar-freebusy.js';
+
+test('busy time merges overlapping and touching bookings and drops every detail', () => {
+  const intervals = calendarBusyIntervals([
+    { type: 'flight_departure', title: '✈️ LAX to SEA', start: '2026-11-07T08:00:00.000Z', end: '2026-11-07T10:00:00.000Z' },
+    { type: 'main_event', title: '🎸 Wedding', location: 'The Ruby', start: '2026-11-07T17:00:00.000Z', end: '2026-11-07T23:00:00.000Z', lastModified: '2026-10-01T00:00:00.000Z' },
+    { type: 'ground_transport_dropoff', start: '2026-11-07T23:00:00.000Z', end: '2026-11-07T23:30:00.000Z', lastModified: '2026-10-03T00:00:00.000Z' },
+    { type: 'rehearsal', start: '2026-11-07T16:00:00.000Z', end: '2026-11-07T18:00:00.000Z' },
+    { type: 'event_note_reminder', start: '2026-11-05T09:00:00.000Z', end: '2026-11-05T09:15:00.000Z' },
+    { type: 'main_event', start: '2026-11-06T17:00:00.000Z', end: '2026-11-06T23:00:00.000Z', status: 'cancelled' },
+    { type: 'team_calendar', allDay: true, start: '2026-11-12T00:00:00.000Z', end: '2026-11-12T00:00:00.000Z' },
+    { type: 'main_event', start: 'not a date' },
+  ]);
+  assert.deepEqual(intervals, [
+    { start: '2026-11-07T08:00:00.000Z', end: '2026-11-07T10:00:00.000Z', lastModified: null },
+    { start: '2026-11-07T16:00:00.000Z', end: '2026-11-07T23:30:00.000Z', lastModified: '2026-10-03T00:00:00.000Z' },
+    { start: '2026-11-12T00:00:00.000Z', end: '2026-11-13T00:00:00.000Z', lastModified: null },
+  ]);
+});
+
+test('blockouts add whole days of busy time and UIDs follow the span', () => {
+  const intervals = calendarBusyIntervals(
+    [{ type: 'main_event', start: '2026-11-08T20:00:00.000Z', end: '2026-11-09T02:00:00.000Z' }],
+    [{ start: '2026-11-07T00:00:00.000Z', end: '2026-11-09T00:00:00.000Z' }]
+  );
+  assert.deepEqual(intervals.map(({ start, end }) => [start, end]), [
+    ['2026-11-07T00:00:00.000Z', '2026-11-09T02:00:00.000Z'],
+  ]);
+  assert.match(calendarBusyIntervalUid(intervals[0]), /^busy-[0-9a-f]{24}$/u);
+  assert.equal(calendarBusyIntervalUid(intervals[0]), calendarBusyIntervalUid({ ...intervals[0] }));
+  assert.notEqual(calendarBusyIntervalUid(intervals[0]), calendarBusyIntervalUid({ ...intervals[0], end: '2026-11-09T03:00:00.000Z' }));
+});
@@ -20,14 +20,212 @@ const GOOGLE_VTIMEZONE_BLOCK = [
   'END:VTIMEZONE',
 ].join('\r\n');
 
+// floating: wall-clock times with no zone (default).
+// legacy-la: Google artifacts pinned to America/Los_Angeles (rollback only).
+// zoned: each event carries the TZID of its venue or airport plus VTIMEZONE.
+export const CALENDAR_TIME_MODES = Object.freeze(['floating', 'legacy-la', 'zoned']);
+
+// Renderers attach these to VEVENTs in zoned mode; the serializer turns them
+// into TZID parameters and removes them.
+const EVENT_TIME_ZONE_PROPERTY = 'X-DOWNBEAT-TZID';
+const EVENT_END_TIME_ZONE_PROPERTY = 'X-DOWNBEAT-END-TZID';
+const TIME_ZONE_NAME_PATTERN = /^(?:UTC|[A-Za-z_]+(?:\/[A-Za-z0-9_+-]+)+)$/u;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export function parseCalendarTimeMode(value) {
+  const mode = String(value ?? '').trim().toLowerCase();
+  return CALENDAR_TIME_MODES.includes(mode) ? mode : null;
+}
+
 export function configuredCalendarTimeMode(env = process.env) {
-  const value = String(env.CALENDAR_TIME_MODE || 'floating').trim().toLowerCase();
-  if (!['floating', 'legacy-la'].includes(value)) {
-    throw new Error('CALENDAR_TIME_MODE must be floating or legacy-la.');
+  const value = parseCalendarTimeMode(env.CALENDAR_TIME_MODE || 'floating');
+  if (!value) {
+    throw new Error('CALENDAR_TIME_MODE must be zoned, floating or legacy-la.');
   }
   return value;
 }
 
+export function isCalendarTimeZone(value) {
+  if (typeof value !== 'string' || !TIME_ZONE_NAME_PATTERN.test(value)) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ical-generator `x` properties for an event's start and (if different) end zone.
+export function calendarEventTimeZoneProperties(event = {}) {
+  const properties = [];
+  if (isCalendarTimeZone(event.timeZone)) {
+    properties.push({ key: EVENT_TIME_ZONE_PROPERTY, value: event.timeZone });
+  }
+  if (isCalendarTimeZone(event.endTimeZone)) {
+    properties.push({ key: EVENT_END_TIME_ZONE_PROPERTY, value: event.endTimeZone });
+  }
+  return properties;
+}
+
+const zoneFormatters = new Map();
+
+function zoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      timeZoneName: 'short',
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+function zoneOffsetAt(timeZone, epochMs) {
+  const parts = Object.fromEntries(
+    zoneFormatter(timeZone).formatToParts(new Date(epochMs)).map((part) => [part.type, part.value])
+  );
+  const wallClock = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return {
+    minutes: Math.round((wallClock - Math.floor(epochMs / 1000) * 1000) / MINUTE_MS),
+    name: parts.timeZoneName || '',
+  };
+}
+
+function formatUtcOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+function formatWallClock(epochMs) {
+  return new Date(epochMs).toISOString().replace(/[-:]/gu, '').slice(0, 15);
+}
+
+function zoneTransitions(timeZone, fromYear, toYear) {
+  const transitions = [];
+  const end = Date.UTC(toYear + 1, 0, 1);
+  let cursor = Date.UTC(fromYear, 0, 1);
+  let offset = zoneOffsetAt(timeZone, cursor).minutes;
+  while (cursor < end) {
+    const next = Math.min(cursor + DAY_MS, end);
+    const nextOffset = zoneOffsetAt(timeZone, next).minutes;
+    if (nextOffset !== offset) {
+      let low = cursor;
+      let high = next;
+      while (high - low > MINUTE_MS) {
+        const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (zoneOffsetAt(timeZone, middle).minutes === offset) low = middle;
+        else high = middle;
+      }
+      transitions.push({ at: high, from: offset, to: nextOffset });
+      offset = nextOffset;
+    }
+    cursor = next;
+  }
+  return transitions;
+}
+
+/**
+ * Builds a VTIMEZONE with one observance per real transition between the
+ * start of fromYear and the end of toYear, derived from the runtime's tz data.
+ */
+export function buildCalendarVTimeZone(timeZone, fromYear, toYear = fromYear) {
+  const start = Date.UTC(fromYear, 0, 1);
+  const initial = zoneOffsetAt(timeZone, start);
+  const transitions = zoneTransitions(timeZone, fromYear, toYear);
+  const standardOffset = Math.min(initial.minutes, ...transitions.map((transition) => transition.to));
+  const observance = ({ at, from, to }) => {
+    const kind = to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    const name = zoneOffsetAt(timeZone, at).name;
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${formatWallClock(at + from * MINUTE_MS)}`,
+      `TZOFFSETFROM:${formatUtcOffset(from)}`,
+      `TZOFFSETTO:${formatUtcOffset(to)}`,
+      ...(name ? [`TZNAME:${name}`] : []),
+      `END:${kind}`,
+    ];
+  };
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    `X-LIC-LOCATION:${timeZone}`,
+    ...observance({ at: start, from: initial.minutes, to: initial.minutes }),
+    ...transitions.flatMap(observance),
+    'END:VTIMEZONE',
+  ].join('\r\n');
+}
+
+function applyEventTimeZones(icsData, { defaultTimeZone = null } = {}) {
+  const fallbackZone = isCalendarTimeZone(defaultTimeZone) ? defaultTimeZone : null;
+  const zoneYears = new Map();
+  const noteYear = (timeZone, value) => {
+    const year = Number(value.slice(0, 4));
+    const range = zoneYears.get(timeZone) || { from: year, to: year };
+    zoneYears.set(timeZone, { from: Math.min(range.from, year), to: Math.max(range.to, year) });
+  };
+  const output = [];
+  let eventLines = null;
+  for (const line of icsData.split(/\r?\n/u)) {
+    if (line === 'BEGIN:VEVENT') {
+      eventLines = [line];
+      continue;
+    }
+    if (!eventLines) {
+      output.push(line);
+      continue;
+    }
+    eventLines.push(line);
+    if (line !== 'END:VEVENT') continue;
+
+    const markerValue = (key) => eventLines
+      .find((candidate) => candidate.startsWith(`${key}:`))
+      ?.slice(key.length + 1);
+    const startZone = markerValue(EVENT_TIME_ZONE_PROPERTY) || fallbackZone;
+    const endZone = markerValue(EVENT_END_TIME_ZONE_PROPERTY) || startZone;
+    for (const eventLine of eventLines) {
+      if (
+        eventLine.startsWith(`${EVENT_TIME_ZONE_PROPERTY}:`)
+        || eventLine.startsWith(`${EVENT_END_TIME_ZONE_PROPERTY}:`)
+      ) {
+        continue;
+      }
+      const floating = eventLine.match(/^(DTSTART|DTEND):(\d{8}T\d{6})$/u);
+      const zone = floating && (floating[1] === 'DTSTART' ? startZone : endZone);
+      if (zone) {
+        noteYear(zone, floating[2]);
+        output.push(`${floating[1]};TZID=${zone}:${floating[2]}`);
+      } else {
+        output.push(eventLine);
+      }
+    }
+    eventLines = null;
+  }
+
+  if (zoneYears.size === 0) return output.join('\r\n');
+  const timeZoneBlocks = [...zoneYears.keys()].sort().map((timeZone) => {
+    const { from, to } = zoneYears.get(timeZone);
+    return buildCalendarVTimeZone(timeZone, from, to);
+  });
+  const firstComponent = output.findIndex((line) => line === 'BEGIN:VEVENT' || line === 'END:VCALENDAR');
+  output.splice(firstComponent, 0, ...timeZoneBlocks);
+  return output.join('\r\n');
+}
+
 function addLegacyLosAngelesMetadata(icsData) {
   if (typeof icsData !== 'string' || icsData.includes('X-WR-TIMEZONE:')) return icsData;
   return icsData.replace(
@@ -40,6 +238,7 @@ export function serializeCalendarWithTimePolicy(calendar, options = {}) {
   if (!calendar) return '';
   const mode = options.mode || configuredCalendarTimeMode(options.env);
   const icsData = calendar.toString();
+  if (mode === 'zoned') return applyEventTimeZones(icsData, options);
   return mode === 'floating' ? icsData : addLegacyLosAngelesMetadata(icsData);
 }
 
@@ -47,6 +246,8 @@ export function serializeGoogleCalendarWithTimePolicy(calendar, options = {}) {
   if (!calendar) return '';
   const mode = options.mode || configuredCalendarTimeMode(options.env);
   if (mode === 'floating') return calendar.toString();
+  // Google honours per-event TZID, so zoned output is identical for both clients.
+  if (mode === 'zoned') return applyEventTimeZones(calendar.toString(), options);
 
   let icsData = addLegacyLosAngelesMetadata(calendar.toString())
     .replace(/\r?\nDTSTART:(\d{8}T\d{6})/gu, `\r\nDTSTART;TZID=${GOOGLE_CALENDAR_TIMEZONE}:$1`)
@@ -3,7 +3,11 @@ import test from 'node:test';
 import ical from 'ical-generator';
 
 import {
+  buildCalendarVTimeZone,
+  calendarEventTimeZoneProperties,
   configuredCalendarTimeMode,
+  isCalendarTimeZone,
+  parseCalendarTimeMode,
   serializeCalendarWithTimePolicy,
   serializeGoogleCalendarWithTimePolicy,
 } from './calendar-ics-policy.js';
@@ -23,6 +27,8 @@ function floatingCalendar() {
 test('floating is the default time policy with a reversible legacy option', () => {
   assert.equal(configuredCalendarTimeMode({}), 'floating');
   assert.equal(configuredCalendarTimeMode({ CALENDAR_TIME_MODE: 'legacy-la' }), 'legacy-la');
+  assert.equal(configuredCalendarTimeMode({ CALENDAR_TIME_MODE: 'Zoned' }), 'zoned');
+  assert.equal(parseCalendarTimeMode('utc'), null);
   assert.throws(
     () => configuredCalendarTimeMode({ CALENDAR_TIME_MODE: 'utc' }),
     /floating or legacy-la/u
@@ -62,3 +68,57 @@ test('true all-day blockouts serialize as date values with an exclusive end', ()
   assert.match(result, /DTEND;VALUE=DATE:20260807/u);
   assert.doesNotMatch(result, /DTSTART:20260805T000000/u);
 });
+
+function zonedCalendar() {
+  const calendar = ical({ name: 'Zoned test' });
+  calendar.createEvent({
+    id: 'flight-test',
+    start: new Date(Date.UTC(2026, 7, 5, 15, 0, 0)),
+    end: new Date(Date.UTC(2026, 7, 6, 10, 30, 0)),
+    summary: 'LAX to FCO',
+    floating: true,
+    x: calendarEventTimeZoneProperties({
+      timeZone: 'America/Los_Angeles',
+      endTimeZone: 'Europe/Rome',
+    }),
+  });
+  calendar.createEvent({
+    id: 'unknown-zone-test',
+    start: new Date(Date.UTC(2026, 7, 7, 9, 0, 0)),
+    end: new Date(Date.UTC(2026, 7, 7, 10, 0, 0)),
+    summary: 'No venue zone',
+    floating: true,
+    x: calendarEventTimeZoneProperties({ timeZone: 'Not/AZone' }),
+  });
+  return calendar;
+}
+
+test('zoned mode pins each event to its own start and end zones', () => {
+  const apple = serializeCalendarWithTimePolicy(zonedCalendar(), { mode: 'zoned' });
+  const google = serializeGoogleCalendarWithTimePolicy(zonedCalendar(), { mode: 'zoned' });
+  assert.equal(apple, google);
+  assert.match(apple, /DTSTART;TZID=America\/Los_Angeles:20260805T150000/u);
+  assert.match(apple, /DTEND;TZID=Europe\/Rome:20260806T103000/u);
+  assert.match(apple, /DTSTART:20260807T090000/u);
+  assert.doesNotMatch(apple, /X-DOWNBEAT-/u);
+  assert.match(apple, /BEGIN:VTIMEZONE\r\nTZID:America\/Los_Angeles[\s\S]*BEGIN:VTIMEZONE\r\nTZID:Europe\/Rome/u);
+  assert.ok(apple.indexOf('END:VTIMEZONE') < apple.indexOf('BEGIN:VEVENT'));
+});
+
+test('zoned mode falls back to a default zone for events without one', () => {
+  const result = serializeCalendarWithTimePolicy(zonedCalendar(), {
+    mode: 'zoned',
+    defaultTimeZone: 'America/New_York',
+  });
+  assert.match(result, /DTSTART;TZID=America\/New_York:20260807T090000/u);
+  assert.match(result, /TZID:America\/New_York/u);
+});
+
+test('generated VTIMEZONE observances follow real daylight-saving transitions', () => {
+  const rome = buildCalendarVTimeZone('Europe/Rome', 2026);
+  assert.match(rome, /BEGIN:DAYLIGHT\r\nDTSTART:20260329T020000\r\nTZOFFSETFROM:\+0100\r\nTZOFFSETTO:\+0200/u);
+  assert.match(rome, /BEGIN:STANDARD\r\nDTSTART:20261025T030000\r\nTZOFFSETFROM:\+0200\r\nTZOFFSETTO:\+0100/u);
+  assert.doesNotMatch(buildCalendarVTimeZone('Asia/Tokyo', 2026), /BEGIN:DAYLIGHT/u);
+  assert.equal(isCalendarTimeZone('Europe/Rome'), true);
+  assert.equal(isCalendarTimeZone('../etc/passwd'), false);
+});
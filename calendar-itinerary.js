@@ -0,0 +1,296 @@
+import { calendarEventSelector } from './calendar-event-links.js';
+
+const FLIGHT_TYPES = new Set([
+  'flight_departure',
+  'flight_departure_layover',
+  'flight_return_layover',
+  'flight_return',
+]);
+const EVENT_HUB_PATH_PATTERN = /\/events\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/iu;
+// Feed times are wall-clock values stored as UTC, so they print in UTC.
+const TIME_FORMAT = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'UTC',
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+});
+const CLOCK_FORMAT = new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', hour: 'numeric', minute: '2-digit' });
+
+function clean(value, limit = 2_000) {
+  return String(value ?? '').trim().slice(0, limit);
+}
+
+function escapeHtml(value) {
+  return clean(value, 10_000)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+function time(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function isoTime(value) {
+  return time(value)?.toISOString() || null;
+}
+
+function byStart(left, right) {
+  return (time(left.start)?.getTime() ?? Infinity) - (time(right.start)?.getTime() ?? Infinity);
+}
+
+function isGroundTransport(type) {
+  return clean(type, 100).startsWith('ground_transport');
+}
+
+function field(value, limit = 500) {
+  const text = clean(value, limit);
+  return text === 'N/A' ? '' : text;
+}
+
+function drivers(event) {
+  return (Array.isArray(event.drivers) ? event.drivers : [])
+    .map((driver) => ({ name: clean(driver?.name, 200), phone: clean(driver?.phone, 50) || null }))
+    .filter((driver) => driver.name);
+}
+
+function titleWithoutEmoji(title) {
+  return clean(title, 500).replace(/^[\p{Extended_Pictographic}\u{FE0F}\u{200D}\s]+/u, '');
+}
+
+function slug(value) {
+  return clean(value, 200).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/gu, '-').replace(/^-|-$/gu, '') || 'event';
+}
+
+/**
+ * Stable ID for one main event's itinerary. Prefers the event hub ID so links
+ * match the hub; events without one fall back to their name and date.
+ */
+export function calendarItineraryEventId(event = {}) {
+  const selector = calendarEventSelector(event)
+    || clean(event.url, 500).split(/[?#]/u)[0].match(EVENT_HUB_PATH_PATTERN)?.[1]?.toLowerCase();
+  if (selector) return selector;
+  const day = isoTime(event.start)?.slice(0, 10);
+  return [slug(event.mainEvent || titleWithoutEmoji(event.title)), day].filter(Boolean).join('-');
+}
+
+function itineraryTimes(event) {
+  return {
+    start: isoTime(event.start),
+    end: isoTime(event.end),
+    timeZone: event.timeZone || null,
+    endTimeZone: event.endTimeZone || null,
+  };
+}
+
+function itineraryFlight(event) {
+  return {
+    type: event.type,
+    title: titleWithoutEmoji(event.title),
+    ...itineraryTimes(event),
+    airline: field(event.airline, 200),
+    flightNumber: field(event.flightNumber, 50),
+    confirmation: field(event.confirmation, 100),
+    route: field(event.route, 100),
+    location: clean(event.location, 500),
+    url: clean(event.url, 2_000),
+  };
+}
+
+function itineraryHotel(event) {
+  return {
+    name: titleWithoutEmoji(event.title),
+    ...itineraryTimes(event),
+    address: clean(event.location, 500),
+    confirmation: field(event.confirmation, 100),
+    phone: field(event.phone, 50),
+    bookedUnder: field(event.bookedUnder, 200),
+    url: clean(event.url, 2_000),
+  };
+}
+
+function itineraryGroundTransport(event) {
+  return {
+    type: event.type,
+    title: titleWithoutEmoji(event.title),
+    ...itineraryTimes(event),
+    location: clean(event.location, 500),
+    drivers: drivers(event),
+    confirmation: field(event.confirmation, 100),
+    url: clean(event.url, 2_000),
+  };
+}
+
+function emptyItinerary(eventId, mainEvent, event = null) {
+  return {
+    eventId,
+    mainEvent,
+    event: event && {
+      title: titleWithoutEmoji(event.title),
+      ...itineraryTimes(event),
+      location: clean(event.location, 500),
+      url: clean(event.url, 2_000),
+    },
+    flights: [],
+    hotels: [],
+    groundTransport: [],
+  };
+}
+
+/**
+ * One itinerary per main event, built from a person's published feed events.
+ * Booking details come from the structured fields the feed publishes next to
+ * each description (`airline`, `route`, `phone`, `drivers`, ...), never from
+ * the rendered description text.
+ * Flights, hotels and ground transport join the main event named by their
+ * `mainEvent`; when several main events share that name, each booking joins
+ * the one nearest in time. Cancelled tombstones are left out.
+ */
+export function buildCalendarItineraries(events = []) {
+  const live = events.filter((event) => event && event.status !== 'cancelled');
+  const itineraries = new Map();
+  const mainsByName = new Map();
+  for (const event of live.filter((candidate) => candidate.type === 'main_event').sort(byStart)) {
+    const mainEvent = clean(event.mainEvent, 500) || titleWithoutEmoji(event.title);
+    let eventId = calendarItineraryEventId(event);
+    for (let suffix = 2; itineraries.has(eventId); suffix += 1) eventId = `${calendarItineraryEventId(event)}-${suffix}`;
+    const itinerary = emptyItinerary(eventId, mainEvent, event);
+    itineraries.set(eventId, itinerary);
+    mainsByName.set(mainEvent, [...(mainsByName.get(mainEvent) || []), { start: time(event.start), itinerary }]);
+  }
+
+  const itineraryFor = (event) => {
+    const mainEvent = clean(event.mainEvent, 500);
+    const candidates = mainsByName.get(mainEvent) || [];
+    if (candidates.length > 0) {
+      const start = time(event.start)?.getTime() ?? 0;
+      const distance = (candidate) => Math.abs((candidate.start?.getTime() ?? 0) - start);
+      return candidates.reduce((nearest, candidate) => (distance(candidate) < distance(nearest) ? candidate : nearest)).itinerary;
+    }
+    const eventId = slug(mainEvent);
+    if (!itineraries.has(eventId)) itineraries.set(eventId, emptyItinerary(eventId, mainEvent));
+    return itineraries.get(eventId);
+  };
+
+  for (const event of live.filter((candidate) => clean(candidate.mainEvent, 500)).sort(byStart)) {
+    if (FLIGHT_TYPES.has(event.type)) itineraryFor(event).flights.push(itineraryFlight(event));
+    else if (event.type === 'hotel') itineraryFor(event).hotels.push(itineraryHotel(event));
+    else if (isGroundTransport(event.type)) itineraryFor(event).groundTransport.push(itineraryGroundTransport(event));
+  }
+
+  const firstStart = (itinerary) => itinerary.event?.start
+    || [...itinerary.flights, ...itinerary.hotels, ...itinerary.groundTransport].map((item) => item.start).sort()[0];
+  return [...itineraries.values()].sort((left, right) => byStart({ start: firstStart(left) }, { start: firstStart(right) }));
+}
+
+export function findCalendarItinerary(events, eventId) {
+  const wanted = clean(eventId, 200).toLowerCase();
+  return buildCalendarItineraries(events).find((itinerary) => itinerary.eventId === wanted) || null;
+}
+
+function formatTime(value) {
+  const date = time(value);
+  return date ? TIME_FORMAT.format(date) : '';
+}
+
+function formatRange(item) {
+  const start = time(item.start);
+  const end = time(item.end);
+  if (!start) return '';
+  if (!end || end.getTime() === start.getTime()) return formatTime(start);
+  const sameDay = end.toISOString().slice(0, 10) === start.toISOString().slice(0, 10);
+  return `${formatTime(start)} – ${sameDay ? CLOCK_FORMAT.format(end) : formatTime(end)}`;
+}
+
+function phoneLink(phone) {
+  const dial = clean(phone, 50).replace(/[^\d+]/gu, '');
+  return dial ? `<a href="tel:${escapeHtml(dial)}">${escapeHtml(phone)}</a>` : escapeHtml(phone);
+}
+
+function detail(label, value) {
+  return value ? `<div><span class="label">${escapeHtml(label)}</span> ${escapeHtml(value)}</div>` : '';
+}
+
+// Live status is attached to itinerary flights by the server near departure.
+function liveStatusDetails(liveStatus) {
+  if (!liveStatus) return [];
+  const delay = Number(liveStatus.delay) > 0 ? ` (${liveStatus.delay} min late)` : '';
+  return [
+    detail('Status', `${clean(liveStatus.status, 100)}${delay}`),
+    detail('Terminal', liveStatus.departureTerminal),
+    detail('Gate', liveStatus.departureGate),
+    detail('Baggage claim', liveStatus.baggageClaim),
+  ];
+}
+
+function section(title, items, renderItem) {
+  if (items.length === 0) return '';
+  return `<section><h2>${escapeHtml(title)}</h2>${items.map((item) => `<div class="item">${renderItem(item)}</div>`).join('')}</section>`;
+}
+
+/** Printable page for one itinerary. Every value is escaped. */
+export function renderCalendarItineraryHtml(itinerary, options = {}) {
+  const personName = clean(options.personName, 200);
+  const heading = itinerary.event?.title || itinerary.mainEvent;
+  const flights = section('Flights', itinerary.flights, (flight) => [
+    `<h3>${escapeHtml(flight.title)}</h3>`,
+    `<div class="when">${escapeHtml(formatRange(flight))}</div>`,
+    detail('Route', flight.route),
+    detail('Airline', flight.airline),
+    detail('Flight', flight.flightNumber),
+    detail('Confirmation', flight.confirmation),
+    ...liveStatusDetails(flight.liveStatus),
+  ].join(''));
+  const hotels = section('Hotels', itinerary.hotels, (hotel) => [
+    `<h3>${escapeHtml(hotel.name)}</h3>`,
+    `<div class="when">${escapeHtml(formatRange(hotel))}</div>`,
+    detail('Address', hotel.address),
+    detail('Confirmation', hotel.confirmation),
+    hotel.phone ? `<div><span class="label">Phone</span> ${phoneLink(hotel.phone)}</div>` : '',
+    detail('Booked under', hotel.bookedUnder),
+  ].join(''));
+  const transport = section('Ground transport', itinerary.groundTransport, (ride) => [
+    `<h3>${escapeHtml(ride.title)}</h3>`,
+    `<div class="when">${escapeHtml(formatRange(ride))}</div>`,
+    detail('Location', ride.location),
+    ...ride.drivers.map((driver) => `<div><span class="label">Driver</span> ${escapeHtml(driver.name)}${driver.phone ? ` ${phoneLink(driver.phone)}` : ''}</div>`),
+    detail('Confirmation', ride.confirmation),
+  ].join(''));
+  const empty = flights || hotels || transport ? '' : '<p>No travel is booked for this event yet.</p>';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>Itinerary: ${escapeHtml(heading)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; color: #111; max-width: 760px; margin: 2rem auto; padding: 0 1rem; }
+header { border-bottom: 2px solid #111; margin-bottom: 1rem; }
+h1 { margin: 0 0 .25rem; font-size: 1.6rem; }
+h2 { font-size: 1.1rem; text-transform: uppercase; letter-spacing: .05em; margin-top: 1.5rem; }
+h3 { margin: 0 0 .25rem; font-size: 1rem; }
+.item { border: 1px solid #ddd; border-radius: 6px; padding: .75rem; margin-bottom: .5rem; break-inside: avoid; }
+.when { font-weight: 600; margin-bottom: .25rem; }
+.label { color: #555; }
+a { color: inherit; }
+@media print { body { margin: 0; max-width: none; } .item { border-color: #999; } }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(heading)}</h1>
+${personName ? `<div>${escapeHtml(personName)}</div>` : ''}
+${itinerary.event ? `<div class="when">${escapeHtml(formatRange(itinerary.event))}</div>` : ''}
+${itinerary.event?.location ? `<div>${escapeHtml(itinerary.event.location)}</div>` : ''}
+</header>
+${flights}${hotels}${transport}${empty}
+</body>
+</html>
+`;
+}
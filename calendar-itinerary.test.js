@@ -0,0 +1,132 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildCalendarItineraries,
+  calendarItineraryEventId,
+  findCalendarItinerary,
+  renderCalendarItineraryHtml,
+} from './calendar-itinerary.js';
+
+const hubId = '02e26e6b-efb4-419c-9486-6cd8265c40ea';
+const gig = {
+  type: 'main_event',
+  title: '🎸 Wedding @ The Ruby (Night Shift)',
+  start: '2026-11-07T17:00:00.000Z',
+  end: '2026-11-07T23:00:00.000Z',
+  location: 'The Ruby, Seattle',
+  url: `https://music.downbeat.agency/events/${hubId}`,
+  mainEvent: 'Wedding @ The Ruby',
+};
+const outbound = {
+  type: 'flight_departure',
+  title: '✈️ LAX to SEA',
+  start: '2026-11-06T15:00:00.000Z',
+  end: '2026-11-06T17:40:00.000Z',
+  description: 'Airline: Delta\n\nFlight #: DL915\n\nConfirmation Number: ABC123\n\nFlight Information: LAX → SEA',
+  airline: 'Delta',
+  flightNumber: 'DL915',
+  confirmation: 'ABC123',
+  route: 'LAX → SEA',
+  mainEvent: 'Wedding @ The Ruby',
+};
+const layover = {
+  type: 'flight_return_layover',
+  title: '✈️ Layover: SEA → SFO',
+  start: '2026-11-08T14:00:00.000Z',
+  end: '2026-11-08T16:00:00.000Z',
+  description: 'Airline: N/A\n\nFlight #: UA12\n\nConfirmation Number: XYZ789\n\nFlight Information: SEA → SFO',
+  airline: '',
+  flightNumber: 'UA12',
+  confirmation: 'XYZ789',
+  route: 'SEA → SFO',
+  mainEvent: 'Wedding @ The Ruby',
+};
+const hotel = {
+  type: 'hotel',
+  title: '🏨 Hotel Max',
+  start: '2026-11-06T22:00:00.000Z',
+  end: '2026-11-08T11:00:00.000Z',
+  location: '620 Stewart St, Seattle',
+  description: 'Hotel Stay\nConfirmation: H-555\nPhone: (206) 555-0100\n\nNames on Reservation:\n- Sam\nBooked Under: Downbeat',
+  confirmation: 'H-555',
+  phone: '(206) 555-0100',
+  bookedUnder: 'Downbeat',
+  mainEvent: 'Wedding @ The Ruby',
+};
+const pickup = {
+  type: 'ground_transport_pickup',
+  title: '🚙 Pick up from SEA',
+  start: '2026-11-06T18:00:00.000Z',
+  end: '2026-11-06T18:30:00.000Z',
+  location: 'SEA arrivals',
+  description: 'Drivers:\n- Jordan Lee (206) 555-0199\n- Casey\n\nPassengers:\n- Sam 555-0101\n\nConfirmation: RIDE-9',
+  drivers: [{ name: 'Jordan Lee', phone: '(206) 555-0199' }, { name: 'Casey', phone: '' }],
+  confirmation: 'RIDE-9',
+  mainEvent: 'Wedding @ The Ruby',
+};
+
+test('itineraries group travel under its main event in time order', () => {
+  const [itinerary, ...rest] = buildCalendarItineraries([layover, pickup, hotel, gig, outbound, { ...pickup, status: 'cancelled' }]);
+  assert.equal(rest.length, 0);
+  assert.equal(itinerary.eventId, hubId);
+  assert.equal(itinerary.event.title, 'Wedding @ The Ruby (Night Shift)');
+  assert.deepEqual(itinerary.flights.map((flight) => [flight.flightNumber, flight.confirmation, flight.route]), [
+    ['DL915', 'ABC123', 'LAX → SEA'],
+    ['UA12', 'XYZ789', 'SEA → SFO'],
+  ]);
+  assert.equal(itinerary.flights[1].airline, '');
+  assert.deepEqual(
+    [itinerary.hotels[0].name, itinerary.hotels[0].confirmation, itinerary.hotels[0].phone],
+    ['Hotel Max', 'H-555', '(206) 555-0100']
+  );
+  assert.deepEqual(itinerary.groundTransport[0].drivers, [
+    { name: 'Jordan Lee', phone: '(206) 555-0199' },
+    { name: 'Casey', phone: null },
+  ]);
+  assert.equal(itinerary.groundTransport[0].confirmation, 'RIDE-9');
+  assert.equal(findCalendarItinerary([gig, outbound], hubId.toUpperCase()).flights.length, 1);
+
+  // Description text is never read back: an event without the fields has none.
+  const [bare] = buildCalendarItineraries([gig, { ...hotel, confirmation: undefined, phone: undefined, bookedUnder: undefined }]);
+  assert.deepEqual([bare.hotels[0].confirmation, bare.hotels[0].phone, bare.hotels[0].bookedUnder], ['', '', '']);
+  assert.equal(findCalendarItinerary([gig], 'missing'), null);
+});
+
+test('repeated event names split bookings by nearest date and fall back to name IDs', () => {
+  const again = { ...gig, url: '', start: '2026-12-05T17:00:00.000Z', end: '2026-12-05T23:00:00.000Z' };
+  const decemberHotel = { ...hotel, start: '2026-12-04T22:00:00.000Z', end: '2026-12-06T11:00:00.000Z' };
+  const orphan = { ...outbound, mainEvent: 'Gala Night' };
+  const itineraries = buildCalendarItineraries([gig, again, hotel, decemberHotel, orphan]);
+  assert.deepEqual(itineraries.map((itinerary) => [itinerary.eventId, itinerary.hotels.length, itinerary.flights.length]), [
+    ['gala-night', 0, 1],
+    [hubId, 1, 0],
+    ['wedding-the-ruby-2026-12-05', 1, 0],
+  ]);
+  assert.equal(itineraries[0].event, null);
+  assert.equal(calendarItineraryEventId({ occurrenceKey: `event:${hubId}` }), hubId);
+});
+
+test('the printable page escapes every value and links phone numbers', () => {
+  const itinerary = findCalendarItinerary([
+    { ...gig, title: '🎸 <script>alert(1)</script>' },
+    pickup,
+    hotel,
+  ], hubId);
+  const html = renderCalendarItineraryHtml(itinerary, { personName: 'Sam "The Hammer"' });
+  assert.doesNotMatch(html, /<script>/u);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/u);
+  assert.match(html, /Sam &quot;The Hammer&quot;/u);
+  assert.match(html, /<a href="tel:2065550199">\(206\) 555-0199<\/a>/u);
+  assert.match(html, /Fri, Nov 6, 6:00 PM – 6:30 PM/u);
+  assert.match(renderCalendarItineraryHtml(buildCalendarItineraries([gig])[0]), /No travel is booked/u);
+});
+
+test('the printable page shows live flight status when the server attached it', () => {
+  const itinerary = findCalendarItinerary([gig, outbound], hubId);
+  assert.doesNotMatch(renderCalendarItineraryHtml(itinerary), /Gate/u);
+  const flights = [{ ...itinerary.flights[0], liveStatus: { status: 'Delayed', departureGate: 'B22', baggageClaim: '7', delay: 35 } }];
+  const html = renderCalendarItineraryHtml({ ...itinerary, flights });
+  assert.match(html, /<span class="label">Status<\/span> Delayed \(35 min late\)/u);
+  assert.match(html, /<span class="label">Gate<\/span> B22/u);
+  assert.match(html, /<span class="label">Baggage claim<\/span> 7/u);
+});
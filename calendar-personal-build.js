@@ -0,0 +1,63 @@
+const FULL_REGEN_MODE = 'full';
+const SPLIT_CACHE_PARTS = ['events', 'non_events'];
+
+/** The Notion sweep caches each person's gigs and everything else separately. */
+export function calendarSplitCacheKey(personId, part) {
+  return `calendar:${personId}:${part}`;
+}
+
+/**
+ * Runs the bookkeeping a full personal build owes once its artifacts are
+ * cached, e.g. change snapshots, the conflict ledger and the open archive
+ * year. Every full-build path calls the recorder once: on-demand and queued
+ * regenerations as well as the Notion sweep's split composition. Partial and
+ * failed builds are skipped, and a failing step does not stop the others.
+ */
+export function createPersonalCalendarBuildRecorder(steps = {}, { logger = console } = {}) {
+  return async function recordPersonalCalendarBuild(personId, build) {
+    if (!build?.success || build.regenMode !== FULL_REGEN_MODE || !build.jsonData) return;
+    for (const [name, step] of Object.entries(steps)) {
+      try {
+        await step(personId, build);
+      } catch (error) {
+        logger.warn(`[calendar-build] ${name} failed for ${personId}:`, error?.code || error?.message);
+      }
+    }
+  };
+}
+
+function parseSplitPayload(raw) {
+  return raw ? JSON.parse(raw) : { personName: 'Unknown', events: [] };
+}
+
+/**
+ * Composes full builds from a person's split caches. `store()` returns the
+ * Redis client, or null while caching is off. `render` publishes and caches
+ * the full artifacts and returns the build, which goes to `afterBuild`.
+ * The composer returns whether a full cache (or empty baseline) was written.
+ */
+export function createCalendarSplitComposer({ store, render, saveBaseline, afterBuild }) {
+  return async function composeSplitCache(personId, options = {}) {
+    const client = store();
+    if (!client) return false;
+    const [eventsRaw, nonEventsRaw] = await Promise.all(
+      SPLIT_CACHE_PARTS.map((part) => client.get(calendarSplitCacheKey(personId, part)))
+    );
+    if (!eventsRaw && !nonEventsRaw) return false;
+    const eventsPayload = parseSplitPayload(eventsRaw);
+    const nonEventsPayload = parseSplitPayload(nonEventsRaw);
+    const personName = eventsPayload.personName !== 'Unknown' ? eventsPayload.personName : nonEventsPayload.personName;
+    const events = [...(eventsPayload.events || []), ...(nonEventsPayload.events || [])]
+      .sort((a, b) => (new Date(a.start)).getTime() - (new Date(b.start)).getTime());
+    const sourcePageId = options.sourcePageId || null;
+    if (events.length === 0) {
+      if (!options.allowEmptyBaseline) return false;
+      await saveBaseline(personId, [], sourcePageId);
+      return true;
+    }
+    const build = await render(personId, personName, events, options);
+    await saveBaseline(personId, events, sourcePageId);
+    await afterBuild(personId, build);
+    return true;
+  };
+}
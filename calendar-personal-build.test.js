@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import {
+  diffCalendarEventSets,
+  loadLatestCalendarChangeSnapshot,
+  persistCalendarChangeSnapshot,
+} from './calendar-change-feed.js';
+import {
+  calendarSplitCacheKey,
+  createCalendarSplitComposer,
+  createPersonalCalendarBuildRecorder,
+} from './calendar-personal-build.js';
+import { memoryRedis } from './test-support/memory-redis.js';
+
+const PERSON = 'a1b2c3d4-0000-4000-8000-000000000001';
+
+const gig = (start) => ({ uid: 'gig-1', type: 'main_event', title: 'Wedding', start, end: '2026-11-08T06:00:00.000Z' });
+const flight = { uid: 'flight-1', type: 'flight_departure', title: 'LAX to BNA', start: '2026-11-06T16:00:00.000Z', end: '2026-11-06T20:00:00.000Z' };
+
+// What the sweep writes for one Calendar Data row: the two split caches.
+async function sweepSplitCaches(redis, events, nonEvents) {
+  await redis.set(calendarSplitCacheKey(PERSON, 'events'), JSON.stringify({ personName: 'Ana Ruiz', events }));
+  await redis.set(calendarSplitCacheKey(PERSON, 'non_events'), JSON.stringify({ personName: 'Unknown', events: nonEvents }));
+}
+
+function sweepComposer(redis, { afterBuild, baselines = [] }) {
+  return createCalendarSplitComposer({
+    store: () => redis,
+    render: async (personId, personName, events) => {
+      const jsonResponse = { personName, events };
+      const jsonData = JSON.stringify(jsonResponse);
+      return { success: true, personId, personName, regenMode: 'full', jsonData, jsonResponse };
+    },
+    saveBaseline: async (personId, events) => baselines.push({ personId, count: events.length }),
+    afterBuild,
+  });
+}
+
+test('sweep compositions run the shared post-build steps like any other full build', async () => {
+  const redis = memoryRedis();
+  const notified = [];
+  const archived = [];
+  const recordBuild = createPersonalCalendarBuildRecorder({
+    changeSnapshot: async (personId, build) => {
+      const previous = await loadLatestCalendarChangeSnapshot(redis, personId);
+      const current = await persistCalendarChangeSnapshot(redis, personId, {
+        etag: `"${createHash('sha256').update(build.jsonData).digest('base64url')}"`,
+        events: build.jsonResponse.events,
+      });
+      if (previous && previous.etag !== current.etag) {
+        notified.push(diffCalendarEventSets(previous.events, current.events));
+      }
+    },
+    archive: async (personId, build) => archived.push({ personId, personName: build.personName }),
+  });
+  const baselines = [];
+  const compose = sweepComposer(redis, { afterBuild: recordBuild, baselines });
+
+  await sweepSplitCaches(redis, [gig('2026-11-07T22:00:00.000Z')], [flight]);
+  assert.equal(await compose(PERSON, { sourcePageId: 'calendar-data-row' }), true);
+  const first = await loadLatestCalendarChangeSnapshot(redis, PERSON);
+  assert.deepEqual(first.events.map((event) => event.uid), ['flight-1', 'gig-1']);
+  assert.deepEqual(notified, []);
+
+  await sweepSplitCaches(redis, [gig('2026-11-07T23:00:00.000Z')], [flight]);
+  assert.equal(await compose(PERSON), true);
+  assert.equal(notified.length, 1);
+  assert.deepEqual(notified[0].modified.map((change) => change.event.uid), ['gig-1']);
+  assert.deepEqual(archived, [
+    { personId: PERSON, personName: 'Ana Ruiz' },
+    { personId: PERSON, personName: 'Ana Ruiz' },
+  ]);
+  assert.deepEqual(baselines, [{ personId: PERSON, count: 2 }, { personId: PERSON, count: 2 }]);
+});
+
+test('empty or missing split caches are not recorded as builds', async () => {
+  const redis = memoryRedis();
+  const recorded = [];
+  const baselines = [];
+  const compose = sweepComposer(redis, { afterBuild: async (personId) => recorded.push(personId), baselines });
+
+  assert.equal(await compose(PERSON), false);
+  await sweepSplitCaches(redis, [], []);
+  assert.equal(await compose(PERSON), false);
+  assert.equal(await compose(PERSON, { allowEmptyBaseline: true }), true);
+  assert.deepEqual(baselines, [{ personId: PERSON, count: 0 }]);
+  assert.deepEqual(recorded, []);
+  assert.equal(await sweepComposer(null, { afterBuild: async () => {} })(PERSON), false);
+});
+
+test('the recorder skips partial builds and isolates failing steps', async () => {
+  const ran = [];
+  const warnings = [];
+  const recordBuild = createPersonalCalendarBuildRecorder({
+    conflicts: async () => { throw Object.assign(new Error('ledger down'), { code: 'REDIS_ERROR' }); },
+    archive: async (personId) => ran.push(personId),
+  }, { logger: { warn: (...args) => warnings.push(args.join(' ')) } });
+
+  await recordBuild(PERSON, { success: true, regenMode: 'events_only', jsonData: '{}' });
+  await recordBuild(PERSON, { success: false, regenMode: 'full' });
+  assert.deepEqual(ran, []);
+  await recordBuild(PERSON, { success: true, regenMode: 'full', jsonData: '{}' });
+  assert.deepEqual(ran, [PERSON]);
+  assert.deepEqual(warnings, [`[calendar-build] conflicts failed for ${PERSON}: REDIS_ERROR`]);
+});
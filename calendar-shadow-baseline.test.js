@@ -5,15 +5,7 @@ import {
   loadCalendarShadowBaseline,
   persistCalendarShadowBaseline,
 } from './calendar-shadow-baseline.js';
-
-function memoryRedis() {
-  const values = new Map();
-  return {
-    values,
-    async get(key) { return values.get(key) || null; },
-    async set(key, value) { values.set(key, value); return 'OK'; },
-  };
-}
+import { memoryRedis } from './test-support/memory-redis.js';
 
 test('shadow baselines use a durable Redis write and retain the captured events', async () => {
   const redis = memoryRedis();
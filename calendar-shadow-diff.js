@@ -0,0 +1,133 @@
+export const CALENDAR_SHADOW_DIFF_KINDS = Object.freeze(['personal', 'admin', 'travel', 'blockout']);
+
+const DIFF_FIELDS = ['type', 'title', 'start', 'end', 'location', 'url', 'pay', 'description'];
+
+function clean(value, limit = 2_000) {
+  return String(value ?? '').trim().slice(0, limit);
+}
+
+function escapeHtml(value) {
+  return clean(value, 20_000)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+/**
+ * Narrows side-by-side rows to one filter: a pairing method, `unpaired`,
+ * `drift` for pairs whose fields still differ after normalization, or empty
+ * for everything. Pairs that differ only in formatting are not drift.
+ */
+export function filterCalendarShadowDiffRows(rows = [], filter = '') {
+  if (!filter) return rows;
+  if (filter === 'drift') return rows.filter((row) => row.semanticFields.length > 0);
+  return rows.filter((row) => row.method === filter);
+}
+
+/** How many rows each filter in the viewer would show. */
+export function calendarShadowDiffFilterCounts(rows = []) {
+  const counts = { '': rows.length, drift: filterCalendarShadowDiffRows(rows, 'drift').length };
+  for (const row of rows) counts[row.method] = (counts[row.method] || 0) + 1;
+  return counts;
+}
+
+function viewerHref(query, overrides) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries({ ...query, ...overrides })) {
+    if (value) params.set(key, value);
+  }
+  return `?${params.toString()}`;
+}
+
+// A field that differs exactly but not semantically is formatting drift
+// (whitespace, case, URL form); one that differs semantically is real drift.
+function fieldClass(row, field) {
+  if (row.semanticFields.includes(field)) return 'drift';
+  if (row.exactFields.includes(field)) return 'format';
+  return '';
+}
+
+function cell(values, field) {
+  if (!values) return '<td class="absent">—</td>';
+  const value = values[field];
+  if (field === 'description' && value) {
+    return `<td><details><summary>${escapeHtml(value.split('\n')[0].slice(0, 80))}</summary><pre>${escapeHtml(value)}</pre></details></td>`;
+  }
+  return `<td>${escapeHtml(value)}</td>`;
+}
+
+function renderRow(row) {
+  const side = row.notion && row.postgres ? '' : (row.notion ? 'Notion only' : 'Postgres only');
+  const fields = DIFF_FIELDS.map((field) => {
+    const className = fieldClass(row, field);
+    return `<tr${className ? ` class="${className}"` : ''}><th>${escapeHtml(field)}</th>${cell(row.notion, field)}${cell(row.postgres, field)}</tr>`;
+  }).join('');
+  return `<section class="occurrence${row.semanticFields.length ? ' drifted' : ''}">
+<h3>${escapeHtml((row.notion || row.postgres).title || '(untitled)')} <span class="method">${escapeHtml(row.method)}${side ? ` · ${side}` : ''}</span></h3>
+<table><thead><tr><th></th><th>Notion</th><th>Postgres</th></tr></thead><tbody>${fields}</tbody></table>
+</section>`;
+}
+
+/**
+ * The shadow diff viewer page. `rows` come from sideBySideCalendarEventSets;
+ * `query` is the current kind/personId/method so filter links keep it. Every
+ * value is escaped.
+ */
+export function renderCalendarShadowDiffHtml({ query = {}, rows = [], error = '', generatedAt = '' } = {}) {
+  const counts = calendarShadowDiffFilterCounts(rows);
+  const filters = [['', 'All'], ['drift', 'Drifted pairs'], ...Object.keys(counts)
+    .filter((method) => method && method !== 'drift')
+    .sort((left, right) => (left === 'unpaired') - (right === 'unpaired') || left.localeCompare(right))
+    .map((method) => [method, method])];
+  const filterLinks = filters.map(([method, label]) => {
+    const current = (query.method || '') === method;
+    return `<a href="${escapeHtml(viewerHref(query, { method }))}"${current ? ' class="current"' : ''}>${escapeHtml(label)} (${counts[method] || 0})</a>`;
+  }).join(' ');
+  const shown = filterCalendarShadowDiffRows(rows, query.method);
+  const kindOptions = CALENDAR_SHADOW_DIFF_KINDS
+    .map((kind) => `<option value="${kind}"${query.kind === kind ? ' selected' : ''}>${kind}</option>`)
+    .join('');
+  const heading = query.kind === 'personal' ? `personal ${query.personId || ''}` : (query.kind || '');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>Shadow diff${heading ? `: ${escapeHtml(heading)}` : ''}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; color: #111; margin: 1.5rem; }
+form, nav { margin-bottom: 1rem; }
+nav a { margin-right: .75rem; }
+nav a.current { font-weight: 700; }
+.occurrence { border: 1px solid #ddd; border-radius: 6px; padding: .5rem .75rem; margin-bottom: .75rem; }
+.occurrence.drifted { border-color: #c33; }
+h3 { margin: .25rem 0 .5rem; font-size: 1rem; }
+.method { color: #555; font-weight: 400; font-size: .85rem; }
+table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+th, td { text-align: left; vertical-align: top; padding: .2rem .4rem; border-top: 1px solid #eee; overflow-wrap: anywhere; }
+tbody th { width: 7rem; color: #555; font-weight: 500; }
+tr.drift td { background: #fde2e2; }
+tr.format td { background: #fff5cc; }
+td.absent { color: #999; }
+pre { white-space: pre-wrap; margin: .25rem 0 0; font-size: .85rem; }
+.error { color: #c33; }
+</style>
+</head>
+<body>
+<h1>Notion / Postgres shadow diff${heading ? `: ${escapeHtml(heading)}` : ''}</h1>
+<form method="get">
+<label>Kind <select name="kind">${kindOptions}</select></label>
+<label>Person ID <input name="personId" value="${escapeHtml(query.personId)}" size="36"></label>
+<button type="submit">Compare</button>
+</form>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+${rows.length ? `<nav>${filterLinks}</nav>
+<p>Red rows drift after normalization; yellow rows differ only in formatting.${generatedAt ? ` Generated ${escapeHtml(generatedAt)}.` : ''}</p>
+${shown.map(renderRow).join('\n') || '<p>No occurrences match this filter.</p>'}` : ''}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calendarShadowDiffFilterCounts,
+  filterCalendarShadowDiffRows,
+  renderCalendarShadowDiffHtml,
+} from './calendar-shadow-diff.js';
+
+const values = (title, extra = {}) => ({ type: 'main_event', title, start: '2026-08-01T10:00:00.000Z', end: '', location: '', url: '', pay: '', description: '', ...extra });
+const rows = [
+  { method: 'sourceIdentity', notion: values('Gala'), postgres: values('Gala'), exactFields: [], semanticFields: [] },
+  {
+    method: 'title',
+    notion: values('<b>Wedding</b>', { description: 'Load in 3pm\nTotal Pay: $500' }),
+    postgres: values('<b>wedding</b>', { location: 'Casa Del Mar' }),
+    exactFields: ['title', 'location', 'description'],
+    semanticFields: ['location', 'description'],
+  },
+  {
+    method: 'sourceIdentity',
+    notion: values('Brunch', { url: 'https://example.com/a/' }),
+    postgres: values('Brunch', { url: 'https://example.com/a' }),
+    exactFields: ['url'],
+    semanticFields: [],
+  },
+  { method: 'unpaired', notion: null, postgres: values('Hotel'), exactFields: [], semanticFields: [] },
+];
+
+test('diff rows filter by pairing method, drift, or unpaired', () => {
+  assert.deepEqual(calendarShadowDiffFilterCounts(rows), { '': 4, drift: 1, sourceIdentity: 2, title: 1, unpaired: 1 });
+  assert.equal(filterCalendarShadowDiffRows(rows, '').length, 4);
+  assert.deepEqual(filterCalendarShadowDiffRows(rows, 'drift').map((row) => row.method), ['title']);
+  assert.deepEqual(filterCalendarShadowDiffRows(rows, 'unpaired').map((row) => row.postgres.title), ['Hotel']);
+});
+
+test('the viewer escapes values, marks drift, and keeps the query in filter links', () => {
+  const html = renderCalendarShadowDiffHtml({ query: { kind: 'personal', personId: 'abc"><script>', method: 'drift' }, rows });
+  assert.doesNotMatch(html, /<script>|<b>/u);
+  assert.match(html, /&lt;b&gt;Wedding&lt;\/b&gt;/u);
+  assert.match(html, /<tr class="format"><th>title<\/th>/u);
+  assert.match(html, /<tr class="drift"><th>location<\/th><td><\/td><td>Casa Del Mar<\/td>/u);
+  assert.match(html, /<a href="\?kind=personal&amp;personId=abc%22%3E%3Cscript%3E&amp;method=unpaired">unpaired \(1\)<\/a>/u);
+  assert.match(html, /class="current">Drifted pairs \(1\)/u);
+  assert.doesNotMatch(html, /Gala|Brunch/u);
+  assert.match(renderCalendarShadowDiffHtml({ query: { kind: 'admin' }, rows }), /Postgres only/u);
+  assert.doesNotMatch(renderCalendarShadowDiffHtml({ error: 'Not in shadow mode' }), /<nav>/u);
+});
@@ -0,0 +1,79 @@
+import {
+  CALENDAR_SUBSCRIBER_KEY_PREFIX,
+  createCalendarSubscriberRecords,
+  createCalendarSubscriberToken,
+  isCalendarSubscriberToken,
+} from './calendar-subscriber-store.js';
+
+const SHARE_LINK_SCHEMA_VERSION = 1;
+
+const records = createCalendarSubscriberRecords({
+  label: 'share link',
+  codePrefix: 'CALENDAR_SHARE_LINK',
+  schemaVersion: SHARE_LINK_SCHEMA_VERSION,
+});
+const { cleanPersonId, requireStore } = records;
+
+function parseStoredShareLink(raw) {
+  return records.parseRecord(raw, (stored) => typeof stored.policy === 'string');
+}
+
+export function calendarShareLinkTokenKey(token) {
+  return `${CALENDAR_SUBSCRIBER_KEY_PREFIX}share-link:v${SHARE_LINK_SCHEMA_VERSION}:token:${token}`;
+}
+
+export function calendarShareLinkPersonKey(personId) {
+  return `${CALENDAR_SUBSCRIBER_KEY_PREFIX}share-link:v${SHARE_LINK_SCHEMA_VERSION}:person:${cleanPersonId(personId)}`;
+}
+
+export const isCalendarShareToken = isCalendarSubscriberToken;
+export const createCalendarShareToken = createCalendarSubscriberToken;
+
+/**
+ * Issues a new share link for a person. Any earlier link for the same person
+ * is revoked, so rotating a link is the same call.
+ */
+export async function issueCalendarShareLink(client, personId, options = {}) {
+  requireStore(client, 'set', 'del');
+  const policy = String(options.policy || '').trim();
+  if (!policy) {
+    throw records.error('A field-privacy policy is required for a share link.', 'POLICY_INVALID');
+  }
+  const previous = await loadCalendarShareLinkForPerson(client, personId).catch(() => null);
+  const link = {
+    schemaVersion: SHARE_LINK_SCHEMA_VERSION,
+    token: options.token || createCalendarShareToken(),
+    personId: cleanPersonId(personId),
+    policy,
+    createdAt: options.createdAt || new Date().toISOString(),
+  };
+  if (!isCalendarShareToken(link.token)) {
+    throw records.error('Calendar share token is malformed.', 'TOKEN_INVALID');
+  }
+  // Deliberately no expiration: links stay valid until they are rotated or revoked.
+  await client.set(calendarShareLinkTokenKey(link.token), JSON.stringify(link));
+  await client.set(calendarShareLinkPersonKey(personId), JSON.stringify(link));
+  if (previous && previous.token !== link.token) {
+    await client.del(calendarShareLinkTokenKey(previous.token));
+  }
+  return link;
+}
+
+export async function loadCalendarShareLink(client, token) {
+  requireStore(client, 'get');
+  if (!isCalendarShareToken(token)) return null;
+  return parseStoredShareLink(await client.get(calendarShareLinkTokenKey(token)));
+}
+
+export async function loadCalendarShareLinkForPerson(client, personId) {
+  requireStore(client, 'get');
+  return parseStoredShareLink(await client.get(calendarShareLinkPersonKey(personId)));
+}
+
+export async function revokeCalendarShareLink(client, personId) {
+  requireStore(client, 'del');
+  const current = await loadCalendarShareLinkForPerson(client, personId).catch(() => null);
+  const deleted = await client.del(calendarShareLinkPersonKey(personId));
+  if (current) await client.del(calendarShareLinkTokenKey(current.token));
+  return deleted > 0;
+}
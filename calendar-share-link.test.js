@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calendarShareLinkPersonKey,
+  calendarShareLinkTokenKey,
+  createCalendarShareToken,
+  isCalendarShareToken,
+  issueCalendarShareLink,
+  loadCalendarShareLink,
+  loadCalendarShareLinkForPerson,
+  revokeCalendarShareLink,
+} from './calendar-share-link.js';
+import { memoryRedis } from './test-support/memory-redis.js';
+
+test('share tokens are unguessable URL-safe strings', () => {
+  const token = createCalendarShareToken();
+  assert.equal(isCalendarShareToken(token), true);
+  assert.notEqual(token, createCalendarShareToken());
+  assert.equal(isCalendarShareToken('29aaf64b-cf86-4d3c-b117-3a58cf6c76f2'), false);
+  assert.doesNotMatch(calendarShareLinkTokenKey(token), /^calendar:/u);
+  assert.doesNotMatch(calendarShareLinkPersonKey('person'), /^calendar:/u);
+});
+
+test('rotating a share link revokes the previous token', async () => {
+  const redis = memoryRedis();
+  const first = await issueCalendarShareLink(redis, 'PERSON-ID', { policy: 'family' });
+  assert.equal((await loadCalendarShareLink(redis, first.token)).personId, 'person-id');
+
+  const second = await issueCalendarShareLink(redis, 'person-id', {
+    policy: 'family',
+    createdAt: '2026-08-03T04:00:00.000Z',
+  });
+  assert.equal(await loadCalendarShareLink(redis, first.token), null);
+  assert.equal((await loadCalendarShareLink(redis, second.token)).policy, 'family');
+  assert.equal((await loadCalendarShareLinkForPerson(redis, 'person-id')).createdAt, '2026-08-03T04:00:00.000Z');
+
+  assert.equal(await revokeCalendarShareLink(redis, 'person-id'), true);
+  assert.equal(await loadCalendarShareLink(redis, second.token), null);
+  assert.equal(await loadCalendarShareLinkForPerson(redis, 'person-id'), null);
+  assert.equal(await revokeCalendarShareLink(redis, 'person-id'), false);
+});
+
+test('share link reads reject malformed tokens and payloads', async () => {
+  const redis = memoryRedis();
+  assert.equal(await loadCalendarShareLink(redis, '../person'), null);
+  const token = createCalendarShareToken();
+  redis.values.set(calendarShareLinkTokenKey(token), '{broken');
+  await assert.rejects(
+    loadCalendarShareLink(redis, token),
+    (error) => error.code === 'CALENDAR_SHARE_LINK_STORE_INVALID'
+  );
+  await assert.rejects(
+    issueCalendarShareLink(redis, 'person-id', {}),
+    (error) => error.code === 'CALENDAR_SHARE_LINK_POLICY_INVALID'
+  );
+});
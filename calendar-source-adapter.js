@@ -0,0 +1,173 @@
+import { createHash } from 'node:crypto';
+import { readdir, readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+
+import {
+  claimPostgresCalendarRefreshJobs,
+  completePostgresCalendarRefreshJob,
+  failPostgresCalendarRefreshJob,
+  fetchPostgresCalendarFeed,
+} from './postgres-calendar-source.js';
+
+/** Every projection read a source adapter must answer. */
+export const CALENDAR_SOURCE_FEED_KINDS = Object.freeze(['personal', 'admin', 'travel', 'blockout', 'people', 'version']);
+
+const ADAPTER_METHODS = ['fetchFeed', 'claimRefreshJobs', 'completeRefreshJob', 'failRefreshJob'];
+const VALID_ADAPTERS = new Set(['api', 'fixtures']);
+// The payload field that carries each list feed, as the Downbeat API sends it.
+const LIST_FEED_FIELDS = { admin: 'events', travel: 'travelGroups', blockout: 'events', people: 'people' };
+const FIXTURE_PERSON_ID_PATTERN = /^[A-Za-z0-9-]{1,100}$/u;
+
+function clean(value, limit = 2_000) {
+  return String(value ?? '').trim().slice(0, limit);
+}
+
+function sourceAdapterError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  if (status) error.status = status;
+  return error;
+}
+
+/**
+ * A source adapter serves the calendar projection: `fetchFeed(kind, selector)`
+ * for each of CALENDAR_SOURCE_FEED_KINDS, returning the Downbeat API payload
+ * shape with `sourceRevision` and `sourceUpdatedAt`, plus the refresh-job
+ * queue (`claimRefreshJobs`, `completeRefreshJob`, `failRefreshJob`).
+ */
+export function assertCalendarSourceAdapter(adapter) {
+  const missing = ADAPTER_METHODS.filter((method) => typeof adapter?.[method] !== 'function');
+  if (!clean(adapter?.name) || missing.length > 0) {
+    throw sourceAdapterError(
+      `Calendar source adapter is missing ${missing.length ? missing.join(', ') : 'a name'}.`,
+      'CALENDAR_SOURCE_ADAPTER_INVALID'
+    );
+  }
+  return adapter;
+}
+
+function assertFeedKind(kind) {
+  if (!CALENDAR_SOURCE_FEED_KINDS.includes(kind)) {
+    throw sourceAdapterError(`Unsupported calendar feed kind: ${kind}`, 'CALENDAR_SOURCE_KIND_INVALID');
+  }
+}
+
+/** The Downbeat calendar feed API, backed by the Postgres projection. */
+export function createApiCalendarSourceAdapter(options = {}) {
+  return assertCalendarSourceAdapter({
+    name: 'api',
+    async fetchFeed(kind, selector = null) {
+      assertFeedKind(kind);
+      return fetchPostgresCalendarFeed(kind, selector, options);
+    },
+    claimRefreshJobs: (input) => claimPostgresCalendarRefreshJobs(input, options),
+    completeRefreshJob: (jobId, input) => completePostgresCalendarRefreshJob(jobId, input, options),
+    failRefreshJob: (jobId, input) => failPostgresCalendarRefreshJob(jobId, input, options),
+  });
+}
+
+async function readFixture(file) {
+  let raw;
+  try {
+    raw = await readFile(file, 'utf8');
+  } catch (error) {
+    if (error?.code === 'ENOENT') return null;
+    throw error;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw sourceAdapterError(`Calendar fixture ${path.basename(file)} is not valid JSON.`, 'CALENDAR_FIXTURE_INVALID');
+  }
+}
+
+/**
+ * Serves the projection from JSON files so the server runs offline:
+ *
+ *   admin.json, travel.json, blockout.json  payload or bare list
+ *   people.json                            optional; defaults to personal/*
+ *   personal/<personId>.json               `{ "calendarData": { ... } }`
+ *
+ * The source revision is a hash of every file's name, size and mtime, so
+ * editing a fixture invalidates cached artifacts like a Postgres write. There
+ * is no change queue; cache expiry and `?fresh=true` pick up edits.
+ */
+export function createFixtureCalendarSourceAdapter({ directory } = {}) {
+  const root = clean(directory);
+  if (!root) {
+    throw sourceAdapterError('CALENDAR_FIXTURE_DIR is required for the fixtures adapter.', 'CALENDAR_SOURCE_ADAPTER_INVALID');
+  }
+  const personalDirectory = path.join(root, 'personal');
+
+  async function revision() {
+    const files = (await readdir(root, { recursive: true }))
+      .filter((file) => file.endsWith('.json'))
+      .sort();
+    const hash = createHash('sha256');
+    let updatedAt = 0;
+    for (const file of files) {
+      const stats = await stat(path.join(root, file));
+      hash.update(`${file}:${stats.size}:${stats.mtimeMs}\n`);
+      updatedAt = Math.max(updatedAt, stats.mtimeMs);
+    }
+    return {
+      sourceRevision: `fixtures-${hash.digest('hex').slice(0, 24)}`,
+      sourceUpdatedAt: updatedAt ? new Date(updatedAt).toISOString() : null,
+    };
+  }
+
+  async function personIds() {
+    const files = await readdir(personalDirectory).catch((error) => {
+      if (error?.code === 'ENOENT') return [];
+      throw error;
+    });
+    return files.filter((file) => file.endsWith('.json')).map((file) => file.slice(0, -'.json'.length)).sort();
+  }
+
+  async function feedBody(kind, selector) {
+    if (kind === 'version') return {};
+    if (kind === 'personal') {
+      const personId = clean(selector, 100);
+      if (!FIXTURE_PERSON_ID_PATTERN.test(personId)) {
+        throw sourceAdapterError('Calendar fixture person ID is malformed.', 'CALENDAR_FIXTURE_NOT_FOUND', 404);
+      }
+      const candidates = [...new Set([personId, personId.toLowerCase(), personId.replace(/-/gu, '').toLowerCase()])];
+      for (const candidate of candidates) {
+        const body = await readFixture(path.join(personalDirectory, `${candidate}.json`));
+        if (body) return body;
+      }
+      throw sourceAdapterError('No calendar fixture for this person.', 'CALENDAR_FIXTURE_NOT_FOUND', 404);
+    }
+    const field = LIST_FEED_FIELDS[kind];
+    const body = await readFixture(path.join(root, `${kind}.json`));
+    if (Array.isArray(body)) return { [field]: body };
+    if (body) return body;
+    if (kind === 'people') {
+      return { people: (await personIds()).map((personId) => ({ notionPageId: personId })) };
+    }
+    return { [field]: [] };
+  }
+
+  return assertCalendarSourceAdapter({
+    name: 'fixtures',
+    async fetchFeed(kind, selector = null) {
+      assertFeedKind(kind);
+      const [body, version] = await Promise.all([feedBody(kind, selector), revision()]);
+      return { ...body, source: 'fixtures', schemaVersion: 1, ...version };
+    },
+    claimRefreshJobs: async () => [],
+    completeRefreshJob: async () => ({ success: true }),
+    failRefreshJob: async () => ({ success: true }),
+  });
+}
+
+/** Picks the adapter from CALENDAR_FEED_ADAPTER (`api` by default, or `fixtures`). */
+export function configuredCalendarSourceAdapter(env = process.env) {
+  const name = clean(env.CALENDAR_FEED_ADAPTER, 30).toLowerCase() || 'api';
+  if (!VALID_ADAPTERS.has(name)) {
+    throw new Error('CALENDAR_FEED_ADAPTER must be api or fixtures.');
+  }
+  return name === 'fixtures'
+    ? createFixtureCalendarSourceAdapter({ directory: env.CALENDAR_FIXTURE_DIR })
+    : createApiCalendarSourceAdapter({ env });
+}
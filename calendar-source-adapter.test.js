@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, utimes, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  CALENDAR_SOURCE_FEED_KINDS,
+  assertCalendarSourceAdapter,
+  configuredCalendarSourceAdapter,
+  createApiCalendarSourceAdapter,
+  createFixtureCalendarSourceAdapter,
+} from './calendar-source-adapter.js';
+
+test('adapters must implement every feed and refresh-job method', () => {
+  assert.deepEqual(CALENDAR_SOURCE_FEED_KINDS, ['personal', 'admin', 'travel', 'blockout', 'people', 'version']);
+  assert.throws(() => assertCalendarSourceAdapter({ name: 'partial', fetchFeed() {} }), {
+    code: 'CALENDAR_SOURCE_ADAPTER_INVALID',
+    message: /claimRefreshJobs, completeRefreshJob, failRefreshJob/u,
+  });
+  assert.throws(() => configuredCalendarSourceAdapter({ CALENDAR_FEED_ADAPTER: 'sqlite' }), /api or fixtures/u);
+  assert.throws(() => configuredCalendarSourceAdapter({ CALENDAR_FEED_ADAPTER: 'fixtures' }), { code: 'CALENDAR_SOURCE_ADAPTER_INVALID' });
+  assert.equal(configuredCalendarSourceAdapter({}).name, 'api');
+});
+
+test('the API adapter reads the Downbeat calendar feed API', async () => {
+  const requests = [];
+  const adapter = createApiCalendarSourceAdapter({
+    env: { CALENDAR_FEED_API_BASE_URL: 'https://downbeat.test/', CALENDAR_FEED_SERVICE_KEY: 'key' },
+    fetchFn: async (url) => {
+      requests.push(url);
+      return { ok: true, json: async () => ({ source: 'postgres', schemaVersion: 1, events: [] }) };
+    },
+  });
+  assert.deepEqual((await adapter.fetchFeed('admin')).events, []);
+  assert.deepEqual(requests, ['https://downbeat.test/api/internal/calendar-feeds/admin']);
+  await assert.rejects(adapter.fetchFeed('payroll'), { code: 'CALENDAR_SOURCE_KIND_INVALID' });
+});
+
+test('the fixtures adapter serves JSON files with a content-derived revision', async (t) => {
+  const directory = await mkdtemp(path.join(tmpdir(), 'calendar-fixtures-'));
+  t.after(() => rm(directory, { recursive: true, force: true }));
+  await mkdir(path.join(directory, 'personal'));
+  await writeFile(path.join(directory, 'admin.json'), JSON.stringify([{ event_name: 'Gala' }]));
+  await writeFile(path.join(directory, 'personal', 'abc123.json'), JSON.stringify({ calendarData: { personName: 'Ana', events: [] } }));
+  const adapter = createFixtureCalendarSourceAdapter({ directory });
+
+  const admin = await adapter.fetchFeed('admin');
+  assert.deepEqual([admin.source, admin.schemaVersion, admin.events], ['fixtures', 1, [{ event_name: 'Gala' }]]);
+  assert.match(admin.sourceRevision, /^fixtures-[0-9a-f]{24}$/u);
+  assert.deepEqual((await adapter.fetchFeed('travel')).travelGroups, []);
+  assert.deepEqual((await adapter.fetchFeed('people')).people, [{ notionPageId: 'abc123' }]);
+  assert.equal((await adapter.fetchFeed('personal', 'ABC123')).calendarData.personName, 'Ana');
+  await assert.rejects(adapter.fetchFeed('personal', 'missing'), { code: 'CALENDAR_FIXTURE_NOT_FOUND', status: 404 });
+  await assert.rejects(adapter.fetchFeed('personal', '../admin'), { code: 'CALENDAR_FIXTURE_NOT_FOUND' });
+
+  const before = (await adapter.fetchFeed('version')).sourceRevision;
+  await writeFile(path.join(directory, 'blockout.json'), '{broken');
+  await utimes(path.join(directory, 'blockout.json'), new Date('2026-10-01T00:00:00Z'), new Date('2026-10-01T00:00:00Z'));
+  assert.notEqual((await adapter.fetchFeed('version')).sourceRevision, before);
+  await assert.rejects(adapter.fetchFeed('blockout'), { code: 'CALENDAR_FIXTURE_INVALID' });
+  assert.deepEqual(await adapter.claimRefreshJobs({ workerId: 'w', limit: 5 }), []);
+});
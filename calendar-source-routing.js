@@ -0,0 +1,117 @@
+import { createHash } from 'node:crypto';
+
+const MAX_ROUTED_PERSON_IDS = 5_000;
+const COHORT_BUCKETS = 10_000;
+const PERSON_ID_PATTERN = /^[0-9a-f]{32}$/u;
+const ROUTABLE_SOURCES = new Set(['notion', 'postgres']);
+
+/** Shared feeds that can move to Postgres on their own. */
+export const CALENDAR_ROUTED_SHARED_KINDS = Object.freeze(['admin', 'travel', 'blockout']);
+
+// Band and venue feeds are built from the admin rows, so they follow admin.
+const SHARED_KIND_PARENTS = { band: 'admin', venue: 'admin' };
+
+function routingError(message) {
+  const error = new Error(message);
+  error.code = 'CALENDAR_SOURCE_ROUTING_INVALID';
+  return error;
+}
+
+function routedPersonId(personId) {
+  return String(personId ?? '').trim().toLowerCase().replace(/-/gu, '');
+}
+
+/**
+ * Where a person falls in the rollout, from 0 up to (not including) 100. The
+ * hash is salted so a new rollout can draw a different cohort, and it is
+ * stable, so raising the percentage only ever adds people.
+ */
+export function calendarSourceCohortPosition(personId, salt = '') {
+  const digest = createHash('sha256').update(`${salt}:${routedPersonId(personId)}`).digest();
+  return (digest.readUInt32BE(0) % COHORT_BUCKETS) / (COHORT_BUCKETS / 100);
+}
+
+function personalRoute(config) {
+  if (config == null) return { personIds: [], percent: 0, salt: '' };
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw routingError('CALENDAR_FEED_ROUTING.personal must be an object.');
+  }
+  const unknown = Object.keys(config).filter((key) => !['personIds', 'percent', 'salt'].includes(key));
+  if (unknown.length > 0) throw routingError(`Unknown personal routing setting: ${unknown.join(', ')}.`);
+  const rawIds = config.personIds ?? [];
+  if (!Array.isArray(rawIds) || rawIds.length > MAX_ROUTED_PERSON_IDS) {
+    throw routingError(`CALENDAR_FEED_ROUTING.personal.personIds must be a list of up to ${MAX_ROUTED_PERSON_IDS} IDs.`);
+  }
+  const personIds = [...new Set(rawIds.map(routedPersonId))].sort();
+  if (personIds.some((personId) => !PERSON_ID_PATTERN.test(personId))) {
+    throw routingError('CALENDAR_FEED_ROUTING.personal.personIds must be Notion page IDs.');
+  }
+  const percent = config.percent ?? 0;
+  if (typeof percent !== 'number' || !(percent >= 0 && percent <= 100)) {
+    throw routingError('CALENDAR_FEED_ROUTING.personal.percent must be a number from 0 to 100.');
+  }
+  const salt = String(config.salt ?? '').trim().slice(0, 100);
+  return { personIds, percent, salt };
+}
+
+/**
+ * Reads CALENDAR_FEED_ROUTING, which moves part of the traffic to Postgres
+ * while CALENDAR_FEED_SOURCE stays notion or shadow:
+ *
+ *   { "personal": { "personIds": ["<id>"], "percent": 10, "salt": "wave-1" },
+ *     "admin": "postgres", "travel": "notion" }
+ *
+ * Everyone not listed and outside the cohort, and every shared kind not set
+ * to postgres, keeps the process-wide source.
+ */
+export function parseCalendarSourceRouting(raw) {
+  let config = {};
+  if (raw && typeof raw === 'object') {
+    config = raw;
+  } else if (String(raw ?? '').trim()) {
+    try {
+      config = JSON.parse(raw);
+    } catch {
+      throw routingError('CALENDAR_FEED_ROUTING is not valid JSON.');
+    }
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw routingError('CALENDAR_FEED_ROUTING must be an object.');
+  }
+  const unknown = Object.keys(config).filter((key) => key !== 'personal' && !CALENDAR_ROUTED_SHARED_KINDS.includes(key));
+  if (unknown.length > 0) throw routingError(`Unknown calendar routing kind: ${unknown.join(', ')}.`);
+  const shared = {};
+  for (const kind of CALENDAR_ROUTED_SHARED_KINDS) {
+    const source = String(config[kind] ?? 'notion').trim().toLowerCase();
+    if (!ROUTABLE_SOURCES.has(source)) {
+      throw routingError(`CALENDAR_FEED_ROUTING.${kind} must be notion or postgres.`);
+    }
+    shared[kind] = source;
+  }
+  return { personal: personalRoute(config.personal), shared };
+}
+
+/** True when any person or shared feed is routed to Postgres. */
+export function calendarSourceRoutingUsesPostgres(routing) {
+  return routing.personal.personIds.length > 0
+    || routing.personal.percent > 0
+    || Object.values(routing.shared).includes('postgres');
+}
+
+/**
+ * The source one feed is served from: `postgres` when the process runs in
+ * Postgres mode or the routing table sends this feed there, otherwise the
+ * process-wide `mode` (notion or shadow). `kind` is `personal` (with a
+ * person ID) or a shared kind; `band:<slug>` and `venue:<slug>` follow admin.
+ */
+export function resolveCalendarFeedSource(routing, { mode, kind, personId = null }) {
+  if (mode === 'postgres') return 'postgres';
+  if (kind === 'personal') {
+    const id = routedPersonId(personId);
+    if (!id) return mode;
+    const { personIds, percent, salt } = routing.personal;
+    return personIds.includes(id) || calendarSourceCohortPosition(id, salt) < percent ? 'postgres' : mode;
+  }
+  const baseKind = String(kind ?? '').split(':')[0];
+  return routing.shared[SHARED_KIND_PARENTS[baseKind] || baseKind] === 'postgres' ? 'postgres' : mode;
+}
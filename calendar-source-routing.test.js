@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calendarSourceCohortPosition,
+  calendarSourceRoutingUsesPostgres,
+  parseCalendarSourceRouting,
+  resolveCalendarFeedSource,
+} from './calendar-source-routing.js';
+
+const LISTED = '1a2b3c4d-0000-4000-8000-00000000000a';
+
+function personId(index) {
+  return index.toString(16).padStart(32, '0');
+}
+
+test('routing parses listed people, a cohort, and independent shared kinds', () => {
+  const routing = parseCalendarSourceRouting(JSON.stringify({
+    personal: { personIds: [LISTED.toUpperCase(), LISTED], percent: 12.5, salt: 'wave-1' },
+    travel: 'Postgres',
+  }));
+  assert.deepEqual(routing, {
+    personal: { personIds: ['1a2b3c4d00004000800000000000000a'], percent: 12.5, salt: 'wave-1' },
+    shared: { admin: 'notion', travel: 'postgres', blockout: 'notion' },
+  });
+  assert.equal(calendarSourceRoutingUsesPostgres(routing), true);
+  assert.equal(calendarSourceRoutingUsesPostgres(parseCalendarSourceRouting('')), false);
+  for (const raw of [
+    '{broken',
+    '[]',
+    '{"band":"postgres"}',
+    '{"admin":"shadow"}',
+    '{"personal":{"percent":101}}',
+    '{"personal":{"percent":"10"}}',
+    '{"personal":{"personIds":["../etc"]}}',
+    '{"personal":{"cohort":5}}',
+  ]) {
+    assert.throws(() => parseCalendarSourceRouting(raw), { code: 'CALENDAR_SOURCE_ROUTING_INVALID' });
+  }
+});
+
+test('listed people and the hash cohort go to Postgres; everyone else keeps the mode', () => {
+  const routing = parseCalendarSourceRouting({ personal: { personIds: [LISTED], percent: 20, salt: 'wave-1' } });
+  const resolve = (id, mode = 'shadow') => resolveCalendarFeedSource(routing, { mode, kind: 'personal', personId: id });
+  assert.equal(resolve(LISTED), 'postgres');
+  assert.equal(resolve(LISTED.replaceAll('-', '')), 'postgres');
+  assert.equal(resolve(null), 'shadow');
+
+  const people = Array.from({ length: 2_000 }, (_, index) => personId(index + 1));
+  const routed = people.filter((id) => resolve(id) === 'postgres');
+  assert.ok(routed.length > 300 && routed.length < 500, `${routed.length} of 2000 routed`);
+  assert.ok(people.every((id) => resolve(id, 'postgres') === 'postgres'));
+
+  // Raising the percentage keeps everyone already routed.
+  const wider = parseCalendarSourceRouting({ personal: { percent: 50, salt: 'wave-1' } });
+  assert.ok(routed.every((id) => resolveCalendarFeedSource(wider, { mode: 'notion', kind: 'personal', personId: id }) === 'postgres'));
+  assert.notEqual(calendarSourceCohortPosition(LISTED, 'wave-1'), calendarSourceCohortPosition(LISTED, 'wave-2'));
+});
+
+test('band and venue feeds follow the admin route', () => {
+  const routing = parseCalendarSourceRouting({ admin: 'postgres' });
+  const resolve = (kind) => resolveCalendarFeedSource(routing, { mode: 'notion', kind });
+  assert.deepEqual(
+    ['admin', 'band:gold-standard', 'venue:ritz-carlton', 'travel', 'blockout'].map(resolve),
+    ['postgres', 'postgres', 'postgres', 'notion', 'notion']
+  );
+});
@@ -0,0 +1,69 @@
+import { randomBytes } from 'node:crypto';
+
+// Subscriber records (tokens, links, preferences, archives, operator tables)
+// are not cache: they live outside the calendar:* namespace so operator cache
+// clears never erase them or break anything already handed out.
+export const CALENDAR_SUBSCRIBER_KEY_PREFIX = 'calendar-subscriber:';
+
+const SUBSCRIBER_TOKEN_BYTES = 24;
+const SUBSCRIBER_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/u;
+
+/** A random, URL-safe token that is not derived from the person ID. */
+export function createCalendarSubscriberToken() {
+  return randomBytes(SUBSCRIBER_TOKEN_BYTES).toString('base64url');
+}
+
+export function isCalendarSubscriberToken(token) {
+  return typeof token === 'string' && SUBSCRIBER_TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Helpers shared by every subscriber record store. `label` names the record in
+ * messages and `codePrefix` starts every error code, e.g. `CALENDAR_FEED_TOKEN`
+ * gives `CALENDAR_FEED_TOKEN_STORE_INVALID`. `parseRecord` is for the
+ * token-keyed records (share links and feed tokens).
+ */
+export function createCalendarSubscriberRecords({ label, codePrefix, schemaVersion }) {
+  function error(message, codeSuffix) {
+    const failure = new Error(message);
+    failure.code = `${codePrefix}_${codeSuffix}`;
+    return failure;
+  }
+
+  return {
+    error,
+
+    cleanPersonId(personId) {
+      const cleaned = String(personId || '').trim().toLowerCase();
+      const article = /^[aeiou]/iu.test(label) ? 'an' : 'a';
+      if (!cleaned) throw error(`A person ID is required for ${article} ${label}.`, 'PERSON_INVALID');
+      return cleaned;
+    },
+
+    requireStore(client, ...methods) {
+      if (!methods.every((method) => typeof client?.[method] === 'function')) {
+        throw error(`Calendar ${label} store is unavailable.`, 'STORE_UNAVAILABLE');
+      }
+    },
+
+    // A stored record of the current schema with a well-formed token and a
+    // person ID, that also passes `isValid`; null when nothing is stored.
+    parseRecord(raw, isValid = () => true) {
+      if (!raw) return null;
+      try {
+        const stored = JSON.parse(raw);
+        if (
+          Number(stored?.schemaVersion) !== schemaVersion
+          || !isCalendarSubscriberToken(stored.token)
+          || typeof stored.personId !== 'string'
+          || !isValid(stored)
+        ) {
+          throw new Error(`unsupported ${label} payload`);
+        }
+        return stored;
+      } catch {
+        throw error(`Calendar ${label} is invalid.`, 'STORE_INVALID');
+      }
+    },
+  };
+}
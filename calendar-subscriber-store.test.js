@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createCalendarSubscriberRecords,
+  createCalendarSubscriberToken,
+  isCalendarSubscriberToken,
+} from './calendar-subscriber-store.js';
+
+const records = createCalendarSubscriberRecords({ label: 'test record', codePrefix: 'CALENDAR_TEST', schemaVersion: 2 });
+
+test('subscriber tokens are random, URL-safe and checked by shape', () => {
+  const token = createCalendarSubscriberToken();
+  assert.ok(isCalendarSubscriberToken(token));
+  assert.notEqual(createCalendarSubscriberToken(), token);
+  assert.equal(isCalendarSubscriberToken('../../etc/passwd'), false);
+  assert.equal(isCalendarSubscriberToken(null), false);
+});
+
+test('records share person, store and payload checks under the caller error codes', () => {
+  assert.equal(records.cleanPersonId(' ABC-1 '), 'abc-1');
+  assert.throws(() => records.cleanPersonId(''), { code: 'CALENDAR_TEST_PERSON_INVALID', message: 'A person ID is required for a test record.' });
+  assert.throws(() => records.requireStore({ get() {} }, 'get', 'set'), { code: 'CALENDAR_TEST_STORE_UNAVAILABLE' });
+  assert.throws(
+    () => createCalendarSubscriberRecords({ label: 'alarm profile', codePrefix: 'CALENDAR_ALARM_PROFILE' }).cleanPersonId(' '),
+    { code: 'CALENDAR_ALARM_PROFILE_PERSON_INVALID', message: 'A person ID is required for an alarm profile.' }
+  );
+  assert.doesNotThrow(() => records.requireStore({ get() {}, set() {} }, 'get', 'set'));
+
+  const token = createCalendarSubscriberToken();
+  const stored = JSON.stringify({ schemaVersion: 2, token, personId: 'abc-1', policy: 'family' });
+  assert.equal(records.parseRecord(null), null);
+  assert.equal(records.parseRecord(stored).token, token);
+  assert.equal(records.parseRecord(stored, (record) => record.policy === 'family').policy, 'family');
+  for (const raw of [
+    '{broken',
+    JSON.stringify({ schemaVersion: 1, token, personId: 'abc-1' }),
+    JSON.stringify({ schemaVersion: 2, token: 'short', personId: 'abc-1' }),
+  ]) {
+    assert.throws(() => records.parseRecord(raw), { code: 'CALENDAR_TEST_STORE_INVALID' });
+  }
+  assert.throws(() => records.parseRecord(stored, () => false), { code: 'CALENDAR_TEST_STORE_INVALID' });
+  assert.equal(records.error('Nope.', 'LIMIT').code, 'CALENDAR_TEST_LIMIT');
+});
@@ -0,0 +1,70 @@
+import { isCalendarTimeZone, parseCalendarTimeMode } from './calendar-ics-policy.js';
+import { CALENDAR_SUBSCRIBER_KEY_PREFIX, createCalendarSubscriberRecords } from './calendar-subscriber-store.js';
+
+const TIME_PREFERENCE_SCHEMA_VERSION = 1;
+
+const records = createCalendarSubscriberRecords({
+  label: 'time preference',
+  codePrefix: 'CALENDAR_TIME_PREFERENCE',
+  schemaVersion: TIME_PREFERENCE_SCHEMA_VERSION,
+});
+const { cleanPersonId, requireStore } = records;
+
+export function calendarTimePreferenceKey(personId) {
+  return `${CALENDAR_SUBSCRIBER_KEY_PREFIX}time-preference:v${TIME_PREFERENCE_SCHEMA_VERSION}:${cleanPersonId(personId)}`;
+}
+
+/**
+ * Validates a subscriber's time policy. `defaultTimeZone` only matters in
+ * zoned mode, where it pins events whose venue or airport has no zone.
+ */
+export function normalizeCalendarTimePreference(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw records.error('Time preference must be an object.', 'INVALID');
+  }
+  const mode = parseCalendarTimeMode(input.mode);
+  if (!mode) {
+    throw records.error('Time preference mode must be zoned, floating or legacy-la.', 'INVALID');
+  }
+  const defaultTimeZone = input.defaultTimeZone ?? null;
+  if (defaultTimeZone !== null && !isCalendarTimeZone(defaultTimeZone)) {
+    throw records.error('Time preference defaultTimeZone must be an IANA time zone.', 'INVALID');
+  }
+  return {
+    schemaVersion: TIME_PREFERENCE_SCHEMA_VERSION,
+    mode,
+    defaultTimeZone,
+  };
+}
+
+export async function persistCalendarTimePreference(client, personId, input, options = {}) {
+  requireStore(client, 'set');
+  const preference = {
+    ...normalizeCalendarTimePreference(input),
+    updatedAt: options.updatedAt || new Date().toISOString(),
+  };
+  // No TTL: an expired preference would silently switch the feed back to the
+  // server's time mode, and nothing but the subscriber can set it again.
+  await client.set(calendarTimePreferenceKey(personId), JSON.stringify(preference));
+  return preference;
+}
+
+export async function loadCalendarTimePreference(client, personId) {
+  requireStore(client, 'get');
+  const raw = await client.get(calendarTimePreferenceKey(personId));
+  if (!raw) return null;
+  try {
+    const stored = JSON.parse(raw);
+    if (Number(stored?.schemaVersion) !== TIME_PREFERENCE_SCHEMA_VERSION) {
+      throw new Error('unsupported time preference payload');
+    }
+    return { ...normalizeCalendarTimePreference(stored), updatedAt: stored.updatedAt || null };
+  } catch {
+    throw records.error('Calendar time preference is invalid.', 'STORE_INVALID');
+  }
+}
+
+export async function deleteCalendarTimePreference(client, personId) {
+  requireStore(client, 'del');
+  return (await client.del(calendarTimePreferenceKey(personId))) > 0;
+}
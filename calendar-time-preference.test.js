@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calendarTimePreferenceKey,
+  deleteCalendarTimePreference,
+  loadCalendarTimePreference,
+  normalizeCalendarTimePreference,
+  persistCalendarTimePreference,
+} from './calendar-time-preference.js';
+import { memoryRedis } from './test-support/memory-redis.js';
+
+test('time preferences validate the mode and default zone', () => {
+  assert.deepEqual(normalizeCalendarTimePreference({ mode: 'ZONED', defaultTimeZone: 'Europe/Rome' }), {
+    schemaVersion: 1,
+    mode: 'zoned',
+    defaultTimeZone: 'Europe/Rome',
+  });
+  assert.equal(normalizeCalendarTimePreference({ mode: 'floating' }).defaultTimeZone, null);
+  assert.throws(
+    () => normalizeCalendarTimePreference({ mode: 'utc' }),
+    (error) => error.code === 'CALENDAR_TIME_PREFERENCE_INVALID'
+  );
+  assert.throws(
+    () => normalizeCalendarTimePreference({ mode: 'zoned', defaultTimeZone: 'Mars/Olympus' }),
+    (error) => error.code === 'CALENDAR_TIME_PREFERENCE_INVALID'
+  );
+  assert.doesNotMatch(calendarTimePreferenceKey('person'), /^calendar:/u);
+});
+
+test('time preferences round-trip through the subscriber store', async () => {
+  const redis = memoryRedis();
+  await persistCalendarTimePreference(redis, 'PERSON-ID', { mode: 'zoned' }, {
+    updatedAt: '2026-08-03T04:00:00.000Z',
+  });
+  assert.deepEqual(await loadCalendarTimePreference(redis, 'person-id'), {
+    schemaVersion: 1,
+    mode: 'zoned',
+    defaultTimeZone: null,
+    updatedAt: '2026-08-03T04:00:00.000Z',
+  });
+  assert.equal(await deleteCalendarTimePreference(redis, 'person-id'), true);
+  assert.equal(await loadCalendarTimePreference(redis, 'person-id'), null);
+
+  redis.values.set(calendarTimePreferenceKey('person-id'), '{"schemaVersion":1,"mode":"utc"}');
+  await assert.rejects(
+    loadCalendarTimePreference(redis, 'person-id'),
+    (error) => error.code === 'CALENDAR_TIME_PREFERENCE_STORE_INVALID'
+  );
+});
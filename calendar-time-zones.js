@@ -0,0 +1,71 @@
+// Neither the Notion formulas nor the Postgres projection carry IANA zones, so
+// zoned feeds derive them from what they do carry: airport codes and the
+// state or province in an address. Anything unrecognized stays floating.
+
+// A multi-zone state maps to the zone most of its venues are in; the ZIP
+// prefixes below correct the larger exceptions.
+const STATE_TIME_ZONES = {
+  AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+  CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DE: 'America/New_York',
+  DC: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+  ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago',
+  KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', ME: 'America/New_York',
+  MD: 'America/New_York', MA: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+  MS: 'America/Chicago', MO: 'America/Chicago', MT: 'America/Denver', NE: 'America/Chicago',
+  NV: 'America/Los_Angeles', NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver',
+  NY: 'America/New_York', NC: 'America/New_York', ND: 'America/Chicago', OH: 'America/New_York',
+  OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+  SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago',
+  UT: 'America/Denver', VT: 'America/New_York', VA: 'America/New_York', WA: 'America/Los_Angeles',
+  WV: 'America/New_York', WI: 'America/Chicago', WY: 'America/Denver', PR: 'America/Puerto_Rico',
+  AB: 'America/Edmonton', BC: 'America/Vancouver', MB: 'America/Winnipeg', NB: 'America/Moncton',
+  NL: 'America/St_Johns', NS: 'America/Halifax', ON: 'America/Toronto', PE: 'America/Halifax',
+  QC: 'America/Toronto', SK: 'America/Regina', YT: 'America/Whitehorse',
+};
+
+const ZIP_PREFIX_TIME_ZONES = {
+  TX: { 798: 'America/Denver', 799: 'America/Denver' },
+  FL: { 324: 'America/Chicago', 325: 'America/Chicago' },
+  TN: {
+    373: 'America/New_York',
+    374: 'America/New_York',
+    376: 'America/New_York',
+    377: 'America/New_York',
+    378: 'America/New_York',
+    379: 'America/New_York',
+  },
+};
+
+const AIRPORT_TIME_ZONES = {
+  ATL: 'America/New_York', AUS: 'America/Chicago', BNA: 'America/Chicago', BOS: 'America/New_York',
+  BUR: 'America/Los_Angeles', BWI: 'America/New_York', CLT: 'America/New_York', CUN: 'America/Cancun',
+  DAL: 'America/Chicago', DCA: 'America/New_York', DEN: 'America/Denver', DFW: 'America/Chicago',
+  DTW: 'America/Detroit', EWR: 'America/New_York', FLL: 'America/New_York', HNL: 'Pacific/Honolulu',
+  HOU: 'America/Chicago', IAD: 'America/New_York', IAH: 'America/Chicago', JFK: 'America/New_York',
+  LAS: 'America/Los_Angeles', LAX: 'America/Los_Angeles', LGA: 'America/New_York', LGB: 'America/Los_Angeles',
+  MCO: 'America/New_York', MDW: 'America/Chicago', MIA: 'America/New_York', MSP: 'America/Chicago',
+  MSY: 'America/Chicago', OAK: 'America/Los_Angeles', OGG: 'Pacific/Honolulu', ONT: 'America/Los_Angeles',
+  ORD: 'America/Chicago', PDX: 'America/Los_Angeles', PHL: 'America/New_York', PHX: 'America/Phoenix',
+  PSP: 'America/Los_Angeles', PVR: 'America/Mexico_City', RDU: 'America/New_York', SAN: 'America/Los_Angeles',
+  SAT: 'America/Chicago', SBA: 'America/Los_Angeles', SEA: 'America/Los_Angeles', SFO: 'America/Los_Angeles',
+  SJC: 'America/Los_Angeles', SJD: 'America/Mazatlan', SLC: 'America/Denver', SMF: 'America/Los_Angeles',
+  SNA: 'America/Los_Angeles', STL: 'America/Chicago', TPA: 'America/New_York', YVR: 'America/Vancouver',
+  YYZ: 'America/Toronto',
+};
+
+// "…, Santa Monica, CA 90405", "…, Austin, TX", "…, Toronto, ON M5V 2T6, Canada".
+const ADDRESS_REGION_PATTERN = /,\s*([A-Z]{2})(?:\s+(\d{5})(?:-\d{4})?|\s+[A-Z]\d[A-Z]\s?\d[A-Z]\d)?\s*(?:,\s*(?:USA|US|United States|Canada))?\s*$/u;
+
+/** The IANA zone for a street address, or undefined if its region is unknown. */
+export function calendarTimeZoneForAddress(address) {
+  const match = ADDRESS_REGION_PATTERN.exec(String(address ?? '').trim());
+  if (!match) return undefined;
+  const [, region, zip] = match;
+  return (zip && ZIP_PREFIX_TIME_ZONES[region]?.[zip.slice(0, 3)]) || STATE_TIME_ZONES[region];
+}
+
+/** The IANA zone for an airport code, falling back to the airport's address. */
+export function calendarTimeZoneForAirport(code, address = '') {
+  const iata = String(code ?? '').trim().toUpperCase();
+  return AIRPORT_TIME_ZONES[iata] || calendarTimeZoneForAddress(address);
+}
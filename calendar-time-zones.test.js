@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import test from 'node:test';
+import ical from 'ical-generator';
+
+import { calendarEventTimeZoneProperties, serializeCalendarWithTimePolicy } from './calendar-ics-policy.js';
+import { calendarTimeZoneForAddress, calendarTimeZoneForAirport } from './calendar-time-zones.js';
+
+test('addresses resolve through their state or province, with ZIP exceptions', () => {
+  assert.deepEqual(
+    [
+      '1910 Ocean Way, Santa Monica, CA 90405',
+      '500 Main St, Austin, TX',
+      '1 Civic Center Plaza, El Paso, TX 79901',
+      '200 Main St, Pensacola, FL 32502',
+      '800 Clinch Ave, Knoxville, TN 37902-1234, USA',
+      '55 Bremner Blvd, Toronto, ON M5J 2H5, Canada',
+      'Casa Del Mar',
+      'Via Roma 1, Florence, Italy',
+      '',
+    ].map(calendarTimeZoneForAddress),
+    [
+      'America/Los_Angeles',
+      'America/Chicago',
+      'America/Denver',
+      'America/Chicago',
+      'America/New_York',
+      'America/Toronto',
+      undefined,
+      undefined,
+      undefined,
+    ]
+  );
+});
+
+test('airports resolve by code first, then by address', () => {
+  assert.equal(calendarTimeZoneForAirport('sjd'), 'America/Mazatlan');
+  assert.equal(calendarTimeZoneForAirport('GEG', '9000 W Airport Dr, Spokane, WA 99224'), 'America/Los_Angeles');
+  assert.equal(calendarTimeZoneForAirport('XYZ'), undefined);
+});
+
+test('a source payload reaches zoned ICS as a per-event TZID', async () => {
+  const fixture = JSON.parse(await readFile(
+    new URL('./fixtures/calendar-source/personal/00000000000000000000000000000002.json', import.meta.url),
+    'utf8'
+  ));
+  const [gig] = fixture.calendarData.events;
+  const flight = { departure_airport: 'LAX', return_airport: 'BNA' };
+  const calendar = ical({ name: 'Zoned source test' });
+  calendar.createEvent({
+    id: 'gig',
+    start: new Date(Date.UTC(2026, 10, 7, 22, 0, 0)),
+    end: new Date(Date.UTC(2026, 10, 8, 6, 0, 0)),
+    summary: gig.event_name,
+    floating: true,
+    x: calendarEventTimeZoneProperties({ timeZone: calendarTimeZoneForAddress(gig.venue_address) }),
+  });
+  calendar.createEvent({
+    id: 'flight',
+    start: new Date(Date.UTC(2026, 10, 9, 8, 0, 0)),
+    end: new Date(Date.UTC(2026, 10, 9, 13, 30, 0)),
+    summary: 'LAX to BNA',
+    floating: true,
+    x: calendarEventTimeZoneProperties({
+      timeZone: calendarTimeZoneForAirport(flight.departure_airport, flight.departure_airport_address),
+      endTimeZone: calendarTimeZoneForAirport(flight.return_airport, flight.return_airport_address),
+    }),
+  });
+  const icsData = serializeCalendarWithTimePolicy(calendar, { mode: 'zoned' });
+  assert.match(icsData, /DTSTART;TZID=America\/Los_Angeles:20261107T220000/u);
+  assert.match(icsData, /DTSTART;TZID=America\/Los_Angeles:20261109T080000/u);
+  assert.match(icsData, /DTEND;TZID=America\/Chicago:20261109T133000/u);
+  assert.match(icsData, /BEGIN:VTIMEZONE\r\nTZID:America\/Chicago/u);
+});
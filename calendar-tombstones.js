@@ -0,0 +1,137 @@
+import { CALENDAR_SUBSCRIBER_KEY_PREFIX } from './calendar-subscriber-store.js';
+
+const PUBLISHED_REGISTRY_SCHEMA_VERSION = 1;
+const DEFAULT_GRACE_MS = 7 * 24 * 60 * 60 * 1000;
+// Registries for feeds nobody rebuilds any more age out on their own.
+const REGISTRY_TTL_SECONDS = 90 * 24 * 60 * 60;
+const FEED_KEY_PATTERN = /^[A-Za-z0-9:_-]{1,200}$/u;
+// Enough to render a tombstone that clients can match to what they stored.
+const REMEMBERED_FIELDS = [
+  'uid',
+  'occurrenceKey',
+  'type',
+  'title',
+  'start',
+  'end',
+  'allDay',
+  'location',
+  'url',
+  'band',
+  'mainEvent',
+  'timeZone',
+  'endTimeZone',
+];
+
+function tombstoneError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function cleanFeedKey(feedKey) {
+  const cleaned = String(feedKey || '').trim().toLowerCase();
+  if (!FEED_KEY_PATTERN.test(cleaned)) {
+    throw tombstoneError('A feed key is required for the published-event registry.', 'CALENDAR_TOMBSTONE_FEED_INVALID');
+  }
+  return cleaned;
+}
+
+function requireStore(client, method) {
+  if (typeof client?.[method] !== 'function') {
+    throw tombstoneError('Calendar published-event store is unavailable.', 'CALENDAR_TOMBSTONE_STORE_UNAVAILABLE');
+  }
+}
+
+function rememberedEvent(event) {
+  const remembered = {};
+  for (const field of REMEMBERED_FIELDS) {
+    const value = event[field] instanceof Date ? event[field].toISOString() : event[field];
+    if (value !== undefined && value !== null && value !== '') remembered[field] = value;
+  }
+  return remembered;
+}
+
+export function emptyPublishedCalendarRegistry() {
+  return { schemaVersion: PUBLISHED_REGISTRY_SCHEMA_VERSION, events: {} };
+}
+
+export function calendarPublishedEventsKey(feedKey) {
+  return `${CALENDAR_SUBSCRIBER_KEY_PREFIX}published-events:v${PUBLISHED_REGISTRY_SCHEMA_VERSION}:${cleanFeedKey(feedKey)}`;
+}
+
+/** The events a feed still publishes, without its tombstones. */
+export function withoutCalendarTombstones(events = []) {
+  return events.filter((event) => event?.status !== 'cancelled');
+}
+
+/**
+ * Compares a feed's current events with the UIDs it published before.
+ *
+ * Every tracked event comes back with a `sequence` and `lastModified`. Both
+ * only move when the event's `fingerprint` changes, so clients see an update
+ * exactly when the content did. UIDs that disappeared come back as
+ * `status: 'cancelled'` tombstones, with a bumped `sequence`, until `graceMs`
+ * after they were first missed. An event that reappears gets a sequence above
+ * its tombstone's so clients accept it. Events without a UID cannot be
+ * matched by clients and are never tracked.
+ */
+export function reconcileCalendarTombstones(registry, currentEvents = [], options = {}) {
+  const now = options.now ? options.now() : new Date();
+  const graceMs = Number(options.graceMs) >= 0 ? Number(options.graceMs) : DEFAULT_GRACE_MS;
+  const fingerprint = options.fingerprint || ((event) => JSON.stringify(rememberedEvent(event)));
+  const previous = registry?.events || {};
+  const next = emptyPublishedCalendarRegistry();
+  const seen = new Set();
+  const events = currentEvents.map((event) => {
+    if (!event?.uid || event.status === 'cancelled') return event;
+    seen.add(event.uid);
+    const entry = previous[event.uid];
+    const eventFingerprint = fingerprint(event);
+    const changed = !entry || entry.cancelledAt || entry.fingerprint !== eventFingerprint;
+    const sequence = entry ? entry.sequence + (changed ? 1 : 0) : 0;
+    const lastModified = changed ? now.toISOString() : entry.lastModified;
+    next.events[event.uid] = {
+      event: rememberedEvent(event),
+      fingerprint: eventFingerprint,
+      sequence,
+      lastModified,
+      cancelledAt: null,
+    };
+    return { ...event, sequence, lastModified };
+  });
+  const tombstones = [];
+  for (const [uid, entry] of Object.entries(previous)) {
+    if (seen.has(uid)) continue;
+    const cancelledAt = entry.cancelledAt || now.toISOString();
+    if (now.getTime() - new Date(cancelledAt).getTime() > graceMs) continue;
+    const sequence = entry.cancelledAt ? entry.sequence : entry.sequence + 1;
+    next.events[uid] = { ...entry, sequence, lastModified: cancelledAt, cancelledAt };
+    tombstones.push({ ...entry.event, uid, status: 'cancelled', cancelledAt, sequence, lastModified: cancelledAt });
+  }
+  return { events, tombstones, registry: next };
+}
+
+export async function loadPublishedCalendarRegistry(client, feedKey) {
+  requireStore(client, 'get');
+  const raw = await client.get(calendarPublishedEventsKey(feedKey));
+  if (!raw) return emptyPublishedCalendarRegistry();
+  try {
+    const stored = JSON.parse(raw);
+    if (
+      Number(stored?.schemaVersion) !== PUBLISHED_REGISTRY_SCHEMA_VERSION
+      || !stored.events
+      || typeof stored.events !== 'object'
+    ) {
+      throw new Error('unsupported published-event registry');
+    }
+    return stored;
+  } catch {
+    throw tombstoneError('Calendar published-event registry is invalid.', 'CALENDAR_TOMBSTONE_STORE_INVALID');
+  }
+}
+
+export async function persistPublishedCalendarRegistry(client, feedKey, registry) {
+  requireStore(client, 'setEx');
+  await client.setEx(calendarPublishedEventsKey(feedKey), REGISTRY_TTL_SECONDS, JSON.stringify(registry));
+  return registry;
+}
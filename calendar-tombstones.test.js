@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calendarPublishedEventsKey,
+  emptyPublishedCalendarRegistry,
+  loadPublishedCalendarRegistry,
+  persistPublishedCalendarRegistry,
+  reconcileCalendarTombstones,
+  withoutCalendarTombstones,
+} from './calendar-tombstones.js';
+import { eventFingerprint } from './postgres-calendar-source.js';
+import { memoryRedis } from './test-support/memory-redis.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const at = (iso) => () => new Date(iso);
+const gig = {
+  uid: 'gig-1@downbeat',
+  type: 'main_event',
+  title: 'Wedding @ The Ruby',
+  start: new Date('2026-11-07T17:00:00.000Z'),
+  end: new Date('2026-11-07T23:00:00.000Z'),
+  location: 'The Ruby, Seattle',
+  description: 'Pay: $400',
+};
+const rehearsal = { uid: 'rehearsal-1@downbeat', type: 'rehearsal', title: 'Rehearsal', start: '2026-11-05T18:00:00.000Z' };
+
+test('removed UIDs become cancelled tombstones with a bumped sequence for the grace window', () => {
+  const first = reconcileCalendarTombstones(emptyPublishedCalendarRegistry(), [gig, rehearsal, { title: 'No UID' }], {
+    now: at('2026-10-18T12:00:00.000Z'),
+  });
+  assert.deepEqual(first.tombstones, []);
+  assert.deepEqual(Object.keys(first.registry.events), ['gig-1@downbeat', 'rehearsal-1@downbeat']);
+  assert.equal(first.registry.events['gig-1@downbeat'].event.description, undefined);
+
+  const removed = reconcileCalendarTombstones(first.registry, [rehearsal], {
+    now: at('2026-10-19T12:00:00.000Z'),
+    graceMs: 48 * HOUR_MS,
+  });
+  assert.deepEqual(removed.tombstones, [{
+    uid: 'gig-1@downbeat',
+    type: 'main_event',
+    title: 'Wedding @ The Ruby',
+    start: '2026-11-07T17:00:00.000Z',
+    end: '2026-11-07T23:00:00.000Z',
+    location: 'The Ruby, Seattle',
+    status: 'cancelled',
+    cancelledAt: '2026-10-19T12:00:00.000Z',
+    sequence: 1,
+    lastModified: '2026-10-19T12:00:00.000Z',
+  }]);
+
+  const stillGone = reconcileCalendarTombstones(removed.registry, [rehearsal], {
+    now: at('2026-10-20T12:00:00.000Z'),
+    graceMs: 48 * HOUR_MS,
+  });
+  assert.equal(stillGone.tombstones[0].sequence, 1);
+  assert.equal(stillGone.tombstones[0].cancelledAt, '2026-10-19T12:00:00.000Z');
+  assert.deepEqual(
+    withoutCalendarTombstones([...stillGone.events, ...stillGone.tombstones]).map((event) => event.uid),
+    ['rehearsal-1@downbeat']
+  );
+
+  const expired = reconcileCalendarTombstones(stillGone.registry, [rehearsal], {
+    now: at('2026-10-21T12:00:01.000Z'),
+    graceMs: 48 * HOUR_MS,
+  });
+  assert.deepEqual(expired.tombstones, []);
+  assert.deepEqual(Object.keys(expired.registry.events), ['rehearsal-1@downbeat']);
+});
+
+test('an event that comes back outranks its tombstone', () => {
+  const published = reconcileCalendarTombstones(emptyPublishedCalendarRegistry(), [gig]).registry;
+  const cancelled = reconcileCalendarTombstones(published, []).registry;
+  const restored = reconcileCalendarTombstones(cancelled, [gig]);
+  assert.deepEqual(restored.tombstones, []);
+  assert.equal(restored.events[0].sequence, 2);
+  assert.equal(restored.registry.events['gig-1@downbeat'].cancelledAt, null);
+  assert.equal(reconcileCalendarTombstones(restored.registry, [gig]).events[0].sequence, 2);
+});
+
+test('sequence and last-modified only move when the fingerprint changes', () => {
+  const options = (iso) => ({ now: at(iso), fingerprint: eventFingerprint });
+  const first = reconcileCalendarTombstones(emptyPublishedCalendarRegistry(), [gig, rehearsal], options('2026-10-18T12:00:00.000Z'));
+  assert.deepEqual(first.events.map((event) => [event.sequence, event.lastModified]), [
+    [0, '2026-10-18T12:00:00.000Z'],
+    [0, '2026-10-18T12:00:00.000Z'],
+  ]);
+  assert.equal(first.registry.events['gig-1@downbeat'].fingerprint, eventFingerprint(gig));
+
+  const rebuilt = reconcileCalendarTombstones(
+    first.registry,
+    [{ ...gig, start: gig.start.toISOString(), comparisonIdentity: 'other' }, rehearsal],
+    options('2026-10-19T12:00:00.000Z')
+  );
+  assert.deepEqual(rebuilt.events.map((event) => [event.sequence, event.lastModified]), [
+    [0, '2026-10-18T12:00:00.000Z'],
+    [0, '2026-10-18T12:00:00.000Z'],
+  ]);
+
+  const moved = reconcileCalendarTombstones(
+    rebuilt.registry,
+    [{ ...gig, description: 'Pay: $450' }, rehearsal],
+    options('2026-10-20T12:00:00.000Z')
+  );
+  assert.deepEqual(moved.events.map((event) => [event.sequence, event.lastModified]), [
+    [1, '2026-10-20T12:00:00.000Z'],
+    [0, '2026-10-18T12:00:00.000Z'],
+  ]);
+  const again = reconcileCalendarTombstones(moved.registry, [{ ...gig, description: 'Pay: $450' }], options('2026-10-21T12:00:00.000Z'));
+  assert.equal(again.events[0].sequence, 1);
+  assert.equal(again.tombstones[0].sequence, 1);
+});
+
+test('registries are stored per feed outside the cache namespace', async () => {
+  const redis = memoryRedis();
+  assert.deepEqual(await loadPublishedCalendarRegistry(redis, 'personal:person-id'), emptyPublishedCalendarRegistry());
+  const { registry } = reconcileCalendarTombstones(emptyPublishedCalendarRegistry(), [gig]);
+  await persistPublishedCalendarRegistry(redis, 'personal:PERSON-ID', registry);
+  assert.deepEqual(await loadPublishedCalendarRegistry(redis, 'personal:person-id'), registry);
+  assert.match(calendarPublishedEventsKey('admin'), /^calendar-subscriber:published-events:v1:admin$/u);
+  assert.ok(redis.ttls.get(calendarPublishedEventsKey('personal:person-id')) > 0);
+
+  redis.values.set(calendarPublishedEventsKey('admin'), '{"schemaVersion":1}');
+  await assert.rejects(
+    loadPublishedCalendarRegistry(redis, 'admin'),
+    (error) => error.code === 'CALENDAR_TOMBSTONE_STORE_INVALID'
+  );
+  assert.throws(() => calendarPublishedEventsKey('../admin'), (error) => error.code === 'CALENDAR_TOMBSTONE_FEED_INVALID');
+});
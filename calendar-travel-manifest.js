@@ -0,0 +1,313 @@
+const EVENT_HUB_PATH_PATTERN = /\/events\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(?:[/?#]|$)/iu;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A ride counts as meeting a flight when it starts this close to landing, or
+// this close before takeoff for drop-offs.
+const PICKUP_WINDOW_MS = 3 * 60 * 60 * 1000;
+const DROPOFF_WINDOW_MS = 5 * 60 * 60 * 1000;
+
+function clean(value, limit = 2_000) {
+  return String(value ?? '').trim().slice(0, limit);
+}
+
+function slug(value) {
+  return clean(value, 200).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/gu, '-').replace(/^-|-$/gu, '');
+}
+
+// Parse "Driver Info: Name - (phone)" or "Name - (phone)" from description. Returns map of firstName -> phone.
+export function parseDriverInfoFromDescription(description) {
+  const map = {};
+  if (!description) return map;
+  const driverInfoMatch = description.match(/Driver Info:\s*([\s\S]*?)(?=Group Text:|Confirmation:|Pick Up Info:|Drop Off Info:|Meet Up Info:|$)/i);
+  const block = driverInfoMatch ? driverInfoMatch[1] : description;
+  // Match "FirstName - (phone)" or "FirstName - phone" (phone can be various formats)
+  const regex = /([A-Za-z]+)\s*-\s*(\([\d\s\-]+\)[\d\s\-]*|\+\d[\d\s\-]+|[\d\-]{10,})/g;
+  let m;
+  while ((m = regex.exec(block)) !== null) {
+    map[m[1].toLowerCase()] = m[2].trim();
+  }
+  return map;
+}
+
+// Parse "Passenger Info:" or "Name - (phone)" for passengers. Returns map of name -> phone (or partial name match).
+export function parsePassengerInfoFromDescription(description) {
+  const map = {};
+  if (!description) return map;
+  const passengerInfoMatch = description.match(/Passenger Info:\s*([\s\S]*?)(?=Driver Info:|Group Text:|Confirmation:|Pick Up Info:|Drop Off Info:|Meet Up Info:|$)/i);
+  const block = passengerInfoMatch ? passengerInfoMatch[1] : '';
+  const regex = /([A-Za-z][A-Za-z\s]+?)\s*-\s*(\([\d\s\-]+\)[\d\s\-]*|\+\d[\d\s\-]+|[\d\-]{10,})/g;
+  let m;
+  while ((m = regex.exec(block)) !== null) {
+    const name = m[1].trim();
+    const key = name.split(/\s+/)[0].toLowerCase();
+    map[key] = { name, phone: m[2].trim() };
+  }
+  return map;
+}
+
+// People are matched across bookings by first name, the only part that
+// hotel reservations and ride lists reliably carry.
+function personKey(name) {
+  return clean(name, 200).split(/\s+/u)[0]?.toLowerCase() || '';
+}
+
+// One name per person, keeping the fullest spelling seen.
+function uniquePeople(names) {
+  const people = new Map();
+  for (const name of names) {
+    const key = personKey(name);
+    if (key && (people.get(key)?.length || 0) < name.length) people.set(key, name);
+  }
+  return [...people.values()].sort((left, right) => left.localeCompare(right));
+}
+
+function personnelNames(booking) {
+  const names = booking?.personnel?.personnel_name;
+  return Array.isArray(names) ? names.map((name) => clean(name, 200)).filter(Boolean) : [];
+}
+
+function reservationNames(hotel) {
+  return typeof hotel?.names_on_reservation === 'string'
+    ? hotel.names_on_reservation.split(',').map((name) => clean(name, 200)).filter(Boolean)
+    : [];
+}
+
+// Ride lists hold "Name - (phone)" strings; the description parsers read
+// the phone back out and the text before the dash is the name.
+function transportPeople(lines, role) {
+  if (!Array.isArray(lines)) return [];
+  return lines.filter((line) => typeof line === 'string' && line.trim()).map((line) => {
+    const name = clean(line.split(/\s+-\s+/u)[0], 200);
+    const phone = role === 'driver'
+      ? parseDriverInfoFromDescription(line)[personKey(name)]
+      : parsePassengerInfoFromDescription(`Passenger Info: ${line}`)[personKey(name)]?.phone;
+    return { name, phone: phone || null };
+  });
+}
+
+function bookingUrls(booking) {
+  return [booking?.flight_url, booking?.hotel_url, booking?.transportation_url, booking?.url, booking?.notion_url];
+}
+
+/**
+ * Every ID a travel group answers to: event hub IDs from its booking links
+ * and slugs of the event names it mentions.
+ */
+export function travelGroupEventIds(group = {}) {
+  const bookings = [
+    group,
+    ...(Array.isArray(group.flights) ? group.flights : []),
+    ...(Array.isArray(group.hotels) ? group.hotels : []),
+    ...(Array.isArray(group.ground_transportation) ? group.ground_transportation : []),
+  ];
+  const ids = new Set();
+  for (const booking of bookings) {
+    for (const url of bookingUrls(booking)) {
+      const match = clean(url).match(EVENT_HUB_PATH_PATTERN);
+      if (match) ids.add(match[1].toLowerCase());
+    }
+    for (const name of [booking.event_name, booking.event_title]) {
+      if (slug(name)) ids.add(slug(name));
+    }
+  }
+  return ids;
+}
+
+function defaultParseDateTime(value) {
+  const [start, end] = clean(value, 200).split('/').map((part) => new Date(part));
+  if (!start || Number.isNaN(start.getTime())) return null;
+  return { start, end: end && !Number.isNaN(end.getTime()) ? end : start };
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function iso(date) {
+  return date instanceof Date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+function flightEntries(flight, parseDateTime) {
+  const entries = [];
+  const people = uniquePeople(personnelNames(flight));
+  const legs = [
+    {
+      kind: 'arrival',
+      name: flight.departure_name,
+      time: flight.departure_time,
+      arrivalTime: flight.departure_arrival_time,
+      airline: flight.departure_airline,
+      flightNumber: flight.departure_flightnumber,
+      from: flight.departure_from_city || flight.departure_from,
+      to: flight.departure_to_city || flight.departure_to,
+      confirmation: flight.confirmation,
+    },
+    {
+      kind: 'departure',
+      name: flight.return_name,
+      time: flight.return_time,
+      arrivalTime: flight.return_arrival_time,
+      airline: flight.return_airline,
+      flightNumber: flight.return_flightnumber,
+      from: flight.return_from_city || flight.return_from,
+      to: flight.return_to_city || flight.return_to,
+      confirmation: flight.return_confirmation || flight.confirmation,
+    },
+  ];
+  for (const leg of legs) {
+    const times = leg.time ? parseDateTime(leg.time) : null;
+    if (!times) continue;
+    const landing = leg.arrivalTime ? parseDateTime(leg.arrivalTime)?.end : times.end;
+    const route = leg.from && leg.to ? `${clean(leg.from, 200)} → ${clean(leg.to, 200)}` : '';
+    entries.push({
+      kind: leg.kind,
+      // Arrivals are listed when they land, departures when they take off.
+      time: iso(leg.kind === 'arrival' ? landing || times.start : times.start),
+      departsAt: iso(times.start),
+      arrivesAt: iso(landing),
+      title: clean(leg.name, 500) || (route ? `Flight: ${route}` : 'Flight'),
+      people,
+      flight: {
+        airline: clean(leg.airline, 200),
+        flightNumber: clean(leg.flightNumber, 50),
+        route,
+        confirmation: clean(leg.confirmation, 100),
+        status: clean(flight.flight_status, 100),
+      },
+      url: clean(flight.flight_url || flight.notion_url),
+    });
+  }
+  return entries;
+}
+
+function hotelEntries(hotel, parseDateTime) {
+  const booked = hotel.dates_booked ? parseDateTime(hotel.dates_booked) : null;
+  const checkIn = (hotel.check_in ? parseDateTime(hotel.check_in)?.start : null) || booked?.start;
+  const checkOut = (hotel.check_out ? parseDateTime(hotel.check_out)?.start : null) || booked?.end;
+  const names = reservationNames(hotel);
+  const details = {
+    name: clean(hotel.hotel_name || hotel.title, 500) || 'Hotel',
+    address: clean(hotel.hotel_address, 500),
+    confirmation: clean(hotel.confirmation, 100),
+    phone: clean(hotel.hotel_phone, 50),
+    namesOnReservation: names,
+  };
+  const people = uniquePeople([...personnelNames(hotel), ...names]);
+  const url = clean(hotel.hotel_url || hotel.notion_url);
+  return [
+    checkIn && { kind: 'hotel_check_in', time: iso(checkIn), until: iso(checkOut), title: details.name, people, hotel: details, url },
+    checkOut && { kind: 'hotel_check_out', time: iso(checkOut), title: details.name, people, hotel: details, url },
+  ].filter((entry) => entry?.time);
+}
+
+function transportEntries(transport, parseDateTime) {
+  const drivers = transportPeople(transport.drivers, 'driver');
+  const passengers = transportPeople(transport.passengers, 'passenger');
+  const people = uniquePeople([...personnelNames(transport), ...passengers.map((passenger) => passenger.name)]);
+  const details = {
+    name: clean(transport.transportation_name || transport.title, 500),
+    confirmation: clean(transport.confirmation, 100),
+    drivers,
+    passengers,
+  };
+  const url = clean(transport.transportation_url || transport.url || transport.notion_url);
+  const rides = [
+    { kind: 'pickup', time: transport.pickup_time, place: transport.pickup_name || transport.pickup_address },
+    { kind: 'dropoff', time: transport.drop_off_time, place: transport.drop_off_name || transport.drop_off_address },
+  ];
+  return rides.flatMap((ride) => {
+    const start = ride.time ? parseDateTime(ride.time)?.start : null;
+    if (!iso(start)) return [];
+    return [{
+      kind: ride.kind,
+      time: iso(start),
+      title: details.name || (ride.kind === 'pickup' ? 'Pickup' : 'Drop-off'),
+      location: clean(ride.place, 500),
+      people,
+      transport: details,
+      url,
+    }];
+  });
+}
+
+function includes(entry, key) {
+  return entry.people.some((name) => personKey(name) === key);
+}
+
+function travelGaps(entries, { hasGroundTransport }) {
+  const gaps = [];
+  for (const person of uniquePeople(entries.flatMap((entry) => entry.people))) {
+    const key = personKey(person);
+    const own = entries.filter((entry) => includes(entry, key));
+    const arrival = own.find((entry) => entry.kind === 'arrival');
+    const departure = own.findLast((entry) => entry.kind === 'departure');
+    const flights = own.filter((entry) => entry.kind === 'arrival' || entry.kind === 'departure');
+    if (departure && !arrival) gaps.push({ type: 'missing_arrival_flight', person, at: departure.time });
+    if (arrival && !departure) gaps.push({ type: 'missing_departure_flight', person, at: arrival.time });
+
+    for (const hotel of own.filter((entry) => entry.kind === 'hotel_check_in')) {
+      const onReservation = hotel.hotel.namesOnReservation;
+      if (onReservation.length > 0 && !onReservation.some((name) => personKey(name) === key)) {
+        gaps.push({ type: 'not_on_hotel_reservation', person, at: hotel.time, hotel: hotel.title });
+      }
+    }
+
+    if (arrival && departure) {
+      const stays = own.filter((entry) => entry.kind === 'hotel_check_in');
+      const nights = [];
+      for (let night = Date.parse(dayKey(new Date(arrival.time))); night < Date.parse(dayKey(new Date(departure.time))); night += DAY_MS) {
+        const covered = stays.some((stay) => Date.parse(dayKey(new Date(stay.time))) <= night
+          && (!stay.until || Date.parse(dayKey(new Date(stay.until))) > night));
+        if (!covered) nights.push(new Date(night).toISOString().slice(0, 10));
+      }
+      if (nights.length > 0) gaps.push({ type: 'missing_hotel', person, nights });
+    }
+
+    if (!hasGroundTransport) continue;
+    for (const flight of flights) {
+      const flightTime = Date.parse(flight.time);
+      const met = own.some((ride) => {
+        const rideTime = Date.parse(ride.time);
+        return flight.kind === 'arrival'
+          ? ride.kind === 'pickup' && rideTime >= flightTime - PICKUP_WINDOW_MS && rideTime <= flightTime + PICKUP_WINDOW_MS
+          : (ride.kind === 'pickup' || ride.kind === 'dropoff') && rideTime <= flightTime && rideTime >= flightTime - DROPOFF_WINDOW_MS;
+      });
+      if (!met) {
+        gaps.push({ type: flight.kind === 'arrival' ? 'missing_pickup' : 'missing_dropoff', person, at: flight.time, flight: flight.title });
+      }
+    }
+  }
+  for (const entry of entries.filter((candidate) => candidate.people.length === 0)) {
+    gaps.push({ type: 'unassigned_booking', kind: entry.kind, at: entry.time, title: entry.title });
+  }
+  return gaps;
+}
+
+/**
+ * Arrival and departure manifest for one event across every travel group
+ * that belongs to it: flights, hotel stays and rides in time order, plus the
+ * gaps a road manager should chase. Ride checks only run once the event has
+ * any ground transport booked, so events that never use it stay quiet.
+ */
+export function buildTravelManifest(travelGroups = [], eventId, options = {}) {
+  const parseDateTime = options.parseDateTime || defaultParseDateTime;
+  const wanted = clean(eventId, 200).toLowerCase();
+  const groups = travelGroups.filter((group) => wanted && travelGroupEventIds(group).has(wanted));
+  if (groups.length === 0) return null;
+  const transports = groups.flatMap((group) => (Array.isArray(group.ground_transportation) ? group.ground_transportation : []));
+  const entries = [
+    ...groups.flatMap((group) => (Array.isArray(group.flights) ? group.flights : [])).flatMap((flight) => flightEntries(flight, parseDateTime)),
+    ...groups.flatMap((group) => (Array.isArray(group.hotels) ? group.hotels : [])).flatMap((hotel) => hotelEntries(hotel, parseDateTime)),
+    ...transports.flatMap((transport) => transportEntries(transport, parseDateTime)),
+  ].sort((left, right) => Date.parse(left.time) - Date.parse(right.time) || left.title.localeCompare(right.title));
+  const eventName = groups.flatMap((group) => [group.event_name, ...transports.map((transport) => transport.event_name)])
+    .map((name) => clean(name, 500)).find(Boolean) || null;
+  const gaps = travelGaps(entries, { hasGroundTransport: transports.length > 0 });
+  return {
+    eventId: wanted,
+    eventName,
+    travelGroups: groups.length,
+    people: uniquePeople(entries.flatMap((entry) => entry.people)),
+    entries,
+    gaps,
+  };
+}
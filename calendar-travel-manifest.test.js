@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildTravelManifest,
+  parseDriverInfoFromDescription,
+  parsePassengerInfoFromDescription,
+  travelGroupEventIds,
+} from './calendar-travel-manifest.js';
+
+const eventId = '02e26e6b-efb4-419c-9486-6cd8265c40ea';
+const travelUrl = (tab) => `https://music.downbeat.agency/events/${eventId}?section=travel&travel=${tab}`;
+const group = {
+  flights: [
+    {
+      departure_name: 'Flight to SEA',
+      departure_time: '2026-11-06T15:00:00.000Z/2026-11-06T17:40:00.000Z',
+      departure_airline: 'Delta',
+      departure_flightnumber: 'DL 915',
+      departure_from: 'LAX',
+      departure_to: 'SEA',
+      return_name: 'Flight home',
+      return_time: '2026-11-08T18:00:00.000Z/2026-11-08T20:40:00.000Z',
+      return_airline: 'Delta',
+      return_flightnumber: 'DL 773',
+      confirmation: 'ABC123',
+      personnel: { personnel_name: ['Diego De la Rosa', 'Eric England'] },
+      flight_url: travelUrl('flights'),
+    },
+    {
+      departure_name: 'Flight to SEA (Sam)',
+      departure_time: '2026-11-07T01:00:00.000Z/2026-11-07T03:00:00.000Z',
+      personnel: { personnel_name: ['Sam Park'] },
+      flight_url: travelUrl('flights'),
+    },
+  ],
+  hotels: [
+    {
+      hotel_name: 'Hotel Max',
+      dates_booked: '2026-11-06T22:00:00.000Z/2026-11-08T11:00:00.000Z',
+      names_on_reservation: 'Diego, Sam',
+      personnel: { personnel_name: ['Diego De la Rosa', 'Eric England', 'Sam Park'] },
+      confirmation: 'H-555',
+      hotel_url: travelUrl('hotels'),
+    },
+  ],
+  ground_transportation: [
+    {
+      transportation_name: 'SEA pickup',
+      event_name: 'Wedding @ The Ruby',
+      pickup_time: '2026-11-06T18:15:00.000Z',
+      drivers: ['Jordan - (206) 555-0199'],
+      passengers: ['Diego De la Rosa - (323) 555-0101', 'Eric England'],
+      transportation_url: travelUrl('ground'),
+    },
+  ],
+};
+const unrelated = {
+  flights: [{ departure_name: 'Elsewhere', departure_time: '2026-11-06T15:00:00.000Z', personnel: { personnel_name: ['Ayo'] } }],
+};
+
+test('transport description parsers read names and phones', () => {
+  assert.deepEqual(parseDriverInfoFromDescription('Driver Info: Jordan - (206) 555-0199\nConfirmation: X'), { jordan: '(206) 555-0199' });
+  assert.deepEqual(parsePassengerInfoFromDescription('Passenger Info: Diego De la Rosa - 323-555-0101'), {
+    diego: { name: 'Diego De la Rosa', phone: '323-555-0101' },
+  });
+  assert.deepEqual(parsePassengerInfoFromDescription('Diego - 323-555-0101'), {});
+});
+
+test('travel groups answer to event hub IDs and event name slugs', () => {
+  const ids = travelGroupEventIds(group);
+  assert.ok(ids.has(eventId));
+  assert.ok(ids.has('wedding-the-ruby'));
+  assert.equal(travelGroupEventIds(unrelated).size, 0);
+  assert.equal(buildTravelManifest([group], 'missing'), null);
+});
+
+test('the manifest lists every arrival and departure in time order', () => {
+  const manifest = buildTravelManifest([group, unrelated], eventId.toUpperCase());
+  assert.equal(manifest.travelGroups, 1);
+  assert.equal(manifest.eventName, 'Wedding @ The Ruby');
+  assert.deepEqual(manifest.people, ['Diego De la Rosa', 'Eric England', 'Sam Park']);
+  assert.deepEqual(manifest.entries.map((entry) => [entry.kind, entry.time]), [
+    ['arrival', '2026-11-06T17:40:00.000Z'],
+    ['pickup', '2026-11-06T18:15:00.000Z'],
+    ['hotel_check_in', '2026-11-06T22:00:00.000Z'],
+    ['arrival', '2026-11-07T03:00:00.000Z'],
+    ['hotel_check_out', '2026-11-08T11:00:00.000Z'],
+    ['departure', '2026-11-08T18:00:00.000Z'],
+  ]);
+  assert.equal(manifest.entries[0].flight.flightNumber, 'DL 915');
+  assert.deepEqual(manifest.entries[1].transport.drivers, [{ name: 'Jordan', phone: '(206) 555-0199' }]);
+  assert.deepEqual(manifest.entries[1].transport.passengers, [
+    { name: 'Diego De la Rosa', phone: '(323) 555-0101' },
+    { name: 'Eric England', phone: null },
+  ]);
+  assert.deepEqual(manifest.entries[2].hotel.namesOnReservation, ['Diego', 'Sam']);
+});
+
+test('gaps flag missing flights, hotel nights, reservation names and rides', () => {
+  const { gaps } = buildTravelManifest([group], eventId);
+  assert.deepEqual(gaps.map((gap) => [gap.type, gap.person]), [
+    ['missing_dropoff', 'Diego De la Rosa'],
+    ['not_on_hotel_reservation', 'Eric England'],
+    ['missing_dropoff', 'Eric England'],
+    ['missing_departure_flight', 'Sam Park'],
+    ['missing_pickup', 'Sam Park'],
+  ]);
+
+  const shortStay = {
+    ...group,
+    hotels: [{ ...group.hotels[0], dates_booked: '2026-11-06T22:00:00.000Z/2026-11-07T11:00:00.000Z' }],
+    ground_transportation: [],
+  };
+  const hotelGaps = buildTravelManifest([shortStay], eventId).gaps.filter((gap) => gap.type === 'missing_hotel');
+  assert.deepEqual(hotelGaps, [
+    { type: 'missing_hotel', person: 'Diego De la Rosa', nights: ['2026-11-07'] },
+    { type: 'missing_hotel', person: 'Eric England', nights: ['2026-11-07'] },
+  ]);
+  assert.equal(buildTravelManifest([shortStay], eventId).gaps.some((gap) => gap.type.startsWith('missing_pick')), false);
+
+  const unassigned = buildTravelManifest([{ hotels: [{ hotel_name: 'Overflow', dates_booked: '2026-11-06T22:00:00.000Z/2026-11-07T11:00:00.000Z', hotel_url: travelUrl('hotels') }] }], eventId);
+  assert.deepEqual(unassigned.gaps.map((gap) => [gap.type, gap.kind]), [
+    ['unassigned_booking', 'hotel_check_in'],
+    ['unassigned_booking', 'hotel_check_out'],
+  ]);
+});
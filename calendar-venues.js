@@ -0,0 +1,206 @@
+import { CALENDAR_SUBSCRIBER_KEY_PREFIX } from './calendar-subscriber-store.js';
+
+const VENUE_ALIASES_SCHEMA_VERSION = 1;
+const MAX_VENUE_ALIASES = 500;
+const MAX_VENUE_NAME_LENGTH = 200;
+const VENUE_STOP_WORDS = new Set(['the', 'a', 'an']);
+const LOAD_IN_PATTERN = /\bload[\s-]*(?:in|out)\b|\bloading dock\b/iu;
+
+function venueError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function clean(value, limit = MAX_VENUE_NAME_LENGTH) {
+  return String(value ?? '').replace(/\u2060/gu, '').replace(/\s+/gu, ' ').trim().slice(0, limit);
+}
+
+function venueTokens(name) {
+  return clean(name)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/gu, ' and ')
+    .replace(/[^a-z0-9]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter((token) => token && !VENUE_STOP_WORDS.has(token));
+}
+
+/** Comparison key for a venue name or address: "The Ritz-Carlton" → "ritz carlton". */
+export function calendarVenueKey(name) {
+  return venueTokens(name).join(' ');
+}
+
+export function calendarVenueSlug(name) {
+  return calendarVenueKey(name).replace(/ /gu, '-');
+}
+
+/** Lines of an event's general info that are about loading in or out. */
+export function calendarVenueLoadInNotes(generalInfo) {
+  return String(generalInfo ?? '')
+    .split(/\r?\n/u)
+    .map((line) => clean(line.replace(/^[•*-]\s*/u, ''), 500))
+    .filter((line) => LOAD_IN_PATTERN.test(line));
+}
+
+function editDistance(left, right, limit) {
+  if (Math.abs(left.length - right.length) > limit) return limit + 1;
+  let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= left.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= right.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[right.length];
+}
+
+// "ritz" and "ritz carlton" are one venue when the shorter name starts the
+// longer one; otherwise two long names may differ by a typo or two.
+function sameVenueName(left, right) {
+  if (left === right) return true;
+  const [short, long] = left.length <= right.length ? [left, right] : [right, left];
+  if (short.replace(/ /gu, '').length >= 4 && long.startsWith(`${short} `)) return true;
+  return short.length >= 8 && editDistance(short, long, 2) <= 2;
+}
+
+/**
+ * Validates an operator override table of `{ "<name as written>": "<venue>" }`.
+ * A name in the table always resolves to its venue and is never fuzzy-matched,
+ * so mapping a name to itself keeps it apart from similar names.
+ */
+export function normalizeCalendarVenueAliases(aliases) {
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+    throw venueError('Venue aliases must be an object of name to venue.', 'CALENDAR_VENUE_ALIASES_INVALID');
+  }
+  const entries = Object.entries(aliases).map(([alias, venue]) => [clean(alias), clean(venue)]);
+  if (entries.length > MAX_VENUE_ALIASES || entries.some(([alias, venue]) => !calendarVenueKey(alias) || !calendarVenueKey(venue))) {
+    throw venueError(
+      `Venue aliases need up to ${MAX_VENUE_ALIASES} non-empty names of at most ${MAX_VENUE_NAME_LENGTH} characters.`,
+      'CALENDAR_VENUE_ALIASES_INVALID'
+    );
+  }
+  return Object.fromEntries(entries.sort(([left], [right]) => left.localeCompare(right)));
+}
+
+export const CALENDAR_VENUE_ALIASES_KEY = `${CALENDAR_SUBSCRIBER_KEY_PREFIX}venue-aliases:v${VENUE_ALIASES_SCHEMA_VERSION}`;
+
+export async function loadCalendarVenueAliases(client) {
+  if (typeof client?.get !== 'function') {
+    throw venueError('Calendar venue alias store is unavailable.', 'CALENDAR_VENUE_ALIASES_STORE_UNAVAILABLE');
+  }
+  const raw = await client.get(CALENDAR_VENUE_ALIASES_KEY);
+  if (!raw) return {};
+  try {
+    return normalizeCalendarVenueAliases(JSON.parse(raw).aliases);
+  } catch {
+    throw venueError('Calendar venue aliases are invalid.', 'CALENDAR_VENUE_ALIASES_STORE_INVALID');
+  }
+}
+
+export async function saveCalendarVenueAliases(client, aliases, { now = new Date().toISOString() } = {}) {
+  if (typeof client?.set !== 'function') {
+    throw venueError('Calendar venue alias store is unavailable.', 'CALENDAR_VENUE_ALIASES_STORE_UNAVAILABLE');
+  }
+  const normalized = normalizeCalendarVenueAliases(aliases);
+  await client.set(CALENDAR_VENUE_ALIASES_KEY, JSON.stringify({
+    schemaVersion: VENUE_ALIASES_SCHEMA_VERSION,
+    aliases: normalized,
+    updatedAt: now,
+  }));
+  return normalized;
+}
+
+function mostCommon(counts) {
+  return [...counts.entries()]
+    .sort(([leftName, left], [rightName, right]) => right - left || rightName.length - leftName.length || leftName.localeCompare(rightName))[0]?.[0] || '';
+}
+
+function eventKey(event) {
+  return event.uid || `${event.title || ''}|${new Date(event.start).toISOString()}`;
+}
+
+/**
+ * Groups events into venues. Each entry is `{ venue, address, generalInfo,
+ * event }`; entries from personal feeds usually only have an address (their
+ * `location`) and join the venue that has that address. Names resolve through
+ * the alias table first, then exactly, then fuzzily.
+ */
+export function buildCalendarVenueDirectory(entries = [], { aliases = {} } = {}) {
+  const aliasTargets = new Map();
+  for (const [alias, venue] of Object.entries(aliases)) {
+    aliasTargets.set(calendarVenueKey(venue), clean(venue));
+    aliasTargets.set(calendarVenueKey(alias), clean(venue));
+  }
+  const venues = [];
+  const findVenue = (nameKey, addressKey, pinnedName) => {
+    if (pinnedName) {
+      const pinnedKey = calendarVenueKey(pinnedName);
+      return venues.find((venue) => venue.pinnedKey === pinnedKey);
+    }
+    return (nameKey && venues.find((venue) => !venue.pinnedKey && [...venue.nameKeys].some((key) => sameVenueName(key, nameKey))))
+      || venues.find((venue) => venue.addressKeys.has(addressKey) || venue.addressKeys.has(nameKey));
+  };
+
+  for (const entry of entries) {
+    const name = clean(entry?.venue);
+    const address = clean(entry?.address, 500);
+    const nameKey = calendarVenueKey(name);
+    const addressKey = calendarVenueKey(address);
+    if (!nameKey && !addressKey) continue;
+    const pinnedName = aliasTargets.get(nameKey) || aliasTargets.get(addressKey) || '';
+    let venue = findVenue(nameKey, addressKey, pinnedName);
+    if (!venue) {
+      venue = {
+        pinnedKey: pinnedName ? calendarVenueKey(pinnedName) : '',
+        pinnedName,
+        nameKeys: new Set(),
+        addressKeys: new Set(),
+        names: new Map(),
+        addresses: new Map(),
+        loadInNotes: new Set(),
+        events: new Map(),
+      };
+      venues.push(venue);
+    }
+    if (nameKey) {
+      venue.nameKeys.add(nameKey);
+      venue.names.set(name, (venue.names.get(name) || 0) + 1);
+    }
+    if (addressKey) {
+      venue.addressKeys.add(addressKey);
+      venue.addresses.set(address, (venue.addresses.get(address) || 0) + 1);
+    }
+    for (const note of calendarVenueLoadInNotes(entry.generalInfo)) venue.loadInNotes.add(note);
+    if (entry.event?.start && !venue.events.has(eventKey(entry.event))) {
+      venue.events.set(eventKey(entry.event), entry.event);
+    }
+  }
+
+  const slugs = new Map();
+  return venues
+    .map((venue) => {
+      const name = venue.pinnedName || mostCommon(venue.names) || mostCommon(venue.addresses);
+      return {
+        name,
+        address: mostCommon(venue.addresses),
+        names: [...venue.names.keys()].sort((left, right) => left.localeCompare(right)),
+        loadInNotes: [...venue.loadInNotes],
+        events: [...venue.events.values()].sort((left, right) => new Date(left.start) - new Date(right.start)),
+      };
+    })
+    .sort((left, right) => left.name.localeCompare(right.name))
+    .map((venue) => {
+      const base = calendarVenueSlug(venue.name);
+      const count = (slugs.get(base) || 0) + 1;
+      slugs.set(base, count);
+      return { slug: count === 1 ? base : `${base}-${count}`, ...venue };
+    });
+}
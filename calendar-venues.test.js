@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CALENDAR_VENUE_ALIASES_KEY,
+  buildCalendarVenueDirectory,
+  calendarVenueKey,
+  calendarVenueLoadInNotes,
+  loadCalendarVenueAliases,
+  saveCalendarVenueAliases,
+} from './calendar-venues.js';
+
+const gig = (uid, start) => ({ uid, type: 'main_event', title: `🎸 ${uid}`, start, end: start });
+
+test('venue names fold case, accents, articles and punctuation', () => {
+  assert.equal(calendarVenueKey('The Ritz-Carlton'), 'ritz carlton');
+  assert.equal(calendarVenueKey('  Café  Du Nord '), 'cafe du nord');
+  assert.deepEqual(calendarVenueLoadInNotes('Parking in lot B\n• Load-in via loading dock at 3pm\nLoad out by midnight'), [
+    'Load-in via loading dock at 3pm',
+    'Load out by midnight',
+  ]);
+});
+
+test('similar names, shared addresses and aliases resolve to one venue', () => {
+  const venues = buildCalendarVenueDirectory([
+    { venue: 'The Ritz', address: '600 Stockton St, San Francisco', generalInfo: 'Load in through the garage', event: gig('a', '2026-11-07T17:00:00.000Z') },
+    { venue: 'Ritz-Carlton', address: '', event: gig('b', '2026-10-01T17:00:00.000Z') },
+    { venue: 'Fairmont Olympic', address: '411 University St', event: gig('c', '2026-11-01T17:00:00.000Z') },
+    { venue: 'Fairmont Olympc', address: '', event: gig('d', '2026-11-02T17:00:00.000Z') },
+    { address: '600 Stockton St, San Francisco', event: gig('a', '2026-11-07T17:00:00.000Z') },
+    { address: '600 Stockton St., San Francisco', event: gig('e', '2026-12-01T17:00:00.000Z') },
+    { venue: 'Olympic Club', address: '', event: gig('f', '2026-11-03T17:00:00.000Z') },
+    { venue: 'Club Olympic', address: '', event: gig('g', '2026-11-04T17:00:00.000Z') },
+    { venue: '', address: '' },
+  ], { aliases: { 'Club Olympic': 'Olympic Club' } });
+
+  assert.deepEqual(venues.map((venue) => [venue.slug, venue.events.map((event) => event.uid)]), [
+    ['fairmont-olympic', ['c', 'd']],
+    ['olympic-club', ['f', 'g']],
+    ['ritz-carlton', ['b', 'a', 'e']],
+  ]);
+  const ritz = venues[2];
+  assert.equal(ritz.address, '600 Stockton St, San Francisco');
+  assert.deepEqual(ritz.names, ['Ritz-Carlton', 'The Ritz']);
+  assert.deepEqual(ritz.loadInNotes, ['Load in through the garage']);
+});
+
+test('the alias table survives cache clears and rejects bad tables', async () => {
+  const values = new Map();
+  const redis = { async get(key) { return values.get(key) || null; }, async set(key, value) { values.set(key, value); } };
+  assert.deepEqual(await loadCalendarVenueAliases(redis), {});
+  await saveCalendarVenueAliases(redis, { ' The Ritz ': 'Ritz-Carlton' });
+  assert.doesNotMatch(CALENDAR_VENUE_ALIASES_KEY, /^calendar:/u);
+  assert.deepEqual(await loadCalendarVenueAliases(redis), { 'The Ritz': 'Ritz-Carlton' });
+  for (const aliases of [null, ['x'], { 'The Ritz': '' }, { '!!': 'x' }]) {
+    await assert.rejects(saveCalendarVenueAliases(redis, aliases), { code: 'CALENDAR_VENUE_ALIASES_INVALID' });
+  }
+  await assert.rejects(loadCalendarVenueAliases({}), { code: 'CALENDAR_VENUE_ALIASES_STORE_UNAVAILABLE' });
+});
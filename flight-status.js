@@ -0,0 +1,236 @@
+import { readFileSync } from 'node:fs';
+
+const FLIGHT_STATUS_SCHEMA_VERSION = 1;
+const DEFAULT_CACHE_TTL_SECONDS = 120;
+const DEFAULT_TIMEOUT_MS = 8_000;
+const DEFAULT_AEROAPI_BASE_URL = 'https://aeroapi.flightaware.com/aeroapi';
+const HOUR_MS = 60 * 60 * 1000;
+// Departure strings are wall-clock values, so matching tolerates any UTC offset.
+const MAX_DEPARTURE_MATCH_DISTANCE_MS = 14 * HOUR_MS;
+const LOOKUP_WINDOW_BEFORE_MS = 24 * HOUR_MS;
+const LOOKUP_WINDOW_AFTER_MS = 48 * HOUR_MS;
+const FLIGHT_IDENT_PATTERN = /^[A-Z0-9]{2,3}\d{1,4}[A-Z]?$/u;
+const WALL_CLOCK_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/u;
+
+function clean(value, limit = 200) {
+  return String(value ?? '').trim().slice(0, limit);
+}
+
+function flightStatusError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function optionalText(value) {
+  const text = clean(value, 100);
+  return text || null;
+}
+
+export function flightIdent(flightNumber) {
+  const ident = clean(flightNumber, 40).toUpperCase().replace(/[\s-]+/gu, '');
+  return FLIGHT_IDENT_PATTERN.test(ident) ? ident : null;
+}
+
+// Milliseconds for the departure's wall-clock digits, ignoring any offset. A
+// range such as "2025-10-10T06:55:00+00:00/2025-10-10T15:30:00+00:00" uses
+// its start.
+function departureWallClock(departureTime) {
+  const match = clean(departureTime).split('/')[0].match(WALL_CLOCK_PATTERN);
+  if (!match) return null;
+  const [, year, month, day, hour = '00', minute = '00'] = match;
+  return Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute));
+}
+
+export function flightStatusCacheKey(ident, departureTime) {
+  const date = clean(departureTime).split('/')[0].slice(0, 10);
+  return `calendar-flight-status:v${FLIGHT_STATUS_SCHEMA_VERSION}:${ident}:${date}`;
+}
+
+/**
+ * True when a departure is close enough to now for live status to mean
+ * anything. Calendar builds only look up these flights.
+ */
+export function flightStatusLookupWindowIncludes(departureTime, now = Date.now()) {
+  const departure = departureWallClock(departureTime);
+  if (departure === null) return false;
+  return departure >= now - LOOKUP_WINDOW_BEFORE_MS && departure <= now + LOOKUP_WINDOW_AFTER_MS;
+}
+
+/** The shape the countdown page and calendar descriptions read. */
+export function normalizeFlightStatus(raw, source) {
+  if (!raw || typeof raw !== 'object') return null;
+  const delay = Math.round(Number(raw.delay));
+  return {
+    status: optionalText(raw.status) || 'Unknown',
+    departureTerminal: optionalText(raw.departureTerminal),
+    departureGate: optionalText(raw.departureGate),
+    arrivalTerminal: optionalText(raw.arrivalTerminal),
+    arrivalGate: optionalText(raw.arrivalGate),
+    baggageClaim: optionalText(raw.baggageClaim),
+    delay: Number.isFinite(delay) && delay > 0 ? delay : 0,
+    lastUpdated: optionalText(raw.lastUpdated),
+    source: clean(source || raw.source, 40) || 'unknown',
+  };
+}
+
+/**
+ * Serves statuses from a fixture map keyed by "IDENT:YYYY-MM-DD" or "IDENT".
+ * Used by tests and by FLIGHT_STATUS_PROVIDER=fixture for local development.
+ */
+export function createFixtureFlightStatusProvider(fixtures = {}) {
+  return {
+    name: 'fixture',
+    async lookupFlightStatus({ ident, departureTime }) {
+      const date = clean(departureTime).split('/')[0].slice(0, 10);
+      const fixture = fixtures[`${ident}:${date}`] || fixtures[ident] || null;
+      return normalizeFlightStatus(fixture, 'fixture');
+    },
+  };
+}
+
+function zoneWallClock(instant, timeZone) {
+  try {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).formatToParts(instant).map((part) => [part.type, part.value]));
+    return Date.UTC(
+      Number(parts.year),
+      Number(parts.month) - 1,
+      Number(parts.day),
+      Number(parts.hour),
+      Number(parts.minute)
+    );
+  } catch {
+    return instant.getTime();
+  }
+}
+
+function closestAeroApiFlight(flights, departureTime) {
+  const wanted = departureWallClock(departureTime);
+  let best = null;
+  for (const flight of flights) {
+    const scheduled = new Date(flight?.scheduled_out || flight?.scheduled_off || '');
+    if (Number.isNaN(scheduled.getTime())) continue;
+    const distance = Math.abs(zoneWallClock(scheduled, flight?.origin?.timezone) - wanted);
+    if (distance <= MAX_DEPARTURE_MATCH_DISTANCE_MS && (!best || distance < best.distance)) {
+      best = { flight, distance };
+    }
+  }
+  return best?.flight || null;
+}
+
+/** FlightAware AeroAPI v4, selected with FLIGHT_STATUS_PROVIDER=flightaware. */
+export function createAeroApiFlightStatusProvider(options = {}) {
+  const apiKey = clean(options.apiKey);
+  if (!apiKey) throw new Error('FLIGHTAWARE_API_KEY is required for FlightAware flight status.');
+  const baseUrl = clean(options.baseUrl || DEFAULT_AEROAPI_BASE_URL).replace(/\/+$/u, '');
+  const fetchFn = options.fetchFn || fetch;
+  const timeoutMs = Number(options.timeoutMs) > 0 ? Number(options.timeoutMs) : DEFAULT_TIMEOUT_MS;
+  const now = options.now || (() => new Date());
+  return {
+    name: 'flightaware',
+    async lookupFlightStatus({ ident, departureTime }) {
+      const wanted = departureWallClock(departureTime);
+      if (wanted === null) return null;
+      const params = new URLSearchParams({
+        start: new Date(wanted - 24 * HOUR_MS).toISOString(),
+        end: new Date(wanted + 24 * HOUR_MS).toISOString(),
+      });
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const response = await fetchFn(`${baseUrl}/flights/${encodeURIComponent(ident)}?${params}`, {
+          headers: { Accept: 'application/json', 'x-apikey': apiKey },
+          signal: controller.signal,
+        });
+        if (response.status === 404) return null;
+        if (!response.ok) {
+          throw flightStatusError(
+            `FlightAware returned HTTP ${response.status}.`,
+            'FLIGHT_STATUS_PROVIDER_HTTP_ERROR'
+          );
+        }
+        const body = await response.json();
+        const flight = closestAeroApiFlight(Array.isArray(body?.flights) ? body.flights : [], departureTime);
+        if (!flight) return null;
+        return normalizeFlightStatus({
+          status: flight.status,
+          departureTerminal: flight.terminal_origin,
+          departureGate: flight.gate_origin,
+          arrivalTerminal: flight.terminal_destination,
+          arrivalGate: flight.gate_destination,
+          baggageClaim: flight.baggage_claim,
+          delay: Number(flight.departure_delay) / 60,
+          lastUpdated: now().toISOString(),
+        }, 'flightaware');
+      } catch (error) {
+        if (error?.name === 'AbortError') {
+          throw flightStatusError(`FlightAware timed out after ${timeoutMs}ms.`, 'FLIGHT_STATUS_PROVIDER_TIMEOUT');
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+export function configuredFlightStatusProvider(env = process.env) {
+  const name = clean(env.FLIGHT_STATUS_PROVIDER, 30).toLowerCase() || 'none';
+  if (name === 'none') return null;
+  if (name === 'fixture') {
+    const fixturePath = clean(env.FLIGHT_STATUS_FIXTURE_PATH, 1_000);
+    if (!fixturePath) throw new Error('FLIGHT_STATUS_FIXTURE_PATH is required for fixture flight status.');
+    return createFixtureFlightStatusProvider(JSON.parse(readFileSync(fixturePath, 'utf8')));
+  }
+  if (name === 'flightaware') {
+    return createAeroApiFlightStatusProvider({
+      apiKey: env.FLIGHTAWARE_API_KEY,
+      baseUrl: env.FLIGHTAWARE_API_BASE_URL,
+      timeoutMs: env.FLIGHT_STATUS_TIMEOUT_MS,
+    });
+  }
+  throw new Error('FLIGHT_STATUS_PROVIDER must be none, fixture, or flightaware.');
+}
+
+/**
+ * Wraps a provider with a short-lived Redis cache. Misses are cached too, so
+ * a flight the provider does not know is not re-queried on every request.
+ * Provider errors are thrown and never cached. `client` may be a function so
+ * the cache follows a Redis connection that comes and goes.
+ */
+export function createFlightStatusService({ provider = null, client = null, ttlSeconds } = {}) {
+  const ttl = Number(ttlSeconds) > 0 ? Math.floor(Number(ttlSeconds)) : DEFAULT_CACHE_TTL_SECONDS;
+  return {
+    enabled: Boolean(provider),
+    providerName: provider?.name || 'none',
+    async lookup({ flightNumber, departureTime } = {}) {
+      const ident = flightIdent(flightNumber);
+      if (!provider || !ident || departureWallClock(departureTime) === null) return null;
+      const key = flightStatusCacheKey(ident, departureTime);
+      const store = typeof client === 'function' ? client() : client;
+      if (store?.get) {
+        const cached = await store.get(key).catch(() => null);
+        if (cached) {
+          try {
+            return JSON.parse(cached).status ?? null;
+          } catch {
+            // Fall through to the provider and overwrite the bad entry.
+          }
+        }
+      }
+      const status = await provider.lookupFlightStatus({ ident, departureTime });
+      if (store?.setEx) {
+        await store.setEx(key, ttl, JSON.stringify({ status })).catch(() => null);
+      }
+      return status;
+    },
+  };
+}
@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createAeroApiFlightStatusProvider,
+  createFixtureFlightStatusProvider,
+  createFlightStatusService,
+  flightIdent,
+  flightStatusCacheKey,
+  flightStatusLookupWindowIncludes,
+} from './flight-status.js';
+import { memoryRedis } from './test-support/memory-redis.js';
+
+const departureTime = '2025-10-10T06:55:00+00:00/2025-10-10T15:30:00+00:00';
+
+test('flight idents and cache keys come from the Notion flight number and local date', () => {
+  assert.equal(flightIdent('DL 915'), 'DL915');
+  assert.equal(flightIdent('as-1360'), 'AS1360');
+  assert.equal(flightIdent('N/A'), null);
+  assert.equal(flightStatusCacheKey('DL915', departureTime), 'calendar-flight-status:v1:DL915:2025-10-10');
+  const now = Date.UTC(2025, 9, 9, 12, 0);
+  assert.equal(flightStatusLookupWindowIncludes(departureTime, now), true);
+  assert.equal(flightStatusLookupWindowIncludes(departureTime, now + 5 * 24 * 60 * 60 * 1000), false);
+});
+
+test('the service caches provider results, including misses, with a short TTL', async () => {
+  const redis = memoryRedis();
+  let calls = 0;
+  const fixture = createFixtureFlightStatusProvider({
+    'DL915:2025-10-10': { status: 'Delayed', departureGate: 'B22', departureTerminal: '2', delay: 35 },
+  });
+  const provider = {
+    name: 'fixture',
+    lookupFlightStatus(query) {
+      calls += 1;
+      return fixture.lookupFlightStatus(query);
+    },
+  };
+  const service = createFlightStatusService({ provider, client: redis, ttlSeconds: 90 });
+  const status = await service.lookup({ flightNumber: 'DL 915', departureTime });
+  assert.deepEqual(status, {
+    status: 'Delayed',
+    departureTerminal: '2',
+    departureGate: 'B22',
+    arrivalTerminal: null,
+    arrivalGate: null,
+    baggageClaim: null,
+    delay: 35,
+    lastUpdated: null,
+    source: 'fixture',
+  });
+  assert.deepEqual(await service.lookup({ flightNumber: 'DL915', departureTime }), status);
+  assert.equal(await service.lookup({ flightNumber: 'DL 773', departureTime }), null);
+  assert.equal(await service.lookup({ flightNumber: 'DL 773', departureTime }), null);
+  assert.equal(calls, 2);
+  assert.equal(redis.ttls.get(flightStatusCacheKey('DL915', departureTime)), 90);
+
+  const disabled = createFlightStatusService({ client: redis });
+  assert.equal(disabled.enabled, false);
+  assert.equal(await disabled.lookup({ flightNumber: 'DL 915', departureTime }), null);
+});
+
+test('the FlightAware provider picks the flight scheduled closest to the local departure', async () => {
+  let requestedUrl = '';
+  const provider = createAeroApiFlightStatusProvider({
+    apiKey: 'test-key',
+    now: () => new Date('2025-10-10T12:00:00.000Z'),
+    fetchFn: async (url, options) => {
+      requestedUrl = url;
+      assert.equal(options.headers['x-apikey'], 'test-key');
+      return {
+        ok: true,
+        status: 200,
+        async json() {
+          return {
+            flights: [
+              { status: 'Scheduled', scheduled_out: '2025-10-11T13:55:00Z', origin: { timezone: 'America/Los_Angeles' } },
+              {
+                status: 'En Route / Delayed',
+                scheduled_out: '2025-10-10T13:55:00Z',
+                origin: { timezone: 'America/Los_Angeles' },
+                gate_origin: '22B',
+                terminal_destination: '4',
+                baggage_claim: '7',
+                departure_delay: 1800,
+              },
+            ],
+          };
+        },
+      };
+    },
+  });
+  const status = await provider.lookupFlightStatus({ ident: 'DL915', departureTime });
+  assert.match(requestedUrl, /\/flights\/DL915\?start=/u);
+  assert.equal(status.status, 'En Route / Delayed');
+  assert.equal(status.departureGate, '22B');
+  assert.equal(status.arrivalTerminal, '4');
+  assert.equal(status.baggageClaim, '7');
+  assert.equal(status.delay, 30);
+  assert.equal(status.source, 'flightaware');
+});
@@ -1,11 +1,44 @@
 import 'dotenv/config';
 import express from 'express';
 import { Client } from '@notionhq/client';
-import ical from 'ical-generator';
+import ical, { ICalEventStatus, ICalEventTransparency } from 'ical-generator';
 import { createClient } from 'redis';
 import { createHash } from 'node:crypto';
 import path from 'path';
 import { parseNotionFormulaJsonArray } from './admin-json.js';
+import {
+  calendarAlarmProfileFingerprint,
+  calendarAlarmsForEvent,
+  deleteCalendarAlarmProfile,
+  loadCalendarAlarmProfile,
+  persistCalendarAlarmProfile,
+} from './calendar-alarm-profile.js';
+import {
+  calendarEventTypeFilterQuery,
+  calendarEventTypeFilterVariant,
+  filterCalendarEvents,
+  parseCalendarEventTypeFilter,
+} from './calendar-event-filter.js';
+import {
+  CALENDAR_FIELD_PRIVACY_POLICIES,
+  FAMILY_SHARE_FIELD_PRIVACY,
+  calendarFieldPrivacyVariant,
+  redactCalendarEvent,
+} from './calendar-field-privacy.js';
+import {
+  issueCalendarFeedToken,
+  listCalendarFeedTokens,
+  loadCalendarFeedToken,
+  revokeAllCalendarFeedTokens,
+  revokeCalendarFeedToken,
+} from './calendar-feed-token.js';
+import {
+  isCalendarShareToken,
+  issueCalendarShareLink,
+  loadCalendarShareLink,
+  loadCalendarShareLinkForPerson,
+  revokeCalendarShareLink,
+} from './calendar-share-link.js';
 import {
   buildCalendarEventMembershipSnapshot,
   calendarEventMembershipMap,
@@ -21,6 +54,12 @@ import {
   persistCalendarShadowBaseline,
 } from './calendar-shadow-baseline.js';
 import { summarizeCalendarShadowEntries } from './calendar-shadow-summary.js';
+import {
+  evaluateCalendarCutoverReadiness,
+  loadCalendarCutoverHistory,
+  parseCalendarCutoverThresholds,
+  recordCalendarCutoverAudit,
+} from './calendar-cutover-readiness.js';
 import {
   assertCalendarEventSnapshotCoverage,
   assertCalendarEventSnapshotExpectedIds,
@@ -34,6 +73,45 @@ import {
   calendarTeamEventUrl,
   calendarTravelLinkLabel,
 } from './calendar-event-links.js';
+import {
+  findCalendarItinerary,
+  renderCalendarItineraryHtml,
+} from './calendar-itinerary.js';
+import {
+  buildTravelManifest,
+  parseDriverInfoFromDescription,
+  parsePassengerInfoFromDescription,
+} from './calendar-travel-manifest.js';
+import { analyzeCalendarConflicts, summarizeCalendarConflicts } from './calendar-conflicts.js';
+import {
+  blockoutRangesForPerson,
+  calendarBlockoutRanges,
+  calendarBlockoutRangesFromFeedEvents,
+  findBlockoutViolations,
+} from './calendar-blockouts.js';
+import { findAvailablePeople, parseCalendarAvailabilityRange } from './calendar-availability.js';
+import {
+  aggregateCalendarBandPersonnel,
+  calendarBandRows,
+  calendarBandSlug,
+  listCalendarBands,
+} from './calendar-band-feed.js';
+import {
+  buildCalendarVenueDirectory,
+  calendarVenueSlug,
+  loadCalendarVenueAliases,
+  saveCalendarVenueAliases,
+} from './calendar-venues.js';
+import {
+  calendarCompositeFeedEtag,
+  composeCalendarCompositeEvents,
+  deleteCalendarCompositeFeed,
+  isCalendarCompositeFeedId,
+  loadCalendarCompositeFeed,
+  saveCalendarCompositeFeed,
+} from './calendar-composite-feed.js';
+import { calendarBusyIntervals, calendarBusyIntervalUid } from './calendar-freebusy.js';
+import { calendarTimeZoneForAddress, calendarTimeZoneForAirport } from './calendar-time-zones.js';
 import { readStableFormulaSnapshot } from './stable-formula-snapshot.js';
 import {
   buildCalendarArtifactMetadata,
@@ -45,19 +123,89 @@ import {
   resolveCalendarRendererVersion,
 } from './calendar-cache-policy.js';
 import { createCalendarObservability } from './calendar-observability.js';
+import {
+  calendarSplitCacheKey,
+  createCalendarSplitComposer,
+  createPersonalCalendarBuildRecorder,
+} from './calendar-personal-build.js';
 import { createPostgresCalendarRefreshWorker } from './calendar-refresh-worker.js';
 import {
+  diffCalendarEventSets,
+  loadCalendarChangeSnapshot,
+  loadLatestCalendarChangeSnapshot,
+  normalizeCalendarEtag,
+  persistCalendarChangeSnapshot,
+} from './calendar-change-feed.js';
+import {
+  createCalendarChangeNotifications,
+  meaningfulCalendarChanges,
+} from './calendar-change-notifier.js';
+import {
+  emptyPublishedCalendarRegistry,
+  loadPublishedCalendarRegistry,
+  persistPublishedCalendarRegistry,
+  reconcileCalendarTombstones,
+  withoutCalendarTombstones,
+} from './calendar-tombstones.js';
+import {
+  calendarEventTimeZoneProperties,
   configuredCalendarTimeMode,
+  GOOGLE_CALENDAR_TIMEZONE,
+  isCalendarTimeZone,
+  parseCalendarTimeMode,
   serializeCalendarWithTimePolicy,
   serializeGoogleCalendarWithTimePolicy,
 } from './calendar-ics-policy.js';
 import {
+  deleteCalendarTimePreference,
+  loadCalendarTimePreference,
+  persistCalendarTimePreference,
+} from './calendar-time-preference.js';
+import {
+  CALDAV_COLLECTION_NAME,
+  buildCalDavCollection,
+  calDavCollectionProperties,
+  calDavError,
+  calDavEventProperties,
+  calDavHomeProperties,
+  calDavMissingResponse,
+  calDavMultistatus,
+  calDavResponse,
+  calendarEventOverlapsTimeRange,
+  calendarEventResourceUid,
+  parseCalDavRequestBody,
+  requestsCalendarData,
+} from './calendar-caldav.js';
+import {
+  configuredFlightStatusProvider,
+  createFlightStatusService,
+  flightStatusLookupWindowIncludes,
+} from './flight-status.js';
+import {
+  calendarFeedServiceBasicAuthIsAuthorized,
   calendarFeedServiceRequestIsAuthorized,
   compareCalendarEventSets,
   configuredCalendarFeedSource,
   diagnoseCalendarEventSets,
-  fetchPostgresCalendarFeed,
+  eventFingerprint,
+  sideBySideCalendarEventSets,
 } from './postgres-calendar-source.js';
+import { CALENDAR_SHADOW_DIFF_KINDS, renderCalendarShadowDiffHtml } from './calendar-shadow-diff.js';
+import { configuredCalendarSourceAdapter } from './calendar-source-adapter.js';
+import {
+  CALENDAR_ROUTED_SHARED_KINDS,
+  calendarSourceRoutingUsesPostgres,
+  parseCalendarSourceRouting,
+  resolveCalendarFeedSource,
+} from './calendar-source-routing.js';
+import {
+  calendarArchiveIsFrozen,
+  calendarBusinessYear,
+  loadCalendarArchive,
+  parseCalendarArchiveYear,
+  recordOpenCalendarArchive,
+  saveClosedCalendarArchive,
+} from './calendar-archive.js';
 
 // Server refresh - October 1, 2025
 // Updated with event_personnel field support - October 8, 2025
@@ -147,10 +295,28 @@ const ADMIN_EVENTS_1_PROPERTY_ID = process.env.ADMIN_EVENTS_1_PROPERTY_ID || nul
 const ADMIN_EVENTS_2_PROPERTY_ID = process.env.ADMIN_EVENTS_2_PROPERTY_ID || null;
 const TRAVEL_ADMIN_PROPERTY_ID = process.env.TRAVEL_ADMIN_PROPERTY_ID || '%3B%3CuW';
 const CALENDAR_FEED_SOURCE = configuredCalendarFeedSource();
+// Postgres and shadow modes read the projection through this adapter: the
+// Downbeat API by default, or local JSON fixtures for offline runs.
+const calendarSourceAdapter = configuredCalendarSourceAdapter();
+// Moves listed people, a hash cohort, or single shared feeds to Postgres while
+// the rest stay on CALENDAR_FEED_SOURCE. Ignored in Postgres mode.
+const CALENDAR_FEED_ROUTING = parseCalendarSourceRouting(process.env.CALENDAR_FEED_ROUTING);
+const CALENDAR_POSTGRES_ROUTED = CALENDAR_FEED_SOURCE === 'postgres'
+  || calendarSourceRoutingUsesPostgres(CALENDAR_FEED_ROUTING);
 const CALENDAR_TIME_MODE = configuredCalendarTimeMode();
+// Parity limits each shadow audit is judged against before the Postgres cutover.
+const CALENDAR_CUTOVER_THRESHOLDS = parseCalendarCutoverThresholds(process.env.CALENDAR_CUTOVER_THRESHOLDS);
 const CALENDAR_RENDERER_VERSION = resolveCalendarRendererVersion(process.env);
 const CALENDAR_SLOW_BUILD_MS = Number(process.env.CALENDAR_SLOW_BUILD_MS || 5_000);
 const calendarObservability = createCalendarObservability();
+const flightStatusService = createFlightStatusService({
+  provider: configuredFlightStatusProvider(),
+  client: () => (redis && cacheEnabled ? redis : null),
+  ttlSeconds: process.env.FLIGHT_STATUS_CACHE_TTL_SECONDS,
+});
+const calendarChangeNotifications = createCalendarChangeNotifications();
+// How long a removed event stays in feeds as a STATUS:CANCELLED tombstone.
+const CALENDAR_TOMBSTONE_GRACE_HOURS = Number(process.env.CALENDAR_TOMBSTONE_GRACE_HOURS ?? 7 * 24);
 const runCalendarBuild = createCalendarSingleFlight({
   onCoalesced: () => calendarObservability.record('coalescedRequest', { kind: 'calendar' }),
 });
@@ -162,9 +328,20 @@ if (CALENDAR_FEED_SOURCE === 'shadow') {
 } else if (CALENDAR_FEED_SOURCE === 'postgres') {
   console.log('   Serving Postgres projections through the existing subscription URLs and renderer');
 }
+if (CALENDAR_FEED_SOURCE !== 'postgres' && CALENDAR_POSTGRES_ROUTED) {
+  const { personal, shared } = CALENDAR_FEED_ROUTING;
+  const sharedKinds = Object.keys(shared).filter((kind) => shared[kind] === 'postgres');
+  console.log(`   Routing to Postgres: ${personal.personIds.length} listed people, ${personal.percent}% cohort, shared: ${sharedKinds.join(', ') || 'none'}`);
+}
+if (CALENDAR_POSTGRES_ROUTED || CALENDAR_FEED_SOURCE !== 'notion') {
+  console.log(`   Projection source adapter: ${calendarSourceAdapter.name}`);
+}
 
 // Cache TTL in seconds (30 minutes by default)
 const CACHE_TTL = parseInt(process.env.CACHE_TTL) || 1800;
+// When true, raw personnel-ID feed URLs stop serving public requests and only
+// /calendar/t/<token> subscription URLs work.
+const CALENDAR_REQUIRE_FEED_TOKENS = String(process.env.CALENDAR_REQUIRE_FEED_TOKENS || 'false').toLowerCase() === 'true';
 const SHADOW_PARITY_REDIS_KEY = 'calendar:shadow:parity:v2';
 const SHADOW_PARITY_TTL_SECONDS = 7 * 24 * 60 * 60;
 const SHADOW_BASELINE_REFRESH_CONCURRENCY = Number(
@@ -176,6 +353,15 @@ const SHADOW_BASELINE_UNAVAILABLE_CODES = new Set([
   'SHADOW_BASELINE_CACHE_INVALID',
 ]);
 const shadowParityMemory = new Map();
+// Stands in for Redis so the cutover gate still works on a cacheless server.
+const calendarCutoverMemoryStore = {
+  value: null,
+  async get() { return this.value; },
+  async setEx(_key, _ttlSeconds, value) { this.value = value; return 'OK'; },
+};
+// Latest conflict analysis per person, written by every full personal build.
+const CALENDAR_CONFLICTS_REDIS_KEY = 'calendar:conflicts:v1';
+const calendarConflictMemory = new Map();
 const activeShadowComparisons = new Set();
 let activeShadowAudit = null;
 let shadowAuditState = {
@@ -197,6 +383,7 @@ let shadowAuditState = {
 };
 const CALENDAR_DATA_INDEX_CACHE_KEY = 'calendar:index:calendar_data_rows:v1';
 const CALENDAR_DATA_INDEX_STATE_CACHE_KEY = 'calendar:index:calendar_data_rows:build_state:v1';
+const CALENDAR_VENUE_DIRECTORY_CACHE_KEY = 'calendar:venue-directory:v1';
 const CALENDAR_DATA_INDEX_TTL = Number(process.env.CALENDAR_DATA_INDEX_TTL || 24 * 60 * 60);
 const CALENDAR_DATA_INDEX_BUILD_PAGES_PER_CYCLE = Number(process.env.CALENDAR_DATA_INDEX_BUILD_PAGES_PER_CYCLE || 10);
 const LOG_DEDUP_WINDOW_MS = Number(process.env.LOG_DEDUP_WINDOW_MS || 30000);
@@ -307,66 +494,16 @@ function generateFlightCountdownUrl(flightData, direction = 'departure') {
   return `${baseUrl}/flight-countdown-modern.html?${params.toString()}`;
 }
 
-// Set true to emit VALARM on personnel/blockout calendar events again.
+// Set true to emit VALARM on personnel/blockout calendar events again for
+// subscribers who have not saved their own alarm profile.
 const CALENDAR_ICS_ALARMS_ENABLED = false;
 
 // Helper function to get appropriate alarms for each event type
-function getAlarmsForEvent(eventType, eventTitle = '') {
-  if (!CALENDAR_ICS_ALARMS_ENABLED) {
-    return [];
-  }
-
-  // Skip alarms for OOO events
-  if (eventTitle && eventTitle.includes('⛔️') && eventTitle.toUpperCase().includes('OOO')) {
-    return [];
-  }
-
-  const alarmConfigs = {
-    // FLIGHTS: 3 hours before
-    'flight_departure': [
-      { type: 'display', trigger: 10800 }   // 3 hours
-    ],
-    'flight_return': [
-      { type: 'display', trigger: 10800 }   // 3 hours
-    ],
-    'flight_departure_layover': [
-      { type: 'display', trigger: 10800 }   // 3 hours
-    ],
-    'flight_return_layover': [
-      { type: 'display', trigger: 10800 }   // 3 hours
-    ],
-    
-    // MAIN EVENTS: 1 hour before
-    'main_event': [
-      { type: 'display', trigger: 3600 }    // 1 hour
-    ],
-    
-    // REHEARSALS: 24 hours before
-    'rehearsal': [
-      { type: 'display', trigger: 86400 }   // 24 hours
-    ],
-    
-    // HOTELS: 4 hours before check-in
-    'hotel': [
-      { type: 'display', trigger: 14400 }   // 4 hours
-    ],
-    
-    // TRANSPORTATION: 45 mins for pickup/meetup ONLY
-    'ground_transport_pickup': [
-      { type: 'display', trigger: 2700 }    // 45 minutes
-    ],
-    'ground_transport_meeting': [
-      { type: 'display', trigger: 2700 }    // 45 minutes
-    ],
-    'ground_transport_dropoff': [],         // NO ALARM
-    'ground_transport': [],                 // NO ALARM
-    
-    // TEAM CALENDAR: None
-    'team_calendar': [],                    // NO ALARM
-    'event_note_reminder': []              // NO ALARM
-  };
-  
-  return alarmConfigs[eventType] || [];
+function getAlarmsForEvent(eventType, eventTitle = '', alarmProfile = null) {
+  return calendarAlarmsForEvent(eventType, eventTitle, {
+    profile: alarmProfile,
+    defaultsEnabled: CALENDAR_ICS_ALARMS_ENABLED,
+  });
 }
 
 // Helper function to convert timezone-aware ISO 8601 to Pacific time (updated v2)
@@ -560,12 +697,12 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-function serializeCalendar(calendar) {
-  return serializeCalendarWithTimePolicy(calendar, { mode: CALENDAR_TIME_MODE });
+function serializeCalendar(calendar, options = {}) {
+  return serializeCalendarWithTimePolicy(calendar, { mode: CALENDAR_TIME_MODE, ...options });
 }
 
-function serializeGoogleCalendar(calendar) {
-  return serializeGoogleCalendarWithTimePolicy(calendar, { mode: CALENDAR_TIME_MODE });
+function serializeGoogleCalendar(calendar, options = {}) {
+  return serializeGoogleCalendarWithTimePolicy(calendar, { mode: CALENDAR_TIME_MODE, ...options });
 }
 
 function getRetryAfterMs(error) {
@@ -765,19 +902,153 @@ function isSplitModeAllowedForPerson(personId, regenMode) {
   return true; // Split mode enabled for everyone; NOTION_API_KEY for events, NOTION_API_KEY2 for non-events
 }
 
-function buildCalendarCacheKey(personId, formatKey, regenMode = REGEN_MODE_FULL) {
-  const prefix = CALENDAR_FEED_SOURCE === 'postgres' ? 'calendar:postgres' : 'calendar';
+function calendarPersonalFeedSource(personId) {
+  return resolveCalendarFeedSource(CALENDAR_FEED_ROUTING, {
+    mode: CALENDAR_FEED_SOURCE,
+    kind: 'personal',
+    personId,
+  });
+}
+
+function calendarSharedFeedSource(kind) {
+  return resolveCalendarFeedSource(CALENDAR_FEED_ROUTING, { mode: CALENDAR_FEED_SOURCE, kind });
+}
+
+// Postgres artifacts live under calendar:postgres:*, so a routed feed never
+// reads an artifact the Notion sweep wrote, and the key names its source.
+function calendarArtifactSourceForKey(cacheKey) {
+  return String(cacheKey).startsWith('calendar:postgres:') ? 'postgres' : 'notion';
+}
+
+// For shared feeds sent without stored metadata (no Redis, or a fresh build).
+function calendarSharedArtifactSource(kind) {
+  if (!['admin', 'travel', 'blockout', 'band', 'venue'].includes(kind)) return null;
+  return calendarSharedFeedSource(kind) === 'postgres' ? 'postgres' : 'notion';
+}
+
+// `source` defaults to wherever the routing table serves this person from;
+// builders that only ever read one source pass it explicitly.
+function buildCalendarCacheKey(
+  personId,
+  formatKey,
+  regenMode = REGEN_MODE_FULL,
+  variant = '',
+  source = calendarPersonalFeedSource(personId)
+) {
+  const prefix = source === 'postgres' ? 'calendar:postgres' : 'calendar';
+  const suffix = variant ? `:${variant}` : '';
   if (regenMode === REGEN_MODE_FULL) {
-    return `${prefix}:${personId}:${formatKey}`;
+    return `${prefix}:${personId}:${formatKey}${suffix}`;
   }
-  return `${prefix}:${personId}:${regenMode}:${formatKey}`;
+  return `${prefix}:${personId}:${regenMode}:${formatKey}${suffix}`;
 }
 
-function buildSharedCalendarCacheKey(kind, formatKey) {
-  const prefix = CALENDAR_FEED_SOURCE === 'postgres' ? 'calendar:postgres' : 'calendar';
+function buildSharedCalendarCacheKey(kind, formatKey, source = calendarSharedFeedSource(kind)) {
+  const prefix = source === 'postgres' ? 'calendar:postgres' : 'calendar';
   return `${prefix}:${kind}:${formatKey}`;
 }
 
+// ICS artifacts carry VALARMs, so each saved alarm profile is cached under its
+// own key. JSON artifacts do not contain alarms and never use a variant.
+function calendarAlarmCacheVariant(alarmProfile) {
+  const fingerprint = calendarAlarmProfileFingerprint(alarmProfile);
+  return fingerprint ? `alarms-${fingerprint}` : '';
+}
+
+function joinCalendarCacheVariants(...variants) {
+  return variants.filter(Boolean).join(':');
+}
+
+async function readCalendarAlarmProfile(personId) {
+  if (!redis || !cacheEnabled) return null;
+  try {
+    return await loadCalendarAlarmProfile(redis, personId);
+  } catch (error) {
+    console.warn('[calendar-alarms] Alarm profile read failed:', error.code || 'REDIS_ERROR');
+    return null;
+  }
+}
+
+async function resolveCalendarAlarmProfile(personId, options = {}) {
+  return options.alarmProfile !== undefined
+    ? options.alarmProfile
+    : readCalendarAlarmProfile(personId);
+}
+
+// The server-wide CALENDAR_TIME_MODE keeps the unsuffixed cache keys; any
+// other mode (or a default zone) renders into its own ICS variant.
+function calendarTimePolicyVariant({ timeMode = CALENDAR_TIME_MODE, defaultTimeZone = null } = {}) {
+  if (timeMode === CALENDAR_TIME_MODE && !defaultTimeZone) return '';
+  const zoneHash = defaultTimeZone
+    ? `-${createHash('sha256').update(defaultTimeZone).digest('hex').slice(0, 8)}`
+    : '';
+  return `time-${timeMode}${zoneHash}`;
+}
+
+async function readCalendarTimePreference(personId) {
+  if (!redis || !cacheEnabled) return null;
+  try {
+    return await loadCalendarTimePreference(redis, personId);
+  } catch (error) {
+    console.warn('[calendar-time] Time preference read failed:', error.code || 'REDIS_ERROR');
+    return null;
+  }
+}
+
+// The ETag sendCalendarArtifact gives a JSON artifact; it depends only on the content.
+function calendarJsonArtifactEtag(jsonData) {
+  return buildCalendarArtifactMetadata({ content: jsonData, rendererVersion: CALENDAR_RENDERER_VERSION }).etag;
+}
+
+// Change snapshots are best effort: a failed write only means a later
+// /changes request for this ETag has to resync.
+async function saveCalendarChangeSnapshot(personId, snapshot) {
+  if (!redis || !cacheEnabled || !snapshot.etag) return null;
+  try {
+    return await persistCalendarChangeSnapshot(redis, personId, snapshot, {
+      ttlSeconds: process.env.CALENDAR_CHANGE_SNAPSHOT_TTL_SECONDS,
+    });
+  } catch (error) {
+    console.warn('[calendar-changes] Change snapshot write failed:', error.code || 'REDIS_ERROR');
+    return null;
+  }
+}
+
+// Stamps each event with the SEQUENCE and LAST-MODIFIED its content earned,
+// adds tombstones for UIDs this feed published before but no longer has, and
+// records the current UIDs for the next build. Events are fingerprinted as
+// published so the Postgres and split-cache paths agree. Without Redis, or on
+// a store error, the events pass through unchanged.
+async function withPublishedEventRevisions(feedKey, events) {
+  if (!redis || !cacheEnabled) return events;
+  try {
+    const registry = await loadPublishedCalendarRegistry(redis, feedKey).catch((error) => {
+      if (error.code !== 'CALENDAR_TOMBSTONE_STORE_INVALID') throw error;
+      console.warn('[calendar-tombstones] Replacing invalid published-event registry');
+      return emptyPublishedCalendarRegistry();
+    });
+    const reconciled = reconcileCalendarTombstones(registry, events, {
+      graceMs: CALENDAR_TOMBSTONE_GRACE_HOURS * 60 * 60 * 1000,
+      fingerprint: (event) => eventFingerprint(calendarEventWithEventHubLink(event)),
+    });
+    await persistPublishedCalendarRegistry(redis, feedKey, reconciled.registry);
+    return [...reconciled.events, ...reconciled.tombstones];
+  } catch (error) {
+    console.warn('[calendar-tombstones] Published-event registry update failed:', error.code || 'REDIS_ERROR');
+    return events;
+  }
+}
+
+async function readLatestCalendarChangeSnapshot(personId) {
+  if (!redis || !cacheEnabled) return null;
+  try {
+    return await loadLatestCalendarChangeSnapshot(redis, personId);
+  } catch (error) {
+    console.warn('[calendar-changes] Change snapshot read failed:', error.code || 'REDIS_ERROR');
+    return null;
+  }
+}
+
 async function saveCalendarShadowBaseline(kind, selector, events, sourcePageId = null) {
   if (CALENDAR_FEED_SOURCE !== 'shadow') return null;
   if (!redis || !cacheEnabled) {
@@ -785,10 +1056,11 @@ async function saveCalendarShadowBaseline(kind, selector, events, sourcePageId =
     error.code = 'SHADOW_AUDIT_CACHE_UNAVAILABLE';
     throw error;
   }
+  // Postgres publishes no tombstones, so baselines leave them out too.
   return persistCalendarShadowBaseline(redis, {
     kind,
     selector,
-    events: Array.isArray(events) ? events : [],
+    events: withoutCalendarTombstones(Array.isArray(events) ? events : []),
     sourcePageId,
   });
 }
@@ -807,6 +1079,8 @@ async function cacheCalendarArtifact(cacheKey, content, options = {}) {
     sourceUpdatedAt: options.sourceUpdatedAt,
     rendererVersion: CALENDAR_RENDERER_VERSION,
     eventCount: options.eventCount,
+    source: calendarArtifactSourceForKey(cacheKey),
+    dependencyEtag: options.dependencyEtag,
   });
   if (redis && cacheEnabled) {
     await Promise.all([
@@ -818,7 +1092,7 @@ async function cacheCalendarArtifact(cacheKey, content, options = {}) {
 }
 
 async function validatePostgresCacheRevision(cacheKey) {
-  if (CALENDAR_FEED_SOURCE !== 'postgres' || !redis || !cacheEnabled) {
+  if (calendarArtifactSourceForKey(cacheKey) !== 'postgres' || !redis || !cacheEnabled) {
     return {
       matches: true,
       sourceRevision: null,
@@ -868,10 +1142,13 @@ function sendCalendarArtifact(req, res, content, options = {}) {
     sourceUpdatedAt: options.sourceUpdatedAt,
     rendererVersion: CALENDAR_RENDERER_VERSION,
     eventCount: options.eventCount,
+    source: options.source,
   });
   res.setHeader('ETag', metadata.etag);
   res.setHeader('Last-Modified', new Date(metadata.generatedAt).toUTCString());
   res.setHeader('X-Downbeat-Calendar-Renderer', CALENDAR_RENDERER_VERSION);
+  const source = metadata.source || options.source || calendarSharedArtifactSource(options.kind);
+  if (source) res.setHeader('X-Downbeat-Calendar-Source', source);
   res.setHeader('Cache-Control', 'private, no-cache, max-age=0, must-revalidate');
   if (options.contentType) res.setHeader('Content-Type', options.contentType);
   if (options.filename) {
@@ -914,6 +1191,10 @@ function runMonitoredCalendarBuild(key, kind, builder) {
   });
 }
 
+function fetchPostgresCalendarFeed(kind, selector = null) {
+  return calendarSourceAdapter.fetchFeed(kind, selector);
+}
+
 function attachPostgresSourceRevision(data, payload) {
   if (data && typeof data === 'object') {
     for (const [property, value] of Object.entries({
@@ -1001,82 +1282,756 @@ async function loadCalendarShadowEntries() {
     || left.selector.localeCompare(right.selector));
 }
 
-function requireCalendarFeedServiceKey(req, res, next) {
-  if (!calendarFeedServiceRequestIsAuthorized(req)) {
-    return res.status(401).json({ error: 'Invalid calendar feed service key' });
-  }
-  return next();
+function requireCalendarFeedServiceKey(req, res, next) {
+  if (!calendarFeedServiceRequestIsAuthorized(req)) {
+    return res.status(401).json({ error: 'Invalid calendar feed service key' });
+  }
+  return next();
+}
+
+function authorizedCalendarFreshRequest(req) {
+  return req.query?.fresh === 'true' && calendarFeedServiceRequestIsAuthorized(req);
+}
+
+app.get('/api/internal/calendar-shadow-report', requireCalendarFeedServiceKey, async (req, res) => {
+  const entries = await loadCalendarShadowEntries();
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.json({
+    sourceMode: CALENDAR_FEED_SOURCE,
+    generatedAt: new Date().toISOString(),
+    audit: {
+      ...shadowAuditState,
+      activeComparisons: activeShadowComparisons.size,
+    },
+    summary: summarizeCalendarShadowEntries(entries, {
+      baselineUnavailableCodes: SHADOW_BASELINE_UNAVAILABLE_CODES,
+    }),
+    ...(req.query.details === 'true' ? { entries } : {}),
+  });
+});
+
+app.delete('/api/internal/calendar-shadow-report', requireCalendarFeedServiceKey, async (_req, res) => {
+  shadowParityMemory.clear();
+  if (redis && cacheEnabled) await redis.del(SHADOW_PARITY_REDIS_KEY);
+  res.json({ success: true });
+});
+
+function calendarCutoverStore() {
+  return redis && cacheEnabled ? redis : calendarCutoverMemoryStore;
+}
+
+// Scores a finished shadow audit against the cutover thresholds. A failed
+// audit is recorded too, so it breaks every kind's run of clean audits.
+async function recordCalendarCutoverReadinessAudit(auditState) {
+  try {
+    const summary = auditState.status === 'complete'
+      ? summarizeCalendarShadowEntries(await loadCalendarShadowEntries(), {
+        baselineUnavailableCodes: SHADOW_BASELINE_UNAVAILABLE_CODES,
+      })
+      : {};
+    const { readiness } = await recordCalendarCutoverAudit(calendarCutoverStore(), {
+      auditedAt: auditState.completedAt,
+      status: auditState.status,
+      errorCode: auditState.errorCode,
+      summary,
+    }, { thresholds: CALENDAR_CUTOVER_THRESHOLDS });
+    console.log(`[calendar-cutover] ${readiness.ready ? 'ready' : 'not ready'}: ${readiness.explanation}`);
+  } catch (error) {
+    console.warn('[calendar-cutover] readiness record failed:', error.code || 'REDIS_ERROR');
+  }
+}
+
+app.get('/api/internal/calendar-cutover-readiness', requireCalendarFeedServiceKey, async (req, res) => {
+  let history;
+  try {
+    history = await loadCalendarCutoverHistory(calendarCutoverStore());
+  } catch (error) {
+    return res.status(503).json({ error: 'Calendar cutover history is unavailable', code: error.code || 'REDIS_ERROR' });
+  }
+  // Re-evaluated on read so audits age out of the window and threshold
+  // changes apply without waiting for the next audit.
+  const readiness = evaluateCalendarCutoverReadiness(history.audits, CALENDAR_CUTOVER_THRESHOLDS);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.json({
+    sourceMode: CALENDAR_FEED_SOURCE,
+    ...readiness,
+    lastRecordedAt: history.readiness?.evaluatedAt || null,
+    ...(req.query.details === 'true' ? { audits: history.audits } : {}),
+  });
+});
+
+app.get('/api/internal/calendar-source-routing', requireCalendarFeedServiceKey, (req, res) => {
+  const personId = normalizeNotionPageId(req.query.personId);
+  if (req.query.personId && !personId) {
+    return res.status(400).json({ error: 'Invalid person ID' });
+  }
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.json({
+    sourceMode: CALENDAR_FEED_SOURCE,
+    routingActive: CALENDAR_FEED_SOURCE !== 'postgres' && CALENDAR_POSTGRES_ROUTED,
+    personal: CALENDAR_FEED_ROUTING.personal,
+    shared: Object.fromEntries(CALENDAR_ROUTED_SHARED_KINDS.map((kind) => [kind, calendarSharedFeedSource(kind)])),
+    ...(personId ? { person: { personId, source: calendarPersonalFeedSource(personId) } } : {}),
+  });
+});
+
+// Both sides of one shadow comparison: the saved Notion baseline and the
+// Postgres projection run through the same processor.
+async function loadCalendarShadowEventSets(kind, personId = null) {
+  if (kind === 'personal') {
+    const [notionEvents, payload] = await Promise.all([
+      loadCalendarShadowBaselineEvents('personal', personId, buildCalendarCacheKey(personId, 'json', REGEN_MODE_FULL, '', 'notion')),
+      fetchPostgresCalendarFeed('personal', personId),
+    ]);
+    const postgresEvents = buildCalendarEventsFromCalendarData(payload.calendarData || {});
+    return { notionEvents, postgresEvents };
+  }
+  const [processor, payloadField] = {
+    admin: [processAdminEvents, 'events'],
+    travel: [processTravelEvents, 'travelGroups'],
+    blockout: [processBlockoutEvents, 'events'],
+  }[kind];
+  const [notionEvents, payload] = await Promise.all([
+    loadCalendarShadowBaselineEvents(kind, kind, buildSharedCalendarCacheKey(kind, 'json', 'notion')),
+    fetchPostgresCalendarFeed(kind),
+  ]);
+  return { notionEvents, postgresEvents: processor(payload?.[payloadField] || []) };
+}
+
+app.get('/api/internal/calendar-shadow-diff/:personId', requireCalendarFeedServiceKey, async (req, res) => {
+  if (CALENDAR_FEED_SOURCE !== 'shadow') {
+    return res.status(409).json({ error: 'Calendar service is not in shadow mode.' });
+  }
+  const personId = normalizeNotionPageId(req.params.personId);
+  if (!personId) return res.status(400).json({ error: 'A valid personnel page ID is required.' });
+  try {
+    const { notionEvents, postgresEvents } = await loadCalendarShadowEventSets('personal', personId);
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.json({
+      selectorHash: shadowSelectorHash('personal', personId),
+      ...diagnoseCalendarEventSets(notionEvents, postgresEvents),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Calendar shadow diagnostic failed.',
+      code: error.code || 'UNKNOWN',
+    });
+  }
+});
+
+function requireCalendarFeedServiceBrowserAuth(req, res, next) {
+  if (calendarFeedServiceRequestIsAuthorized(req) || calendarFeedServiceBasicAuthIsAuthorized(req)) {
+    return next();
+  }
+  res.setHeader('WWW-Authenticate', 'Basic realm="Downbeat calendar shadow diff", charset="UTF-8"');
+  return res.status(401).type('text/plain').send('Invalid calendar feed service key');
+}
+
+// Side-by-side Notion and Postgres occurrences for one person or shared kind,
+// for signing off the cutover in a browser. Unlike the JSON diagnostic above,
+// it shows field values, so it is never cached.
+app.get('/api/internal/calendar-shadow-viewer', requireCalendarFeedServiceBrowserAuth, async (req, res) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'");
+  const kind = CALENDAR_SHADOW_DIFF_KINDS.includes(req.query.kind) ? req.query.kind : '';
+  const query = {
+    kind,
+    personId: typeof req.query.personId === 'string' ? req.query.personId.trim().slice(0, 100) : '',
+    method: typeof req.query.method === 'string' ? req.query.method.trim().slice(0, 40) : '',
+  };
+  const render = (status, options = {}) => res.status(status).type('text/html; charset=utf-8')
+    .send(renderCalendarShadowDiffHtml({ query, ...options }));
+  if (CALENDAR_FEED_SOURCE !== 'shadow') {
+    return render(409, { error: 'Calendar service is not in shadow mode.' });
+  }
+  if (!kind) return render(200);
+  const personId = kind === 'personal' ? normalizeNotionPageId(query.personId) : null;
+  if (kind === 'personal' && !personId) {
+    return render(400, { error: 'A valid personnel page ID is required.' });
+  }
+  try {
+    const { notionEvents, postgresEvents } = await loadCalendarShadowEventSets(kind, personId);
+    return render(200, {
+      rows: sideBySideCalendarEventSets(notionEvents, postgresEvents),
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Calendar shadow viewer error:', error.code || error.message);
+    return render(500, { error: `Calendar shadow comparison failed (${error.code || 'UNKNOWN'}).` });
+  }
+});
+
+app.get('/api/internal/calendar-health', requireCalendarFeedServiceKey, (_req, res) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.json({
+    status: 'ok',
+    sourceMode: CALENDAR_FEED_SOURCE,
+    timeMode: CALENDAR_TIME_MODE,
+    rendererVersion: CALENDAR_RENDERER_VERSION,
+    cacheEnabled,
+    activeBuilds: runCalendarBuild.activeCount(),
+    refreshWorker: postgresCalendarRefreshWorker?.snapshot?.() || {
+      enabled: false,
+      started: false,
+    },
+    monitoring: calendarObservability.snapshot(),
+    changeNotifications: calendarChangeNotifications.snapshot(),
+  });
+});
+
+// Sends pending change notifications now instead of waiting for the debounce
+// or digest timer. With a personId, only that person's.
+app.post('/api/internal/calendar-change-notifications/flush', requireCalendarFeedServiceKey, express.json(), async (req, res) => {
+  const personId = req.body?.personId ? normalizeNotionPageId(req.body.personId) : null;
+  if (req.body?.personId && !personId) {
+    return res.status(400).json({ error: 'A valid personnel page ID is required.' });
+  }
+  const notification = await calendarChangeNotifications.flush(personId);
+  return res.json({
+    sent: Boolean(notification),
+    people: notification?.people.length || 0,
+    changeNotifications: calendarChangeNotifications.snapshot(),
+  });
+});
+
+// Conflicts from each person's latest full build. Past conflicts are left out
+// unless all=true; people are listed only when they have something to fix.
+app.get('/api/internal/calendar-conflicts', requireCalendarFeedServiceKey, async (req, res) => {
+  const includePast = req.query.all === 'true';
+  const now = Date.now();
+  const analyzed = await loadCalendarConflictEntries();
+  const entries = analyzed.map((entry) => ({
+    ...entry,
+    conflicts: (entry.conflicts || []).filter((item) => includePast || Date.parse(item.end) >= now),
+  }));
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.json({
+    generatedAt: new Date(now).toISOString(),
+    peopleAnalyzed: analyzed.length,
+    summary: summarizeCalendarConflicts(entries),
+    people: entries.filter((entry) => entry.conflicts.length > 0),
+  });
+});
+
+// Main events and rehearsals booked on days the person blocked out. Blockouts
+// come from the configured source; bookings from each person's cached feed.
+app.get('/api/internal/calendar-blockout-violations', requireCalendarFeedServiceKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  if (!redis || !cacheEnabled) {
+    return res.status(503).json({
+      error: 'Calendar feed cache is unavailable.',
+      code: 'CALENDAR_CACHE_UNAVAILABLE',
+    });
+  }
+  try {
+    const includePast = req.query.all === 'true';
+    const now = Date.now();
+    const [blockoutRows, personIds] = await Promise.all([
+      getConfiguredBlockoutCalendarData(),
+      listCalendarRosterPersonIds(),
+    ]);
+    const ranges = calendarBlockoutRanges(blockoutRows)
+      .filter((range) => includePast || Date.parse(range.end) > now);
+    const { people, missing } = await loadCachedPersonalCalendars(personIds);
+    const { violations, unmatched } = findBlockoutViolations(ranges, people);
+    return res.json({
+      generatedAt: new Date(now).toISOString(),
+      sourceMode: CALENDAR_FEED_SOURCE,
+      blockouts: ranges.length,
+      peopleChecked: people.length,
+      peopleWithoutCachedFeed: missing,
+      unmatchedBlockoutNames: unmatched,
+      violations,
+    });
+  } catch (error) {
+    console.error('Blockout violation report error:', error.message);
+    return res.status(500).json({
+      error: 'Blockout violation report failed.',
+      code: error.code || 'UNKNOWN',
+    });
+  }
+});
+
+// Who on the roster is free for a whole window, optionally for one position.
+// Reads cached feeds and blockouts; nobody's calendar is rebuilt.
+app.get('/api/internal/calendar-availability', requireCalendarFeedServiceKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  let range;
+  try {
+    range = parseCalendarAvailabilityRange({ start: req.query.start, end: req.query.end });
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid availability range', code: error.code, message: error.message });
+  }
+  if (!redis || !cacheEnabled) {
+    return res.status(503).json({
+      error: 'Calendar feed cache is unavailable.',
+      code: 'CALENDAR_CACHE_UNAVAILABLE',
+    });
+  }
+  try {
+    const position = typeof req.query.position === 'string' ? req.query.position.trim() : '';
+    const [personIds, blockoutRanges] = await Promise.all([
+      listCalendarRosterPersonIds(),
+      loadCachedCalendarBlockoutRanges(),
+    ]);
+    const { people, missing } = await loadCachedPersonalCalendars(personIds);
+    return res.json({
+      generatedAt: new Date().toISOString(),
+      range,
+      position: position || null,
+      peopleChecked: people.length,
+      peopleWithoutCachedFeed: missing,
+      blockoutsChecked: blockoutRanges !== null,
+      ...findAvailablePeople(people, { range, position, blockoutRanges: blockoutRanges || [] }),
+    });
+  } catch (error) {
+    console.error('Calendar availability search error:', error.message);
+    return res.status(500).json({
+      error: 'Calendar availability search failed.',
+      code: error.code || 'UNKNOWN',
+    });
+  }
+});
+
+// Who arrives and leaves on what for one event, across every travel group
+// attached to it. eventId is the event hub ID or the slugged event name.
+app.get('/api/internal/travel-manifest/:eventId', requireCalendarFeedServiceKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  try {
+    const travelGroups = await getConfiguredTravelCalendarData();
+    const manifest = buildTravelManifest(travelGroups, req.params.eventId, { parseDateTime: parseUnifiedDateTime });
+    if (!manifest) return res.status(404).json({ error: 'No travel found for this event' });
+    return res.json({ generatedAt: new Date().toISOString(), ...manifest });
+  } catch (error) {
+    console.error('Travel manifest error:', error.message);
+    return res.status(500).json({ error: 'Travel manifest failed.', message: error.message });
+  }
+});
+
+// Subscriber stores (alarm profiles, time preferences, share links, feed tokens) all need a valid
+// personnel ID and a live Redis connection. Sends the error response and
+// returns null when either is missing.
+function calendarSubscriberStorePersonId(req, res, { storeName, unavailableCode }) {
+  const personId = normalizeNotionPageId(req.params.personId);
+  if (!personId) {
+    res.status(400).json({ error: 'A valid personnel page ID is required.' });
+    return null;
+  }
+  if (!redis || !cacheEnabled) {
+    res.status(503).json({
+      error: `Calendar ${storeName} store is unavailable.`,
+      code: unavailableCode,
+    });
+    return null;
+  }
+  return personId;
+}
+
+function calendarAlarmProfilePersonId(req, res) {
+  return calendarSubscriberStorePersonId(req, res, {
+    storeName: 'alarm profile',
+    unavailableCode: 'CALENDAR_ALARM_PROFILE_STORE_UNAVAILABLE',
+  });
+}
+
+app.get('/api/internal/calendar-alarm-profiles/:personId', requireCalendarFeedServiceKey, async (req, res) => {
+  const personId = calendarAlarmProfilePersonId(req, res);
+  if (!personId) return undefined;
+  res.setHeader('Cache-Control', 'private, no-store');
+  try {
+    return res.json({
+      personId,
+      defaultsEnabled: CALENDAR_ICS_ALARMS_ENABLED,
+      profile: await loadCalendarAlarmProfile(redis, personId),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Calendar alarm profile read failed.',
+      code: error.code || 'UNKNOWN',
+    });
+  }
+});
+
+app.put(
+  '/api/internal/calendar-alarm-profiles/:personId',
+  requireCalendarFeedServiceKey,
+  express.json({ limit: '16kb' }),
+  async (req, res) => {
+    const personId = calendarAlarmProfilePersonId(req, res);
+    if (!personId) return undefined;
+    res.setHeader('Cache-Control', 'private, no-store');
+    try {
+      const profile = await persistCalendarAlarmProfile(redis, personId, req.body);
+      // The next ICS request misses on the new profile's cache key and rebuilds.
+      return res.json({ success: true, personId, profile });
+    } catch (error) {
+      const invalid = /^CALENDAR_ALARM_PROFILE_(INVALID|TYPE_INVALID)$/u.test(error.code || '');
+      return res.status(invalid ? 400 : 500).json({
+        error: invalid ? error.message : 'Calendar alarm profile update failed.',
+        code: error.code || 'UNKNOWN',
+      });
+    }
+  }
+);
+
+app.delete('/api/internal/calendar-alarm-profiles/:personId', requireCalendarFeedServiceKey, async (req, res) => {
+  const personId = calendarAlarmProfilePersonId(req, res);
+  if (!personId) return undefined;
+  try {
+    return res.json({ success: true, personId, deleted: await deleteCalendarAlarmProfile(redis, personId) });
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Calendar alarm profile delete failed.',
+      code: error.code || 'UNKNOWN',
+    });
+  }
+});
+
+function calendarTimePreferencePersonId(req, res) {
+  return calendarSubscriberStorePersonId(req, res, {
+    storeName: 'time preference',
+    unavailableCode: 'CALENDAR_TIME_PREFERENCE_STORE_UNAVAILABLE',
+  });
+}
+
+app.get('/api/internal/calendar-time-preferences/:personId', requireCalendarFeedServiceKey, async (req, res) => {
+  const personId = calendarTimePreferencePersonId(req, res);
+  if (!personId) return undefined;
+  res.setHeader('Cache-Control', 'private, no-store');
+  try {
+    return res.json({
+      personId,
+      defaultMode: CALENDAR_TIME_MODE,
+      preference: await loadCalendarTimePreference(redis, personId),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Calendar time preference read failed.',
+      code: error.code || 'UNKNOWN',
+    });
+  }
+});
+
+// Body: { "mode": "zoned", "defaultTimeZone": "America/Los_Angeles" }.
+app.put(
+  '/api/internal/calendar-time-preferences/:personId',
+  requireCalendarFeedServiceKey,
+  express.json({ limit: '16kb' }),
+  async (req, res) => {
+    const personId = calendarTimePreferencePersonId(req, res);
+    if (!personId) return undefined;
+    res.setHeader('Cache-Control', 'private, no-store');
+    try {
+      const preference = await persistCalendarTimePreference(redis, personId, req.body);
+      // The next ICS request misses on the new time variant's cache key and rebuilds.
+      return res.json({ success: true, personId, preference });
+    } catch (error) {
+      const invalid = error.code === 'CALENDAR_TIME_PREFERENCE_INVALID';
+      return res.status(invalid ? 400 : 500).json({
+        error: invalid ? error.message : 'Calendar time preference update failed.',
+        code: error.code || 'UNKNOWN',
+      });
+    }
+  }
+);
+
+app.delete('/api/internal/calendar-time-preferences/:personId', requireCalendarFeedServiceKey, async (req, res) => {
+  const personId = calendarTimePreferencePersonId(req, res);
+  if (!personId) return undefined;
+  try {
+    return res.json({ success: true, personId, deleted: await deleteCalendarTimePreference(redis, personId) });
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Calendar time preference delete failed.',
+      code: error.code || 'UNKNOWN',
+    });
+  }
+});
+
+function calendarShareLinkResponse(req, link) {
+  const host = req.get('host');
+  return {
+    personId: link.personId,
+    policy: link.policy,
+    createdAt: link.createdAt,
+    token: link.token,
+    links: {
+      ics: `https://${host}/calendar/shared/${link.token}.ics`,
+      webcal: `webcal://${host}/calendar/shared/${link.token}.ics`,
+      json: `https://${host}/calendar/shared/${link.token}.json`,
+    },
+  };
+}
+
+function calendarShareLinkPersonId(req, res) {
+  return calendarSubscriberStorePersonId(req, res, {
+    storeName: 'share link',
+    unavailableCode: 'CALENDAR_SHARE_LINK_STORE_UNAVAILABLE',
+  });
+}
+
+app.get('/api/internal/calendar-share-links/:personId', requireCalendarFeedServiceKey, async (req, res) => {
+  const personId = calendarShareLinkPersonId(req, res);
+  if (!personId) return undefined;
+  res.setHeader('Cache-Control', 'private, no-store');
+  try {
+    const link = await loadCalendarShareLinkForPerson(redis, personId);
+    if (!link) return res.status(404).json({ error: 'No share link has been issued for this person.', personId });
+    return res.json(calendarShareLinkResponse(req, link));
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Calendar share link read failed.',
+      code: error.code || 'UNKNOWN',
+    });
+  }
+});
+
+// Issues a share link, replacing (and revoking) any earlier link for the person.
+app.post('/api/internal/calendar-share-links/:personId', requireCalendarFeedServiceKey, async (req, res) => {
+  const personId = calendarShareLinkPersonId(req, res);
+  if (!personId) return undefined;
+  res.setHeader('Cache-Control', 'private, no-store');
+  try {
+    const link = await issueCalendarShareLink(redis, personId, {
+      policy: FAMILY_SHARE_FIELD_PRIVACY.name,
+    });
+    return res.status(201).json({ success: true, ...calendarShareLinkResponse(req, link) });
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Calendar share link issue failed.',
+      code: error.code || 'UNKNOWN',
+    });
+  }
+});
+
+app.delete('/api/internal/calendar-share-links/:personId', requireCalendarFeedServiceKey, async (req, res) => {
+  const personId = calendarShareLinkPersonId(req, res);
+  if (!personId) return undefined;
+  try {
+    return res.json({ success: true, personId, revoked: await revokeCalendarShareLink(redis, personId) });
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Calendar share link revoke failed.',
+      code: error.code || 'UNKNOWN',
+    });
+  }
+});
+
+function calendarCompositeFeedResponse(req, feed) {
+  const host = req.get('host');
+  return {
+    ...feed,
+    links: {
+      ics: `https://${host}/calendar/composite/${feed.id}.ics`,
+      googleIcs: `https://${host}/calendar/composite/${feed.id}.ics?client=google`,
+      webcal: `webcal://${host}/calendar/composite/${feed.id}.ics`,
+      json: `https://${host}/calendar/composite/${feed.id}.json`,
+    },
+  };
+}
+
+// Maps a composite feed store or validation error to its response.
+function calendarCompositeFeedRequestError(res, error) {
+  if (!redis || !cacheEnabled || error?.code === 'CALENDAR_COMPOSITE_FEED_STORE_UNAVAILABLE') {
+    return res.status(503).json({
+      error: 'Calendar composite feed store is unavailable.',
+      code: 'CALENDAR_COMPOSITE_FEED_STORE_UNAVAILABLE',
+    });
+  }
+  if (['CALENDAR_COMPOSITE_FEED_NAME_INVALID', 'CALENDAR_COMPOSITE_FEED_MEMBERS_INVALID'].includes(error?.code)) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  return res.status(500).json({
+    error: 'Calendar composite feed store failed.',
+    code: error?.code || 'UNKNOWN',
+  });
+}
+
+function calendarCompositeFeedDefinition(body = {}) {
+  const personIds = (Array.isArray(body?.personIds) ? body.personIds : [])
+    .map((personId) => normalizeNotionPageId(String(personId || '')));
+  if (personIds.includes(null)) {
+    const error = new Error('Every member must be a valid personnel page ID.');
+    error.code = 'CALENDAR_COMPOSITE_FEED_MEMBERS_INVALID';
+    throw error;
+  }
+  return { name: body?.name, personIds };
+}
+
+app.post('/api/internal/calendar-composite-feeds', requireCalendarFeedServiceKey, express.json(), async (req, res) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  try {
+    const feed = await saveCalendarCompositeFeed(redis, calendarCompositeFeedDefinition(req.body));
+    return res.status(201).json({ success: true, ...calendarCompositeFeedResponse(req, feed) });
+  } catch (error) {
+    return calendarCompositeFeedRequestError(res, error);
+  }
+});
+
+app.get('/api/internal/calendar-composite-feeds/:feedId', requireCalendarFeedServiceKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  try {
+    const feed = await loadCalendarCompositeFeed(redis, req.params.feedId);
+    if (!feed) return res.status(404).json({ error: 'Composite feed not found' });
+    return res.json(calendarCompositeFeedResponse(req, feed));
+  } catch (error) {
+    return calendarCompositeFeedRequestError(res, error);
+  }
+});
+
+// Replaces the name and member list; the subscription URL stays the same.
+app.put('/api/internal/calendar-composite-feeds/:feedId', requireCalendarFeedServiceKey, express.json(), async (req, res) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  if (!isCalendarCompositeFeedId(req.params.feedId)) return res.status(404).json({ error: 'Composite feed not found' });
+  try {
+    const feed = await saveCalendarCompositeFeed(redis, calendarCompositeFeedDefinition(req.body), { id: req.params.feedId });
+    if (!feed) return res.status(404).json({ error: 'Composite feed not found' });
+    return res.json({ success: true, ...calendarCompositeFeedResponse(req, feed) });
+  } catch (error) {
+    return calendarCompositeFeedRequestError(res, error);
+  }
+});
+
+app.delete('/api/internal/calendar-composite-feeds/:feedId', requireCalendarFeedServiceKey, async (req, res) => {
+  try {
+    return res.json({ success: true, deleted: await deleteCalendarCompositeFeed(redis, req.params.feedId) });
+  } catch (error) {
+    return calendarCompositeFeedRequestError(res, error);
+  }
+});
+
+const CALENDAR_ARCHIVE_ERROR_STATUS = {
+  CALENDAR_ARCHIVE_EVENTS_INVALID: 400,
+  CALENDAR_ARCHIVE_YEAR_OPEN: 409,
+  CALENDAR_ARCHIVE_FROZEN: 409,
+};
+
+// Backfills a year that closed before archiving began, from an export of
+// that year's personal JSON feed: { "personName": "...", "events": [...] }.
+// A frozen year is only overwritten with ?replace=true.
+app.put('/api/internal/calendar-archives/:personId/:year', requireCalendarFeedServiceKey, express.json({ limit: '5mb' }), async (req, res) => {
+  const personId = calendarSubscriberStorePersonId(req, res, {
+    storeName: 'archive',
+    unavailableCode: 'CALENDAR_ARCHIVE_STORE_UNAVAILABLE',
+  });
+  if (!personId) return undefined;
+  res.setHeader('Cache-Control', 'private, no-store');
+  const currentYear = currentCalendarArchiveYear();
+  const year = parseCalendarArchiveYear(req.params.year, { currentYear });
+  if (!year) return res.status(400).json({ error: 'A valid archive year is required.' });
+  try {
+    const archive = await saveClosedCalendarArchive(redis, personId, year, req.body || {}, {
+      currentYear,
+      replace: req.query.replace === 'true',
+    });
+    return res.json({
+      success: true,
+      personId,
+      year,
+      source: archive.source,
+      capturedAt: archive.capturedAt,
+      eventCount: archive.events.length,
+    });
+  } catch (error) {
+    const status = CALENDAR_ARCHIVE_ERROR_STATUS[error.code];
+    if (status) return res.status(status).json({ error: error.message, code: error.code });
+    console.error('[calendar-archive] Backfill failed:', error.code || error.message);
+    return res.status(500).json({ error: 'Calendar archive write failed.', code: error.code || 'CALENDAR_ARCHIVE_WRITE_FAILED' });
+  }
+});
+
+function calendarFeedTokenPersonId(req, res) {
+  return calendarSubscriberStorePersonId(req, res, {
+    storeName: 'feed token',
+    unavailableCode: 'CALENDAR_FEED_TOKEN_STORE_UNAVAILABLE',
+  });
+}
+
+function calendarFeedTokenUrls(host, token) {
+  return {
+    ics: `https://${host}/calendar/t/${token}.ics`,
+    googleIcs: `https://${host}/calendar/t/${token}.ics?client=google`,
+    webcal: `webcal://${host}/calendar/t/${token}.ics`,
+    json: `https://${host}/calendar/t/${token}?format=json`,
+    subscribe: `https://${host}/subscribe/t/${token}`,
+  };
 }
 
-function authorizedCalendarFreshRequest(req) {
-  return req.query?.fresh === 'true' && calendarFeedServiceRequestIsAuthorized(req);
+function calendarFeedTokenResponse(req, record) {
+  return { ...record, urls: calendarFeedTokenUrls(req.get('host'), record.token) };
 }
 
-app.get('/api/internal/calendar-shadow-report', requireCalendarFeedServiceKey, async (req, res) => {
-  const entries = await loadCalendarShadowEntries();
+app.get('/api/internal/calendar-feed-tokens/:personId', requireCalendarFeedServiceKey, async (req, res) => {
+  const personId = calendarFeedTokenPersonId(req, res);
+  if (!personId) return undefined;
   res.setHeader('Cache-Control', 'private, no-store');
-  res.json({
-    sourceMode: CALENDAR_FEED_SOURCE,
-    generatedAt: new Date().toISOString(),
-    audit: {
-      ...shadowAuditState,
-      activeComparisons: activeShadowComparisons.size,
-    },
-    summary: summarizeCalendarShadowEntries(entries, {
-      baselineUnavailableCodes: SHADOW_BASELINE_UNAVAILABLE_CODES,
-    }),
-    ...(req.query.details === 'true' ? { entries } : {}),
-  });
-});
-
-app.delete('/api/internal/calendar-shadow-report', requireCalendarFeedServiceKey, async (_req, res) => {
-  shadowParityMemory.clear();
-  if (redis && cacheEnabled) await redis.del(SHADOW_PARITY_REDIS_KEY);
-  res.json({ success: true });
+  try {
+    const tokens = await listCalendarFeedTokens(redis, personId);
+    return res.json({
+      personId,
+      requireTokens: CALENDAR_REQUIRE_FEED_TOKENS,
+      tokens: tokens.map((record) => calendarFeedTokenResponse(req, record)),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Calendar feed token read failed.',
+      code: error.code || 'UNKNOWN',
+    });
+  }
 });
 
-app.get('/api/internal/calendar-shadow-diff/:personId', requireCalendarFeedServiceKey, async (req, res) => {
-  if (CALENDAR_FEED_SOURCE !== 'shadow') {
-    return res.status(409).json({ error: 'Calendar service is not in shadow mode.' });
+// Body: { "label": "iPhone", "rotate": true }. Rotating revokes every earlier
+// token for the person, ending the subscriptions that used them.
+app.post(
+  '/api/internal/calendar-feed-tokens/:personId',
+  requireCalendarFeedServiceKey,
+  express.json({ limit: '16kb' }),
+  async (req, res) => {
+    const personId = calendarFeedTokenPersonId(req, res);
+    if (!personId) return undefined;
+    res.setHeader('Cache-Control', 'private, no-store');
+    try {
+      const record = await issueCalendarFeedToken(redis, personId, {
+        label: req.body?.label,
+        rotate: req.body?.rotate === true,
+      });
+      return res.status(201).json({ success: true, ...calendarFeedTokenResponse(req, record) });
+    } catch (error) {
+      const invalid = /^CALENDAR_FEED_TOKEN_(INVALID|LIMIT)$/u.test(error.code || '');
+      return res.status(invalid ? 400 : 500).json({
+        error: invalid ? error.message : 'Calendar feed token issue failed.',
+        code: error.code || 'UNKNOWN',
+      });
+    }
   }
-  const personId = normalizeNotionPageId(req.params.personId);
-  if (!personId) return res.status(400).json({ error: 'A valid personnel page ID is required.' });
+);
+
+app.delete('/api/internal/calendar-feed-tokens/:personId', requireCalendarFeedServiceKey, async (req, res) => {
+  const personId = calendarFeedTokenPersonId(req, res);
+  if (!personId) return undefined;
   try {
-    const notionEvents = await loadCalendarShadowBaselineEvents(
-      'personal',
-      personId,
-      buildCalendarCacheKey(personId, 'json')
-    );
-    const payload = await fetchPostgresCalendarFeed('personal', personId);
-    const postgresEvents = buildCalendarEventsFromCalendarData(payload.calendarData || {});
-    res.setHeader('Cache-Control', 'private, no-store');
-    return res.json({
-      selectorHash: shadowSelectorHash('personal', personId),
-      ...diagnoseCalendarEventSets(notionEvents, postgresEvents),
-    });
+    return res.json({ success: true, personId, revoked: await revokeAllCalendarFeedTokens(redis, personId) });
   } catch (error) {
     return res.status(500).json({
-      error: 'Calendar shadow diagnostic failed.',
+      error: 'Calendar feed token revoke failed.',
       code: error.code || 'UNKNOWN',
     });
   }
 });
 
-app.get('/api/internal/calendar-health', requireCalendarFeedServiceKey, (_req, res) => {
-  res.setHeader('Cache-Control', 'private, no-store');
-  res.json({
-    status: 'ok',
-    sourceMode: CALENDAR_FEED_SOURCE,
-    timeMode: CALENDAR_TIME_MODE,
-    rendererVersion: CALENDAR_RENDERER_VERSION,
-    cacheEnabled,
-    activeBuilds: runCalendarBuild.activeCount(),
-    refreshWorker: postgresCalendarRefreshWorker?.snapshot?.() || {
-      enabled: false,
-      started: false,
-    },
-    monitoring: calendarObservability.snapshot(),
-  });
+app.delete('/api/internal/calendar-feed-tokens/:personId/:token', requireCalendarFeedServiceKey, async (req, res) => {
+  const personId = calendarFeedTokenPersonId(req, res);
+  if (!personId) return undefined;
+  try {
+    const revoked = await revokeCalendarFeedToken(redis, personId, req.params.token);
+    if (!revoked) return res.status(404).json({ error: 'Feed token not found for this person.', personId });
+    return res.json({ success: true, personId, revoked });
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Calendar feed token revoke failed.',
+      code: error.code || 'UNKNOWN',
+    });
+  }
 });
 
 function withTimeout(promise, timeoutMs, timeoutMessage) {
@@ -3233,37 +4188,6 @@ function parseStructuredPassengerLine(line) {
   return results;
 }
 
-// Parse "Driver Info: Name - (phone)" or "Name - (phone)" from description. Returns map of firstName -> phone.
-function parseDriverInfoFromDescription(description) {
-  const map = {};
-  if (!description) return map;
-  const driverInfoMatch = description.match(/Driver Info:\s*([\s\S]*?)(?=Group Text:|Confirmation:|Pick Up Info:|Drop Off Info:|Meet Up Info:|$)/i);
-  const block = driverInfoMatch ? driverInfoMatch[1] : description;
-  // Match "FirstName - (phone)" or "FirstName - phone" (phone can be various formats)
-  const regex = /([A-Za-z]+)\s*-\s*(\([\d\s\-]+\)[\d\s\-]*|\+\d[\d\s\-]+|[\d\-]{10,})/g;
-  let m;
-  while ((m = regex.exec(block)) !== null) {
-    map[m[1].toLowerCase()] = m[2].trim();
-  }
-  return map;
-}
-
-// Parse "Passenger Info:" or "Name - (phone)" for passengers. Returns map of name -> phone (or partial name match).
-function parsePassengerInfoFromDescription(description) {
-  const map = {};
-  if (!description) return map;
-  const passengerInfoMatch = description.match(/Passenger Info:\s*([\s\S]*?)(?=Driver Info:|Group Text:|Confirmation:|Pick Up Info:|Drop Off Info:|Meet Up Info:|$)/i);
-  const block = passengerInfoMatch ? passengerInfoMatch[1] : '';
-  const regex = /([A-Za-z][A-Za-z\s]+?)\s*-\s*(\([\d\s\-]+\)[\d\s\-]*|\+\d[\d\s\-]+|[\d\-]{10,})/g;
-  let m;
-  while ((m = regex.exec(block)) !== null) {
-    const name = m[1].trim();
-    const key = name.split(/\s+/)[0].toLowerCase();
-    map[key] = { name, phone: m[2].trim() };
-  }
-  return map;
-}
-
 // Split comma-separated transport info (e.g. "Key: value, Key: value") into separate lines.
 // Splits on comma when followed by a new key (Title Case + colon), preserving commas in addresses.
 function formatTransportInfoLines(infoStr) {
@@ -3342,6 +4266,48 @@ function calendarTravelDescriptionLink(url, travelType) {
   return `${calendarTravelLinkLabel(value, travelType)}: ${value}`;
 }
 
+/** Structured hotel fields published next to the description, for itineraries. */
+function hotelBookingFields(hotel) {
+  return {
+    confirmation: hotel.confirmation || '',
+    phone: hotel.hotel_phone || '',
+    bookedUnder: hotel.booked_under || '',
+  };
+}
+
+/**
+ * Drivers and confirmation of a ride, read from the Notion transport value the
+ * description is rendered from: structured objects, bracketed driver lists,
+ * or plain comma-separated names with a Driver Info line for phones.
+ */
+function groundTransportBookingFields(transport) {
+  const rawDescription = transport?.description;
+  if (rawDescription && typeof rawDescription === 'object') {
+    const confirmation = rawDescription.Confirmation ?? rawDescription.confirmation;
+    return {
+      drivers: formatTransportPeopleList(rawDescription.Driver || rawDescription.Drivers, 'driver_name', 'driver_phone')
+        .map(({ name, phone }) => ({ name, phone: phone || null })),
+      confirmation: typeof confirmation === 'string' ? confirmation.trim() : '',
+    };
+  }
+  if (typeof rawDescription !== 'string') return { drivers: [], confirmation: '' };
+  const driverContent = rawDescription.match(/Driver:\s*([^\n]+)/)?.[1].trim() || '';
+  let drivers;
+  if (driverContent.startsWith('[')) {
+    drivers = parseStructuredDriverLine(`Driver: ${driverContent}`);
+  } else {
+    const driverPhones = parseDriverInfoFromDescription(rawDescription);
+    drivers = driverContent.split(',').map((name) => name.trim()).filter(Boolean).map((name) => ({
+      name,
+      phone: driverPhones[name.split(/\s+/)[0]?.toLowerCase() || ''],
+    }));
+  }
+  return {
+    drivers: drivers.map(({ name, phone }) => ({ name, phone: phone || null })),
+    confirmation: rawDescription.match(/Confirmation:\s*([^\n]+)/)?.[1].trim() || '',
+  };
+}
+
 function buildTransportDescription(transport) {
   const rawDescription = transport?.description;
   if (!rawDescription) {
@@ -3674,6 +4640,31 @@ function appendFlightAwareDetails(desc, flight, legType) {
   return details.length ? `${desc}\n\nLive FlightAware Info:\n${details.join('\n')}` : desc;
 }
 
+function flightRoute(fromName, toName) {
+  const fromCode = extractAirportCode(fromName, fromName ? fromName.substring(0, 3).toUpperCase() : '');
+  const toCode = extractAirportCode(toName, toName ? toName.substring(0, 3).toUpperCase() : '');
+  return fromCode && toCode ? `${fromCode} → ${toCode}` : '';
+}
+
+const FLIGHT_LEG_FIELDS = {
+  departure: { airline: 'departure_airline', flightNumber: 'departure_flightnumber', from: ['departure_airport_name', 'departure_airport'], to: ['return_airport_name', 'return_airport'] },
+  return: { airline: 'return_airline', flightNumber: 'return_flightnumber', from: ['return_airport_name', 'return_airport'], to: ['departure_airport_name', 'departure_airport'] },
+  departure_lo: { airline: 'departure_airline', flightNumber: 'departure_lo_flightnumber', from: ['departure_lo_from_airport'], to: ['departure_lo_to_airport'] },
+  return_lo: { airline: 'return_airline', flightNumber: 'return_lo_flightnumber', from: ['return_lo_from_airport'], to: ['return_lo_to_airport'] },
+};
+
+/** Structured flight fields published next to the description, for itineraries. */
+function flightLegFields(flight, legType) {
+  const fields = FLIGHT_LEG_FIELDS[legType];
+  const firstValue = (keys) => keys.map((key) => flight[key]).find(Boolean) || '';
+  return {
+    airline: flight[fields.airline] || '',
+    flightNumber: flight[fields.flightNumber] || '',
+    confirmation: flight.confirmation || '',
+    route: flightRoute(firstValue(fields.from), firstValue(fields.to)),
+  };
+}
+
 /** Build flight description in user-requested format */
 function buildFlightDescription(flight, legType, start, end, personName) {
   const isDeparture = legType === 'departure';
@@ -3683,9 +4674,7 @@ function buildFlightDescription(flight, legType, start, end, personName) {
   const conf = flight.confirmation || 'N/A';
   const fromName = isDeparture ? (flight.departure_airport_name || flight.departure_airport || '') : (flight.return_airport_name || flight.return_airport || '');
   const toName = isDeparture ? (flight.return_airport_name || flight.return_airport || '') : (flight.departure_airport_name || flight.departure_airport || '');
-  const fromCode = extractAirportCode(fromName, fromName ? fromName.substring(0, 3).toUpperCase() : '');
-  const toCode = extractAirportCode(toName, toName ? toName.substring(0, 3).toUpperCase() : '');
-  const route = fromCode && toCode ? `${fromCode} → ${toCode}` : '';
+  const route = flightRoute(fromName, toName);
   const suggestedArrival = formatSuggestedArrival(start);
   const departureTime = formatTimeOnly(start);
   const arrivalTime = formatTimeOnly(end);
@@ -3709,9 +4698,7 @@ function buildLayoverDescription(flight, legType, start, end, personName) {
   const conf = flight.confirmation || 'N/A';
   const fromName = isDepartureLo ? (flight.departure_lo_from_airport || '') : (flight.return_lo_from_airport || '');
   const toName = isDepartureLo ? (flight.departure_lo_to_airport || '') : (flight.return_lo_to_airport || '');
-  const fromCode = extractAirportCode(fromName, fromName ? fromName.substring(0, 3).toUpperCase() : '');
-  const toCode = extractAirportCode(toName, toName ? toName.substring(0, 3).toUpperCase() : '');
-  const route = fromCode && toCode ? `${fromCode} → ${toCode}` : '';
+  const route = flightRoute(fromName, toName);
   const suggestedArrival = formatSuggestedArrival(start);
   const departureTime = formatTimeOnly(start);
   const arrivalTime = formatTimeOnly(end);
@@ -3778,13 +4765,61 @@ function getCalendarEventBreakdown(allCalendarEvents) {
   };
 }
 
+// SEQUENCE and LAST-MODIFIED come from the published-event registry and only
+// move when an event's content does. DTSTAMP follows LAST-MODIFIED so an
+// unchanged event renders byte-for-byte the same on every rebuild. Tombstones
+// render as STATUS:CANCELLED with their bumped SEQUENCE and no alarms.
+function calendarEventStatusData(event) {
+  const data = Number.isInteger(event.sequence) && event.sequence > 0 ? { sequence: event.sequence } : {};
+  const lastModified = event.lastModified ? new Date(event.lastModified) : null;
+  if (lastModified && !Number.isNaN(lastModified.getTime())) {
+    data.lastModified = lastModified;
+    data.stamp = lastModified;
+  }
+  if (event.status !== 'cancelled') return data;
+  return { ...data, status: ICalEventStatus.CANCELLED, alarms: [] };
+}
+
+// ical-generator event data for one published event. Shared by the feed
+// artifacts and the per-event CalDAV resources so both render identically.
+function calendarIcsEventData(event, options = {}) {
+  const {
+    alarmProfile = null,
+    timeMode = CALENDAR_TIME_MODE,
+    id = event.uid || undefined
+  } = options;
+  const startDate = normalizeCalendarEventDate(event.start);
+  const endDate = normalizeCalendarEventDate(event.end) || startDate;
+  if (!startDate || !endDate) return null;
+  return {
+    id,
+    start: startDate,
+    end: endDate,
+    summary: event.title,
+    description: event.description,
+    location: event.location,
+    url: event.url || '',
+    floating: true,
+    allDay: event.allDay === true,
+    alarms: getAlarmsForEvent(event.type, event.title, alarmProfile),
+    x: timeMode === 'zoned' ? calendarEventTimeZoneProperties(event) : [],
+    ...calendarEventStatusData(event)
+  };
+}
+
 function buildCalendarArtifacts(personName, allCalendarEvents, options = {}) {
   const {
-    totalMainEvents = allCalendarEvents.filter(e => e.type === 'main_event').length,
+    totalMainEvents = allCalendarEvents.filter(e => e.type === 'main_event' && e.status !== 'cancelled').length,
     regenMode = REGEN_MODE_FULL,
-    dataSource = 'calendar_data_database'
+    dataSource = 'calendar_data_database',
+    alarmProfile = null,
+    eventFilter = null,
+    privacyPolicy = null,
+    timeMode = CALENDAR_TIME_MODE,
+    defaultTimeZone = null
   } = options;
-  const publishedCalendarEvents = allCalendarEvents.map(calendarEventWithEventHubLink);
+  const publishedCalendarEvents = allCalendarEvents.map(calendarEventWithEventHubLink)
+    .map((event) => redactCalendarEvent(event, privacyPolicy));
 
   const firstName = (personName || 'Unknown').split(' ')[0] || 'Unknown';
   const calendar = ical({
@@ -3794,33 +4829,31 @@ function buildCalendarArtifacts(personName, allCalendarEvents, options = {}) {
   });
 
   publishedCalendarEvents.forEach(event => {
-    const startDate = normalizeCalendarEventDate(event.start);
-    const endDate = normalizeCalendarEventDate(event.end) || startDate;
-    if (!startDate || !endDate) return;
-    calendar.createEvent({
-      id: event.uid || undefined,
-      start: startDate,
-      end: endDate,
-      summary: event.title,
-      description: event.description,
-      location: event.location,
-      url: event.url || '',
-      floating: true,
-      allDay: event.allDay === true,
-      alarms: getAlarmsForEvent(event.type, event.title)
-    });
+    const eventData = calendarIcsEventData(event, { alarmProfile, timeMode });
+    if (eventData) calendar.createEvent(eventData);
   });
 
-  const icsData = serializeCalendar(calendar);
-  const googleIcsData = serializeGoogleCalendar(calendar);
-  const breakdown = getCalendarEventBreakdown(publishedCalendarEvents);
+  const timePolicy = { mode: timeMode, defaultTimeZone };
+  const icsData = serializeCalendar(calendar, timePolicy);
+  const googleIcsData = serializeGoogleCalendar(calendar, timePolicy);
+  const liveCalendarEvents = publishedCalendarEvents.filter((event) => event.status !== 'cancelled');
+  const cancelledEvents = publishedCalendarEvents.length - liveCalendarEvents.length;
+  const breakdown = getCalendarEventBreakdown(liveCalendarEvents);
+  // Only a full, unfiltered build sees every occurrence a conflict needs.
+  const conflicts = regenMode === REGEN_MODE_FULL && !eventFilter
+    ? analyzeCalendarConflicts(liveCalendarEvents)
+    : null;
   const jsonResponse = {
     personName,
     regenMode,
     totalMainEvents,
-    totalCalendarEvents: publishedCalendarEvents.length,
+    totalCalendarEvents: liveCalendarEvents.length,
+    ...(cancelledEvents > 0 ? { cancelledEvents } : {}),
     dataSource,
+    ...(eventFilter ? { eventFilter } : {}),
+    ...(privacyPolicy ? { fieldPrivacy: privacyPolicy.name } : {}),
     breakdown,
+    ...(conflicts ? { conflicts } : {}),
     // comparisonIdentity is private, in-process shadow metadata. Never place
     // it in the public JSON subscription artifact.
     events: publishedCalendarEvents.map(publicCalendarEvent)
@@ -3843,10 +4876,10 @@ function dedupeCalendarEvents(allCalendarEvents) {
   return Array.from(dedupedMap.values());
 }
 
-async function tryComposeFullCalendarFromSplitCaches(personId) {
+async function tryComposeFullCalendarFromSplitCaches(personId, options = {}) {
   if (!redis || !cacheEnabled) return { composed: false, reason: 'cache_unavailable' };
-  const eventsOnlyKey = buildCalendarCacheKey(personId, 'json', REGEN_MODE_EVENTS_ONLY);
-  const nonEventsOnlyKey = buildCalendarCacheKey(personId, 'json', REGEN_MODE_NON_EVENTS_ONLY);
+  const eventsOnlyKey = buildCalendarCacheKey(personId, 'json', REGEN_MODE_EVENTS_ONLY, '', 'notion');
+  const nonEventsOnlyKey = buildCalendarCacheKey(personId, 'json', REGEN_MODE_NON_EVENTS_ONLY, '', 'notion');
   const [eventsOnlyJson, nonEventsOnlyJson] = await Promise.all([redis.get(eventsOnlyKey), redis.get(nonEventsOnlyKey)]);
   if (!eventsOnlyJson || !nonEventsOnlyJson) return { composed: false, reason: 'missing_split_cache' };
   let eventsOnly, nonEventsOnly;
@@ -3862,12 +4895,16 @@ async function tryComposeFullCalendarFromSplitCaches(personId) {
   ]);
   const personName = (eventsOnly?.personName && eventsOnly.personName !== 'Unknown') ? eventsOnly.personName : (nonEventsOnly?.personName || 'Unknown');
   const totalMainEvents = Number.isFinite(eventsOnly?.totalMainEvents) ? eventsOnly.totalMainEvents : mergedEvents.filter(e => e.type === 'main_event').length;
-  const composed = buildCalendarArtifacts(personName, mergedEvents, { totalMainEvents, regenMode: REGEN_MODE_FULL, dataSource: 'split_cache_merge' });
+  const alarmProfile = await resolveCalendarAlarmProfile(personId, options);
+  const alarmVariant = calendarAlarmCacheVariant(alarmProfile);
+  const publishedEvents = await withPublishedEventRevisions(`personal:${personId}`, mergedEvents);
+  const composed = buildCalendarArtifacts(personName, publishedEvents, { totalMainEvents, regenMode: REGEN_MODE_FULL, dataSource: 'split_cache_merge', alarmProfile });
   await Promise.all([
-    setCalendarCache(buildCalendarCacheKey(personId, 'ics', REGEN_MODE_FULL), composed.icsData),
-    setCalendarCache(buildCalendarCacheKey(personId, 'google_ics', REGEN_MODE_FULL), composed.googleIcsData),
-    setCalendarCache(buildCalendarCacheKey(personId, 'json', REGEN_MODE_FULL), composed.jsonData)
+    setCalendarCache(buildCalendarCacheKey(personId, 'ics', REGEN_MODE_FULL, alarmVariant, 'notion'), composed.icsData),
+    setCalendarCache(buildCalendarCacheKey(personId, 'google_ics', REGEN_MODE_FULL, alarmVariant, 'notion'), composed.googleIcsData),
+    setCalendarCache(buildCalendarCacheKey(personId, 'json', REGEN_MODE_FULL, '', 'notion'), composed.jsonData)
   ]);
+  await recordPersonalCalendarBuild(personId, { success: true, personId, personName, regenMode: REGEN_MODE_FULL, ...composed });
   return { composed: true, personName, totalCalendarEvents: mergedEvents.length };
 }
 
@@ -3927,7 +4964,7 @@ async function regenerateCalendarForPersonSplit(personId, calendarDataPageId, re
     }
     const personName = calendarData.personName || 'Unknown';
     const cachePayload = { personName, events: allCalendarEvents };
-    const cacheKey = regenMode === 'events_only' ? `calendar:${personId}:events` : `calendar:${personId}:non_events`;
+    const cacheKey = calendarSplitCacheKey(personId, regenMode === 'events_only' ? 'events' : 'non_events');
     if (redis && cacheEnabled) {
       await setCalendarCache(cacheKey, JSON.stringify(cachePayload));
       verboseLog(`✅ Cached ${regenMode} for ${personId} (${allCalendarEvents.length} items)`);
@@ -3963,45 +5000,29 @@ function getSplitRegenError(eventsResult, nonEventsResult) {
 }
 
 /** Compose full calendar cache from events + non_events split caches. Returns true if composed. */
-async function composeSplitCacheForPerson(personId, options = {}) {
-  if (!redis || !cacheEnabled) return false;
-  const eventsRaw = await redis.get(`calendar:${personId}:events`);
-  const nonEventsRaw = await redis.get(`calendar:${personId}:non_events`);
-  if (!eventsRaw && !nonEventsRaw) return false;
-  const eventsPayload = eventsRaw ? JSON.parse(eventsRaw) : { personName: 'Unknown', events: [] };
-  const nonEventsPayload = nonEventsRaw ? JSON.parse(nonEventsRaw) : { personName: 'Unknown', events: [] };
-  const personName = eventsPayload.personName !== 'Unknown' ? eventsPayload.personName : nonEventsPayload.personName;
-  const allCalendarEvents = [...(eventsPayload.events || []), ...(nonEventsPayload.events || [])]
-    .sort((a, b) => (new Date(a.start)).getTime() - (new Date(b.start)).getTime());
-  if (allCalendarEvents.length === 0) {
-    if (options.allowEmptyBaseline) {
-      await saveCalendarShadowBaseline(
-        'personal',
-        personId,
-        [],
-        options.sourcePageId || null
-      );
-      return true;
-    }
-    return false;
-  }
-  const artifacts = buildCalendarArtifacts(personName, allCalendarEvents, {
+const composeSplitCacheForPerson = createCalendarSplitComposer({
+  store: () => (redis && cacheEnabled ? redis : null),
+  render: renderComposedSplitCalendar,
+  saveBaseline: (personId, events, sourcePageId) => saveCalendarShadowBaseline('personal', personId, events, sourcePageId),
+  afterBuild: (personId, build) => recordPersonalCalendarBuild(personId, build),
+});
+
+async function renderComposedSplitCalendar(personId, personName, allCalendarEvents, options = {}) {
+  const alarmProfile = await resolveCalendarAlarmProfile(personId, options);
+  const alarmVariant = calendarAlarmCacheVariant(alarmProfile);
+  const publishedEvents = await withPublishedEventRevisions(`personal:${personId}`, allCalendarEvents);
+  const artifacts = buildCalendarArtifacts(personName, publishedEvents, {
     regenMode: REGEN_MODE_FULL,
     dataSource: 'split_cache_merge',
+    alarmProfile,
   });
   await Promise.all([
-    setCalendarCache(`calendar:${personId}:ics`, artifacts.icsData),
-    setCalendarCache(`calendar:${personId}:google_ics`, artifacts.googleIcsData),
-    setCalendarCache(`calendar:${personId}:json`, artifacts.jsonData),
-    saveCalendarShadowBaseline(
-      'personal',
-      personId,
-      allCalendarEvents,
-      options.sourcePageId || null
-    ),
+    setCalendarCache(buildCalendarCacheKey(personId, 'ics', REGEN_MODE_FULL, alarmVariant, 'notion'), artifacts.icsData),
+    setCalendarCache(buildCalendarCacheKey(personId, 'google_ics', REGEN_MODE_FULL, alarmVariant, 'notion'), artifacts.googleIcsData),
+    setCalendarCache(buildCalendarCacheKey(personId, 'json', REGEN_MODE_FULL, '', 'notion'), artifacts.jsonData),
   ]);
   verboseLog(`✅ Composed full cache for ${personId} (${allCalendarEvents.length} events from split)`);
-  return true;
+  return { success: true, personId, personName, regenMode: REGEN_MODE_FULL, ...artifacts };
 }
 
 function calendarOccurrence(source = {}, uidProperty = 'uid', occurrenceKeyProperty = 'occurrence_key') {
@@ -4019,6 +5040,18 @@ function calendarOccurrence(source = {}, uidProperty = 'uid', occurrenceKeyPrope
   };
 }
 
+// IANA zones of the venue or airport at each end of an event, derived by
+// calendar-time-zones.js. Only zoned ICS output uses them; floating feeds keep
+// wall-clock times. Invalid zone names are dropped rather than published.
+function calendarEventTimeZones(startTimeZone, endTimeZone) {
+  const timeZone = isCalendarTimeZone(startTimeZone) ? startTimeZone : undefined;
+  const end = isCalendarTimeZone(endTimeZone) ? endTimeZone : undefined;
+  return {
+    timeZone,
+    endTimeZone: end && end !== timeZone ? end : undefined,
+  };
+}
+
 function publicCalendarEvent(event = {}) {
   const publicEvent = { ...event };
   delete publicEvent.comparisonIdentity;
@@ -4084,7 +5117,7 @@ function buildCalendarEventsFromCalendarData(calendarData) {
         let eventPersonnelInfo = personnelText ? `👥 Event Personnel:\n${personnelText}\n\n` : '';
         const eventHubUrl = calendarEventHubUrl(event);
         const eventUrlInfo = eventHubUrl ? `Event Link: ${eventHubUrl}\n\n` : '';
-        allCalendarEvents.push({ ...calendarOccurrence(event), type: 'main_event', title: calendarMainEventTitle(event), start: eventTimes.start, end: eventTimes.end, description: payrollInfo + calltimeInfo + gearChecklistInfo + eventPersonnelInfo + eventUrlInfo + (event.general_info || ''), location: event.venue_address || event.venue || '', band: event.band || '', mainEvent: event.event_name });
+        allCalendarEvents.push({ ...calendarOccurrence(event), ...calendarEventTimeZones(calendarTimeZoneForAddress(event.venue_address)), type: 'main_event', title: calendarMainEventTitle(event), start: eventTimes.start, end: eventTimes.end, description: payrollInfo + calltimeInfo + gearChecklistInfo + eventPersonnelInfo + eventUrlInfo + (event.general_info || ''), location: event.venue_address || event.venue || '', band: event.band || '', mainEvent: event.event_name });
       }
     }
     (event.flights || []).forEach(flight => {
@@ -4094,7 +5127,7 @@ function buildCalendarEventsFromCalendarData(calendarData) {
         departureTimes = shiftRangeByDays(departureTimes, helperDeltaDays);
         const personName = calendarData.personName || '';
         const desc = buildFlightDescription(flight, 'departure', departureTimes.start, departureTimes.end, personName);
-        allCalendarEvents.push({ ...calendarOccurrence(flight), type: 'flight_departure', title: `✈️ ${flight.departure_name || 'Flight Departure'}`, start: departureTimes.start, end: departureTimes.end, description: desc, location: flight.departure_airport_address || flight.departure_airport || '', url: flight.flight_url || '', airline: flight.departure_airline || '', flightNumber: flight.departure_flightnumber || '', confirmation: flight.confirmation || '', mainEvent: event.event_name });
+        allCalendarEvents.push({ ...calendarOccurrence(flight), ...calendarEventTimeZones(calendarTimeZoneForAirport(flight.departure_airport, flight.departure_airport_address), calendarTimeZoneForAirport(flight.return_airport, flight.return_airport_address)), type: 'flight_departure', title: `✈️ ${flight.departure_name || 'Flight Departure'}`, start: departureTimes.start, end: departureTimes.end, description: desc, location: flight.departure_airport_address || flight.departure_airport || '', url: flight.flight_url || '', ...flightLegFields(flight, 'departure'), mainEvent: event.event_name });
       }
       if (flight.return_time && flight.return_name) {
         let returnTimes = getFlightLegTimes(flight.return_time, flight.return_arrival_time);
@@ -4102,7 +5135,7 @@ function buildCalendarEventsFromCalendarData(calendarData) {
         returnTimes = shiftRangeByDays(returnTimes, helperDeltaDays);
         const personName = calendarData.personName || '';
         const desc = buildFlightDescription(flight, 'return', returnTimes.start, returnTimes.end, personName);
-        allCalendarEvents.push({ ...calendarOccurrence(flight), type: 'flight_return', title: `✈️ ${flight.return_name || 'Flight Return'}`, start: returnTimes.start, end: returnTimes.end, description: desc, location: flight.return_airport_address || flight.return_airport || '', url: flight.flight_url || '', airline: flight.return_airline || '', flightNumber: flight.return_flightnumber || '', confirmation: flight.confirmation || '', mainEvent: event.event_name });
+        allCalendarEvents.push({ ...calendarOccurrence(flight), ...calendarEventTimeZones(calendarTimeZoneForAirport(flight.return_airport, flight.return_airport_address), calendarTimeZoneForAirport(flight.departure_airport, flight.departure_airport_address)), type: 'flight_return', title: `✈️ ${flight.return_name || 'Flight Return'}`, start: returnTimes.start, end: returnTimes.end, description: desc, location: flight.return_airport_address || flight.return_airport || '', url: flight.flight_url || '', ...flightLegFields(flight, 'return'), mainEvent: event.event_name });
       }
       if (flight.departure_lo_time && flight.departure_lo_flightnumber) {
         let loTimes = parseUnifiedDateTime(flight.departure_lo_time);
@@ -4110,7 +5143,7 @@ function buildCalendarEventsFromCalendarData(calendarData) {
         loTimes = shiftRangeByDays(loTimes, helperDeltaDays);
         const personName = calendarData.personName || '';
         const loDesc = buildLayoverDescription(flight, 'departure_lo', loTimes.start, loTimes.end, personName);
-        allCalendarEvents.push({ ...calendarOccurrence(flight), type: 'flight_departure_layover', title: `✈️ Layover: ${flight.departure_lo_from_airport || 'N/A'} → ${flight.departure_lo_to_airport || 'N/A'}`, start: loTimes.start, end: loTimes.end, description: loDesc, location: flight.departure_lo_from_airport_address || flight.departure_lo_from_airport || '', url: flight.flight_url || '', mainEvent: event.event_name });
+        allCalendarEvents.push({ ...calendarOccurrence(flight), ...calendarEventTimeZones(calendarTimeZoneForAirport(flight.departure_lo_from_airport, flight.departure_lo_from_airport_address), calendarTimeZoneForAirport(flight.departure_lo_to_airport, flight.departure_lo_to_airport_address)), type: 'flight_departure_layover', title: `✈️ Layover: ${flight.departure_lo_from_airport || 'N/A'} → ${flight.departure_lo_to_airport || 'N/A'}`, start: loTimes.start, end: loTimes.end, description: loDesc, location: flight.departure_lo_from_airport_address || flight.departure_lo_from_airport || '', url: flight.flight_url || '', ...flightLegFields(flight, 'departure_lo'), mainEvent: event.event_name });
       }
       if (flight.return_lo_time && flight.return_lo_flightnumber) {
         let loTimes = parseUnifiedDateTime(flight.return_lo_time);
@@ -4118,7 +5151,7 @@ function buildCalendarEventsFromCalendarData(calendarData) {
         loTimes = shiftRangeByDays(loTimes, helperDeltaDays);
         const personName = calendarData.personName || '';
         const loDesc = buildLayoverDescription(flight, 'return_lo', loTimes.start, loTimes.end, personName);
-        allCalendarEvents.push({ ...calendarOccurrence(flight), type: 'flight_return_layover', title: `✈️ Layover: ${flight.return_lo_from_airport || 'N/A'} → ${flight.return_lo_to_airport || 'N/A'}`, start: loTimes.start, end: loTimes.end, description: loDesc, location: flight.return_lo_from_airport_address || flight.return_lo_from_airport || '', url: flight.flight_url || '', mainEvent: event.event_name });
+        allCalendarEvents.push({ ...calendarOccurrence(flight), ...calendarEventTimeZones(calendarTimeZoneForAirport(flight.return_lo_from_airport, flight.return_lo_from_airport_address), calendarTimeZoneForAirport(flight.return_lo_to_airport, flight.return_lo_to_airport_address)), type: 'flight_return_layover', title: `✈️ Layover: ${flight.return_lo_from_airport || 'N/A'} → ${flight.return_lo_to_airport || 'N/A'}`, start: loTimes.start, end: loTimes.end, description: loDesc, location: flight.return_lo_from_airport_address || flight.return_lo_from_airport || '', url: flight.flight_url || '', ...flightLegFields(flight, 'return_lo'), mainEvent: event.event_name });
       }
     });
     (getNestedRehearsals(event) || []).forEach(rehearsal => {
@@ -4129,7 +5162,7 @@ function buildCalendarEventsFromCalendarData(calendarData) {
         let desc = rehearsal.description || 'Rehearsal';
         if (rehearsal.rehearsal_pay) desc += `\n\nRehearsal Pay - $${rehearsal.rehearsal_pay}`;
         if (rehearsal.rehearsal_band) desc += `\n\nBand Personnel:\n${rehearsal.rehearsal_band}`;
-        allCalendarEvents.push({ ...calendarOccurrence(rehearsal), type: 'rehearsal', title: calendarRehearsalTitle(event), start: times.start, end: times.end, description: desc, location: loc, url: rehearsal.rehearsal_notion_url || rehearsal.rehearsal_pco || '', mainEvent: event.event_name });
+        allCalendarEvents.push({ ...calendarOccurrence(rehearsal), ...calendarEventTimeZones(calendarTimeZoneForAddress(rehearsal.rehearsal_address) || calendarTimeZoneForAddress(event.venue_address)), type: 'rehearsal', title: calendarRehearsalTitle(event), start: times.start, end: times.end, description: desc, location: loc, url: rehearsal.rehearsal_notion_url || rehearsal.rehearsal_pco || '', mainEvent: event.event_name });
       }
     });
     (event.hotels || []).forEach(hotel => {
@@ -4138,7 +5171,7 @@ function buildCalendarEventsFromCalendarData(calendarData) {
         hotelTimes = shiftRangeByDays(hotelTimes, helperDeltaDays);
         const names = hotel.names_on_reservation ? '\n' + hotel.names_on_reservation.split(',').map(n => n.trim()).filter(Boolean).join('\n') : 'N/A';
         const hotelLink = calendarTravelDescriptionLink(hotel.hotel_url, 'hotels');
-        allCalendarEvents.push({ ...calendarOccurrence(hotel), type: 'hotel', title: `🏨 ${hotel.hotel_name || hotel.title || 'Hotel'}`, start: hotelTimes.start, end: hotelTimes.end, description: `Hotel Stay\nConfirmation: ${hotel.confirmation || 'N/A'}${hotel.hotel_phone ? `\nPhone: ${hotel.hotel_phone}` : ''}\n\nNames on Reservation:${names}\nBooked Under: ${hotel.booked_under || 'N/A'}${hotelLink ? `\n\n${hotelLink}` : ''}`, location: hotel.hotel_address || hotel.hotel_name || 'Hotel', url: hotel.hotel_url || '', mainEvent: event.event_name });
+        allCalendarEvents.push({ ...calendarOccurrence(hotel), ...calendarEventTimeZones(calendarTimeZoneForAddress(hotel.hotel_address) || calendarTimeZoneForAddress(event.venue_address)), type: 'hotel', title: `🏨 ${hotel.hotel_name || hotel.title || 'Hotel'}`, start: hotelTimes.start, end: hotelTimes.end, description: `Hotel Stay\nConfirmation: ${hotel.confirmation || 'N/A'}${hotel.hotel_phone ? `\nPhone: ${hotel.hotel_phone}` : ''}\n\nNames on Reservation:${names}\nBooked Under: ${hotel.booked_under || 'N/A'}${hotelLink ? `\n\n${hotelLink}` : ''}`, location: hotel.hotel_address || hotel.hotel_name || 'Hotel', url: hotel.hotel_url || '', ...hotelBookingFields(hotel), mainEvent: event.event_name });
       }
     });
     (event.ground_transport || []).forEach(transport => {
@@ -4150,7 +5183,7 @@ function buildCalendarEventsFromCalendarData(calendarData) {
           const endTime = endParsed?.end instanceof Date && !isNaN(endParsed.end.getTime()) ? new Date(endParsed.end) : new Date(startTime.getTime() + 30 * 60 * 1000);
           const title = normalizeTransportTitle(transport.title);
           const transportEmoji = getGroundTransportEmoji(transport, title);
-          allCalendarEvents.push({ ...calendarOccurrence(transport), type: transport.type || 'ground_transport', title: `${transportEmoji} ${title}`, start: startTime, end: endTime, description: buildTransportDescription(transport), location: transport.location || '', url: transport.transportation_url || '', mainEvent: event.event_name });
+          allCalendarEvents.push({ ...calendarOccurrence(transport), ...calendarEventTimeZones(calendarTimeZoneForAddress(transport.location) || calendarTimeZoneForAddress(event.venue_address)), type: transport.type || 'ground_transport', title: `${transportEmoji} ${title}`, start: startTime, end: endTime, description: buildTransportDescription(transport), location: transport.location || '', url: transport.transportation_url || '', ...groundTransportBookingFields(transport), mainEvent: event.event_name });
         }
       }
     });
@@ -4161,25 +5194,25 @@ function buildCalendarEventsFromCalendarData(calendarData) {
       const departureTimes = getFlightLegTimes(flight.departure_time, flight.departure_arrival_time);
       if (departureTimes) {
         const desc = buildFlightDescription(flight, 'departure', departureTimes.start, departureTimes.end, personName);
-        allCalendarEvents.push({ ...calendarOccurrence(flight), type: 'flight_departure', title: `✈️ ${flight.departure_name || 'Flight Departure'}`, start: departureTimes.start, end: departureTimes.end, description: desc, location: flight.departure_airport_address || flight.departure_airport || '', url: flight.flight_url || '', mainEvent: '' });
+        allCalendarEvents.push({ ...calendarOccurrence(flight), ...calendarEventTimeZones(calendarTimeZoneForAirport(flight.departure_airport, flight.departure_airport_address), calendarTimeZoneForAirport(flight.return_airport, flight.return_airport_address)), type: 'flight_departure', title: `✈️ ${flight.departure_name || 'Flight Departure'}`, start: departureTimes.start, end: departureTimes.end, description: desc, location: flight.departure_airport_address || flight.departure_airport || '', url: flight.flight_url || '', ...flightLegFields(flight, 'departure'), mainEvent: '' });
       }
     }
     if (flight.return_time && flight.return_name) {
       const returnTimes = getFlightLegTimes(flight.return_time, flight.return_arrival_time);
       if (returnTimes) {
         const desc = buildFlightDescription(flight, 'return', returnTimes.start, returnTimes.end, personName);
-        allCalendarEvents.push({ ...calendarOccurrence(flight), type: 'flight_return', title: `✈️ ${flight.return_name || 'Flight Return'}`, start: returnTimes.start, end: returnTimes.end, description: desc, location: flight.return_airport_address || flight.return_airport || '', url: flight.flight_url || '', mainEvent: '' });
+        allCalendarEvents.push({ ...calendarOccurrence(flight), ...calendarEventTimeZones(calendarTimeZoneForAirport(flight.return_airport, flight.return_airport_address), calendarTimeZoneForAirport(flight.departure_airport, flight.departure_airport_address)), type: 'flight_return', title: `✈️ ${flight.return_name || 'Flight Return'}`, start: returnTimes.start, end: returnTimes.end, description: desc, location: flight.return_airport_address || flight.return_airport || '', url: flight.flight_url || '', ...flightLegFields(flight, 'return'), mainEvent: '' });
       }
     }
     if (flight.departure_lo_time && flight.departure_lo_flightnumber) {
       const loTimes = parseUnifiedDateTime(flight.departure_lo_time) || { start: flight.departure_lo_time, end: flight.departure_lo_time };
       const loDesc = buildLayoverDescription(flight, 'departure_lo', loTimes.start, loTimes.end, personName);
-      allCalendarEvents.push({ ...calendarOccurrence(flight), type: 'flight_departure_layover', title: `✈️ Layover: ${flight.departure_lo_from_airport || 'N/A'} → ${flight.departure_lo_to_airport || 'N/A'}`, start: loTimes.start, end: loTimes.end, description: loDesc, location: flight.departure_lo_from_airport_address || flight.departure_lo_from_airport || '', url: flight.flight_url || '', mainEvent: '' });
+      allCalendarEvents.push({ ...calendarOccurrence(flight), ...calendarEventTimeZones(calendarTimeZoneForAirport(flight.departure_lo_from_airport, flight.departure_lo_from_airport_address), calendarTimeZoneForAirport(flight.departure_lo_to_airport, flight.departure_lo_to_airport_address)), type: 'flight_departure_layover', title: `✈️ Layover: ${flight.departure_lo_from_airport || 'N/A'} → ${flight.departure_lo_to_airport || 'N/A'}`, start: loTimes.start, end: loTimes.end, description: loDesc, location: flight.departure_lo_from_airport_address || flight.departure_lo_from_airport || '', url: flight.flight_url || '', ...flightLegFields(flight, 'departure_lo'), mainEvent: '' });
     }
     if (flight.return_lo_time && flight.return_lo_flightnumber) {
       const loTimes = parseUnifiedDateTime(flight.return_lo_time) || { start: flight.return_lo_time, end: flight.return_lo_time };
       const loDesc = buildLayoverDescription(flight, 'return_lo', loTimes.start, loTimes.end, personName);
-      allCalendarEvents.push({ ...calendarOccurrence(flight), type: 'flight_return_layover', title: `✈️ Layover: ${flight.return_lo_from_airport || 'N/A'} → ${flight.return_lo_to_airport || 'N/A'}`, start: loTimes.start, end: loTimes.end, description: loDesc, location: flight.return_lo_from_airport_address || flight.return_lo_from_airport || '', url: flight.flight_url || '', mainEvent: '' });
+      allCalendarEvents.push({ ...calendarOccurrence(flight), ...calendarEventTimeZones(calendarTimeZoneForAirport(flight.return_lo_from_airport, flight.return_lo_from_airport_address), calendarTimeZoneForAirport(flight.return_lo_to_airport, flight.return_lo_to_airport_address)), type: 'flight_return_layover', title: `✈️ Layover: ${flight.return_lo_from_airport || 'N/A'} → ${flight.return_lo_to_airport || 'N/A'}`, start: loTimes.start, end: loTimes.end, description: loDesc, location: flight.return_lo_from_airport_address || flight.return_lo_from_airport || '', url: flight.flight_url || '', ...flightLegFields(flight, 'return_lo'), mainEvent: '' });
     }
   });
   topLevelRehearsals.forEach(rehearsal => {
@@ -4190,7 +5223,7 @@ function buildCalendarEventsFromCalendarData(calendarData) {
         let desc = rehearsal.description || 'Rehearsal';
         if (rehearsal.rehearsal_pay) desc += `\n\nRehearsal Pay - $${rehearsal.rehearsal_pay}`;
         if (rehearsal.rehearsal_band) desc += `\n\nBand Personnel:\n${rehearsal.rehearsal_band}`;
-        allCalendarEvents.push({ ...calendarOccurrence(rehearsal), type: 'rehearsal', title: calendarRehearsalTitle(rehearsal), start: times.start, end: times.end, description: desc, location: loc, url: rehearsal.rehearsal_notion_url || rehearsal.rehearsal_pco || '', mainEvent: '' });
+        allCalendarEvents.push({ ...calendarOccurrence(rehearsal), ...calendarEventTimeZones(calendarTimeZoneForAddress(rehearsal.rehearsal_address)), type: 'rehearsal', title: calendarRehearsalTitle(rehearsal), start: times.start, end: times.end, description: desc, location: loc, url: rehearsal.rehearsal_notion_url || rehearsal.rehearsal_pco || '', mainEvent: '' });
       }
     }
   });
@@ -4199,7 +5232,7 @@ function buildCalendarEventsFromCalendarData(calendarData) {
     if (hotelTimes) {
       const names = hotel.names_on_reservation ? '\n' + hotel.names_on_reservation.split(',').map(n => n.trim()).filter(Boolean).join('\n') : 'N/A';
       const hotelLink = calendarTravelDescriptionLink(hotel.hotel_url, 'hotels');
-      allCalendarEvents.push({ ...calendarOccurrence(hotel), type: 'hotel', title: `🏨 ${hotel.hotel_name || hotel.title || 'Hotel'}`, start: hotelTimes.start, end: hotelTimes.end, description: `Hotel Stay\nConfirmation: ${hotel.confirmation || 'N/A'}${hotel.hotel_phone ? `\nPhone: ${hotel.hotel_phone}` : ''}\n\nNames on Reservation:${names}\nBooked Under: ${hotel.booked_under || 'N/A'}${hotelLink ? `\n\n${hotelLink}` : ''}`, location: hotel.hotel_address || hotel.hotel_name || 'Hotel', url: hotel.hotel_url || '', mainEvent: '' });
+      allCalendarEvents.push({ ...calendarOccurrence(hotel), ...calendarEventTimeZones(calendarTimeZoneForAddress(hotel.hotel_address)), type: 'hotel', title: `🏨 ${hotel.hotel_name || hotel.title || 'Hotel'}`, start: hotelTimes.start, end: hotelTimes.end, description: `Hotel Stay\nConfirmation: ${hotel.confirmation || 'N/A'}${hotel.hotel_phone ? `\nPhone: ${hotel.hotel_phone}` : ''}\n\nNames on Reservation:${names}\nBooked Under: ${hotel.booked_under || 'N/A'}${hotelLink ? `\n\n${hotelLink}` : ''}`, location: hotel.hotel_address || hotel.hotel_name || 'Hotel', url: hotel.hotel_url || '', ...hotelBookingFields(hotel), mainEvent: '' });
     }
   });
   topLevelTransport.forEach(transport => {
@@ -4210,7 +5243,7 @@ function buildCalendarEventsFromCalendarData(calendarData) {
         const title = normalizeTransportTitle(transport.title);
         const eventType = transport.type === 'ground_transport_pickup' ? 'ground_transport_pickup' : transport.type === 'ground_transport_dropoff' ? 'ground_transport_dropoff' : transport.type === 'ground_transport_meeting' ? 'ground_transport_meeting' : 'ground_transport';
         const transportEmoji = getGroundTransportEmoji(transport, title);
-        allCalendarEvents.push({ ...calendarOccurrence(transport), type: eventType, title: `${transportEmoji} ${title}`, start: startTime, end: endTime, description: buildTransportDescription(transport), location: transport.location || '', url: transport.transportation_url || '', mainEvent: '' });
+        allCalendarEvents.push({ ...calendarOccurrence(transport), ...calendarEventTimeZones(calendarTimeZoneForAddress(transport.location)), type: eventType, title: `${transportEmoji} ${title}`, start: startTime, end: endTime, description: buildTransportDescription(transport), location: transport.location || '', url: transport.transportation_url || '', ...groundTransportBookingFields(transport), mainEvent: '' });
       }
     }
   });
@@ -4225,7 +5258,7 @@ function buildCalendarEventsFromCalendarData(calendarData) {
         const endDate = isAllDay
           ? shiftFloatingCalendarDate(eventTimes.end, 1)
           : eventTimes.end;
-        allCalendarEvents.push({ ...calendarOccurrence(teamEvent), type: 'team_calendar', title: `${emoji} ${teamEvent.title || 'Team Event'}`, start: eventTimes.start, end: endDate, allDay: isAllDay, description: [teamEvent.dcos, teamEvent.notes].filter(Boolean).join('\n\n'), location: teamEvent.address || '', url: calendarTeamEventUrl(teamEvent), mainEvent: '' });
+        allCalendarEvents.push({ ...calendarOccurrence(teamEvent), ...calendarEventTimeZones(calendarTimeZoneForAddress(teamEvent.address)), type: 'team_calendar', title: `${emoji} ${teamEvent.title || 'Team Event'}`, start: eventTimes.start, end: endDate, allDay: isAllDay, description: [teamEvent.dcos, teamEvent.notes].filter(Boolean).join('\n\n'), location: teamEvent.address || '', url: calendarTeamEventUrl(teamEvent), mainEvent: '' });
       }
     }
   });
@@ -4273,12 +5306,20 @@ async function regenerateCalendarForPersonFromNotion(personId, options = {}) {
     if (splitMode) {
       console.log(`🧪 Split regen mode "${selectedRegenMode}" enabled for ${personId}`);
     }
+    const alarmProfile = await resolveCalendarAlarmProfile(personId, options);
+    const alarmVariant = calendarAlarmCacheVariant(alarmProfile);
+    const icsCacheKey = buildCalendarCacheKey(personId, 'ics', selectedRegenMode, alarmVariant, 'notion');
+    const googleIcsCacheKey = buildCalendarCacheKey(personId, 'google_ics', selectedRegenMode, alarmVariant, 'notion');
     if (clearCache && redis && cacheEnabled) {
       await redis.del(`${cachePrefix}:ics`);
       await redis.del(`${cachePrefix}:google_ics`);
       await redis.del(`${cachePrefix}:json`);
-      await redis.del(`calendar:${personId}:events`);
-      await redis.del(`calendar:${personId}:non_events`);
+      if (alarmVariant) {
+        await redis.del(icsCacheKey);
+        await redis.del(googleIcsCacheKey);
+      }
+      await redis.del(calendarSplitCacheKey(personId, 'events'));
+      await redis.del(calendarSplitCacheKey(personId, 'non_events'));
     }
 
     // Full mode: use split flow (events_only via NOTION_API_KEY + non_events_only via NOTION_API_KEY2)
@@ -4302,13 +5343,13 @@ async function regenerateCalendarForPersonFromNotion(personId, options = {}) {
       if (!redis || !cacheEnabled) {
         return { success: bothOk, personId, personName: eventsResult.personName || nonEventsResult.personName, regenMode: REGEN_MODE_FULL, eventCount: (eventsResult.eventCount || 0) + (nonEventsResult.eventCount || 0) };
       }
-      const composed = await composeSplitCacheForPerson(personId, { sourcePageId: resolvedPageId });
+      const composed = await composeSplitCacheForPerson(personId, { sourcePageId: resolvedPageId, alarmProfile });
       if (!composed) {
         return { success: false, personId, error: 'Split compose did not produce full cache', reason: 'split_regen_failed' };
       }
-      const icsData = await redis.get(`calendar:${personId}:ics`);
-      const googleIcsData = await redis.get(`calendar:${personId}:google_ics`);
-      const jsonData = await redis.get(`calendar:${personId}:json`);
+      const icsData = await redis.get(icsCacheKey);
+      const googleIcsData = await redis.get(googleIcsCacheKey);
+      const jsonData = await redis.get(buildCalendarCacheKey(personId, 'json', REGEN_MODE_FULL, '', 'notion'));
       if (!icsData || !jsonData) {
         return { success: false, personId, error: 'Split compose did not produce full cache', reason: 'split_regen_failed' };
       }
@@ -4357,10 +5398,10 @@ async function regenerateCalendarForPersonFromNotion(personId, options = {}) {
       if (!hasAnySourceData) return { success: false, personId, reason: 'no_events' };
       const personName = calendarData.personName || 'Unknown';
       const allCalendarEvents = buildCalendarEventsFromCalendarData(calendarData);
-      const { icsData, googleIcsData, jsonResponse, jsonData } = buildCalendarArtifacts(personName, allCalendarEvents, { totalMainEvents: eventsArray.length, regenMode: selectedRegenMode, dataSource: 'calendar_data_database' });
+      const { icsData, googleIcsData, jsonResponse, jsonData } = buildCalendarArtifacts(personName, allCalendarEvents, { totalMainEvents: eventsArray.length, regenMode: selectedRegenMode, dataSource: 'calendar_data_database', alarmProfile });
       if (redis && cacheEnabled) {
-        await setCalendarCache(`${cachePrefix}:ics`, icsData);
-        await setCalendarCache(`${cachePrefix}:google_ics`, googleIcsData);
+        await setCalendarCache(icsCacheKey, icsData);
+        await setCalendarCache(googleIcsCacheKey, googleIcsData);
         await setCalendarCache(`${cachePrefix}:json`, jsonData);
       }
       return { success: true, personId, personName, regenMode: selectedRegenMode, eventCount: allCalendarEvents.length, icsData, googleIcsData, jsonData, jsonResponse, allCalendarEvents };
@@ -4368,14 +5409,14 @@ async function regenerateCalendarForPersonFromNotion(personId, options = {}) {
     if (selectedRegenMode === REGEN_MODE_EVENTS_ONLY) {
       const result = await regenerateCalendarForPersonSplitWithTimeout(personId, resolvedPageId, 'events_only', { trigger, composeFull: false });
       if (!result.success) return { success: false, personId, error: result.error, reason: 'split_regen_failed' };
-      const eventsRaw = await redis.get(`calendar:${personId}:events`);
+      const eventsRaw = await redis.get(calendarSplitCacheKey(personId, 'events'));
       const payload = eventsRaw ? JSON.parse(eventsRaw) : { personName: 'Unknown', events: [] };
       const allCalendarEvents = Array.isArray(payload.events) ? payload.events : [];
       const totalMainEvents = allCalendarEvents.filter(event => event.type === 'main_event').length;
-      const { icsData, googleIcsData, jsonResponse, jsonData } = buildCalendarArtifacts(payload.personName, allCalendarEvents, { totalMainEvents, regenMode: selectedRegenMode, dataSource: 'split_events_only' });
+      const { icsData, googleIcsData, jsonResponse, jsonData } = buildCalendarArtifacts(payload.personName, allCalendarEvents, { totalMainEvents, regenMode: selectedRegenMode, dataSource: 'split_events_only', alarmProfile });
       if (redis && cacheEnabled) {
-        await setCalendarCache(`${cachePrefix}:ics`, icsData);
-        await setCalendarCache(`${cachePrefix}:google_ics`, googleIcsData);
+        await setCalendarCache(icsCacheKey, icsData);
+        await setCalendarCache(googleIcsCacheKey, googleIcsData);
         await setCalendarCache(`${cachePrefix}:json`, jsonData);
       }
       return { success: true, personId, personName: payload.personName, regenMode: selectedRegenMode, eventCount: allCalendarEvents.length, icsData, googleIcsData, jsonData, jsonResponse, allCalendarEvents };
@@ -4419,20 +5460,28 @@ async function regenerateCalendarForPersonFromPostgres(personId, options = {}) {
   } = options;
   const selectedRegenMode = parseRegenMode(regenMode) || REGEN_MODE_FULL;
   try {
-    const payload = await fetchPostgresCalendarFeed('personal', personId);
+    const [payload, alarmProfile] = await Promise.all([
+      fetchPostgresCalendarFeed('personal', personId),
+      resolveCalendarAlarmProfile(personId, options),
+    ]);
+    const alarmVariant = calendarAlarmCacheVariant(alarmProfile);
     const calendarData = selectPostgresCalendarDataMode(payload.calendarData || {}, selectedRegenMode);
     const allCalendarEvents = buildCalendarEventsFromCalendarData(calendarData);
     const personName = calendarData.personName || 'Unknown';
     const totalMainEvents = allCalendarEvents.filter(event => event.type === 'main_event').length;
-    const artifacts = buildCalendarArtifacts(personName, allCalendarEvents, {
+    const publishedEvents = selectedRegenMode === REGEN_MODE_FULL
+      ? await withPublishedEventRevisions(`personal:${personId}`, allCalendarEvents)
+      : allCalendarEvents;
+    const artifacts = buildCalendarArtifacts(personName, publishedEvents, {
       totalMainEvents,
       regenMode: selectedRegenMode,
-      dataSource: 'postgres'
+      dataSource: 'postgres',
+      alarmProfile
     });
     const cacheKeys = {
-      ics: buildCalendarCacheKey(personId, 'ics', selectedRegenMode),
-      googleIcs: buildCalendarCacheKey(personId, 'google_ics', selectedRegenMode),
-      json: buildCalendarCacheKey(personId, 'json', selectedRegenMode),
+      ics: buildCalendarCacheKey(personId, 'ics', selectedRegenMode, alarmVariant, 'postgres'),
+      googleIcs: buildCalendarCacheKey(personId, 'google_ics', selectedRegenMode, alarmVariant, 'postgres'),
+      json: buildCalendarCacheKey(personId, 'json', selectedRegenMode, '', 'postgres'),
     };
     if (redis && cacheEnabled) {
       if (clearCache) {
@@ -4472,7 +5521,9 @@ async function regenerateCalendarForPersonFromPostgres(personId, options = {}) {
         json: jsonMetadata,
       },
       ...artifacts,
-      allCalendarEvents
+      // Derived feeds read these, so they carry the same revisions and
+      // tombstones as the published artifacts.
+      allCalendarEvents: publishedEvents
     };
   } catch (error) {
     console.error('[calendar-postgres] Personal projection failed:', error.code || 'UNKNOWN');
@@ -4484,7 +5535,7 @@ async function comparePersonalCalendarShadow(personId, notionEvents = []) {
   try {
     const payload = await fetchPostgresCalendarFeed('personal', personId);
     const postgresEvents = buildCalendarEventsFromCalendarData(payload.calendarData || {});
-    const comparison = compareCalendarEventSets(notionEvents, postgresEvents);
+    const comparison = compareCalendarEventSets(withoutCalendarTombstones(notionEvents), postgresEvents);
     await recordCalendarShadowResult('personal', personId, comparison);
     return { status: 'compared' };
   } catch (error) {
@@ -4554,7 +5605,7 @@ async function compareDurablePersonalCalendarShadow(personId) {
     const notionEvents = await loadCalendarShadowBaselineEvents(
       'personal',
       personId,
-      buildCalendarCacheKey(personId, 'json')
+      buildCalendarCacheKey(personId, 'json', REGEN_MODE_FULL, '', 'notion')
     );
     return await comparePersonalCalendarShadow(personId, notionEvents);
   } catch (error) {
@@ -4576,7 +5627,7 @@ async function compareDurableSharedCalendarShadow(kind, processor, payloadField)
     const notionEvents = await loadCalendarShadowBaselineEvents(
       kind,
       kind,
-      buildSharedCalendarCacheKey(kind, 'json')
+      buildSharedCalendarCacheKey(kind, 'json', 'notion')
     );
     const payload = await fetchPostgresCalendarFeed(kind);
     const postgresRaw = payload?.[payloadField] || [];
@@ -4597,15 +5648,139 @@ async function compareDurableSharedCalendarShadow(kind, processor, payloadField)
   }
 }
 
-async function regenerateCalendarForPerson(personId, options = {}) {
+// Every full personal JSON artifact leaves a snapshot under its ETag, which
+// /calendar/:personId/changes diffs against. Moves, relocations, call-time
+// changes and cancellations since the previous snapshot go to the notifier.
+async function recordPersonalCalendarChangeSnapshot(personId, result) {
+  if (!result?.success || result.regenMode !== REGEN_MODE_FULL || !result.jsonData) return;
+  const previous = calendarChangeNotifications.enabled
+    ? await readLatestCalendarChangeSnapshot(personId)
+    : null;
+  const current = await saveCalendarChangeSnapshot(personId, {
+    etag: result.artifactMetadata?.json?.etag || calendarJsonArtifactEtag(result.jsonData),
+    sourceRevision: result.sourceRevision,
+    events: result.jsonResponse?.events || [],
+  });
+  if (!previous || !current || previous.etag === current.etag) return;
+  calendarChangeNotifications.record(personId, {
+    personName: result.personName,
+    changes: meaningfulCalendarChanges(diffCalendarEventSets(previous.events, current.events)),
+  });
+}
+
+const recordPersonalCalendarBuild = createPersonalCalendarBuildRecorder({
+  changeSnapshot: recordPersonalCalendarChangeSnapshot,
+  conflicts: recordPersonalCalendarConflicts,
+  archive: recordPersonalCalendarArchive,
+});
+
+async function recordPersonalCalendarConflicts(personId, result) {
+  const conflicts = result?.jsonResponse?.conflicts;
+  if (!result?.success || result.regenMode !== REGEN_MODE_FULL || !Array.isArray(conflicts)) return;
+  const entry = {
+    personId,
+    personName: result.personName || null,
+    analyzedAt: new Date().toISOString(),
+    conflicts,
+  };
+  calendarConflictMemory.set(personId, entry);
+  if (!redis || !cacheEnabled) return;
+  try {
+    await redis.hSet(CALENDAR_CONFLICTS_REDIS_KEY, personId, JSON.stringify(entry));
+  } catch (error) {
+    console.warn('[calendar-conflicts] Conflict ledger write failed:', error.code || 'REDIS_ERROR');
+  }
+}
+
+function currentCalendarArchiveYear() {
+  return calendarBusinessYear(new Date(), GOOGLE_CALENDAR_TIMEZONE);
+}
+
+// Every full build, the Notion sweep's included, keeps the current year's
+// archive in step. Earlier years are never written here, so they stay as the
+// last build of that year left them.
+async function recordPersonalCalendarArchive(personId, result) {
+  if (!result?.success || result.regenMode !== REGEN_MODE_FULL || !redis || !cacheEnabled) return;
+  try {
+    await recordOpenCalendarArchive(redis, normalizeNotionPageId(personId) || personId, {
+      personName: result.personName,
+      events: result.jsonResponse?.events || [],
+      sourceRevision: result.sourceRevision,
+    }, { currentYear: currentCalendarArchiveYear() });
+  } catch (error) {
+    console.warn('[calendar-archive] Archive write failed:', error.code || error.message);
+  }
+}
+
+async function loadCalendarConflictEntries() {
+  const entries = new Map(calendarConflictMemory);
+  if (redis && cacheEnabled) {
+    try {
+      const stored = await redis.hGetAll(CALENDAR_CONFLICTS_REDIS_KEY);
+      for (const [personId, raw] of Object.entries(stored || {})) {
+        try {
+          entries.set(personId, JSON.parse(raw));
+        } catch {
+          // A malformed row only drops that person from the report.
+        }
+      }
+    } catch (error) {
+      console.warn('[calendar-conflicts] Conflict ledger read failed:', error.code || 'REDIS_ERROR');
+    }
+  }
+  return [...entries.values()].sort((left, right) => String(left.personName || left.personId)
+    .localeCompare(String(right.personName || right.personId)));
+}
+
+// Everyone with a personal feed: the Postgres people list, or the Calendar
+// Data index the Notion sweep keeps in Redis.
+async function listCalendarRosterPersonIds() {
+  const personIds = [];
   if (CALENDAR_FEED_SOURCE === 'postgres') {
+    const peoplePayload = await fetchPostgresCalendarFeed('people');
+    const people = Array.isArray(peoplePayload?.people) ? peoplePayload.people : [];
+    personIds.push(...people.map((person) => normalizeNotionPageId(person.notionPageId || person.personnelId)));
+  } else {
+    const cachedIndex = await getCachedJson(CALENDAR_DATA_INDEX_CACHE_KEY);
+    personIds.push(...uniqueCalendarDataIndexEntriesByPerson(cachedIndex?.entries)
+      .map((entry) => normalizeNotionPageId(entry.personId)));
+  }
+  return [...new Set(personIds.filter(Boolean))];
+}
+
+// Each person's latest cached full JSON feed, without touching the source.
+// People whose feed has not been built yet are returned in `missing`.
+async function loadCachedPersonalCalendars(personIds) {
+  const loaded = await mapWithConcurrency(personIds, 10, async (personId) => {
+    const cached = await getCachedJson(buildCalendarCacheKey(personId, 'json'));
+    return Array.isArray(cached?.events)
+      ? { personId, personName: cached.personName || null, events: cached.events }
+      : { personId, missing: true };
+  });
+  return {
+    people: loaded.filter((person) => !person.missing),
+    missing: loaded.filter((person) => person.missing).map((person) => person.personId),
+  };
+}
+
+// Blockouts from the cached shared blockout feed, or null before it is built.
+async function loadCachedCalendarBlockoutRanges() {
+  const cached = await getCachedJson(buildSharedCalendarCacheKey('blockout', 'json'));
+  return Array.isArray(cached?.events) ? calendarBlockoutRangesFromFeedEvents(cached.events) : null;
+}
+
+async function regenerateCalendarForPerson(personId, options = {}) {
+  if (calendarPersonalFeedSource(personId) === 'postgres') {
     const regenMode = parseRegenMode(options.regenMode) || REGEN_MODE_FULL;
-    return runMonitoredCalendarBuild(
+    const result = await runMonitoredCalendarBuild(
       `personal:${normalizeNotionPageId(personId) || personId}:${regenMode}`,
       'personal',
       () => regenerateCalendarForPersonFromPostgres(personId, options)
     );
+    await recordPersonalCalendarBuild(personId, result);
+    return result;
   }
+  // Full Notion builds are composed from split caches, which records them.
   const result = await regenerateCalendarForPersonFromNotion(personId, options);
   const selectedRegenMode = parseRegenMode(options.regenMode) || REGEN_MODE_FULL;
   if (
@@ -4620,6 +5795,128 @@ async function regenerateCalendarForPerson(personId, options = {}) {
   return result;
 }
 
+// The person's full event list, as published in the JSON feed: the cached full
+// JSON when its source revision is current, otherwise a regeneration. Returns
+// the failed regen result as-is.
+async function loadPersonalCalendarBase(personId, options = {}) {
+  const { forceFresh = false, regenMode = REGEN_MODE_FULL } = options;
+  if (!forceFresh && redis && cacheEnabled) {
+    const baseJsonKey = buildCalendarCacheKey(personId, 'json', regenMode);
+    const revision = await validatePostgresCacheRevision(baseJsonKey);
+    const cached = revision.matches ? await getCachedJson(baseJsonKey) : null;
+    if (Array.isArray(cached?.events)) {
+      return {
+        success: true,
+        personName: cached.personName,
+        dataSource: cached.dataSource,
+        events: cached.events,
+        etag: revision.metadata?.etag || calendarJsonArtifactEtag(JSON.stringify(cached)),
+        sourceRevision: revision.metadata?.sourceRevision || null,
+        sourceUpdatedAt: revision.metadata?.sourceUpdatedAt || null,
+      };
+    }
+  }
+  const result = await regenerateCalendarForPerson(personId, {
+    trigger: options.trigger,
+    regenMode,
+    calendarDataPageId: options.calendarDataPageId,
+    alarmProfile: options.alarmProfile
+  });
+  if (!result.success) return result;
+  return {
+    success: true,
+    personName: result.personName,
+    dataSource: result.jsonResponse?.dataSource,
+    events: result.jsonResponse?.events || [],
+    etag: result.artifactMetadata?.json?.etag || (result.jsonData ? calendarJsonArtifactEtag(result.jsonData) : null),
+    sourceRevision: result.sourceRevision || null,
+    sourceUpdatedAt: result.sourceUpdatedAt || null,
+  };
+}
+
+// Filtered, redacted and re-zoned feeds are projections of the person's full artifact:
+// reuse the cached full JSON when its source revision is current, otherwise
+// regenerate it, then cache the projected artifacts under their own keys.
+async function regenerateFilteredCalendarForPerson(personId, options = {}) {
+  const {
+    eventFilter = null,
+    privacyPolicy = null,
+    alarmProfile = null,
+    forceFresh = false,
+    regenMode = REGEN_MODE_FULL,
+    timeMode = CALENDAR_TIME_MODE,
+    defaultTimeZone = null
+  } = options;
+  const selectedRegenMode = parseRegenMode(regenMode) || REGEN_MODE_FULL;
+  const base = await loadPersonalCalendarBase(personId, {
+    ...options,
+    alarmProfile,
+    forceFresh,
+    regenMode: selectedRegenMode
+  });
+  if (!base.success) return base;
+
+  const events = filterCalendarEvents(base.events, eventFilter);
+  const artifacts = buildCalendarArtifacts(base.personName, events, {
+    regenMode: selectedRegenMode,
+    dataSource: base.dataSource,
+    alarmProfile,
+    eventFilter,
+    privacyPolicy,
+    timeMode,
+    defaultTimeZone
+  });
+  const filterVariant = joinCalendarCacheVariants(
+    calendarEventTypeFilterVariant(eventFilter),
+    calendarFieldPrivacyVariant(privacyPolicy)
+  );
+  const alarmVariant = calendarAlarmCacheVariant(alarmProfile);
+  const icsVariant = joinCalendarCacheVariants(
+    filterVariant,
+    alarmVariant,
+    calendarTimePolicyVariant({ timeMode, defaultTimeZone })
+  );
+  const metadataOptions = {
+    sourceRevision: base.sourceRevision,
+    sourceUpdatedAt: base.sourceUpdatedAt,
+    eventCount: events.length,
+  };
+  const [icsMetadata, googleIcsMetadata, jsonMetadata] = await Promise.all([
+    cacheCalendarArtifact(buildCalendarCacheKey(personId, 'ics', selectedRegenMode, icsVariant), artifacts.icsData, metadataOptions),
+    cacheCalendarArtifact(buildCalendarCacheKey(personId, 'google_ics', selectedRegenMode, icsVariant), artifacts.googleIcsData, metadataOptions),
+    cacheCalendarArtifact(buildCalendarCacheKey(personId, 'json', selectedRegenMode, filterVariant), artifacts.jsonData, metadataOptions),
+  ]);
+  return {
+    success: true,
+    personId,
+    personName: base.personName,
+    regenMode: selectedRegenMode,
+    eventCount: events.length,
+    sourceRevision: base.sourceRevision,
+    sourceUpdatedAt: base.sourceUpdatedAt,
+    artifactMetadata: {
+      ics: icsMetadata,
+      google_ics: googleIcsMetadata,
+      json: jsonMetadata,
+    },
+    ...artifacts,
+    allCalendarEvents: events
+  };
+}
+
+// Every variant suffix (types-, privacy-, alarms-, time-) contains a hyphen; the
+// base format and regen-mode segments never do.
+async function deleteFilteredPersonalCalendarCaches(personId) {
+  if (!redis || !cacheEnabled) return 0;
+  let deleted = 0;
+  const pattern = buildCalendarCacheKey(personId, '*', REGEN_MODE_FULL, '*-*');
+  for await (const scannedKeys of redis.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+    const keys = Array.isArray(scannedKeys) ? scannedKeys : [scannedKeys];
+    if (keys.length > 0) deleted += await redis.del(keys);
+  }
+  return deleted;
+}
+
 // Helper function to regenerate all calendars using batched parallel processing
 async function regenerateAllCalendars(options = {}) {
   const {
@@ -4849,6 +6146,8 @@ function startBackgroundJob() {
             });
             
             console.log(`✅ Admin calendar cached (${allCalendarEvents.length} events)`);
+            const bandCount = await cacheBandCalendars(adminEvents);
+            verboseLog(`✅ Band calendars cached (${bandCount} bands)`);
           }
         } catch (adminError) {
           console.error('⚠️  Admin calendar refresh failed:', adminError.message);
@@ -4975,6 +6274,18 @@ function startBackgroundJob() {
           console.error('⚠️  Blockout calendar refresh failed:', blockoutError.message);
         }
       }
+
+      // Rebuild the venue directory from the admin rows and the personal feeds
+      // this cycle just cached, so venue feed requests never have to.
+      if (calendarVenueDirectoryConfigured() && redis && cacheEnabled) {
+        cyclePhase = 'venue_directory_refresh';
+        try {
+          const { venues } = await refreshCalendarVenueDirectory();
+          verboseLog(`✅ Venue directory cached (${venues.length} venues)`);
+        } catch (venueError) {
+          console.error('⚠️  Venue directory refresh failed:', venueError.message);
+        }
+      }
       
       const jobTime = Math.round((Date.now() - jobStart) / 1000);
       cyclePhase = 'final_summary';
@@ -6219,7 +7530,7 @@ async function refreshAndCompareSharedCalendarShadow(kind, loader, processor, pa
 }
 
 async function getConfiguredAdminCalendarData() {
-  if (CALENDAR_FEED_SOURCE === 'postgres') {
+  if (calendarSharedFeedSource('admin') === 'postgres') {
     const payload = await fetchPostgresCalendarFeed('admin');
     return attachPostgresSourceRevision(payload.events || [], payload);
   }
@@ -6233,7 +7544,7 @@ async function getConfiguredAdminCalendarData() {
 }
 
 async function getConfiguredTravelCalendarData() {
-  if (CALENDAR_FEED_SOURCE === 'postgres') {
+  if (calendarSharedFeedSource('travel') === 'postgres') {
     const payload = await fetchPostgresCalendarFeed('travel');
     return attachPostgresSourceRevision(payload.travelGroups || [], payload);
   }
@@ -6247,7 +7558,7 @@ async function getConfiguredTravelCalendarData() {
 }
 
 async function getConfiguredBlockoutCalendarData() {
-  if (CALENDAR_FEED_SOURCE === 'postgres') {
+  if (calendarSharedFeedSource('blockout') === 'postgres') {
     const payload = await fetchPostgresCalendarFeed('blockout');
     return attachPostgresSourceRevision(payload.events || [], payload);
   }
@@ -6335,74 +7646,69 @@ app.get('/', (_req, res) => {
   });
 });
 
-// Flight countdown API endpoint - Direct Notion Query
-app.get('/api/flight/:flightId', async (req, res) => {
-  try {
-    const { flightId } = req.params;
-    
-    // Special case for test flight
-    if (flightId === 'test') {
-      return res.json({
-        flightNumber: 'AS 1360',
-        departureTime: '2025-01-15T19:59:00.000Z/2025-01-15T21:34:00.000Z',
-        airline: 'Alaska',
-        route: 'LAX-SJD',
-        confirmation: 'TEST123',
-        departureCode: 'LAX',
-        arrivalCode: 'SJD',
-        departureName: 'Los Angeles International Airport',
-        arrivalName: 'Los Cabos International Airport'
-      });
-    }
-    
-    // Parse flightId: {notionPageId}-{direction}
-    const parts = flightId.split('-');
-    if (parts.length < 2) {
-      return res.status(400).json({ error: 'Invalid flight ID format' });
-    }
-    
-    const direction = parts.pop();
-    let notionPageId = parts.join('-');
-    
-    // Convert 32-character page ID to UUID format if needed
-    if (notionPageId.length === 32 && !notionPageId.includes('-')) {
-      notionPageId = notionPageId.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
-    }
-    
-    if (!['departure', 'return'].includes(direction)) {
-      return res.status(400).json({ error: 'Invalid direction. Must be "departure" or "return"' });
-    }
-    
-    // Query Notion page
-    const page = await notion.pages.retrieve({ page_id: notionPageId });
-    const properties = page.properties;
-    
-    // Detailed provider data is available only to authenticated operators.
-    if (req.query.debug === 'true' && calendarFeedServiceRequestIsAuthorized(req)) {
-      return res.json({
+// Flight countdown API endpoint - Direct Notion Query
+// Provider errors never fail the flight payload; the page falls back to Notion data.
+async function flightLiveStatus(flightData) {
+  try {
+    return await flightStatusService.lookup(flightData);
+  } catch (error) {
+    console.warn('[flight-status] Live status lookup failed:', error.code || 'UNKNOWN');
+    return null;
+  }
+}
+
+// Countdown flight IDs are "{notionPageId}-{direction}". Returns the leg's
+// countdown payload, or an HTTP status and message for the caller to send.
+async function loadNotionFlightLeg(flightId, req) {
+  const parts = flightId.split('-');
+  if (parts.length < 2) {
+    return { status: 400, error: 'Invalid flight ID format' };
+  }
+
+  const direction = parts.pop();
+  let notionPageId = parts.join('-');
+
+  // Convert 32-character page ID to UUID format if needed
+  if (notionPageId.length === 32 && !notionPageId.includes('-')) {
+    notionPageId = notionPageId.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
+  }
+
+  if (!['departure', 'return'].includes(direction)) {
+    return { status: 400, error: 'Invalid direction. Must be "departure" or "return"' };
+  }
+
+  // Query Notion page
+  const page = await notion.pages.retrieve({ page_id: notionPageId });
+  const properties = page.properties;
+
+  // Detailed provider data is available only to authenticated operators.
+  if (req.query.debug === 'true' && calendarFeedServiceRequestIsAuthorized(req)) {
+    return {
+      debug: {
         notionPageId,
         direction,
         availableProperties: Object.keys(properties),
         properties: properties
-      });
-    }
-    
-    // Extract flight data based on direction
-    let flightData;
-    if (direction === 'departure') {
-      // Parse departure time range
-      const departureTime = properties.departure_time?.date?.start;
-      const departureArrivalTime = properties.departure_arrival_time?.date?.start;
-      
-      if (!departureTime) {
-        return res.status(404).json({ error: 'Departure time not found' });
       }
-      
-      const departureTimeRange = departureArrivalTime
-        ? `${departureTime}/${departureArrivalTime}`
-        : `${departureTime}/${departureTime}`;
-      
-      flightData = {
+    };
+  }
+
+  // Extract flight data based on direction
+  if (direction === 'departure') {
+    // Parse departure time range
+    const departureTime = properties.departure_time?.date?.start;
+    const departureArrivalTime = properties.departure_arrival_time?.date?.start;
+
+    if (!departureTime) {
+      return { status: 404, error: 'Departure time not found' };
+    }
+
+    const departureTimeRange = departureArrivalTime
+      ? `${departureTime}/${departureArrivalTime}`
+      : `${departureTime}/${departureTime}`;
+
+    return {
+      flightData: {
         flightNumber: properties.departure_flightnumber?.title?.[0]?.text?.content || 'N/A',
         departureTime: departureTimeRange,
         airline: properties.departure_airline?.select?.name || 'N/A',
@@ -6412,43 +7718,104 @@ app.get('/api/flight/:flightId', async (req, res) => {
         arrivalCode: properties.return_airport?.select?.name || 'N/A',
         departureName: properties.departure_airport_name?.rich_text?.[0]?.text?.content || 'N/A',
         arrivalName: properties.return_airport_name?.rich_text?.[0]?.text?.content || 'N/A'
-      };
-    } else {
-      // Parse return time range
-      const returnTime = properties.return_time?.date?.start;
-      const returnArrivalTime = properties.return_arrival_time?.date?.start;
-      
-      if (!returnTime) {
-        return res.status(404).json({ error: 'Return time not found' });
       }
-      
-      const returnTimeRange = returnArrivalTime
-        ? `${returnTime}/${returnArrivalTime}`
-        : `${returnTime}/${returnTime}`;
-      
-      flightData = {
-        flightNumber: properties.return_flightnumber?.title?.[0]?.text?.content || 'N/A',
-        departureTime: returnTimeRange,
-        airline: properties.return_airline?.select?.name || properties.departure_airline?.select?.name || 'N/A',
-        route: `${properties.return_airport?.select?.name || 'N/A'}-${properties.departure_airport?.select?.name || 'N/A'}`,
-        confirmation: properties.confirmation?.rich_text?.[0]?.text?.content || 'N/A',
-        departureCode: properties.return_airport?.select?.name || 'N/A',
-        arrivalCode: properties.departure_airport?.select?.name || 'N/A',
-        departureName: properties.return_airport_name?.rich_text?.[0]?.text?.content || 'N/A',
-        arrivalName: properties.departure_airport_name?.rich_text?.[0]?.text?.content || 'N/A'
-      };
+    };
+  }
+
+  // Parse return time range
+  const returnTime = properties.return_time?.date?.start;
+  const returnArrivalTime = properties.return_arrival_time?.date?.start;
+
+  if (!returnTime) {
+    return { status: 404, error: 'Return time not found' };
+  }
+
+  const returnTimeRange = returnArrivalTime
+    ? `${returnTime}/${returnArrivalTime}`
+    : `${returnTime}/${returnTime}`;
+
+  return {
+    flightData: {
+      flightNumber: properties.return_flightnumber?.title?.[0]?.text?.content || 'N/A',
+      departureTime: returnTimeRange,
+      airline: properties.return_airline?.select?.name || properties.departure_airline?.select?.name || 'N/A',
+      route: `${properties.return_airport?.select?.name || 'N/A'}-${properties.departure_airport?.select?.name || 'N/A'}`,
+      confirmation: properties.confirmation?.rich_text?.[0]?.text?.content || 'N/A',
+      departureCode: properties.return_airport?.select?.name || 'N/A',
+      arrivalCode: properties.departure_airport?.select?.name || 'N/A',
+      departureName: properties.return_airport_name?.rich_text?.[0]?.text?.content || 'N/A',
+      arrivalName: properties.departure_airport_name?.rich_text?.[0]?.text?.content || 'N/A'
     }
-    
-    res.json(flightData);
+  };
+}
+
+// Live status is only looked up for booked legs near departure, so public
+// requests cannot spend provider quota on arbitrary flight numbers.
+async function flightLegLiveStatus(flightData) {
+  return flightStatusLookupWindowIncludes(flightData.departureTime)
+    ? flightLiveStatus(flightData)
+    : null;
+}
+
+const TEST_FLIGHT = Object.freeze({
+  flightNumber: 'AS 1360',
+  departureTime: '2025-01-15T19:59:00.000Z/2025-01-15T21:34:00.000Z',
+  airline: 'Alaska',
+  route: 'LAX-SJD',
+  confirmation: 'TEST123',
+  departureCode: 'LAX',
+  arrivalCode: 'SJD',
+  departureName: 'Los Angeles International Airport',
+  arrivalName: 'Los Cabos International Airport'
+});
+
+function sendFlightApiError(res, error) {
+  console.error('Flight API error:', error);
+
+  // Handle specific Notion API errors
+  if (error.code === 'object_not_found') {
+    return res.status(404).json({ error: 'Flight not found' });
+  }
+
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+// Live status alone, for countdown pages to poll near departure. Takes the
+// same Notion flight ID as /api/flight/:flightId.
+app.get('/api/flight/:flightId/status', async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    const { flightId } = req.params;
+    const leg = flightId === 'test' ? { flightData: TEST_FLIGHT } : await loadNotionFlightLeg(flightId, req);
+    if (leg.error) return res.status(leg.status).json({ error: leg.error });
+    if (leg.debug) return res.json(leg.debug);
+    if (!flightStatusService.enabled) {
+      return res.json({ status: 'No Data', message: 'Live flight status is not configured.' });
+    }
+    const liveStatus = await flightLegLiveStatus(leg.flightData);
+    return res.json(liveStatus || { status: 'No Data', message: 'No live status for this flight.' });
   } catch (error) {
-    console.error('Flight API error:', error);
+    return sendFlightApiError(res, error);
+  }
+});
+
+app.get('/api/flight/:flightId', async (req, res) => {
+  try {
+    const { flightId } = req.params;
     
-    // Handle specific Notion API errors
-    if (error.code === 'object_not_found') {
-      return res.status(404).json({ error: 'Flight not found' });
+    // Special case for test flight
+    if (flightId === 'test') {
+      return res.json({ ...TEST_FLIGHT, liveStatus: await flightLegLiveStatus(TEST_FLIGHT) });
     }
     
-    res.status(500).json({ error: 'Internal server error' });
+    const leg = await loadNotionFlightLeg(flightId, req);
+    if (leg.error) return res.status(leg.status).json({ error: leg.error });
+    if (leg.debug) return res.json(leg.debug);
+    const flightData = { ...leg.flightData };
+    flightData.liveStatus = await flightLegLiveStatus(flightData);
+    res.json(flightData);
+  } catch (error) {
+    return sendFlightApiError(res, error);
   }
 });
 
@@ -6466,10 +7833,17 @@ app.delete('/cache/clear/:personId', requireCalendarFeedServiceKey, async (req,
     const cacheKeys = ['ics', 'google_ics', 'json'].map((format) =>
       buildCalendarCacheKey(personId, format)
     );
+    const alarmVariant = calendarAlarmCacheVariant(await readCalendarAlarmProfile(personId));
+    if (alarmVariant) {
+      cacheKeys.push(...['ics', 'google_ics'].map((format) =>
+        buildCalendarCacheKey(personId, format, REGEN_MODE_FULL, alarmVariant)
+      ));
+    }
     const deletedCounts = await Promise.all(cacheKeys.map(async (key) => ({
       artifact: await redis.del(key),
       metadata: await redis.del(calendarArtifactMetadataKey(key)),
     })));
+    const filteredDeleted = await deleteFilteredPersonalCalendarCaches(personId);
     
     res.json({
       success: true,
@@ -6478,7 +7852,8 @@ app.delete('/cache/clear/:personId', requireCalendarFeedServiceKey, async (req,
       cleared: {
         ics: deletedCounts[0].artifact > 0,
         google_ics: deletedCounts[1].artifact > 0,
-        json: deletedCounts[2].artifact > 0
+        json: deletedCounts[2].artifact > 0,
+        filtered: filteredDeleted
       }
     });
   } catch (error) {
@@ -7183,7 +8558,7 @@ app.post('/api/internal/calendar-shadow-run', requireCalendarFeedServiceKey, asy
         (result) => result?.status === 'baseline_unavailable'
       ).length,
     };
-  })().catch((error) => {
+  })().then(() => recordCalendarCutoverReadinessAudit(shadowAuditState), (error) => {
     shadowAuditState = {
       status: 'failed',
       phase: 'failed',
@@ -7194,6 +8569,7 @@ app.post('/api/internal/calendar-shadow-run', requireCalendarFeedServiceKey, asy
       completedPersonalComparisons: shadowAuditState.completedPersonalComparisons || 0,
     };
     console.error('[calendar-shadow] audit run failed:', error.code || error.message || 'UNKNOWN');
+    return recordCalendarCutoverReadinessAudit(shadowAuditState);
   }).finally(() => {
     if (auditManualRegenRegistered) {
       activeManualRegens = Math.max(0, activeManualRegens - 1);
@@ -7534,7 +8910,8 @@ function buildSharedCalendarIcsData({ name, description, events, alarmsForEvent
       url: event.url || '',
       floating: true,
       allDay: event.allDay === true,
-      alarms: alarmsForEvent(event)
+      alarms: alarmsForEvent(event),
+      ...calendarEventStatusData(event)
     });
   });
 
@@ -8997,21 +10374,51 @@ app.get('/subscribe/blockout', async (req, res) => {
   }
 });
 
-app.get('/subscribe/:personId', async (req, res) => {
+// Renders the personal subscription page. With a feed token the links use
+// it; without one they fall back to personnel-ID URLs. The page never looks
+// up or issues tokens: they come from /api/internal/calendar-feed-tokens.
+async function sendPersonalSubscribePage(req, res, { personId, feedToken = null }) {
   try {
-    let { personId } = req.params;
-    
-    // Convert personId to proper UUID format if needed
-    if (personId.length === 32 && !personId.includes('-')) {
-      personId = personId.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
-    }
-
     // Get person name from URL query parameter only
     const personName = req.query.name || null;
+    let eventFilter;
+    try {
+      eventFilter = parseCalendarEventTypeFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid event type filter', code: error.code, message: error.message });
+    }
+    let timeMode;
+    try {
+      timeMode = requestedCalendarTimeMode(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid time mode', code: error.code, message: error.message });
+    }
+    const filterQuery = [
+      calendarEventTypeFilterQuery(eventFilter),
+      timeMode ? `timeMode=${timeMode}` : '',
+    ].filter(Boolean).join('&');
+    const feedQuery = filterQuery ? `?${filterQuery}` : '';
     
-    const subscriptionUrl = `https://${req.get('host')}/calendar/${personId}.ics`;
-    const googleSubscriptionUrl = `https://${req.get('host')}/calendar/google/${personId}.ics`;
-    const webcalUrl = `webcal://${req.get('host')}/calendar/${personId}`;
+    const feedPath = feedToken ? `/calendar/t/${feedToken}` : `/calendar/${personId}`;
+    
+    const subscriptionUrl = `https://${req.get('host')}${feedPath}.ics${feedQuery}`;
+    const googleSubscriptionUrl = feedToken
+      ? `https://${req.get('host')}${feedPath}.ics?client=google${filterQuery ? `&${filterQuery}` : ''}`
+      : `https://${req.get('host')}/calendar/google/${personId}.ics${feedQuery}`;
+    const webcalUrl = `webcal://${req.get('host')}${feedToken ? `${feedPath}.ics` : feedPath}${feedQuery}`;
+    const feedFilterOptions = [
+      { label: 'Everything', query: '' },
+      { label: 'Gigs only', query: 'include=gigs' },
+      { label: 'Travel only', query: 'include=travel' },
+    ];
+    const subscribePath = feedToken
+      ? `/subscribe/t/${encodeURIComponent(feedToken)}`
+      : `/subscribe/${encodeURIComponent(personId)}`;
+    const feedFilterLinks = feedFilterOptions.map((option) => {
+      const params = [personName ? `name=${encodeURIComponent(personName)}` : '', option.query].filter(Boolean).join('&');
+      const activeClass = option.query === filterQuery ? ' active' : '';
+      return `<a class="feed-filter-option${activeClass}" href="${subscribePath}${params ? `?${params}` : ''}">${option.label}</a>`;
+    }).join('');
     const googleCalendarSettingsUrl = 'https://calendar.google.com/calendar/u/0/r/settings/addcalendar';
     
     // Check if this is a calendar app request
@@ -9022,7 +10429,7 @@ app.get('/subscribe/:personId', async (req, res) => {
     
     if (isCalendarApp) {
       // Redirect calendar apps directly to the calendar feed
-      return res.redirect(302, `/calendar/${personId}`);
+      return res.redirect(302, `${feedPath}${feedQuery}`);
     }
     
     // For web browsers, show a subscription page with instructions
@@ -9173,6 +10580,35 @@ app.get('/subscribe/:personId', async (req, res) => {
 
         ${getSubscribePreparationStyles()}
         
+        .feed-filter {
+            display: flex;
+            justify-content: center;
+            gap: 8px;
+            margin: -16px 0 32px 0;
+            flex-wrap: wrap;
+        }
+        
+        .feed-filter-option {
+            padding: 8px 16px;
+            border: 1px solid #2a2a2a;
+            border-radius: 20px;
+            color: #888;
+            font-size: 0.85rem;
+            text-decoration: none;
+            transition: all 0.3s ease;
+        }
+        
+        .feed-filter-option:hover {
+            border-color: #444;
+            color: #b0b0b0;
+        }
+        
+        .feed-filter-option.active {
+            background: #1a1a1a;
+            border-color: #4a4a4a;
+            color: #fff;
+        }
+        
         .steps {
             margin-top: 24px;
             padding-top: 24px;
@@ -9363,6 +10799,8 @@ app.get('/subscribe/:personId', async (req, res) => {
             <div class="description"><strong>Introducing Downbeat Calendar</strong> - your personalized event calendar with everything you need: call times, venue details, MD contacts, payroll info, flights, hotels, and more. Subscribe once and stay organized across all your devices.</div>
         </div>
 
+        <nav class="feed-filter" aria-label="Calendar contents">${feedFilterLinks}</nav>
+
         <div class="preparation-status" id="preparationStatus" aria-live="polite"></div>
         <div class="preparation-progress" id="preparationProgress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0" hidden>
             <div class="preparation-progress-fill" id="preparationProgressFill"></div>
@@ -9449,6 +10887,34 @@ app.get('/subscribe/:personId', async (req, res) => {
     console.error('Subscription page error:', error);
     res.status(500).json({ error: 'Error loading subscription page' });
   }
+}
+
+// The token is the only credential, as on the feed it links to.
+app.get('/subscribe/t/:token', async (req, res) => {
+  try {
+    if (!redis || !cacheEnabled) {
+      return res.status(503).json({ error: 'Calendar subscriptions are unavailable.' });
+    }
+    const record = await loadCalendarFeedToken(redis, req.params.token);
+    if (!record) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    return await sendPersonalSubscribePage(req, res, { personId: record.personId, feedToken: record.token });
+  } catch (error) {
+    console.error('Subscription page error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error loading subscription page' });
+  }
+});
+
+app.get('/subscribe/:personId', (req, res) => {
+  let { personId } = req.params;
+  if (!personIdCalendarRequestAllowed(req, res)) return undefined;
+
+  // Convert personId to proper UUID format if needed
+  if (personId.length === 32 && !personId.includes('-')) {
+    personId = personId.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
+  }
+  return sendPersonalSubscribePage(req, res, { personId });
 });
 
 // ============================================
@@ -9499,7 +10965,7 @@ async function handleAdminCalendar(req, res, forcedFormat) {
     }
     
     // Check if admin calendar is configured
-    if (CALENDAR_FEED_SOURCE !== 'postgres' && !ADMIN_CALENDAR_PAGE_ID) {
+    if (calendarSharedFeedSource('admin') !== 'postgres' && !ADMIN_CALENDAR_PAGE_ID) {
       const errorMsg = { 
         error: 'Admin calendar not configured',
         message: 'ADMIN_CALENDAR_PAGE_ID environment variable not set'
@@ -9548,7 +11014,7 @@ async function handleAdminCalendar(req, res, forcedFormat) {
     } catch (error) {
       console.error('Error fetching admin calendar data:', error);
       const isTransientNotionFailure =
-        CALENDAR_FEED_SOURCE === 'postgres' ||
+        calendarSharedFeedSource('admin') === 'postgres' ||
         error.message?.includes('504') ||
         error.message?.includes('timeout') ||
         error.message?.includes('Gateway Timeout') ||
@@ -9722,7 +11188,7 @@ app.get('/admin/calendar', (req, res) => handleAdminCalendar(req, res));
 // Admin calendar regeneration endpoint (clears cache and regenerates)
 app.post('/admin/calendar/regen', requireCalendarFeedServiceKey, async (req, res) => {
   try {
-    if (CALENDAR_FEED_SOURCE !== 'postgres' && !ADMIN_CALENDAR_PAGE_ID) {
+    if (calendarSharedFeedSource('admin') !== 'postgres' && !ADMIN_CALENDAR_PAGE_ID) {
       return res.status(500).json({ 
         error: 'Admin calendar not configured',
         message: 'ADMIN_CALENDAR_PAGE_ID environment variable not set'
@@ -9790,6 +11256,7 @@ app.post('/admin/calendar/regen', requireCalendarFeedServiceKey, async (req, res
           cacheCalendarArtifact(buildSharedCalendarCacheKey('admin', 'json'), jsonData, metadataOptions),
         ]);
         console.log(`💾 Admin calendar regenerated and cached (${allCalendarEvents.length} events)`);
+        await cacheBandCalendars(adminEvents);
       } catch (cacheError) {
         console.error('Redis cache write error:', cacheError);
       }
@@ -9833,6 +11300,377 @@ app.post('/admin/calendar/regen', requireCalendarFeedServiceKey, async (req, res
   }
 });
 
+// ============================================
+// BAND CALENDAR ENDPOINTS
+// ============================================
+
+// A band feed is the admin rows for one band run through the admin processor,
+// so band leaders see the same gigs and rehearsals the admin feed shows.
+function buildBandCalendarArtifacts(band, rows) {
+  const events = processAdminEvents(rows);
+  const personnel = aggregateCalendarBandPersonnel(rows);
+  const name = `Band Calendar (${band.name})`;
+  const roster = personnel
+    .map((person) => (person.roles.length ? `${person.name} (${person.roles.join(', ')})` : person.name))
+    .join('; ');
+  return {
+    events,
+    ics: buildSharedCalendarIcsData({
+      name,
+      description: roster ? `${band.name} gigs and rehearsals. Personnel: ${roster}` : `${band.name} gigs and rehearsals`,
+      events,
+    }),
+    json: JSON.stringify({
+      calendar_name: name,
+      band: { slug: band.slug, name: band.name },
+      total_events: events.length,
+      personnel,
+      events,
+    }, null, 2),
+  };
+}
+
+async function cacheBandCalendar(band, adminEvents) {
+  const artifacts = buildBandCalendarArtifacts(band, calendarBandRows(adminEvents, band.slug));
+  const metadataOptions = {
+    sourceRevision: adminEvents?.sourceRevision,
+    sourceUpdatedAt: adminEvents?.sourceUpdatedAt,
+    eventCount: artifacts.events.length,
+  };
+  await Promise.all([
+    cacheCalendarArtifact(buildSharedCalendarCacheKey(`band:${band.slug}`, 'ics'), artifacts.ics, metadataOptions),
+    cacheCalendarArtifact(buildSharedCalendarCacheKey(`band:${band.slug}`, 'json'), artifacts.json, metadataOptions),
+  ]);
+  return artifacts;
+}
+
+// Refreshes every band feed from admin rows that were already fetched.
+async function cacheBandCalendars(adminEvents) {
+  const bands = listCalendarBands(adminEvents);
+  for (const band of bands) {
+    await cacheBandCalendar(band, adminEvents);
+  }
+  return bands.length;
+}
+
+function fetchAdminCalendarProjection() {
+  return runMonitoredCalendarBuild(
+    'shared:admin:projection',
+    'admin',
+    () => withTimeout(
+      getConfiguredAdminCalendarData(),
+      CALENDAR_FETCH_TIMEOUT_MS,
+      `Admin calendar fetch timeout after ${CALENDAR_FETCH_TIMEOUT_MS}ms`
+    )
+  );
+}
+
+// Queued band jobs rebuild one band. A band with no rows left loses its
+// cached feed so it stops answering with stale gigs.
+async function regenerateBandCalendar(bandSlug) {
+  const slug = calendarBandSlug(bandSlug);
+  const adminEvents = await fetchAdminCalendarProjection();
+  const [band] = listCalendarBands(calendarBandRows(adminEvents, slug));
+  if (!band) {
+    if (slug && redis && cacheEnabled) {
+      const cacheKeys = ['ics', 'json'].map((format) => buildSharedCalendarCacheKey(`band:${slug}`, format));
+      await redis.del([...cacheKeys, ...cacheKeys.map(calendarArtifactMetadataKey)]);
+    }
+    return { success: false, reason: 'no_events' };
+  }
+  await cacheBandCalendar(band, adminEvents);
+  return { success: true, sourceRevision: adminEvents?.sourceRevision || null };
+}
+
+async function handleBandCalendar(req, res, format) {
+  const slug = calendarBandSlug(req.params.bandSlug);
+  if (!slug) return sendCalendarFeedError(res, format, 404, 'Band not found', 'Band slug is empty');
+  const cacheKey = buildSharedCalendarCacheKey(`band:${slug}`, format);
+  const sendOptions = format === 'json'
+    ? { contentType: 'application/json', kind: 'band' }
+    : { contentType: 'text/calendar', filename: `${slug}-calendar.ics`, kind: 'band' };
+  const forceFresh = authorizedCalendarFreshRequest(req);
+  const postgresCacheRevision = !forceFresh
+    ? await validatePostgresCacheRevision(cacheKey)
+    : { matches: false, unavailable: false };
+
+  if (redis && cacheEnabled && !forceFresh && postgresCacheRevision.matches) {
+    const cachedData = await redis.get(cacheKey);
+    if (cachedData) {
+      if (postgresCacheRevision.unavailable) res.setHeader('X-Downbeat-Calendar-Stale', 'true');
+      return sendCalendarArtifact(req, res, cachedData, { ...sendOptions, metadata: postgresCacheRevision.metadata });
+    }
+  }
+
+  if (calendarSharedFeedSource('admin') !== 'postgres' && !ADMIN_CALENDAR_PAGE_ID) {
+    return sendCalendarFeedError(res, format, 500, 'Admin calendar not configured', 'ADMIN_CALENDAR_PAGE_ID environment variable not set');
+  }
+
+  let adminEvents;
+  try {
+    adminEvents = await fetchAdminCalendarProjection();
+  } catch (error) {
+    console.error('Error fetching band calendar data:', error.message);
+    const cachedData = redis && cacheEnabled ? await redis.get(cacheKey) : null;
+    if (cachedData) {
+      calendarObservability.record('staleFallback', { kind: 'band' });
+      res.setHeader('X-Downbeat-Calendar-Stale', 'true');
+      return sendCalendarArtifact(req, res, cachedData, {
+        ...sendOptions,
+        metadata: await readCalendarArtifactMetadata(cacheKey),
+      });
+    }
+    return sendCalendarFeedError(res, format, 503, 'Error fetching band calendar data', error.message);
+  }
+
+  const [band] = listCalendarBands(calendarBandRows(adminEvents, slug));
+  if (!band) return sendCalendarFeedError(res, format, 404, 'Band not found', `No admin events for band ${slug}`);
+  const artifacts = await cacheBandCalendar(band, adminEvents);
+  return sendCalendarArtifact(req, res, artifacts[format], {
+    ...sendOptions,
+    metadata: await readCalendarArtifactMetadata(cacheKey),
+    sourceRevision: adminEvents?.sourceRevision || null,
+    sourceUpdatedAt: adminEvents?.sourceUpdatedAt || null,
+    eventCount: artifacts.events.length,
+  });
+}
+
+// Lists every band on the admin calendar with its feed links.
+app.get('/api/internal/calendar-bands', requireCalendarFeedServiceKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  try {
+    const host = req.get('host');
+    const bands = listCalendarBands(await fetchAdminCalendarProjection());
+    return res.json({
+      generatedAt: new Date().toISOString(),
+      bands: bands.map((band) => ({
+        ...band,
+        links: {
+          ics: `https://${host}/calendar/band/${band.slug}.ics`,
+          webcal: `webcal://${host}/calendar/band/${band.slug}.ics`,
+          json: `https://${host}/calendar/band/${band.slug}.json`,
+        },
+      })),
+    });
+  } catch (error) {
+    console.error('Calendar band list error:', error.message);
+    return res.status(503).json({ error: 'Admin calendar data is unavailable.', message: error.message });
+  }
+});
+
+// ============================================
+// VENUE DIRECTORY AND VENUE CALENDARS
+// ============================================
+
+// Venues are grouped from the admin rows (name, address, general info) and
+// from the main events in everyone's cached personal feeds, which only carry
+// a location. Personal descriptions hold pay details, so load-in notes come
+// from the admin general info alone.
+async function loadCalendarVenueDirectory() {
+  const adminEvents = await fetchAdminCalendarProjection();
+  const entries = [];
+  for (const row of adminEvents || []) {
+    for (const event of processAdminEvents([row])) {
+      if (event.type !== 'main_event') continue;
+      entries.push({ venue: row.venue, address: row.venue_address, generalInfo: row.general_info, event });
+    }
+  }
+  let people = [];
+  let aliases = {};
+  if (redis && cacheEnabled) {
+    [{ people }, aliases] = await Promise.all([
+      listCalendarRosterPersonIds().then(loadCachedPersonalCalendars),
+      loadCalendarVenueAliases(redis),
+    ]);
+  }
+  for (const person of people) {
+    for (const event of person.events) {
+      if (event.type !== 'main_event' || event.status === 'cancelled') continue;
+      entries.push({
+        address: event.location,
+        event: {
+          uid: event.uid,
+          type: event.type,
+          title: event.title,
+          start: event.start,
+          end: event.end,
+          location: event.location,
+          url: event.url,
+        },
+      });
+    }
+  }
+  return {
+    venues: buildCalendarVenueDirectory(entries, { aliases }),
+    peopleChecked: people.length,
+    sourceRevision: adminEvents?.sourceRevision || null,
+    sourceUpdatedAt: adminEvents?.sourceUpdatedAt || null,
+  };
+}
+
+function calendarVenueDirectoryConfigured() {
+  return calendarSharedFeedSource('admin') === 'postgres' || Boolean(ADMIN_CALENDAR_PAGE_ID);
+}
+
+// Builds the directory and caches it whole, so any slug, known or not, can be
+// answered from one cached read. Concurrent callers share one build.
+function refreshCalendarVenueDirectory() {
+  return runMonitoredCalendarBuild('shared:venue:directory', 'venue', async () => {
+    const directory = await loadCalendarVenueDirectory();
+    await setCalendarCache(CALENDAR_VENUE_DIRECTORY_CACHE_KEY, JSON.stringify(directory));
+    return directory;
+  });
+}
+
+// The cached directory while it matches the source revision, else a rebuild.
+// Without a revision to compare (Notion mode) the cache TTL bounds staleness.
+async function cachedCalendarVenueDirectory({ sourceRevision = null, forceFresh = false } = {}) {
+  const cached = forceFresh ? null : await getCachedJson(CALENDAR_VENUE_DIRECTORY_CACHE_KEY);
+  if (Array.isArray(cached?.venues) && (!sourceRevision || cached.sourceRevision === sourceRevision)) {
+    return cached;
+  }
+  return refreshCalendarVenueDirectory();
+}
+
+function buildVenueCalendarArtifacts(venue) {
+  const name = `Venue Calendar (${venue.name})`;
+  const description = [venue.address, ...venue.loadInNotes].filter(Boolean).join('\n');
+  return {
+    ics: buildSharedCalendarIcsData({ name, description: description || name, events: venue.events }),
+    json: JSON.stringify({
+      calendar_name: name,
+      venue: { slug: venue.slug, name: venue.name, address: venue.address, loadInNotes: venue.loadInNotes },
+      total_events: venue.events.length,
+      events: venue.events,
+    }, null, 2),
+  };
+}
+
+async function handleVenueCalendar(req, res, format) {
+  const slug = calendarVenueSlug(req.params.venueSlug);
+  if (!slug) return sendCalendarFeedError(res, format, 404, 'Venue not found', 'Venue slug is empty');
+  const cacheKey = buildSharedCalendarCacheKey(`venue:${slug}`, format);
+  const sendOptions = format === 'json'
+    ? { contentType: 'application/json', kind: 'venue' }
+    : { contentType: 'text/calendar', filename: `${slug}-calendar.ics`, kind: 'venue' };
+  const forceFresh = authorizedCalendarFreshRequest(req);
+  const postgresCacheRevision = !forceFresh
+    ? await validatePostgresCacheRevision(cacheKey)
+    : { matches: false, unavailable: false };
+
+  if (redis && cacheEnabled && !forceFresh && postgresCacheRevision.matches) {
+    const cachedData = await redis.get(cacheKey);
+    if (cachedData) {
+      if (postgresCacheRevision.unavailable) res.setHeader('X-Downbeat-Calendar-Stale', 'true');
+      return sendCalendarArtifact(req, res, cachedData, { ...sendOptions, metadata: postgresCacheRevision.metadata });
+    }
+  }
+
+  if (!calendarVenueDirectoryConfigured()) {
+    return sendCalendarFeedError(res, format, 500, 'Admin calendar not configured', 'ADMIN_CALENDAR_PAGE_ID environment variable not set');
+  }
+
+  let directory;
+  try {
+    directory = await cachedCalendarVenueDirectory({
+      sourceRevision: postgresCacheRevision.sourceRevision,
+      forceFresh,
+    });
+  } catch (error) {
+    console.error('Error fetching venue calendar data:', error.message);
+    const cachedData = redis && cacheEnabled ? await redis.get(cacheKey) : null;
+    if (cachedData) {
+      calendarObservability.record('staleFallback', { kind: 'venue' });
+      res.setHeader('X-Downbeat-Calendar-Stale', 'true');
+      return sendCalendarArtifact(req, res, cachedData, {
+        ...sendOptions,
+        metadata: await readCalendarArtifactMetadata(cacheKey),
+      });
+    }
+    return sendCalendarFeedError(res, format, 503, 'Error fetching venue calendar data', error.message);
+  }
+
+  const venue = directory.venues.find((candidate) => candidate.slug === slug);
+  if (!venue) return sendCalendarFeedError(res, format, 404, 'Venue not found', `No events at venue ${slug}`);
+  const artifacts = buildVenueCalendarArtifacts(venue);
+  const metadataOptions = {
+    sourceRevision: directory.sourceRevision,
+    sourceUpdatedAt: directory.sourceUpdatedAt,
+    eventCount: venue.events.length,
+  };
+  await Promise.all([
+    cacheCalendarArtifact(buildSharedCalendarCacheKey(`venue:${slug}`, 'ics'), artifacts.ics, metadataOptions),
+    cacheCalendarArtifact(buildSharedCalendarCacheKey(`venue:${slug}`, 'json'), artifacts.json, metadataOptions),
+  ]);
+  return sendCalendarArtifact(req, res, artifacts[format], {
+    ...sendOptions,
+    ...metadataOptions,
+    metadata: await readCalendarArtifactMetadata(cacheKey),
+  });
+}
+
+app.get('/api/internal/calendar-venues', requireCalendarFeedServiceKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  try {
+    const host = req.get('host');
+    const now = Date.now();
+    const { venues, peopleChecked } = await refreshCalendarVenueDirectory();
+    return res.json({
+      generatedAt: new Date(now).toISOString(),
+      peopleChecked,
+      venues: venues.map(({ events, ...venue }) => ({
+        ...venue,
+        totalEvents: events.length,
+        upcomingEvents: events
+          .filter((event) => normalizeCalendarEventDate(event.end || event.start) >= now)
+          .map(({ title, start, end, url }) => ({ title, start, end, url: url || null })),
+        links: {
+          ics: `https://${host}/calendar/venue/${venue.slug}.ics`,
+          webcal: `webcal://${host}/calendar/venue/${venue.slug}.ics`,
+          json: `https://${host}/calendar/venue/${venue.slug}.json`,
+        },
+      })),
+    });
+  } catch (error) {
+    console.error('Calendar venue directory error:', error.message);
+    return res.status(503).json({ error: 'Venue directory is unavailable.', code: error.code || 'UNKNOWN', message: error.message });
+  }
+});
+
+// The alias table pins names as written to one venue, e.g.
+// {"The Ritz": "Ritz-Carlton"}. PUT replaces the whole table.
+app.get('/api/internal/calendar-venue-aliases', requireCalendarFeedServiceKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  try {
+    return res.json({ aliases: await loadCalendarVenueAliases(redis) });
+  } catch (error) {
+    return calendarVenueAliasRequestError(res, error);
+  }
+});
+
+app.put('/api/internal/calendar-venue-aliases', requireCalendarFeedServiceKey, express.json(), async (req, res) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  try {
+    return res.json({ success: true, aliases: await saveCalendarVenueAliases(redis, req.body?.aliases) });
+  } catch (error) {
+    return calendarVenueAliasRequestError(res, error);
+  }
+});
+
+function calendarVenueAliasRequestError(res, error) {
+  if (!redis || !cacheEnabled || error?.code === 'CALENDAR_VENUE_ALIASES_STORE_UNAVAILABLE') {
+    return res.status(503).json({
+      error: 'Calendar venue alias store is unavailable.',
+      code: 'CALENDAR_VENUE_ALIASES_STORE_UNAVAILABLE',
+    });
+  }
+  if (error?.code === 'CALENDAR_VENUE_ALIASES_INVALID') {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  console.error('Calendar venue alias store error:', error?.code || error?.message);
+  return res.status(500).json({ error: 'Calendar venue alias store failed.', code: error?.code || 'UNKNOWN' });
+}
+
 // ============================================
 // TRAVEL CALENDAR ENDPOINTS
 // ============================================
@@ -9882,7 +11720,7 @@ async function handleTravelCalendar(req, res, forcedFormat) {
     }
     
     // Check if travel calendar is configured
-    if (CALENDAR_FEED_SOURCE !== 'postgres' && !TRAVEL_CALENDAR_PAGE_ID) {
+    if (calendarSharedFeedSource('travel') !== 'postgres' && !TRAVEL_CALENDAR_PAGE_ID) {
       const errorMsg = { 
         error: 'Travel calendar not configured',
         message: 'TRAVEL_CALENDAR_PAGE_ID environment variable not set'
@@ -9928,7 +11766,7 @@ async function handleTravelCalendar(req, res, forcedFormat) {
       
       // If Notion API times out, try to return cached data as fallback
       const isTimeout =
-        CALENDAR_FEED_SOURCE === 'postgres' ||
+        calendarSharedFeedSource('travel') === 'postgres' ||
         error.message?.includes('504') ||
         error.message?.includes('timeout') ||
         error.message?.includes('Gateway Timeout') ||
@@ -10102,7 +11940,7 @@ app.get('/travel/calendar', (req, res) => handleTravelCalendar(req, res));
 // Travel calendar regeneration endpoint (clears cache and regenerates)
 app.post('/travel/calendar/regen', requireCalendarFeedServiceKey, async (req, res) => {
   try {
-    if (CALENDAR_FEED_SOURCE !== 'postgres' && !TRAVEL_CALENDAR_PAGE_ID) {
+    if (calendarSharedFeedSource('travel') !== 'postgres' && !TRAVEL_CALENDAR_PAGE_ID) {
       return res.status(500).json({ 
         error: 'Travel calendar not configured',
         message: 'TRAVEL_CALENDAR_PAGE_ID environment variable not set'
@@ -10262,7 +12100,7 @@ async function handleBlockoutCalendar(req, res, forcedFormat) {
     }
     
     // Check if blockout calendar is configured
-    if (CALENDAR_FEED_SOURCE !== 'postgres' && !BLOCKOUT_CALENDAR_PAGE_ID) {
+    if (calendarSharedFeedSource('blockout') !== 'postgres' && !BLOCKOUT_CALENDAR_PAGE_ID) {
       const errorMsg = { 
         error: 'Blockout calendar not configured',
         message: 'BLOCKOUT_CALENDAR_PAGE_ID environment variable not set'
@@ -10308,7 +12146,7 @@ async function handleBlockoutCalendar(req, res, forcedFormat) {
       
       // If Notion API times out, try to return cached data as fallback
       const isTimeout =
-        CALENDAR_FEED_SOURCE === 'postgres' ||
+        calendarSharedFeedSource('blockout') === 'postgres' ||
         error.message?.includes('504') ||
         error.message?.includes('timeout') ||
         error.message?.includes('Gateway Timeout') ||
@@ -10483,7 +12321,7 @@ app.get('/blockout/calendar', (req, res) => handleBlockoutCalendar(req, res));
 // Blockout calendar regeneration endpoint (clears cache and regenerates)
 app.post('/blockout/calendar/regen', requireCalendarFeedServiceKey, async (req, res) => {
   try {
-    if (CALENDAR_FEED_SOURCE !== 'postgres' && !BLOCKOUT_CALENDAR_PAGE_ID) {
+    if (calendarSharedFeedSource('blockout') !== 'postgres' && !BLOCKOUT_CALENDAR_PAGE_ID) {
       return res.status(500).json({ 
         error: 'Blockout calendar not configured',
         message: 'BLOCKOUT_CALENDAR_PAGE_ID environment variable not set'
@@ -10602,6 +12440,34 @@ app.get('/calendar/admin', async (req, res) => {
   return handleAdminCalendar(req, res, 'ics');
 });
 
+// Band calendar routes (must come before /:personId routes)
+async function sendBandCalendar(req, res, format) {
+  try {
+    return await handleBandCalendar(req, res, format);
+  } catch (error) {
+    console.error('Band calendar error:', error.message);
+    return sendCalendarFeedError(res, format, 500, 'Error generating band calendar', error.message);
+  }
+}
+
+app.get('/calendar/band/:bandSlug.ics', (req, res) => sendBandCalendar(req, res, 'ics'));
+app.get('/calendar/band/:bandSlug.json', (req, res) => sendBandCalendar(req, res, 'json'));
+app.get('/calendar/band/:bandSlug', (req, res) => sendBandCalendar(req, res, 'ics'));
+
+// Venue calendar routes (must come before /:personId routes)
+async function sendVenueCalendar(req, res, format) {
+  try {
+    return await handleVenueCalendar(req, res, format);
+  } catch (error) {
+    console.error('Venue calendar error:', error.message);
+    return sendCalendarFeedError(res, format, 500, 'Error generating venue calendar', error.message);
+  }
+}
+
+app.get('/calendar/venue/:venueSlug.ics', (req, res) => sendVenueCalendar(req, res, 'ics'));
+app.get('/calendar/venue/:venueSlug.json', (req, res) => sendVenueCalendar(req, res, 'json'));
+app.get('/calendar/venue/:venueSlug', (req, res) => sendVenueCalendar(req, res, 'ics'));
+
 // Travel calendar compatibility routes (must come before /:personId routes)
 app.get('/calendar/travel.ics', async (req, res) => {
   return handleTravelCalendar(req, res, 'ics');
@@ -10620,15 +12486,208 @@ app.get('/calendar/blockout', async (req, res) => {
   return handleBlockoutCalendar(req, res, 'ics');
 });
 
+// Redacted "share with family" feeds. The token is the only credential, so an
+// unknown, revoked, or malformed token is indistinguishable from a missing feed.
+async function handleSharedCalendar(req, res, format) {
+  try {
+    if (!redis || !cacheEnabled) {
+      return res.status(503).json({ error: 'Shared calendars are unavailable.' });
+    }
+    const link = isCalendarShareToken(req.params.token)
+      ? await loadCalendarShareLink(redis, req.params.token)
+      : null;
+    const privacyPolicy = link ? CALENDAR_FIELD_PRIVACY_POLICIES[link.policy] : null;
+    if (!privacyPolicy) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    let eventFilter;
+    try {
+      eventFilter = parseCalendarEventTypeFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid event type filter', code: error.code, message: error.message });
+    }
+
+    const isGoogleClient = req.query.client === 'google';
+    const cacheFormat = format === 'json' ? 'json' : (isGoogleClient ? 'google_ics' : 'ics');
+    const sendOptions = format === 'json'
+      ? { contentType: 'application/json', kind: 'personal' }
+      : { contentType: 'text/calendar', filename: 'shared-calendar.ics', kind: 'personal' };
+    const cacheKey = buildCalendarCacheKey(
+      link.personId,
+      cacheFormat,
+      REGEN_MODE_FULL,
+      joinCalendarCacheVariants(calendarEventTypeFilterVariant(eventFilter), calendarFieldPrivacyVariant(privacyPolicy))
+    );
+    const cacheRevision = await validatePostgresCacheRevision(cacheKey);
+    if (cacheRevision.matches) {
+      const cachedData = await redis.get(cacheKey);
+      if (cachedData) {
+        if (cacheRevision.unavailable) res.setHeader('X-Downbeat-Calendar-Stale', 'true');
+        return sendCalendarArtifact(req, res, cachedData, { ...sendOptions, metadata: cacheRevision.metadata });
+      }
+    }
+
+    const result = await regenerateFilteredCalendarForPerson(link.personId, {
+      trigger: 'calendar_share_cache_miss',
+      eventFilter,
+      privacyPolicy,
+    });
+    if (!result.success) {
+      const statusCode = result.reason === 'no_events' ? 404 : 500;
+      return res.status(statusCode).json({
+        error: result.reason === 'no_events' ? 'No events found' : 'Error generating calendar',
+      });
+    }
+    const content = format === 'json'
+      ? result.jsonData
+      : (isGoogleClient ? result.googleIcsData : result.icsData);
+    return sendCalendarArtifact(req, res, content, {
+      ...sendOptions,
+      metadata: result.artifactMetadata?.[cacheFormat],
+    });
+  } catch (error) {
+    console.error('Shared calendar generation error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating calendar' });
+  }
+}
+
+app.get('/calendar/shared/:token.ics', async (req, res) => {
+  return handleSharedCalendar(req, res, 'ics');
+});
+
+app.get('/calendar/shared/:token.json', async (req, res) => {
+  return handleSharedCalendar(req, res, 'json');
+});
+
+// Household and section feeds: several people's personal feeds merged into
+// one, each title prefixed with whose it is. The unguessable feed ID is the
+// only credential. Members are read from their cached full JSON artifacts,
+// so the ETag is derived from theirs and checked before anything renders.
+async function handleCompositeCalendar(req, res, format) {
+  if (!redis || !cacheEnabled) {
+    return res.status(503).json({ error: 'Composite calendars are unavailable.' });
+  }
+  const feed = await loadCalendarCompositeFeed(redis, req.params.feedId);
+  if (!feed) return res.status(404).json({ error: 'Calendar not found' });
+
+  const isGoogleClient = format === 'ics' && req.query.client === 'google';
+  const variant = format === 'json' ? 'json' : (isGoogleClient ? 'google_ics' : 'ics');
+  const bases = await mapWithConcurrency(feed.personIds, 4, (personId) =>
+    loadPersonalCalendarBase(personId, { trigger: 'composite_calendar' })
+  );
+  const failed = bases.find((base) => !base.success && base.reason !== 'no_events');
+  if (failed) {
+    return res.status(500).json({ error: 'Error generating calendar', message: failed.error || 'Unknown calendar generation error' });
+  }
+  const members = feed.personIds
+    .map((personId, index) => ({ personId, ...bases[index] }))
+    .filter((member) => member.success);
+  const etag = calendarCompositeFeedEtag(feed, members.map((member) => [member.personId, member.etag]), variant);
+  const sendOptions = format === 'json'
+    ? { contentType: 'application/json', kind: 'composite' }
+    : { contentType: 'text/calendar', filename: 'composite-calendar.ics', kind: 'composite' };
+  if (calendarRequestIsNotModified({ 'if-none-match': req.headers['if-none-match'] }, { etag })) {
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'private, no-cache, max-age=0, must-revalidate');
+    calendarObservability.record('conditionalHit', { kind: 'composite' });
+    return res.status(304).end();
+  }
+
+  const events = composeCalendarCompositeEvents(
+    members.map((member) => ({ ...member, events: member.events.map(calendarEventWithEventHubLink) })),
+    { dedupKey: getCalendarEventDedupKey }
+  ).sort((left, right) => normalizeCalendarEventDate(left.start) - normalizeCalendarEventDate(right.start));
+  let content;
+  if (format === 'json') {
+    const liveEvents = events.filter((event) => event.status !== 'cancelled');
+    content = JSON.stringify({
+      name: feed.name,
+      members: members.map((member) => ({ personId: member.personId, personName: member.personName })),
+      totalCalendarEvents: liveEvents.length,
+      breakdown: getCalendarEventBreakdown(liveEvents),
+      events: events.map(publicCalendarEvent),
+    });
+  } else {
+    const calendar = ical({ name: `Downbeat iCal (${feed.name})`, description: `Professional events calendar for ${feed.name}`, ttl: 300 });
+    for (const event of events) {
+      const eventData = calendarIcsEventData(event);
+      if (eventData) calendar.createEvent(eventData);
+    }
+    content = isGoogleClient ? serializeGoogleCalendar(calendar) : serializeCalendar(calendar);
+  }
+  const metadata = {
+    ...buildCalendarArtifactMetadata({
+      content,
+      sourceRevision: members.find((member) => member.sourceRevision)?.sourceRevision,
+      rendererVersion: CALENDAR_RENDERER_VERSION,
+      eventCount: events.length,
+    }),
+    etag,
+  };
+  return sendCalendarArtifact(req, res, content, { ...sendOptions, metadata });
+}
+
+app.get('/calendar/composite/:feedId.ics', async (req, res) => {
+  try {
+    return await handleCompositeCalendar(req, res, 'ics');
+  } catch (error) {
+    console.error('Composite calendar generation error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating calendar' });
+  }
+});
+
+app.get('/calendar/composite/:feedId.json', async (req, res) => {
+  try {
+    return await handleCompositeCalendar(req, res, 'json');
+  } catch (error) {
+    console.error('Composite calendar generation error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating calendar' });
+  }
+});
+
+// With CALENDAR_REQUIRE_FEED_TOKENS, raw personnel-ID feeds only answer
+// service-key requests. Sends a 404 and returns false otherwise.
+function personIdCalendarRequestAllowed(req, res) {
+  if (!CALENDAR_REQUIRE_FEED_TOKENS || calendarFeedServiceRequestIsAuthorized(req)) return true;
+  res.status(404).json({
+    error: 'Calendar not found',
+    message: 'Subscribe with a tokenized calendar URL from your /subscribe/t/<token> page.'
+  });
+  return false;
+}
+
+// Carries include=/exclude= through the .ics compatibility redirects. Returns
+// null after sending a 400 for an invalid filter.
+function personalCalendarFilterRedirectQuery(req, res) {
+  let filterQuery;
+  try {
+    filterQuery = calendarEventTypeFilterQuery(parseCalendarEventTypeFilter(req.query));
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid event type filter', code: error.code, message: error.message });
+    return null;
+  }
+  let timeMode;
+  try {
+    timeMode = requestedCalendarTimeMode(req.query);
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid time mode', code: error.code, message: error.message });
+    return null;
+  }
+  return `${filterQuery ? `&${filterQuery}` : ''}${timeMode ? `&timeMode=${timeMode}` : ''}`;
+}
+
 app.get('/calendar/google/:personId.ics', async (req, res) => {
   try {
     let { personId } = req.params;
+    if (!personIdCalendarRequestAllowed(req, res)) return undefined;
 
     if (personId.length === 32 && !personId.includes('-')) {
       personId = personId.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
     }
 
-    return res.redirect(301, `/calendar/${personId}?format=ics&client=google`);
+    const filterQuery = personalCalendarFilterRedirectQuery(req, res);
+    if (filterQuery === null) return;
+    return res.redirect(301, `/calendar/${personId}?format=ics&client=google${filterQuery}`);
   } catch (error) {
     console.error('Google ICS calendar generation error:', error);
     res.status(500).json({ error: 'Error generating Google calendar' });
@@ -10639,6 +12698,7 @@ app.get('/calendar/google/:personId.ics', async (req, res) => {
 app.get('/calendar/:personId.ics', async (req, res) => {
   try {
     let { personId } = req.params;
+    if (!personIdCalendarRequestAllowed(req, res)) return undefined;
     
     // Remove .ics extension from personId
     personId = personId.replace(/\.ics$/, '');
@@ -10650,7 +12710,9 @@ app.get('/calendar/:personId.ics', async (req, res) => {
 
     // Redirect to main calendar endpoint with format=ics
     // This ensures we use the new Calendar Data database
-    return res.redirect(301, `/calendar/${personId}?format=ics`);
+    const filterQuery = personalCalendarFilterRedirectQuery(req, res);
+    if (filterQuery === null) return;
+    return res.redirect(301, `/calendar/${personId}?format=ics${filterQuery}`);
   
   } catch (error) {
     console.error('ICS calendar generation error:', error);
@@ -10658,11 +12720,26 @@ app.get('/calendar/:personId.ics', async (req, res) => {
   }
 });
 
-// Calendar endpoint using Calendar Data database only
-app.get('/calendar/:personId', async (req, res) => {
+// ?timeMode=zoned|floating|legacy-la overrides the subscriber's saved time
+// preference for one feed URL. Returns null when the parameter is absent.
+function requestedCalendarTimeMode(query = {}) {
+  const value = query.timeMode ?? query.time_mode;
+  if (value === undefined || value === '') return null;
+  const timeMode = parseCalendarTimeMode(Array.isArray(value) ? value[value.length - 1] : value);
+  if (!timeMode) {
+    const error = new Error('Use timeMode=zoned | timeMode=floating | timeMode=legacy-la');
+    error.code = 'CALENDAR_TIME_MODE_INVALID';
+    throw error;
+  }
+  return timeMode;
+}
+
+// Personal calendar using Calendar Data database only. Serves both raw
+// personnel-ID URLs and tokenized /calendar/t/<token> URLs.
+async function handlePersonalCalendar(req, res, requestedPersonId, forcedFormat) {
   try {
-    let { personId } = req.params;
-    const format = req.query.format;
+    let personId = requestedPersonId;
+    const format = forcedFormat || req.query.format;
     const calendarClient = req.query.client === 'google' ? 'google' : 'default';
     const isGoogleClient = calendarClient === 'google';
     const regenMode = parseRegenMode(req.query.mode ?? req.query.regenMode ?? req.query.regen_mode);
@@ -10675,6 +12752,18 @@ app.get('/calendar/:personId', async (req, res) => {
         message: 'Use mode=full | mode=events_only | mode=non_events_only'
       });
     }
+    let eventFilter;
+    try {
+      eventFilter = parseCalendarEventTypeFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid event type filter', code: error.code, message: error.message });
+    }
+    let requestedTimeMode;
+    try {
+      requestedTimeMode = requestedCalendarTimeMode(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid time mode', code: error.code, message: error.message });
+    }
     
     // Auto-detect format from Accept header for calendar subscriptions
     const acceptHeader = req.headers.accept || '';
@@ -10697,15 +12786,28 @@ app.get('/calendar/:personId', async (req, res) => {
     // Check Redis cache first (if enabled, unless ?fresh=true is specified)
     const forceFresh = authorizedCalendarFreshRequest(req);
     const cacheFormat = shouldReturnICS ? (isGoogleClient ? 'google_ics' : 'ics') : 'json';
-    const cacheKey = buildCalendarCacheKey(personId, cacheFormat, regenMode);
+    const alarmProfile = await readCalendarAlarmProfile(personId);
+    const alarmVariant = calendarAlarmCacheVariant(alarmProfile);
+    const filterVariant = calendarEventTypeFilterVariant(eventFilter);
+    // Query parameter first, then the subscriber's saved preference, then the server default.
+    const timePreference = await readCalendarTimePreference(personId);
+    const timeMode = requestedTimeMode || timePreference?.mode || CALENDAR_TIME_MODE;
+    const timePolicy = {
+      timeMode,
+      defaultTimeZone: timeMode === 'zoned' ? timePreference?.defaultTimeZone || null : null,
+    };
+    const timeVariant = calendarTimePolicyVariant(timePolicy);
+    const icsVariant = joinCalendarCacheVariants(filterVariant, alarmVariant, timeVariant);
+    const personalSource = calendarPersonalFeedSource(personId);
+    const cacheKey = buildCalendarCacheKey(personId, cacheFormat, regenMode, shouldReturnICS ? icsVariant : filterVariant);
     const postgresCacheRevision = !forceFresh
       ? await validatePostgresCacheRevision(cacheKey)
       : { matches: false, sourceRevision: null, unavailable: false };
     
-    if (forceFresh && CALENDAR_FEED_SOURCE !== 'postgres' && redis && cacheEnabled) {
-      const icsKey = buildCalendarCacheKey(personId, 'ics', regenMode);
-      const googleIcsKey = buildCalendarCacheKey(personId, 'google_ics', regenMode);
-      const jsonKey = buildCalendarCacheKey(personId, 'json', regenMode);
+    if (forceFresh && personalSource !== 'postgres' && redis && cacheEnabled) {
+      const icsKey = buildCalendarCacheKey(personId, 'ics', regenMode, icsVariant);
+      const googleIcsKey = buildCalendarCacheKey(personId, 'google_ics', regenMode, icsVariant);
+      const jsonKey = buildCalendarCacheKey(personId, 'json', regenMode, filterVariant);
       await redis.del(icsKey);
       await redis.del(googleIcsKey);
       await redis.del(jsonKey);
@@ -10735,12 +12837,14 @@ app.get('/calendar/:personId', async (req, res) => {
               contentType: 'text/calendar',
               filename: isGoogleClient ? 'calendar-google.ics' : 'calendar.ics',
               kind: 'personal',
+              source: calendarArtifactSourceForKey(cacheKey),
             });
           } else {
             return sendCalendarArtifact(req, res, cachedData, {
               metadata: postgresCacheRevision.metadata,
               contentType: 'application/json',
               kind: 'personal',
+              source: calendarArtifactSourceForKey(cacheKey),
             });
           }
         }
@@ -10752,28 +12856,32 @@ app.get('/calendar/:personId', async (req, res) => {
         console.error('Redis cache read error:', cacheError);
       }
     }
-    if (CALENDAR_FEED_SOURCE === 'postgres' && !forceFresh && !postgresCacheRevision.matches) {
+    if (personalSource === 'postgres' && !forceFresh && !postgresCacheRevision.matches) {
       verboseLog(`[calendar-postgres] Source revision changed; rebuilding ${personId}`);
     }
     
     // Check if Calendar Data database is configured
-    if (CALENDAR_FEED_SOURCE !== 'postgres' && !CALENDAR_DATA_DB) {
+    if (personalSource !== 'postgres' && !CALENDAR_DATA_DB) {
       return res.status(500).json({ 
         error: 'Calendar Data database not configured',
         message: 'Please set CALENDAR_DATA_DATABASE_ID environment variable'
       });
     }
     
-    const result = await regenerateCalendarForPerson(personId, {
+    const regenOptions = {
       trigger: forceFresh ? `calendar_fresh:${regenMode}` : `calendar_cache_miss:${regenMode}`,
       regenMode,
-      calendarDataPageId
-    });
+      calendarDataPageId,
+      alarmProfile
+    };
+    const result = eventFilter || (shouldReturnICS && timeVariant)
+      ? await regenerateFilteredCalendarForPerson(personId, { ...regenOptions, ...timePolicy, eventFilter, forceFresh })
+      : await regenerateCalendarForPerson(personId, regenOptions);
     if (!result.success) {
       if (result.reason === 'no_events' && Number(postgresCacheRevision.metadata?.eventCount) > 0) {
         calendarObservability.record('emptyRegression', { kind: 'personal' });
       }
-      if (CALENDAR_FEED_SOURCE === 'postgres' && redis && cacheEnabled) {
+      if (personalSource === 'postgres' && redis && cacheEnabled) {
         const lastKnownGood = await redis.get(cacheKey);
         if (lastKnownGood) {
           console.warn('[calendar-postgres] Serving last-known-good personal calendar');
@@ -10786,12 +12894,14 @@ app.get('/calendar/:personId', async (req, res) => {
               contentType: 'text/calendar',
               filename: isGoogleClient ? 'calendar-google.ics' : 'calendar.ics',
               kind: 'personal',
+              source: calendarArtifactSourceForKey(cacheKey),
             });
           }
           return sendCalendarArtifact(req, res, lastKnownGood, {
             metadata: fallbackMetadata,
             contentType: 'application/json',
             kind: 'personal',
+            source: calendarArtifactSourceForKey(cacheKey),
           });
         }
       }
@@ -10817,6 +12927,7 @@ app.get('/calendar/:personId', async (req, res) => {
           contentType: 'text/calendar',
           filename: isGoogleClient ? 'calendar-google.ics' : 'calendar.ics',
           kind: 'personal',
+          source: calendarArtifactSourceForKey(cacheKey),
         }
       );
     }
@@ -10828,6 +12939,7 @@ app.get('/calendar/:personId', async (req, res) => {
       eventCount: result.eventCount,
       contentType: 'application/json',
       kind: 'personal',
+      source: calendarArtifactSourceForKey(cacheKey),
     });
     
   } catch (error) {
@@ -10839,6 +12951,521 @@ app.get('/calendar/:personId', async (req, res) => {
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
+}
+
+// Tokenized subscription URLs. Revoked and unknown tokens look like missing feeds.
+async function handleTokenCalendar(req, res, forcedFormat) {
+  try {
+    if (!redis || !cacheEnabled) {
+      return res.status(503).json({ error: 'Calendar subscriptions are unavailable.' });
+    }
+    const record = await loadCalendarFeedToken(redis, req.params.token);
+    if (!record) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    return handlePersonalCalendar(req, res, record.personId, forcedFormat);
+  } catch (error) {
+    console.error('Calendar feed token lookup error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating calendar' });
+  }
+}
+
+app.get('/calendar/t/:token.ics', async (req, res) => {
+  return handleTokenCalendar(req, res, 'ics');
+});
+
+app.get('/calendar/t/:token', async (req, res) => {
+  return handleTokenCalendar(req, res);
+});
+
+app.get('/calendar/:personId', async (req, res) => {
+  if (!personIdCalendarRequestAllowed(req, res)) return undefined;
+  return handlePersonalCalendar(req, res, req.params.personId);
+});
+
+// Occurrences added, removed and modified since an earlier full JSON artifact,
+// named by its ETag. The response's `etag` is the `since` for the next call.
+async function handlePersonalCalendarChanges(req, res, requestedPersonId) {
+  const since = normalizeCalendarEtag(Array.isArray(req.query.since) ? req.query.since.at(-1) : req.query.since);
+  if (!since) {
+    return res.status(400).json({
+      error: 'Missing since',
+      code: 'CALENDAR_CHANGES_SINCE_REQUIRED',
+      message: 'Pass since=<ETag> from the JSON feed or a previous changes response.'
+    });
+  }
+  if (!redis || !cacheEnabled) {
+    return res.status(503).json({ error: 'Calendar change history is unavailable.' });
+  }
+  let personId = requestedPersonId;
+  if (personId.length === 32 && !personId.includes('-')) {
+    personId = personId.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
+  }
+  const base = await loadPersonalCalendarBase(personId, { trigger: 'calendar_changes' });
+  if (!base.success) {
+    return base.reason === 'no_events'
+      ? res.status(404).json({ error: 'No events found' })
+      : res.status(500).json({ error: 'Error generating calendar', message: base.error || 'Unknown calendar generation error' });
+  }
+  const events = base.events.map(calendarEventWithEventHubLink).map(publicCalendarEvent);
+  const etag = base.etag || calendarJsonArtifactEtag(JSON.stringify(events));
+  res.setHeader('Cache-Control', 'private, no-cache, max-age=0, must-revalidate');
+  const unchanged = { since, etag, sourceRevision: base.sourceRevision, added: [], removed: [], modified: [] };
+  if (since === etag) return res.json(unchanged);
+
+  const previous = await loadCalendarChangeSnapshot(redis, personId, since);
+  await saveCalendarChangeSnapshot(personId, { etag, sourceRevision: base.sourceRevision, events });
+  if (!previous) {
+    return res.status(410).json({
+      error: 'Change history unavailable',
+      code: 'CALENDAR_CHANGES_SINCE_UNKNOWN',
+      message: 'This ETag is unknown or has expired. Resync from the full feed and use the returned etag.',
+      etag
+    });
+  }
+  const diff = diffCalendarEventSets(previous.events, events);
+  return res.json({
+    ...unchanged,
+    previousGeneratedAt: previous.generatedAt,
+    added: diff.added,
+    removed: diff.removed,
+    modified: diff.modified.map(({ event, changes }) => ({
+      uid: event.uid || null,
+      occurrenceKey: event.occurrenceKey || null,
+      changes,
+      event
+    }))
+  });
+}
+
+app.get('/calendar/t/:token/changes', async (req, res) => {
+  try {
+    if (!redis || !cacheEnabled) {
+      return res.status(503).json({ error: 'Calendar subscriptions are unavailable.' });
+    }
+    const record = await loadCalendarFeedToken(redis, req.params.token);
+    if (!record) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    return await handlePersonalCalendarChanges(req, res, record.personId);
+  } catch (error) {
+    console.error('Calendar changes error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating calendar changes' });
+  }
+});
+
+app.get('/calendar/:personId/changes', async (req, res) => {
+  try {
+    if (!personIdCalendarRequestAllowed(req, res)) return undefined;
+    return await handlePersonalCalendarChanges(req, res, req.params.personId);
+  } catch (error) {
+    console.error('Calendar changes error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating calendar changes' });
+  }
+});
+
+// Free/busy feeds for bookers: opaque "Busy" blocks with no gig details,
+// from the personal occurrence list plus the person's blockouts. Subscription
+// clients ignore VFREEBUSY, so each busy span is a VEVENT. The hyphenated
+// variant is cleared with the person's other filtered caches, and carries the
+// blockout feed's ETag so a blockout regeneration invalidates it too.
+const CALENDAR_FREEBUSY_CACHE_VARIANT = 'freebusy-opaque';
+
+async function cachedBlockoutFeedEtag() {
+  return (await readCalendarArtifactMetadata(buildSharedCalendarCacheKey('blockout', 'json')))?.etag || null;
+}
+
+function buildCalendarFreeBusyIcs(personName, intervals) {
+  const firstName = (personName || 'Unknown').split(' ')[0] || 'Unknown';
+  const calendar = ical({
+    name: `Downbeat Availability (${firstName})`,
+    description: `Busy times for ${personName || 'Unknown'}`,
+    ttl: 300
+  });
+  for (const interval of intervals) {
+    calendar.createEvent({
+      id: calendarBusyIntervalUid(interval),
+      start: new Date(interval.start),
+      end: new Date(interval.end),
+      stamp: new Date(interval.lastModified || interval.start),
+      summary: 'Busy',
+      floating: true,
+      transparency: ICalEventTransparency.OPAQUE
+    });
+  }
+  return serializeCalendar(calendar);
+}
+
+async function handlePersonalFreeBusy(req, res, requestedPersonId) {
+  let personId = requestedPersonId;
+  if (personId.length === 32 && !personId.includes('-')) {
+    personId = personId.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
+  }
+  const sendOptions = { contentType: 'text/calendar', filename: 'freebusy.ics', kind: 'freebusy' };
+  const cacheKey = buildCalendarCacheKey(personId, 'ics', REGEN_MODE_FULL, CALENDAR_FREEBUSY_CACHE_VARIANT);
+  const forceFresh = authorizedCalendarFreshRequest(req);
+  const cacheRevision = !forceFresh
+    ? await validatePostgresCacheRevision(cacheKey)
+    : { matches: false, unavailable: false };
+  const blockoutEtag = await cachedBlockoutFeedEtag();
+  if (redis && cacheEnabled && cacheRevision.matches && (cacheRevision.metadata?.dependencyEtag || null) === blockoutEtag) {
+    const cachedData = await redis.get(cacheKey);
+    if (cachedData) {
+      if (cacheRevision.unavailable) res.setHeader('X-Downbeat-Calendar-Stale', 'true');
+      return sendCalendarArtifact(req, res, cachedData, { ...sendOptions, metadata: cacheRevision.metadata });
+    }
+  }
+
+  const base = await loadPersonalCalendarBase(personId, { trigger: 'freebusy_cache_miss', forceFresh });
+  if (!base.success) {
+    return base.reason === 'no_events'
+      ? res.status(404).json({ error: 'No events found' })
+      : res.status(500).json({ error: 'Error generating calendar', message: base.error || 'Unknown calendar generation error' });
+  }
+  // Without blockouts the feed would under-report busy time, so it is served
+  // but not cached; the next request tries again.
+  let blockoutRows = null;
+  try {
+    blockoutRows = await withTimeout(
+      getConfiguredBlockoutCalendarData(),
+      CALENDAR_FETCH_TIMEOUT_MS,
+      `Blockout calendar fetch timeout after ${CALENDAR_FETCH_TIMEOUT_MS}ms`
+    );
+  } catch (error) {
+    console.warn('[calendar-freebusy] Blockouts unavailable:', error.code || error.message);
+  }
+  const intervals = calendarBusyIntervals(
+    base.events,
+    blockoutRangesForPerson(calendarBlockoutRanges(blockoutRows || []), base.personName)
+  );
+  const icsData = buildCalendarFreeBusyIcs(base.personName, intervals);
+  const artifactOptions = {
+    sourceRevision: base.sourceRevision || blockoutRows?.sourceRevision,
+    sourceUpdatedAt: base.sourceUpdatedAt || blockoutRows?.sourceUpdatedAt,
+    eventCount: intervals.length,
+    dependencyEtag: blockoutEtag,
+  };
+  if (!blockoutRows) {
+    res.setHeader('X-Downbeat-Calendar-Stale', 'true');
+    return sendCalendarArtifact(req, res, icsData, { ...sendOptions, ...artifactOptions });
+  }
+  const metadata = await cacheCalendarArtifact(cacheKey, icsData, artifactOptions);
+  return sendCalendarArtifact(req, res, icsData, { ...sendOptions, metadata });
+}
+
+app.get('/calendar/t/:token/freebusy.ics', async (req, res) => {
+  try {
+    if (!redis || !cacheEnabled) {
+      return res.status(503).json({ error: 'Calendar subscriptions are unavailable.' });
+    }
+    const record = await loadCalendarFeedToken(redis, req.params.token);
+    if (!record) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    return await handlePersonalFreeBusy(req, res, record.personId);
+  } catch (error) {
+    console.error('Free/busy calendar error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating calendar' });
+  }
+});
+
+app.get('/calendar/:personId/freebusy.ics', async (req, res) => {
+  try {
+    if (!personIdCalendarRequestAllowed(req, res)) return undefined;
+    return await handlePersonalFreeBusy(req, res, req.params.personId);
+  } catch (error) {
+    console.error('Free/busy calendar error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating calendar' });
+  }
+});
+
+// A person's calendar for one year, from the archive rather than the live
+// artifacts. The live feeds start on January 1, so this is where last year's
+// gigs stay available; once the year has ended the archive is frozen.
+async function handlePersonalCalendarArchive(req, res, requestedPersonId, format) {
+  const personId = normalizeNotionPageId(requestedPersonId);
+  const currentYear = currentCalendarArchiveYear();
+  const year = parseCalendarArchiveYear(req.params.year, { currentYear });
+  if (!personId || !year) {
+    return res.status(400).json({ error: 'A valid personnel page ID and archive year are required.' });
+  }
+  if (!redis || !cacheEnabled) {
+    return res.status(503).json({ error: 'Calendar archives are unavailable.' });
+  }
+  const archive = await loadCalendarArchive(redis, personId, year);
+  if (!archive) return res.status(404).json({ error: 'Calendar archive not found' });
+
+  const frozen = calendarArchiveIsFrozen(archive, currentYear);
+  const isGoogleClient = format === 'ics' && req.query.client === 'google';
+  let content;
+  if (format === 'json') {
+    content = JSON.stringify({
+      personName: archive.personName,
+      year,
+      frozen,
+      capturedAt: archive.capturedAt,
+      totalCalendarEvents: archive.events.length,
+      breakdown: getCalendarEventBreakdown(archive.events),
+      dataSource: 'archive',
+      events: archive.events,
+    });
+  } else {
+    const name = archive.personName || 'Unknown';
+    const calendar = ical({ name: `Downbeat iCal (${name.split(' ')[0] || name}, ${year})`, description: `${year} events for ${name}`, ttl: 300 });
+    for (const event of archive.events) {
+      const eventData = calendarIcsEventData(event);
+      if (eventData) calendar.createEvent(eventData);
+    }
+    content = isGoogleClient ? serializeGoogleCalendar(calendar) : serializeCalendar(calendar);
+  }
+  const metadata = buildCalendarArtifactMetadata({
+    content,
+    sourceRevision: archive.sourceRevision,
+    rendererVersion: CALENDAR_RENDERER_VERSION,
+    eventCount: archive.events.length,
+    source: 'archive',
+    generatedAt: archive.capturedAt,
+  });
+  res.setHeader('X-Downbeat-Calendar-Archive', frozen ? 'frozen' : 'open');
+  return sendCalendarArtifact(req, res, content, format === 'json'
+    ? { metadata, contentType: 'application/json', kind: 'archive' }
+    : { metadata, contentType: 'text/calendar', filename: `calendar-${year}.ics`, kind: 'archive' });
+}
+
+async function sendPersonalCalendarArchive(req, res, personId, format) {
+  try {
+    return await handlePersonalCalendarArchive(req, res, personId, format);
+  } catch (error) {
+    console.error('Calendar archive error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating calendar archive' });
+  }
+}
+
+async function sendTokenCalendarArchive(req, res, format) {
+  try {
+    if (!redis || !cacheEnabled) {
+      return res.status(503).json({ error: 'Calendar subscriptions are unavailable.' });
+    }
+    const record = await loadCalendarFeedToken(redis, req.params.token);
+    if (!record) return res.status(404).json({ error: 'Calendar not found' });
+    return await sendPersonalCalendarArchive(req, res, record.personId, format);
+  } catch (error) {
+    console.error('Calendar archive error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating calendar archive' });
+  }
+}
+
+app.get('/calendar/t/:token/archive/:year.ics', (req, res) => sendTokenCalendarArchive(req, res, 'ics'));
+app.get('/calendar/t/:token/archive/:year.json', (req, res) => sendTokenCalendarArchive(req, res, 'json'));
+
+app.get('/calendar/:personId/archive/:year.ics', (req, res) => {
+  if (!personIdCalendarRequestAllowed(req, res)) return undefined;
+  return sendPersonalCalendarArchive(req, res, req.params.personId, 'ics');
+});
+
+app.get('/calendar/:personId/archive/:year.json', (req, res) => {
+  if (!personIdCalendarRequestAllowed(req, res)) return undefined;
+  return sendPersonalCalendarArchive(req, res, req.params.personId, 'json');
+});
+
+// Live status rides on the itinerary response only. Feed artifacts never
+// carry it, so it cannot move their ETags or SEQUENCE near departure.
+async function withItineraryFlightStatuses(itinerary) {
+  if (!flightStatusService.enabled) return itinerary;
+  const flights = await Promise.all(itinerary.flights.map(async (flight) => ({
+    ...flight,
+    liveStatus: await flightLegLiveStatus({ flightNumber: flight.flightNumber, departureTime: flight.start }),
+  })));
+  return { ...itinerary, flights };
+}
+
+// One main event's travel, consolidated from the person's feed events.
+async function handlePersonalItinerary(req, res, requestedPersonId, format) {
+  let personId = requestedPersonId;
+  if (personId.length === 32 && !personId.includes('-')) {
+    personId = personId.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
+  }
+  const base = await loadPersonalCalendarBase(personId, { trigger: 'itinerary' });
+  if (!base.success) {
+    return base.reason === 'no_events'
+      ? res.status(404).json({ error: 'No events found' })
+      : res.status(500).json({ error: 'Error generating itinerary', message: base.error || 'Unknown calendar generation error' });
+  }
+  const events = base.events.map(calendarEventWithEventHubLink).map(publicCalendarEvent);
+  const found = findCalendarItinerary(events, req.params.eventId);
+  if (!found) return res.status(404).json({ error: 'Itinerary not found' });
+  const itinerary = await withItineraryFlightStatuses(found);
+  res.setHeader('Cache-Control', 'private, no-cache, max-age=0, must-revalidate');
+  if (format === 'json') {
+    return res.json({ personId, personName: base.personName, generatedAt: new Date().toISOString(), itinerary });
+  }
+  return res.type('text/html; charset=utf-8').send(renderCalendarItineraryHtml(itinerary, { personName: base.personName }));
+}
+
+app.get('/itinerary/:personId/:eventId.json', async (req, res) => {
+  try {
+    if (!personIdCalendarRequestAllowed(req, res)) return undefined;
+    return await handlePersonalItinerary(req, res, req.params.personId, 'json');
+  } catch (error) {
+    console.error('Itinerary error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating itinerary' });
+  }
+});
+
+app.get('/itinerary/:personId/:eventId', async (req, res) => {
+  try {
+    if (!personIdCalendarRequestAllowed(req, res)) return undefined;
+    return await handlePersonalItinerary(req, res, req.params.personId, 'html');
+  } catch (error) {
+    console.error('Itinerary error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating itinerary' });
+  }
+});
+
+// Read-only CalDAV view of a personal calendar: one collection whose members
+// are the feed's events, one resource per UID.
+const CALDAV_METHODS = ['OPTIONS', 'GET', 'HEAD', 'PROPFIND', 'REPORT'];
+const calDavBodyParser = express.text({ type: () => true, limit: '64kb' });
+
+// Each event renders as its own VCALENDAR, through the same event data and
+// serializer as the feed artifacts.
+function buildCalendarEventResources(personName, events, options = {}) {
+  const { alarmProfile = null, timeMode = CALENDAR_TIME_MODE, defaultTimeZone = null } = options;
+  const firstName = (personName || 'Unknown').split(' ')[0] || 'Unknown';
+  return events.map(calendarEventWithEventHubLink).flatMap((event) => {
+    const uid = calendarEventResourceUid(event);
+    const eventData = calendarIcsEventData(event, { alarmProfile, timeMode, id: uid });
+    if (!eventData) return [];
+    const calendar = ical({ name: `Downbeat iCal (${firstName})` });
+    calendar.createEvent(eventData);
+    return [{ uid, event, icsData: serializeCalendar(calendar, { mode: timeMode, defaultTimeZone }) }];
+  });
+}
+
+// Clients may percent-encode resource names differently than we do.
+function calDavResourceName(segment) {
+  try {
+    return encodeURIComponent(decodeURIComponent(segment));
+  } catch {
+    return segment;
+  }
+}
+
+function sendCalDavMultistatus(res, responses) {
+  return res.status(207).type('application/xml; charset=utf-8').send(calDavMultistatus(responses));
+}
+
+async function handleCalDavRequest(req, res, requestedPersonId, homeHref) {
+  res.setHeader('DAV', '1, calendar-access');
+  res.setHeader('Allow', CALDAV_METHODS.join(', '));
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (!CALDAV_METHODS.includes(req.method)) {
+    return res.status(405).json({ error: 'CalDAV calendars are read-only' });
+  }
+  const { collection: collectionName, resource: resourceName } = req.params;
+  if (collectionName && collectionName !== CALDAV_COLLECTION_NAME) {
+    return res.status(404).json({ error: 'Calendar not found' });
+  }
+  if (!resourceName && ['GET', 'HEAD'].includes(req.method)) {
+    return res.status(405).json({ error: 'Use PROPFIND or REPORT on CalDAV collections' });
+  }
+
+  let personId = requestedPersonId;
+  if (personId.length === 32 && !personId.includes('-')) {
+    personId = personId.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
+  }
+  const alarmProfile = await readCalendarAlarmProfile(personId);
+  const timePreference = await readCalendarTimePreference(personId);
+  const timeMode = timePreference?.mode || CALENDAR_TIME_MODE;
+  const base = await loadPersonalCalendarBase(personId, { trigger: 'caldav', alarmProfile });
+  if (!base.success) {
+    return base.reason === 'no_events'
+      ? res.status(404).json({ error: 'No events found' })
+      : res.status(500).json({ error: 'Error generating calendar', message: base.error || 'Unknown calendar generation error' });
+  }
+  const collection = buildCalDavCollection(buildCalendarEventResources(base.personName, base.events, {
+    alarmProfile,
+    timeMode,
+    defaultTimeZone: timeMode === 'zoned' ? timePreference?.defaultTimeZone || null : null,
+  }));
+  const displayName = `Downbeat iCal (${(base.personName || 'Unknown').split(' ')[0] || 'Unknown'})`;
+  const collectionHref = `${homeHref}${CALDAV_COLLECTION_NAME}/`;
+  const memberHref = (member) => `${collectionHref}${member.name}`;
+  const request = parseCalDavRequestBody(typeof req.body === 'string' ? req.body : '');
+  // Depth: infinity (the PROPFIND default) is answered as depth 1.
+  const shallow = String(req.headers.depth ?? '').trim() === '0';
+  const collectionProperties = calDavCollectionProperties({ homeHref, displayName, ctag: collection.ctag });
+
+  if (!collectionName) {
+    if (req.method !== 'PROPFIND') return res.status(405).json({ error: 'Use PROPFIND on the CalDAV home' });
+    const responses = [calDavResponse(homeHref, calDavHomeProperties({ homeHref, displayName }), request)];
+    if (!shallow) responses.push(calDavResponse(collectionHref, collectionProperties, request));
+    return sendCalDavMultistatus(res, responses);
+  }
+
+  const includeCalendarData = requestsCalendarData(request);
+  const memberResponse = (member) => calDavResponse(
+    memberHref(member),
+    calDavEventProperties(member, { includeCalendarData }),
+    request
+  );
+
+  if (!resourceName) {
+    if (req.method === 'PROPFIND') {
+      return sendCalDavMultistatus(res, [
+        calDavResponse(collectionHref, collectionProperties, request),
+        ...(shallow ? [] : collection.members.map(memberResponse)),
+      ]);
+    }
+    if (req.method === 'REPORT' && request.root === 'calendar-multiget') {
+      return sendCalDavMultistatus(res, request.hrefs.map((href) => {
+        const member = collection.byName.get(calDavResourceName(href.split('/').pop()));
+        return member ? memberResponse(member) : calDavMissingResponse(href);
+      }));
+    }
+    if (req.method === 'REPORT' && request.root === 'calendar-query') {
+      return sendCalDavMultistatus(res, collection.members
+        .filter((member) => calendarEventOverlapsTimeRange(member.event, request.timeRange))
+        .map(memberResponse));
+    }
+    return res.status(403).type('application/xml; charset=utf-8').send(calDavError('<D:supported-report/>'));
+  }
+
+  const member = collection.byName.get(calDavResourceName(resourceName));
+  if (!member) return res.status(404).json({ error: 'Calendar event not found' });
+  if (req.method === 'PROPFIND') return sendCalDavMultistatus(res, [memberResponse(member)]);
+  if (req.method === 'REPORT') return res.status(405).json({ error: 'Use REPORT on the CalDAV collection' });
+  res.setHeader('ETag', member.etag);
+  if (String(req.headers['if-none-match'] || '').split(/\s*,\s*/u).includes(member.etag)) {
+    return res.status(304).end();
+  }
+  return res.type('text/calendar; charset=utf-8').send(member.icsData);
+}
+
+app.all('/caldav/t/:token{/:collection}{/:resource}', calDavBodyParser, async (req, res) => {
+  try {
+    if (!redis || !cacheEnabled) {
+      return res.status(503).json({ error: 'Calendar subscriptions are unavailable.' });
+    }
+    const record = await loadCalendarFeedToken(redis, req.params.token);
+    if (!record) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    return await handleCalDavRequest(req, res, record.personId, `/caldav/t/${req.params.token}/`);
+  } catch (error) {
+    console.error('CalDAV request error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating calendar' });
+  }
+});
+
+app.all('/caldav/:personId{/:collection}{/:resource}', calDavBodyParser, async (req, res) => {
+  try {
+    if (!personIdCalendarRequestAllowed(req, res)) return undefined;
+    return await handleCalDavRequest(req, res, req.params.personId, `/caldav/${req.params.personId}/`);
+  } catch (error) {
+    console.error('CalDAV request error:', error.code || error.message);
+    return res.status(500).json({ error: 'Error generating calendar' });
+  }
 });
 
 // Flight countdown page route - serves modern design
@@ -10852,11 +13479,18 @@ app.get('/flight-countdown-modern.html', (req, res) => {
 });
 
 async function regenerateQueuedCalendarJob(job = {}) {
-  if (CALENDAR_FEED_SOURCE !== 'postgres') {
-    const error = new Error('Calendar refresh queue requires Postgres source mode.');
+  if (!CALENDAR_POSTGRES_ROUTED) {
+    const error = new Error('Calendar refresh queue requires Postgres source mode or routing.');
     error.code = 'CALENDAR_REFRESH_SOURCE_NOT_POSTGRES';
     throw error;
   }
+  // Feeds still served from Notion have no Postgres artifact to refresh.
+  const jobSource = job.feedKind === 'personal'
+    ? calendarPersonalFeedSource(job.selector)
+    : calendarSharedFeedSource(job.feedKind);
+  if (jobSource !== 'postgres' && ['personal', 'band', ...CALENDAR_ROUTED_SHARED_KINDS].includes(job.feedKind)) {
+    return { success: true, skipped: 'not_routed_to_postgres' };
+  }
   if (job.feedKind === 'personal') {
     return regenerateCalendarForPerson(job.selector, {
       trigger: 'postgres_change_queue',
@@ -10865,6 +13499,10 @@ async function regenerateQueuedCalendarJob(job = {}) {
     });
   }
 
+  if (job.feedKind === 'band') {
+    return regenerateBandCalendar(job.selector);
+  }
+
   const endpointByKind = {
     admin: '/admin/calendar/regen',
     travel: '/travel/calendar/regen',
@@ -10909,15 +13547,18 @@ async function regenerateQueuedCalendarJob(job = {}) {
 
 // Start background job for calendar updates
 startBackgroundJob();
-if (CALENDAR_FEED_SOURCE === 'postgres') {
+if (CALENDAR_POSTGRES_ROUTED) {
   calendarObservability.start(() => fetchPostgresCalendarFeed('version'));
 }
 
 app.listen(port, () => {
   console.log(`Calendar feed server running on port ${port}`);
-  if (CALENDAR_FEED_SOURCE === 'postgres') {
+  if (CALENDAR_POSTGRES_ROUTED) {
     postgresCalendarRefreshWorker = createPostgresCalendarRefreshWorker({
       regenerateJob: regenerateQueuedCalendarJob,
+      claimFn: (input) => calendarSourceAdapter.claimRefreshJobs(input),
+      completeFn: (jobId, input) => calendarSourceAdapter.completeRefreshJob(jobId, input),
+      failFn: (jobId, input) => calendarSourceAdapter.failRefreshJob(jobId, input),
     });
     if (postgresCalendarRefreshWorker.start()) {
       console.log('📅 Postgres change-driven calendar refresh worker active.');
@@ -85,9 +85,8 @@ async function calendarFeedApiRequest(path, options = {}) {
   }
 }
 
-export function calendarFeedServiceRequestIsAuthorized(req, env = process.env) {
+function serviceKeyMatches(supplied, env) {
   const expected = clean(env.CALENDAR_FEED_SERVICE_KEY);
-  const supplied = clean(req?.get?.('X-Downbeat-Calendar-Service-Key'));
   if (!expected || !supplied) return false;
   const expectedBuffer = Buffer.from(expected);
   const suppliedBuffer = Buffer.from(supplied);
@@ -95,6 +94,20 @@ export function calendarFeedServiceRequestIsAuthorized(req, env = process.env) {
     && timingSafeEqual(expectedBuffer, suppliedBuffer);
 }
 
+export function calendarFeedServiceRequestIsAuthorized(req, env = process.env) {
+  return serviceKeyMatches(clean(req?.get?.('X-Downbeat-Calendar-Service-Key')), env);
+}
+
+// Browsers cannot add the service-key header, so HTML views also accept
+// HTTP Basic auth with the service key as the password. The user is ignored.
+export function calendarFeedServiceBasicAuthIsAuthorized(req, env = process.env) {
+  const match = clean(req?.get?.('Authorization')).match(/^Basic\s+([A-Za-z0-9+/=]+)$/u);
+  if (!match) return false;
+  const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = credentials.indexOf(':');
+  return separator >= 0 && serviceKeyMatches(credentials.slice(separator + 1), env);
+}
+
 export async function fetchPostgresCalendarFeed(kind, selector = null, options = {}) {
   const body = await calendarFeedApiRequest(feedPath(kind, selector), options);
   if (!body || body.source !== 'postgres' || Number(body.schemaVersion) !== 1) {
@@ -145,7 +158,8 @@ function eventTypeCounts(events = []) {
   }, {});
 }
 
-function eventFingerprint(event = {}) {
+// Content identity of one event: what a subscriber would see change.
+export function eventFingerprint(event = {}) {
   return createHash('sha256').update(JSON.stringify({
     type: clean(event.type),
     title: clean(event.title),
@@ -491,6 +505,39 @@ export function diagnoseCalendarEventSets(notionEvents = [], postgresEvents = []
   };
 }
 
+/**
+ * Every occurrence from both sources side by side: each pair with the method
+ * that paired it and the fields that drift, then the unpaired occurrences of
+ * either side (method `unpaired`). Unlike diagnoseCalendarEventSets this
+ * returns field values, not fingerprints, so it is only for authenticated
+ * operator views.
+ */
+export function sideBySideCalendarEventSets(notionEvents = [], postgresEvents = []) {
+  const paired = pairCalendarEvents(notionEvents, postgresEvents);
+  const fieldValues = (event) => (event
+    ? Object.fromEntries(COMPARED_EVENT_FIELDS.map((field) => [field, comparableField(event, field)]))
+    : null);
+  const row = (notionEvent, postgresEvent, method) => ({
+    method,
+    notion: fieldValues(notionEvent),
+    postgres: fieldValues(postgresEvent),
+    exactFields: notionEvent && postgresEvent
+      ? COMPARED_EVENT_FIELDS.filter((field) =>
+        comparableField(notionEvent, field) !== comparableField(postgresEvent, field))
+      : [],
+    semanticFields: notionEvent && postgresEvent
+      ? COMPARED_EVENT_FIELDS.filter((field) =>
+        semanticallyComparableField(notionEvent, field) !== semanticallyComparableField(postgresEvent, field))
+      : [],
+  });
+  const rowStart = (entry) => (entry.notion || entry.postgres).start;
+  return [
+    ...paired.pairs.map(([notionEvent, postgresEvent, method]) => row(notionEvent, postgresEvent, method)),
+    ...paired.unpairedNotion.map((event) => row(event, null, 'unpaired')),
+    ...paired.unpairedPostgres.map((event) => row(null, event, 'unpaired')),
+  ].sort((left, right) => rowStart(left).localeCompare(rowStart(right)));
+}
+
 function fingerprintDifference(leftEvents, rightEvents) {
   const rightCounts = new Map();
   for (const event of rightEvents) {
@@ -1,6 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import {
+  calendarFeedServiceBasicAuthIsAuthorized,
   calendarFeedServiceRequestIsAuthorized,
   claimPostgresCalendarRefreshJobs,
   completePostgresCalendarRefreshJob,
@@ -8,6 +9,7 @@ import {
   configuredCalendarFeedSource,
   diagnoseCalendarEventSets,
   fetchPostgresCalendarFeed,
+  sideBySideCalendarEventSets,
 } from './postgres-calendar-source.js';
 
 test('calendar shadow report authentication uses the dedicated service key', () => {
@@ -16,6 +18,16 @@ test('calendar shadow report authentication uses the dedicated service key', ()
   assert.equal(calendarFeedServiceRequestIsAuthorized(req, { CALENDAR_FEED_SERVICE_KEY: 'wrong' }), false);
 });
 
+test('HTML views accept the service key as the Basic auth password', () => {
+  const basic = (credentials) => ({ get: (header) => (header === 'Authorization' ? `Basic ${Buffer.from(credentials).toString('base64')}` : '') });
+  const env = { CALENDAR_FEED_SERVICE_KEY: 'se:cret' };
+  assert.equal(calendarFeedServiceBasicAuthIsAuthorized(basic('ops:se:cret'), env), true);
+  assert.equal(calendarFeedServiceBasicAuthIsAuthorized(basic(':se:cret'), env), true);
+  assert.equal(calendarFeedServiceBasicAuthIsAuthorized(basic('se:cret'), env), false);
+  assert.equal(calendarFeedServiceBasicAuthIsAuthorized({ get: () => 'Bearer se:cret' }, env), false);
+  assert.equal(calendarFeedServiceBasicAuthIsAuthorized(basic('ops:'), { CALENDAR_FEED_SERVICE_KEY: '' }), false);
+});
+
 test('calendar feed source defaults to notion and validates explicit values', () => {
   assert.equal(configuredCalendarFeedSource({}), 'notion');
   assert.equal(configuredCalendarFeedSource({ CALENDAR_FEED_SOURCE: ' SHADOW ' }), 'shadow');
@@ -368,3 +380,30 @@ test('authenticated drill-down diagnostics expose record identity and fields but
   assert.deepEqual(diagnostic.pairedFieldDrift[0].semanticFields.sort(), ['description', 'pay', 'title']);
   assert.doesNotMatch(JSON.stringify(diagnostic), /Private legacy|Private current|\$500|\$600/u);
 });
+
+test('side-by-side rows show both sides with the pairing method and drifted fields', () => {
+  const gig = {
+    type: 'main_event',
+    title: '🎸 Gala',
+    start: '2026-08-01T10:00:00Z',
+    end: '2026-08-01T12:00:00Z',
+    url: 'https://www.notion.so/25f39e4a65a980688175d789a9befcdd',
+    description: 'Total Pay: $500',
+  };
+  const rows = sideBySideCalendarEventSets(
+    [gig, { type: 'rehearsal', title: 'Rehearsal', start: '2026-07-30T18:00:00Z', end: '2026-07-30T20:00:00Z' }],
+    [
+      { ...gig, title: '🎸  gala', description: 'Total Pay: $600' },
+      { type: 'hotel', title: 'Hotel', start: '2026-08-01T00:00:00Z', end: '2026-08-02T00:00:00Z' },
+    ]
+  );
+  assert.deepEqual(rows.map((row) => [row.method, row.notion?.type || null, row.postgres?.type || null]), [
+    ['unpaired', 'rehearsal', null],
+    ['unpaired', null, 'hotel'],
+    ['sourceIdentity', 'main_event', 'main_event'],
+  ]);
+  assert.deepEqual(rows[2].exactFields, ['title', 'description', 'pay']);
+  assert.deepEqual(rows[2].semanticFields, ['description', 'pay']);
+  assert.equal(rows[2].postgres.pay, '600.00');
+  assert.deepEqual([rows[0].exactFields, rows[0].semanticFields], [[], []]);
+});
@@ -35,6 +35,23 @@ test('Postgres source mode reuses the legacy renderer with stable event IDs', ()
   assert.match(source, /delete publicEvent\.comparisonIdentity/u);
 });
 
+test('projection reads and refresh jobs go through the configured source adapter', () => {
+  assert.match(source, /const calendarSourceAdapter = configuredCalendarSourceAdapter\(\);/u);
+  assert.match(source, /function fetchPostgresCalendarFeed\(kind, selector = null\) \{\s+return calendarSourceAdapter\.fetchFeed\(kind, selector\);/u);
+  assert.doesNotMatch(source, /^\s+fetchPostgresCalendarFeed,$/mu);
+  assert.match(source, /claimFn: \(input\) => calendarSourceAdapter\.claimRefreshJobs\(input\)/u);
+});
+
+test('routed feeds keep Postgres and Notion artifacts under separate cache keys', () => {
+  assert.match(source, /const CALENDAR_FEED_ROUTING = parseCalendarSourceRouting\(process\.env\.CALENDAR_FEED_ROUTING\);/u);
+  assert.match(source, /source = calendarPersonalFeedSource\(personId\)\s+\) \{\s+const prefix = source === 'postgres' \? 'calendar:postgres' : 'calendar';/u);
+  assert.match(source, /function buildSharedCalendarCacheKey\(kind, formatKey, source = calendarSharedFeedSource\(kind\)\)/u);
+  assert.match(source, /if \(calendarArtifactSourceForKey\(cacheKey\) !== 'postgres' \|\| !redis \|\| !cacheEnabled\)/u);
+  assert.match(source, /if \(calendarPersonalFeedSource\(personId\) === 'postgres'\)/u);
+  assert.match(source, /json: buildCalendarCacheKey\(personId, 'json', selectedRegenMode, '', 'postgres'\)/u);
+  assert.match(source, /source: calendarArtifactSourceForKey\(cacheKey\),/u);
+});
+
 test('Postgres mode reads normal projection history without a Redis freeze', () => {
   assert.doesNotMatch(source, /calendar:legacy-history|FrozenPersonalCalendarHistory|LEGACY_CALENDAR_HISTORY/u);
   assert.doesNotMatch(source, /CALENDAR_FEED_HISTORY_CUTOVER_DATE/u);
@@ -68,6 +85,7 @@ test('Postgres changes proactively refresh durable calendar artifacts', () => {
   assert.match(source, /createPostgresCalendarRefreshWorker/u);
   assert.match(source, /async function regenerateQueuedCalendarJob/u);
   assert.match(source, /trigger: 'postgres_change_queue'/u);
+  assert.match(source, /job\.feedKind === 'band'\) \{\s+return regenerateBandCalendar\(job\.selector\)/u);
   assert.match(source, /postgresCalendarRefreshWorker\.start\(\)/u);
   assert.match(
     source,
@@ -101,6 +119,31 @@ test('maintenance and diagnostic routes require service authentication and safe
     ['post', '/blockout/calendar/regen'],
     ['get', '/debug/blockout'],
     ['get', '/debug/calendar-data/:personId'],
+    ['get', '/api/internal/calendar-alarm-profiles/:personId'],
+    ['delete', '/api/internal/calendar-alarm-profiles/:personId'],
+    ['get', '/api/internal/calendar-time-preferences/:personId'],
+    ['delete', '/api/internal/calendar-time-preferences/:personId'],
+    ['get', '/api/internal/calendar-share-links/:personId'],
+    ['post', '/api/internal/calendar-share-links/:personId'],
+    ['delete', '/api/internal/calendar-share-links/:personId'],
+    ['get', '/api/internal/calendar-feed-tokens/:personId'],
+    ['delete', '/api/internal/calendar-feed-tokens/:personId'],
+    ['delete', '/api/internal/calendar-feed-tokens/:personId/:token'],
+    ['post', '/api/internal/calendar-change-notifications/flush'],
+    ['get', '/api/internal/calendar-conflicts'],
+    ['get', '/api/internal/calendar-blockout-violations'],
+    ['get', '/api/internal/calendar-availability'],
+    ['post', '/api/internal/calendar-composite-feeds'],
+    ['get', '/api/internal/calendar-composite-feeds/:feedId'],
+    ['put', '/api/internal/calendar-composite-feeds/:feedId'],
+    ['delete', '/api/internal/calendar-composite-feeds/:feedId'],
+    ['get', '/api/internal/calendar-bands'],
+    ['get', '/api/internal/calendar-venues'],
+    ['get', '/api/internal/calendar-venue-aliases'],
+    ['put', '/api/internal/calendar-venue-aliases'],
+    ['get', '/api/internal/travel-manifest/:eventId'],
+    ['get', '/api/internal/calendar-source-routing'],
+    ['put', '/api/internal/calendar-archives/:personId/:year'],
   ]) {
     const routeDeclaration = `app.${verb}('${route}', requireCalendarFeedServiceKey`;
     assert.ok(source.includes(routeDeclaration), routeDeclaration);
@@ -114,11 +157,18 @@ test('shadow parity report and audit runner require service authentication', ()
     '/api/internal/calendar-shadow-report',
     '/api/internal/calendar-shadow-run',
     '/api/internal/calendar-shadow-diff/:personId',
+    '/api/internal/calendar-cutover-readiness',
   ]) {
     const routeIndex = source.indexOf(`'${route}'`);
     assert.notEqual(routeIndex, -1);
     assert.match(source.slice(routeIndex, routeIndex + 150), /requireCalendarFeedServiceKey/u);
   }
+  assert.match(
+    source,
+    /app\.get\('\/api\/internal\/calendar-shadow-viewer', requireCalendarFeedServiceBrowserAuth/u
+  );
+  assert.match(source, /calendarFeedServiceRequestIsAuthorized\(req\) \|\| calendarFeedServiceBasicAuthIsAuthorized\(req\)/u);
+  assert.match(source, /recordCalendarCutoverReadinessAudit\(shadowAuditState\)/u);
   assert.match(source, /processCalendarDataIndexEntries\(/u);
   assert.match(source, /compareCalendarShadowSweepResult\(refreshResult\)/u);
   assert.match(source, /refreshAndCompareSharedCalendarShadow\(/u);
@@ -150,3 +200,206 @@ test('full shadow audits refresh durable Notion baselines before comparison', ()
   assert.match(source, /assertCalendarEventSnapshotExpectedIds\(/u);
   assert.match(source, /eventMembershipByPerson/u);
 });
+
+test('alarm profiles vary only the ICS cache key and require service authentication', () => {
+  assert.match(source, /'\/api\/internal\/calendar-alarm-profiles\/:personId',\s+requireCalendarFeedServiceKey,\s+express\.json/u);
+  assert.match(source, /const icsVariant = joinCalendarCacheVariants\(filterVariant, alarmVariant, timeVariant\);/u);
+  assert.match(source, /buildCalendarCacheKey\(personId, cacheFormat, regenMode, shouldReturnICS \? icsVariant : filterVariant\)/u);
+  assert.match(source, /alarms: getAlarmsForEvent\(event\.type, event\.title, alarmProfile\)/u);
+  for (const name of ['tryComposeFullCalendarFromSplitCaches', 'renderComposedSplitCalendar']) {
+    const start = source.indexOf(`async function ${name}(`);
+    const implementation = source.slice(start, source.indexOf('\n}\n', start));
+    assert.match(implementation, /const alarmProfile = await resolveCalendarAlarmProfile\(personId, options\);/u);
+    assert.match(implementation, /buildCalendarCacheKey\(personId, 'ics', REGEN_MODE_FULL, alarmVariant, 'notion'\)/u);
+    assert.match(implementation, /buildCalendarCacheKey\(personId, 'json', REGEN_MODE_FULL, '', 'notion'\)/u);
+    assert.doesNotMatch(implementation, /`calendar:\$\{personId\}:json`/u);
+  }
+});
+
+test('time modes come from the query, then the saved preference, and vary only the ICS key', () => {
+  assert.match(source, /'\/api\/internal\/calendar-time-preferences\/:personId',\s+requireCalendarFeedServiceKey,\s+express\.json/u);
+  assert.match(source, /const timeMode = requestedTimeMode \|\| timePreference\?\.mode \|\| CALENDAR_TIME_MODE;/u);
+  assert.match(source, /x: timeMode === 'zoned' \? calendarEventTimeZoneProperties\(event\) : \[\]/u);
+  assert.match(source, /\.\.\.calendarEventTimeZones\(calendarTimeZoneForAirport\(flight\.departure_airport, flight\.departure_airport_address\), calendarTimeZoneForAirport\(flight\.return_airport, flight\.return_airport_address\)\), type: 'flight_departure'/u);
+  assert.match(source, /\.\.\.calendarEventTimeZones\(calendarTimeZoneForAddress\(event\.venue_address\)\), type: 'main_event'/u);
+  assert.match(source, /\$\{timeMode \? `&timeMode=\$\{timeMode\}` : ''\}/u);
+});
+
+test('live flight status stays on the flight API and itineraries, out of feed artifacts', () => {
+  assert.doesNotMatch(source, /_live_status/u);
+  assert.equal(source.match(/flightStatusService\.lookup\(/gu)?.length, 1);
+  // Every lookup goes through the departure-window check.
+  assert.equal(source.match(/flightLiveStatus\(/gu)?.length, 2);
+  assert.match(source, /\? flightLiveStatus\(flightData\)/u);
+  const statusRoute = source.indexOf("app.get('/api/flight/:flightId/status'");
+  assert.notEqual(statusRoute, -1);
+  assert.match(source.slice(statusRoute, statusRoute + 400), /await loadNotionFlightLeg\(flightId, req\)/u);
+  assert.doesNotMatch(source, /flightIdent\(req\.params/u);
+  assert.match(source, /const itinerary = await withItineraryFlightStatuses\(found\);/u);
+});
+
+test('event-type filters get their own cached artifacts and survive the .ics redirects', () => {
+  assert.match(source, /eventFilter = parseCalendarEventTypeFilter\(req\.query\);/u);
+  assert.match(source, /regenerateFilteredCalendarForPerson\(personId, \{ \.\.\.regenOptions, \.\.\.timePolicy, eventFilter, forceFresh \}\)/u);
+  assert.match(source, /`\/calendar\/\$\{personId\}\?format=ics\$\{filterQuery\}`/u);
+  assert.match(source, /`\/calendar\/\$\{personId\}\?format=ics&client=google\$\{filterQuery\}`/u);
+  assert.match(source, /const subscriptionUrl = `https:\/\/\$\{req\.get\('host'\)\}\$\{feedPath\}\.ics\$\{feedQuery\}`;/u);
+});
+
+test('share links serve only redacted artifacts under their own cache keys', () => {
+  const start = source.indexOf('async function handleSharedCalendar');
+  const end = source.indexOf("app.get('/calendar/shared/:token.ics'", start);
+  assert.ok(start >= 0 && end > start);
+  const implementation = source.slice(start, end);
+  assert.match(implementation, /CALENDAR_FIELD_PRIVACY_POLICIES\[link\.policy\]/u);
+  assert.match(implementation, /calendarFieldPrivacyVariant\(privacyPolicy\)/u);
+  assert.doesNotMatch(implementation, /regenerateCalendarForPerson\(/u);
+  assert.match(source, /allCalendarEvents\.map\(calendarEventWithEventHubLink\)\s+\.map\(\(event\) => redactCalendarEvent\(event, privacyPolicy\)\)/u);
+});
+
+test('tokenized feed URLs resolve through the token store before the personal renderer', () => {
+  assert.match(source, /app\.get\('\/calendar\/t\/:token\.ics'/u);
+  assert.match(source, /app\.get\('\/calendar\/t\/:token'/u);
+  assert.match(source, /'\/api\/internal\/calendar-feed-tokens\/:personId',\s+requireCalendarFeedServiceKey,\s+express\.json/u);
+  const start = source.indexOf('async function handleTokenCalendar');
+  const end = source.indexOf("app.get('/calendar/t/:token.ics'", start);
+  assert.ok(start >= 0 && end > start);
+  const implementation = source.slice(start, end);
+  assert.match(implementation, /loadCalendarFeedToken\(redis, req\.params\.token\)/u);
+  assert.match(implementation, /handlePersonalCalendar\(req, res, record\.personId, forcedFormat\)/u);
+  for (const route of ['/calendar/:personId', '/calendar/:personId.ics', '/calendar/google/:personId.ics', '/subscribe/:personId']) {
+    const routeIndex = source.indexOf(`app.get('${route}'`);
+    assert.notEqual(routeIndex, -1);
+    assert.match(source.slice(routeIndex, routeIndex + 200), /personIdCalendarRequestAllowed\(req, res\)/u);
+  }
+  const gate = source.indexOf('function personIdCalendarRequestAllowed(');
+  assert.match(source.slice(gate, source.indexOf('\n}\n', gate)), /\/subscribe\/t\/<token>/u);
+});
+
+test('subscription pages render links from a given token and never issue one', () => {
+  const start = source.indexOf('async function sendPersonalSubscribePage(');
+  const end = source.indexOf("app.get('/subscribe/:personId'", start);
+  assert.ok(start >= 0 && end > start);
+  const implementation = source.slice(start, end);
+  assert.doesNotMatch(implementation, /issueCalendarFeedToken|listCalendarFeedTokens/u);
+  assert.match(implementation, /app\.get\('\/subscribe\/t\/:token'/u);
+  assert.match(implementation, /loadCalendarFeedToken\(redis, req\.params\.token\)/u);
+});
+
+test('CalDAV resources render through the feed event data and honour feed-token rules', () => {
+  assert.match(source, /const eventData = calendarIcsEventData\(event, \{ alarmProfile, timeMode \}\);/u);
+  assert.match(source, /const eventData = calendarIcsEventData\(event, \{ alarmProfile, timeMode, id: uid \}\);/u);
+  assert.match(source, /app\.all\('\/caldav\/t\/:token\{\/:collection\}\{\/:resource\}', calDavBodyParser,/u);
+  const routeIndex = source.indexOf("app.all('/caldav/:personId{/:collection}{/:resource}'");
+  assert.ok(routeIndex > source.indexOf("app.all('/caldav/t/:token"));
+  assert.match(source.slice(routeIndex, routeIndex + 200), /personIdCalendarRequestAllowed\(req, res\)/u);
+});
+
+test('every full personal build, sweep compositions included, leaves a change snapshot under its JSON ETag', () => {
+  const start = source.indexOf('async function regenerateCalendarForPerson(');
+  const end = source.indexOf('async function loadPersonalCalendarBase', start);
+  assert.ok(start >= 0 && end > start);
+  const implementation = source.slice(start, end);
+  assert.equal(implementation.match(/await recordPersonalCalendarBuild\(personId, result\);/gu)?.length, 1);
+  assert.doesNotMatch(implementation, /recordPersonalCalendarChangeSnapshot/u);
+  assert.doesNotMatch(implementation, /recordPersonalCalendarConflicts/u);
+  assert.match(source, /const recordPersonalCalendarBuild = createPersonalCalendarBuildRecorder\(\{\n\s+changeSnapshot: recordPersonalCalendarChangeSnapshot,\n\s+conflicts: recordPersonalCalendarConflicts,/u);
+  assert.match(source, /afterBuild: \(personId, build\) => recordPersonalCalendarBuild\(personId, build\),/u);
+  for (const sweepStep of ['async function processCalendarDataIndexEntries(', 'async function regenerateFromCalendarDataPage(']) {
+    const stepStart = source.indexOf(sweepStep);
+    assert.match(source.slice(stepStart, source.indexOf('\n}\n', stepStart)), /await composeSplitCacheForPerson\(/u);
+  }
+  assert.match(source, /regenMode === REGEN_MODE_FULL && !eventFilter\s+\? analyzeCalendarConflicts\(liveCalendarEvents\)/u);
+  assert.match(source, /meaningfulCalendarChanges\(diffCalendarEventSets\(previous\.events, current\.events\)\)/u);
+  assert.match(source, /app\.get\('\/calendar\/t\/:token\/changes'/u);
+  const routeIndex = source.indexOf("app.get('/calendar/:personId/changes'");
+  assert.notEqual(routeIndex, -1);
+  assert.match(source.slice(routeIndex, routeIndex + 200), /personIdCalendarRequestAllowed\(req, res\)/u);
+});
+
+test('free/busy feeds are cached with artifact metadata behind the personal feed gate', () => {
+  const start = source.indexOf('async function handlePersonalFreeBusy(');
+  const end = source.indexOf("app.get('/calendar/t/:token/freebusy.ics'", start);
+  assert.ok(start >= 0 && end > start);
+  const implementation = source.slice(start, end);
+  assert.match(implementation, /await cacheCalendarArtifact\(cacheKey, icsData, artifactOptions\)/u);
+  assert.match(implementation, /sendCalendarArtifact\(req, res, cachedData, \{ \.\.\.sendOptions, metadata: cacheRevision\.metadata \}\)/u);
+  assert.match(implementation, /cacheRevision\.matches && \(cacheRevision\.metadata\?\.dependencyEtag \|\| null\) === blockoutEtag/u);
+  assert.match(implementation, /dependencyEtag: blockoutEtag,/u);
+  assert.match(source, /const CALENDAR_FREEBUSY_CACHE_VARIANT = '[a-z]+-[a-z]+';/u);
+  const routeIndex = source.indexOf("app.get('/calendar/:personId/freebusy.ics'");
+  assert.notEqual(routeIndex, -1);
+  assert.match(source.slice(routeIndex, routeIndex + 200), /personIdCalendarRequestAllowed\(req, res\)/u);
+});
+
+test('archives are read behind the personal feed gate and only builds write the open year', () => {
+  for (const format of ['ics', 'json']) {
+    const routeIndex = source.indexOf(`app.get('/calendar/:personId/archive/:year.${format}'`);
+    assert.notEqual(routeIndex, -1);
+    assert.match(source.slice(routeIndex, routeIndex + 200), /personIdCalendarRequestAllowed\(req, res\)/u);
+  }
+  assert.match(source, /createPersonalCalendarBuildRecorder\(\{[^}]*\n\s+archive: recordPersonalCalendarArchive,/u);
+  assert.equal(source.match(/recordPersonalCalendarArchive\b/gu)?.length, 2);
+  assert.equal(source.match(/recordOpenCalendarArchive\(/gu)?.length, 1);
+});
+
+test('composite feeds merge cached member artifacts under a derived ETag', () => {
+  const start = source.indexOf('async function handleCompositeCalendar(');
+  const end = source.indexOf("app.get('/calendar/composite/:feedId.ics'", start);
+  assert.ok(start >= 0 && end > start);
+  const implementation = source.slice(start, end);
+  assert.match(implementation, /loadPersonalCalendarBase\(personId, \{ trigger: 'composite_calendar' \}\)/u);
+  assert.match(implementation, /\{ dedupKey: getCalendarEventDedupKey \}/u);
+  assert.ok(implementation.indexOf('calendarCompositeFeedEtag(') < implementation.indexOf('composeCalendarCompositeEvents('));
+  assert.match(source, /app\.get\('\/calendar\/composite\/:feedId\.json'/u);
+});
+
+test('venue feeds answer every slug from the cached directory and keep personal text out', () => {
+  const start = source.indexOf('async function handleVenueCalendar(');
+  const end = source.indexOf("app.get('/api/internal/calendar-venues'", start);
+  assert.ok(start >= 0 && end > start);
+  const implementation = source.slice(start, end);
+  assert.match(implementation, /await cachedCalendarVenueDirectory\(\{/u);
+  assert.doesNotMatch(implementation, /loadCalendarVenueDirectory\(/u);
+  assert.match(source, /cyclePhase = 'venue_directory_refresh';/u);
+
+  const directoryStart = source.indexOf('async function loadCalendarVenueDirectory(');
+  const personalEntries = source.slice(source.indexOf('for (const person of people)', directoryStart), source.indexOf('return {', directoryStart));
+  assert.doesNotMatch(personalEntries, /generalInfo|description/u);
+});
+
+test('full personal builds reconcile revisions and tombstones before rendering', () => {
+  assert.equal(source.match(/await withPublishedEventRevisions\(`personal:\$\{personId\}`, /gu)?.length, 3);
+  assert.match(source, /\.\.\.calendarEventStatusData\(event\)\n\s+\};\n\}/u);
+  assert.match(source, /: alarmsForEvent\(event\),\n\s+\.\.\.calendarEventStatusData\(event\)/u);
+  assert.match(source, /fingerprint: \(event\) => eventFingerprint\(calendarEventWithEventHubLink\(event\)\)/u);
+  assert.match(source, /allCalendarEvents: publishedEvents\n/u);
+  assert.match(source, /compareCalendarEventSets\(withoutCalendarTombstones\(notionEvents\), postgresEvents\)/u);
+  assert.match(source, /events: withoutCalendarTombstones\(Array\.isArray\(events\) \? events : \[\]\)/u);
+});
+
+test('the personal base returns published JSON events whether cached or rebuilt', () => {
+  const start = source.indexOf('async function loadPersonalCalendarBase(');
+  const implementation = source.slice(start, source.indexOf('\n}\n', start));
+  assert.match(implementation, /events: cached\.events,/u);
+  assert.match(implementation, /events: result\.jsonResponse\?\.events \|\| \[\],/u);
+  assert.doesNotMatch(implementation, /allCalendarEvents/u);
+});
+
+test('itineraries are served from the personal feed under the person-ID rules', () => {
+  assert.match(source, /const base = await loadPersonalCalendarBase\(personId, \{ trigger: 'itinerary' \}\);/u);
+  for (const route of ["app.get('/itinerary/:personId/:eventId.json'", "app.get('/itinerary/:personId/:eventId'"]) {
+    const routeIndex = source.indexOf(route);
+    assert.notEqual(routeIndex, -1);
+    assert.match(source.slice(routeIndex, routeIndex + 200), /personIdCalendarRequestAllowed\(req, res\)/u);
+  }
+  assert.ok(source.indexOf("'/itinerary/:personId/:eventId.json'") < source.indexOf("'/itinerary/:personId/:eventId'"));
+});
+
+test('travel events publish the structured booking fields itineraries read', () => {
+  const start = source.indexOf('function buildCalendarEventsFromCalendarData(');
+  const implementation = source.slice(start, source.indexOf('\n}\n', start));
+  assert.equal(implementation.match(/\.\.\.flightLegFields\(flight, '(?:departure|return)(?:_lo)?'\)/gu)?.length, 8);
+  assert.equal(implementation.match(/\.\.\.hotelBookingFields\(hotel\)/gu)?.length, 2);
+  assert.equal(implementation.match(/\.\.\.groundTransportBookingFields\(transport\)/gu)?.length, 2);
+});
@@ -0,0 +1,18 @@
+/**
+ * An in-memory stand-in for the Redis string commands the calendar stores use.
+ * `values` and `ttls` are exposed for assertions; `writes` counts every write.
+ */
+export function memoryRedis() {
+  const values = new Map();
+  const ttls = new Map();
+  let writes = 0;
+  return {
+    values,
+    ttls,
+    get writes() { return writes; },
+    async get(key) { return values.get(key) || null; },
+    async set(key, value) { writes += 1; values.set(key, value); return 'OK'; },
+    async setEx(key, ttl, value) { writes += 1; values.set(key, value); ttls.set(key, ttl); return 'OK'; },
+    async del(key) { return values.delete(key) ? 1 : 0; },
+  };
+}